@@ -14,7 +14,10 @@ class EnspirionApp {
             currentView: 'monitoring',
             autoRefreshEnabled: true,
             isLoading: false,
-            apiConnected: false
+            apiConnected: false,
+            selectedDate: null, // null = doba bieżąca (tryb na żywo)
+            // Rozdzielczość tabel, wykresów i eksportu [min]: 15 = MTU, 60 = agregacja godzinowa
+            resolution: Number(this.loadSettings().resolution) || window.EnspirionConfig?.DATA?.mtu?.displayMinutes || 15
         };
         
         // Data storage
@@ -27,7 +30,6 @@ class EnspirionApp {
         
         // Intervals and timeouts
         this.intervals = {
-            autoRefresh: null,
             dataRefresh: null
         };
         
@@ -69,6 +71,9 @@ class EnspirionApp {
     this.addChangeListener('show-weekends', () => this.loadForecastData());
             // Step 3: Initialize Chart Manager
             await this.initializeCharts();
+            this.setupDataSubscriptions();
+            // Model prawdopodobieństwa redukcji przed pierwszym rysowaniem heatmapy (brak pliku = tylko wynik)
+            await window.CurtailmentModel.load();
             this.updateProgress(50);
             
             // Step 4: Test API connectivity
@@ -137,7 +142,7 @@ async initializeCharts() {
         try {
             window.UIManager.updateStatus('api', 'connecting', 'Łączenie z PSE API...');
             
-            const testUrl = 'https://apimpdv2-bmgdhhajexe8aade.a01.azurefd.net/api/pdgobpkd?$first=1';
+            const testUrl = `${window.PSEApiService.baseUrl}pdgobpkd?${window.PSEQuery.for('pdgobpkd').first(1).toQueryString()}`;
             const response = await fetch(testUrl, { 
                 signal: AbortSignal.timeout(this.config.apiTimeout) 
             });
@@ -234,16 +239,13 @@ setupAdditionalFeatures() {
             this.showChartLoading();
             this.state.isLoading = true;
             
-            // Fetch all dashboard data
-            const data = await window.PSEApiService.getAllDashboardData();
-            this.data.current = data;
-            this.data.lastUpdate = new Date();
-            
-            // Process additional data
-            await this.processData(data);
+            // Szybki start - ostatnia zapisana migawka, zanim przyjdą dane live
+            if (!this.state.selectedDate && await this.restoreSnapshot()) {
+                this.hideChartLoading();
+            }
             
-            // Update UI components
-            this.updateUI(data);
+            // Fetch all dashboard data - subskrybent 'dashboard' przetwarza dane i odświeża UI
+            await window.DataHub.refresh('dashboard');
             
             // Load forecast data
             await this.loadForecastData();
@@ -257,6 +259,71 @@ setupAdditionalFeatures() {
         }
     }
 
+    /**
+     * Subskrypcje zbiorów DataHub - widoki odświeżają się przy każdej nowej wartości
+     */
+    setupDataSubscriptions() {
+        window.DataHub.subscribe('dashboard', data => this.handleDashboardData(data));
+        window.DataHub.subscribe('kseDemand', data => this.renderGridData(data));
+        window.addEventListener('risk:profile', () => this.handleRiskProfileChange());
+    }
+
+    /**
+     * Zmiana profilu ryzyka - przelicz heatmapy na bieżących danych
+     */
+    async handleRiskProfileChange() {
+        if (!this.data.current) return;
+        
+        await this.processData(this.data.current);
+        this.updateUI(this.data.current);
+    }
+
+    /**
+     * New dashboard data from DataHub
+     */
+    async handleDashboardData(data) {
+        this.data.current = data;
+        this.data.lastUpdate = new Date();
+        
+        // Process additional data
+        await this.processData(data);
+        
+        // Update UI components
+        this.updateUI(data);
+        
+        // Zapisz migawkę na następny start - tylko dla doby bieżącej
+        if (data.isToday !== false) {
+            window.TimeSeriesStore?.saveSnapshot('dashboard', data);
+        }
+    }
+
+    /**
+     * Render last stored dashboard snapshot (instant start)
+     */
+    async restoreSnapshot() {
+        if (!window.TimeSeriesStore) return false;
+        
+        try {
+            const snapshot = await window.TimeSeriesStore.loadSnapshot('dashboard');
+            if (!snapshot || !snapshot.data) return false;
+            
+            console.log(`🗄️ Rendering stored snapshot from ${new Date(snapshot.savedAt).toLocaleString('pl-PL')}`);
+            
+            // Dane z migawki to dane z cache - zachowaj oryginalny czas pobrania
+            Object.entries(snapshot.data.provenance || {}).forEach(([name, record]) => {
+                window.PSEApiService.recordProvenance(name, { ...record, source: 'cache', stale: true });
+            });
+            
+            this.data.current = snapshot.data;
+            this.updateUI(snapshot.data);
+            return true;
+            
+        } catch (error) {
+            console.warn('⚠️ Failed to restore dashboard snapshot:', error);
+            return false;
+        }
+    }
+
     /**
      * Process fetched data
      */
@@ -272,17 +339,9 @@ setupAdditionalFeatures() {
             this.data.portfolioAnalysis = portfolioAnalysis;
         }
         
-        // Calculate risk heatmap
-        if (window.RiskCalculator && data.constraints) {
-            const riskData = window.RiskCalculator.calculateRiskHeatmap(
-                [],
-                data.constraints || [],
-                {
-                    pvGeneration: data.pvGeneration || [],
-                    systemLoad: data.systemLoad || []
-                }
-            );
-            this.data.riskHeatmap = riskData;
+        // Historia redysponowania OZE - kontekst modelu 'calculator' w RiskModels (heatmapa liczona w ChartManager)
+        if (window.RiskCalculator) {
+            await window.RiskCalculator.loadHistoricalRedispatch();
         }
     }
 
@@ -312,14 +371,15 @@ setupAdditionalFeatures() {
      */
     async loadForecastData() {
         try {
-            const today = new Date().toISOString().split('T')[0];
-            const url = `https://v2.api.raporty.pse.pl/api/pdgobpkd?$filter=business_date eq '${today}'&$orderby=dtime asc&$first=20000`;
+            const today = window.BusinessTime.today();
+            const query = window.PSEQuery.for('pdgobpkd').onDate(today).orderBy('dtime').first(20000);
+            const url = `${window.PSEApiService.baseUrl}pdgobpkd?${query.toQueryString()}`;
             
             const response = await fetch(url);
             if (!response.ok) throw new Error('Failed to fetch forecast data');
             
             const json = await response.json();
-            const forecastData = this.parseForecastData(json.value);
+            const forecastData = this.toDisplayResolution(this.parseForecastData(json.value));
             
             // Update generation forecast chart
             window.ChartManager.updateGenerationForecastChart(forecastData);
@@ -333,12 +393,9 @@ setupAdditionalFeatures() {
      * Parse forecast data from API response
      */
     parseForecastData(rawData) {
-    return rawData.map(row => {
-        const time = new Date(row.dtime);
-        const timeStr = time.toLocaleTimeString('pl-PL', { 
-            hour: '2-digit', 
-            minute: '2-digit' 
-        });
+    const series = rawData.map(row => {
+        // dtime = koniec kwadransu - punkt opisany początkiem okresu
+        const time = window.BusinessTime.parseRowTime(row).getTime() - window.BusinessTime.QUARTER_MS;
         
         // Oblicz wartości zgodnie z metodologią PSE
         const gen_not_activ_part = parseFloat(row.gen_not_activ_part || 0);
@@ -359,7 +416,8 @@ setupAdditionalFeatures() {
         }
         
         return {
-            time: timeStr,
+            time,
+            intervalMinutes: 15,
             gen_rb: this.sumValues([
                 row.gen_jgw_zak_1, row.gen_jgw_zak_2,
                 row.gen_jgm_zak_1, row.gen_jgm_zak_2,
@@ -371,8 +429,34 @@ setupAdditionalFeatures() {
             demand: parseFloat(row.kse_pow_dem || 0)
         };
     });
+    
+    series.intervalMinutes = 15;
+    return series;
 }
 
+    /**
+     * Szereg w rozdzielczości wyświetlania (15 min albo agregacja godzinowa z ustawień)
+     */
+    toDisplayResolution(series) {
+        return window.DataProcessor.toResolution(series, this.state.resolution);
+    }
+
+    /**
+     * Zmień rozdzielczość wyświetlania i przerysuj tabelę oraz wykres generacji
+     */
+    setResolution(minutes) {
+        if (!minutes || minutes === this.state.resolution) return;
+        
+        this.state.resolution = minutes;
+        console.log(`⏱️ Display resolution: ${minutes} min`);
+        
+        const data = this.data.current;
+        if (data?.fullGenerationData) {
+            this.updateDataTable(data);
+            window.ChartManager.updateGenerationForecastChart(this.toDisplayResolution(this.parseForecastData(data.fullGenerationData)));
+        }
+    }
+
     // ========================================
     // UI UPDATES
     // ========================================
@@ -487,14 +571,10 @@ setupAdditionalFeatures() {
         }
         // Update generation forecast chart
         if (data.fullGenerationData) {
-            const forecastData = this.parseForecastData(data.fullGenerationData);
+            const forecastData = this.toDisplayResolution(this.parseForecastData(data.fullGenerationData));
             window.ChartManager.updateGenerationForecastChart(forecastData);
         }
         
-        // Update risk heatmap - teraz używa nowego scorera
-        if (this.data.riskHeatmap) {
-        window.ChartManager.updateRiskHeatmap(this.data.riskHeatmap);
-        }
         // Update PV distribution chart
         if (data.pvDistribution) {
             window.ChartManager.updatePVDistributionChart(data.pvDistribution);
@@ -518,8 +598,8 @@ setupAdditionalFeatures() {
         // Update risk assessment chart z rzeczywistymi danymi
     if (window.ChartManager.updateRiskAssessmentChart) {
         console.log('Updating risk assessment with data:', {
-            systemLoadSample: data.systemLoad?.[12], // Przykład dla godziny 12
-            pvGenerationSample: data.pvGeneration?.[12],
+            systemLoadSample: window.DataProcessor.indexByHour(data.systemLoad).get(12), // Przykład dla godziny 12
+            pvGenerationSample: window.DataProcessor.indexByHour(data.pvGeneration).get(12),
             systemBalanceSample: data.systemBalance?.[12]
         });
         window.ChartManager.updateRiskAssessmentChart(data);
@@ -538,14 +618,15 @@ setupAdditionalFeatures() {
     
     tbody.innerHTML = '';
     
-    if (!data.fullGenerationData || data.fullGenerationData.length === 0) {
+    if (!data.renewableGeneration || data.renewableGeneration.length === 0) {
         console.warn('No generation data available for table');
         return;
     }
     
         
-        // Show last 96 entries (24 hours of 15-minute data)
-        const recentData = data.fullGenerationData.slice(-96);
+        // Okresy doby z danymi (92/96/100 kwadransów lub 23/24/25 godzin - zmiana czasu)
+        const recentData = this.toDisplayResolution(data.renewableGeneration)
+            .filter(point => Number.isFinite(point.pvGeneration));
         
         recentData.forEach((item, index) => {
             const row = this.createDataTableRow(item, index > 0 ? recentData[index - 1] : null);
@@ -563,18 +644,17 @@ setupAdditionalFeatures() {
      * Create data table row
      */
     createDataTableRow(data, prevData) {
-    const time = new Date(data.dtime);
-    time.setMinutes(time.getMinutes() - 15); // Show period start
+    const time = window.BusinessTime.formatLocal(new Date(data.time)).slice(11, 16); // Period start
     
-    const pvGen = parseFloat(data.gen_fv) || 0;
-    const systemLoad = parseFloat(data.kse_pow_dem) || 0;
+    const pvGen = data.pvGeneration || 0;
+    const systemLoad = data.systemLoad || 0;
     const pvShare = systemLoad > 0 ? (pvGen / systemLoad) * 100 : 0;
     
     // Calculate gradient
     let gradient = 0;
     if (prevData) {
-        const prevPV = parseFloat(prevData.gen_fv) || 0;
-        gradient = (pvGen - prevPV) / 15; // Change per minute
+        const prevPV = prevData.pvGeneration || 0;
+        gradient = (pvGen - prevPV) / data.intervalMinutes; // Change per minute
     }
     
     const row = document.createElement('tr');
@@ -584,7 +664,7 @@ setupAdditionalFeatures() {
     const gradientSign = gradient > 0 ? '+' : '';
     
     row.innerHTML = `
-        <td>${time.toLocaleTimeString('pl-PL', { hour: '2-digit', minute: '2-digit' })}</td>
+        <td>${time}</td>
         <td>${pvGen.toFixed(1)}</td>
         <td>${systemLoad.toFixed(1)}</td>
         <td>${pvShare.toFixed(1)}</td>
@@ -666,6 +746,119 @@ setupAdditionalFeatures() {
                 }
             });
         }
+        
+        // Wybór doby handlowej
+        this.setupDateNavigator();
+    }
+
+    /**
+     * Nawigator doby handlowej (◀ data ▶ Dziś) w pasku nawigacji
+     */
+    setupDateNavigator() {
+        const input = document.getElementById('business-date-input');
+        if (!input) return;
+        
+        input.value = window.BusinessTime.today();
+        input.max = window.BusinessTime.today();
+        
+        input.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.setSelectedDate(e.target.value);
+            }
+        });
+        
+        this.addClickListener('date-prev-btn', () => this.shiftSelectedDate(-1));
+        this.addClickListener('date-next-btn', () => this.shiftSelectedDate(1));
+        this.addClickListener('date-today-btn', () => this.setSelectedDate(null));
+        
+        this.updateDateNavigator();
+    }
+
+    /**
+     * Przesuń wybraną dobę o N dni
+     */
+    shiftSelectedDate(days) {
+        const current = this.state.selectedDate || window.BusinessTime.today();
+        this.setSelectedDate(window.BusinessTime.addDays(current, days));
+    }
+
+    /**
+     * Ustaw dobę handlową dla monitoringu i zapotrzebowania KSE
+     * null lub doba bieżąca = tryb na żywo (z odświeżaniem), doba przeszła = podgląd archiwalny
+     */
+    async setSelectedDate(date) {
+        const today = window.BusinessTime.today();
+        
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            window.UIManager.showNotification(`Nieprawidłowa data: ${date}`, 'warning');
+            this.updateDateNavigator();
+            return;
+        }
+        if (date && date > today) {
+            window.UIManager.showNotification('Dane rzeczywiste dostępne są tylko do doby bieżącej', 'warning');
+            this.updateDateNavigator();
+            return;
+        }
+        
+        const selectedDate = date && date !== today ? date : null;
+        if (selectedDate === this.state.selectedDate) {
+            this.updateDateNavigator();
+            return;
+        }
+        
+        this.state.selectedDate = selectedDate;
+        this.updateDateNavigator();
+        console.log(`📅 Business date: ${selectedDate || `${today} (live)`}`);
+        
+        window.DataHub.setParams('dashboard', { date: selectedDate });
+        window.DataHub.setParams('kseDemand', { date: selectedDate });
+        window.DataHub.setParams('crossBorderFlows', { date: selectedDate });
+        window.DataHub.setParams('unitGeneration', { date: selectedDate });
+        window.DataHub.setParams('reserves', { date: selectedDate });
+        window.DataHub.setParams('forecast', { date: selectedDate });
+        window.DataHub.setParams('constraintsD1', { date: selectedDate });
+        window.DataHub.setParams('rcePrices', { date: selectedDate });
+        
+        try {
+            this.state.isLoading = true;
+            this.showChartLoading();
+            
+            const refreshes = [window.DataHub.refresh('dashboard')];
+            if (this.state.currentView === 'grid') {
+                refreshes.push(window.DataHub.refresh('kseDemand'));
+                refreshes.push(window.UnitExplorer.load({ force: true }));
+            }
+            await Promise.all(refreshes);
+        } catch (error) {
+            console.error('❌ Failed to load selected date:', error);
+            window.UIManager.showNotification(`Błąd ładowania danych dla doby ${selectedDate || today}`, 'error');
+        } finally {
+            this.state.isLoading = false;
+            this.hideChartLoading();
+        }
+    }
+
+    /**
+     * Stan kontrolek nawigatora doby
+     */
+    updateDateNavigator() {
+        const today = window.BusinessTime.today();
+        const date = this.state.selectedDate || today;
+        const isLive = !this.state.selectedDate;
+        
+        const input = document.getElementById('business-date-input');
+        if (input) {
+            input.value = date;
+            input.max = today;
+        }
+        
+        const nextBtn = document.getElementById('date-next-btn');
+        if (nextBtn) nextBtn.disabled = isLive;
+        
+        const todayBtn = document.getElementById('date-today-btn');
+        if (todayBtn) todayBtn.classList.toggle('active', isLive);
+        
+        document.body.classList.toggle('archive-view', !isLive);
     }
 
     /**
@@ -733,6 +926,10 @@ switchView(viewName) {
     // Load view-specific data
     if (viewName === 'analysis') {
         this.loadForecastData();
+        // Trafność prognoz - pierwsze wejście ładuje domyślny zakres, dalej sterują kontrolki panelu
+        if (!window.ForecastAccuracy.state.result) {
+            window.ForecastAccuracy.load();
+        }
     } else if (viewName === 'constraints') {
         setTimeout(() => {
             if (window.ChartManager && window.ChartManager.refreshConstraintsChart) {
@@ -742,6 +939,11 @@ switchView(viewName) {
     } else if (viewName === 'grid') {
         // Nowe - ładuj dane dla zakładki Sieć
         this.loadGridData();
+    } else if (viewName === 'history') {
+        // Historia - pierwsze wejście ładuje domyślny zakres, dalej sterują kontrolki sekcji
+        if (!window.HistoryManager.state.generation) {
+            window.HistoryManager.load();
+        }
     }
 }
 
@@ -761,69 +963,82 @@ async loadGridData() {
         // Pokaż loading
         this.showChartLoading('kse-demand');
         
-        // Pobierz dane - bez modyfikacji API
-        const data = await window.PSEApiService.getKSEDemandData('today');
-        
-        console.log('[GRID] Data received:', data ? 'YES' : 'NO');
-        
-        // Sprawdź czy dane się zmieniły (do debugowania)
-        if (data && this.lastGridData) {
-            const dataChanged = JSON.stringify(data.actual) !== JSON.stringify(this.lastGridData.actual);
-            if (!dataChanged) {
-                console.log('[GRID] Warning: Data might be cached (no changes detected)');
-                
-                // OPCJA: Wymuś odświeżenie wykresu mimo wszystko
-                // Zniszcz i odtwórz wykres co N-te odświeżenie
-                this.gridRefreshCount = (this.gridRefreshCount || 0) + 1;
-                if (this.gridRefreshCount % 10 === 0) {
-                    console.log('[GRID] Force recreating chart after 10 refreshes');
-                    const chart = window.ChartManager.charts.get('kse-demand');
-                    if (chart) {
-                        chart.destroy();
-                        window.ChartManager.charts.delete('kse-demand');
-                        window.ChartManager.createKSEDemandChart();
-                    }
-                }
-            } else {
-                console.log('[GRID] Data changed - updating chart');
-                this.gridRefreshCount = 0; // Reset counter
-            }
-        }
-        
-        // Zapisz dane do porównania
-        this.lastGridData = JSON.parse(JSON.stringify(data));
-        
-        // Aktualizuj wykres
-        window.ChartManager.updateKSEDemandChart(data);
+        // Jednostki wytwórcze - własny status w panelu, nie blokuje wykresu KSE
+        window.UnitExplorer.load();
         
-        console.log('[GRID] Chart updated successfully');
-        
-        // Ukryj loading
-        this.hideChartLoading('kse-demand');
-        
-        // Aktualizuj timestamp w UI
-        const updateTime = new Date().toLocaleTimeString('pl-PL');
-        const gridUpdateEl = document.querySelector('#grid-section .last-update');
-        if (gridUpdateEl) {
-            gridUpdateEl.textContent = `Ostatnia aktualizacja: ${updateTime}`;
-        }
+        // Pobierz dane przez DataHub - wykres aktualizuje subskrybent renderGridData
+        await window.DataHub.refresh('kseDemand');
         
     } catch (error) {
         console.error('[GRID] Failed to load grid data:', error);
         this.hideChartLoading('kse-demand');
         window.UIManager.showNotification('Błąd ładowania danych sieci', 'error');
         
-        // Jeśli błąd, spróbuj użyć danych z mock
+        // Mock tylko w jawnym trybie FEATURE_FLAGS.mockData
         try {
-            console.log('[GRID] Attempting to use mock data after error');
-            const mockData = window.PSEApiService.getMockKSEDemandData('today');
-            window.ChartManager.updateKSEDemandChart(mockData);
-        } catch (mockError) {
-            console.error('[GRID] Mock data also failed:', mockError);
+            const fallbackData = window.PSEApiService.fallbackDataset('kseDemand',
+                () => window.PSEApiService.getMockKSEDemandData('today'),
+                { labels: [], forecast: [], actual: [] }, error);
+            window.ChartManager.updateKSEDemandChart(fallbackData);
+        } catch (fallbackError) {
+            console.error('[GRID] Fallback data also failed:', fallbackError);
         }
     }
 }
 
+/**
+ * Render grid data (subskrybent zbioru 'kseDemand')
+ */
+renderGridData(data) {
+    console.log('[GRID] Data received:', data ? 'YES' : 'NO');
+    
+    if (!window.ChartManager.charts.has('kse-demand')) {
+        window.ChartManager.createKSEDemandChart();
+    }
+    
+    // Sprawdź czy dane się zmieniły (do debugowania)
+    if (data && this.lastGridData) {
+        const dataChanged = JSON.stringify(data.actual) !== JSON.stringify(this.lastGridData.actual);
+        if (!dataChanged) {
+            console.log('[GRID] Warning: Data might be cached (no changes detected)');
+            
+            // OPCJA: Wymuś odświeżenie wykresu mimo wszystko
+            // Zniszcz i odtwórz wykres co N-te odświeżenie
+            this.gridRefreshCount = (this.gridRefreshCount || 0) + 1;
+            if (this.gridRefreshCount % 10 === 0) {
+                console.log('[GRID] Force recreating chart after 10 refreshes');
+                const chart = window.ChartManager.charts.get('kse-demand');
+                if (chart) {
+                    chart.destroy();
+                    window.ChartManager.charts.delete('kse-demand');
+                    window.ChartManager.createKSEDemandChart();
+                }
+            }
+        } else {
+            console.log('[GRID] Data changed - updating chart');
+            this.gridRefreshCount = 0; // Reset counter
+        }
+    }
+    
+    // Zapisz dane do porównania
+    this.lastGridData = JSON.parse(JSON.stringify(data));
+    
+    // Aktualizuj wykres
+    window.ChartManager.updateKSEDemandChart(data);
+    
+    console.log('[GRID] Chart updated successfully');
+    
+    // Ukryj loading
+    this.hideChartLoading('kse-demand');
+    
+    // Aktualizuj timestamp w UI
+    const updateTime = new Date().toLocaleTimeString('pl-PL');
+    const gridUpdateEl = document.querySelector('#grid-section .last-update');
+    if (gridUpdateEl) {
+        gridUpdateEl.textContent = `Ostatnia aktualizacja: ${updateTime}`;
+    }
+}
+
 async loadForecastData() {
     try {
         this.showChartLoading('forecast');
@@ -867,9 +1082,14 @@ updateForecastTable(data) {
     
     tbody.innerHTML = '';
     
+    // Brak wartości w planie pk5l-wp = null
+    const format = (value, digits = 0) => Number.isFinite(value) ? value.toFixed(digits) : '--';
+    
     data.forEach(item => {
         const row = document.createElement('tr');
-        const totalRenewable = item.pvForecast + item.windForecast;
+        const totalRenewable = item.pvForecast !== null && item.windForecast !== null
+            ? item.pvForecast + item.windForecast
+            : null;
         
         row.innerHTML = `
             <td>${item.timestamp.toLocaleString('pl-PL', {
@@ -879,12 +1099,12 @@ updateForecastTable(data) {
                 hour: '2-digit',
                 minute: '2-digit'
             })}</td>
-            <td>${item.pvForecast.toFixed(0)}</td>
-            <td>${item.windForecast.toFixed(0)}</td>
-            <td><strong>${totalRenewable.toFixed(0)}</strong></td>
-            <td>${item.demandForecast.toFixed(0)}</td>
-            <td class="${item.renewableShare > 50 ? 'text-success' : ''}">${item.renewableShare.toFixed(1)}</td>
-            <td>${item.requiredReserve.toFixed(0)}</td>
+            <td>${format(item.pvForecast)}</td>
+            <td>${format(item.windForecast)}</td>
+            <td><strong>${format(totalRenewable)}</strong></td>
+            <td>${format(item.demandForecast)}</td>
+            <td class="${item.renewableShare > 50 ? 'text-success' : ''}">${format(item.renewableShare, 1)}</td>
+            <td>${format(item.requiredReserve)}</td>
         `;
         
         tbody.appendChild(row);
@@ -923,18 +1143,16 @@ updateForecastTable(data) {
     startAutoRefresh() {
         this.stopAutoRefresh();
         
-        this.intervals.autoRefresh = setInterval(() => {
-        if (this.state.autoRefreshEnabled && !this.state.isLoading) {
-            console.log('[INFO] Automatyczne odświeżanie...');
-            this.loadInitialData();
-            
-            // Dodaj odświeżanie danych sieci jeśli zakładka jest aktywna
-            const gridSection = document.getElementById('grid-section');
-            if (gridSection && gridSection.classList.contains('active')) {
-                this.loadGridData();
-            }
-        }
-    }, this.config.refreshInterval);
+        // Wspólny harmonogram w DataHub - nowe dane trafiają do subskrybentów
+        window.DataHub.startPolling('dashboard', this.config.refreshInterval, {
+            when: () => this.state.autoRefreshEnabled && !this.state.isLoading && !this.state.selectedDate
+        });
+        
+        // Dane sieci tylko gdy zakładka jest aktywna
+        window.DataHub.startPolling('kseDemand', this.config.refreshInterval, {
+            when: () => !this.state.selectedDate &&
+                Boolean(document.getElementById('grid-section')?.classList.contains('active'))
+        });
         
         // Also refresh forecast data less frequently
         this.intervals.dataRefresh = setInterval(() => {
@@ -948,10 +1166,8 @@ updateForecastTable(data) {
      * Stop auto refresh
      */
     stopAutoRefresh() {
-        if (this.intervals.autoRefresh) {
-            clearInterval(this.intervals.autoRefresh);
-            this.intervals.autoRefresh = null;
-        }
+        window.DataHub.stopPolling('dashboard');
+        window.DataHub.stopPolling('kseDemand');
         
         if (this.intervals.dataRefresh) {
             clearInterval(this.intervals.dataRefresh);
@@ -975,6 +1191,9 @@ updateForecastTable(data) {
             case 'generation-forecast':
                 await this.loadForecastData();
                 break;
+            case 'redispatch':
+                await window.ChartManager.updateRedispatchCumulativeChart({ force: true });
+                break;
             case 'pv-distribution':
                 // Reload PV distribution data
                 if (this.data.current.pvDistribution) {
@@ -1007,19 +1226,31 @@ updateForecastTable(data) {
         document.getElementById('settings-refresh').value = settings.refreshInterval || '5000';
         document.getElementById('settings-sound').checked = settings.soundEnabled !== false;
         document.getElementById('settings-decimals').value = settings.decimals || '1';
+        document.getElementById('settings-resolution').value = String(this.state.resolution);
         document.getElementById('settings-animations').checked = settings.animationsEnabled !== false;
         document.getElementById('settings-pv-alert').value = settings.pvAlert || '80';
         document.getElementById('settings-gradient-alert').value = settings.gradientAlert || '100';
+        
+        // Profil ryzyka - lista profili i edytor wybranego
+        window.RiskProfiles.openEditor();
     }
 
     /**
      * Save settings
      */
     saveSettings() {
+        // Profil ryzyka najpierw - błędy walidacji zostawiają modal otwarty
+        const profileErrors = window.RiskProfiles.saveEditor();
+        if (profileErrors.length > 0) {
+            window.UIManager.showNotification('Profil ryzyka zawiera błędy - popraw zaznaczone pola', 'error');
+            return;
+        }
+        
         const settings = {
             refreshInterval: document.getElementById('settings-refresh').value,
             soundEnabled: document.getElementById('settings-sound').checked,
             decimals: document.getElementById('settings-decimals').value,
+            resolution: document.getElementById('settings-resolution').value,
             animationsEnabled: document.getElementById('settings-animations').checked,
             pvAlert: document.getElementById('settings-pv-alert').value,
             gradientAlert: document.getElementById('settings-gradient-alert').value
@@ -1035,6 +1266,8 @@ updateForecastTable(data) {
             this.startAutoRefresh();
         }
         
+        this.setResolution(parseInt(settings.resolution));
+        
         // Save to localStorage
         localStorage.setItem('enspirion-settings', JSON.stringify(settings));
         
@@ -1084,24 +1317,31 @@ updateForecastTable(data) {
      */
     convertToCSV(data) {
         const rows = [];
-        rows.push(['Hour', 'PV Generation [MW]', 'System Load [MW]', 'PV Share [%]', 'Price [PLN/MWh]']);
+        rows.push(['Time', 'Interval [min]', 'PV Generation [MW]', 'System Load [MW]', 'PV Share [%]', 'PV Energy [MWh]', 'Price [PLN/MWh]']);
+        
+        // Okresy w rozdzielczości wyświetlania; obciążenie i cena z tego samego okresu
+        const pvSeries = this.toDisplayResolution(data.pvGeneration);
+        const intervalMinutes = window.DataProcessor.getIntervalMinutes(pvSeries);
+        const loadByTime = new Map(this.toDisplayResolution(data.systemLoad).map(load => [load.time, load]));
+        const priceAt = window.DataProcessor.createPriceLookup(data.prices, pvSeries);
         
-        for (let hour = 0; hour < 24; hour++) {
-            const pv = data.pvGeneration.find(p => p.hour === hour);
-            const load = data.systemLoad.find(l => l.hour === hour);
-            const price = data.prices.find(p => p.hour === hour);
+        pvSeries.forEach(pv => {
+            const load = loadByTime.get(pv.time);
+            const price = priceAt(pv);
             
-            if (pv && load) {
+            if (Number.isFinite(pv.totalPower) && load?.load > 0) {
                 const pvShare = (pv.totalPower / load.load) * 100;
                 rows.push([
-                    `${hour.toString().padStart(2, '0')}:00`,
+                    window.BusinessTime.formatLocal(new Date(pv.time)).slice(0, 16),
+                    intervalMinutes,
                     pv.totalPower.toFixed(1),
                     load.load.toFixed(1),
                     pvShare.toFixed(2),
-                    price ? price.price.toFixed(0) : '0'
+                    (pv.totalPower * intervalMinutes / 60).toFixed(1),
+                    Number.isFinite(price) ? price.toFixed(0) : ''
                 ]);
             }
-        }
+        });
         
         return rows.map(row => row.join(',')).join('\n');
     }
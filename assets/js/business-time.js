@@ -0,0 +1,216 @@
+/**
+ * Enspirion Dashboard - Business Time
+ * Doba handlowa w strefie DATA_CONFIG.transformation.timezone (Europe/Warsaw):
+ * daty biznesowe, czas ściany (wall clock) i doby 23/25-godzinne przy zmianie czasu
+ */
+
+window.BusinessTime = {
+    QUARTER_MS: 15 * 60 * 1000,
+    HOUR_MS: 60 * 60 * 1000,
+
+    // Formatery Intl są kosztowne - tworzymy je raz na strefę
+    formatters: new Map(),
+
+    /**
+     * Strefa czasowa z konfiguracji
+     */
+    timeZone() {
+        return window.EnspirionConfig?.DATA?.transformation?.timezone || 'Europe/Warsaw';
+    },
+
+    getFormatter() {
+        const timeZone = this.timeZone();
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+        return this.formatters.get(timeZone);
+    },
+
+    /**
+     * Składowe czasu lokalnego (strefa biznesowa) dla danej chwili
+     */
+    getLocalParts(date = new Date()) {
+        const parts = {};
+        this.getFormatter().formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') {
+                parts[part.type] = parseInt(part.value, 10);
+            }
+        });
+        return parts;
+    },
+
+    /**
+     * Przesunięcie strefy względem UTC w minutach (np. 60 zimą, 120 latem)
+     */
+    getOffsetMinutes(date = new Date()) {
+        const p = this.getLocalParts(date);
+        const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    },
+
+    /**
+     * Data biznesowa 'YYYY-MM-DD' w strefie biznesowej
+     */
+    toBusinessDate(date = new Date()) {
+        const p = this.getLocalParts(date);
+        return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    },
+
+    today() {
+        return this.toBusinessDate(new Date());
+    },
+
+    /**
+     * Dodaj dni do daty biznesowej (arytmetyka kalendarzowa, bez wpływu DST)
+     */
+    addDays(businessDate, days) {
+        const date = new Date(`${businessDate}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    },
+
+    /**
+     * Czas ściany 'YYYY-MM-DD HH:mm[:ss]' (np. dtime z PSE) -> chwila (Date)
+     * Przy godzinie podwojonej (jesień) zwraca pierwsze wystąpienie
+     */
+    parseLocal(value) {
+        const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+        if (!match) return new Date(NaN);
+
+        const [, year, month, day, hour, minute, second = '0'] = match;
+        const wallClockUTC = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+        // Dwie iteracje wystarczają do ustalenia przesunięcia w okolicy zmiany czasu
+        let instant = wallClockUTC - this.getOffsetMinutes(new Date(wallClockUTC)) * 60000;
+        instant = wallClockUTC - this.getOffsetMinutes(new Date(instant)) * 60000;
+
+        // Pierwsze wystąpienie godziny podwojonej ma większe przesunięcie (czas letni)
+        const earlier = instant - this.HOUR_MS;
+        if (this.formatLocal(new Date(earlier)) === this.formatLocal(new Date(instant))) {
+            instant = earlier;
+        }
+
+        return new Date(instant);
+    },
+
+    /**
+     * Chwila -> 'YYYY-MM-DD HH:mm:ss' w strefie biznesowej
+     */
+    formatLocal(date) {
+        const p = this.getLocalParts(date);
+        const pad = value => String(value).padStart(2, '0');
+        return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+    },
+
+    /**
+     * Godzina lokalna (0-23) w strefie biznesowej
+     */
+    getLocalHour(date = new Date()) {
+        return this.getLocalParts(date).hour;
+    },
+
+    /**
+     * Początek doby handlowej (lokalna północ) jako chwila
+     */
+    startOfDay(businessDate) {
+        return this.parseLocal(`${businessDate} 00:00:00`);
+    },
+
+    /**
+     * Liczba godzin w dobie: 23 (wiosna), 24, 25 (jesień)
+     */
+    hoursInDay(businessDate) {
+        const start = this.startOfDay(businessDate);
+        const end = this.startOfDay(this.addDays(businessDate, 1));
+        return Math.round((end - start) / this.HOUR_MS);
+    },
+
+    /**
+     * Liczba kwadransów w dobie: 92 / 96 / 100
+     */
+    quartersInDay(businessDate) {
+        return this.hoursInDay(businessDate) * 4;
+    },
+
+    /**
+     * Indeks kwadransa w dobie handlowej dla danej chwili (0..quartersInDay-1)
+     */
+    quarterIndex(date = new Date(), businessDate = this.toBusinessDate(date)) {
+        return Math.floor((date - this.startOfDay(businessDate)) / this.QUARTER_MS);
+    },
+
+    /**
+     * Indeks pierwszego kwadransa godziny lokalnej (zegarowej) w danych dobowych
+     * np. 23-godzinna doba: godzina 3 -> indeks 8, a nie 12
+     */
+    quarterIndexForHour(businessDate, hour) {
+        const hourStart = this.parseLocal(`${businessDate} ${String(hour).padStart(2, '0')}:00:00`);
+        return Math.max(0, Math.floor((hourStart - this.startOfDay(businessDate)) / this.QUARTER_MS));
+    },
+
+    /**
+     * Początki okresów doby o długości minutes (15 = MTU, 60 = godziny) [ms]
+     */
+    intervalStarts(businessDate, minutes = 15) {
+        const start = this.startOfDay(businessDate).getTime();
+        const count = Math.round(this.hoursInDay(businessDate) * 60 / minutes);
+        return Array.from({ length: count }, (_, index) => start + index * minutes * 60 * 1000);
+    },
+
+    /**
+     * Chwila z wiersza PSE: pole *_utc (jednoznaczne przy zmianie czasu) albo czas lokalny
+     */
+    parseRowTime(row, field = 'dtime') {
+        const utc = row[`${field}_utc`];
+        return utc
+            ? new Date(`${String(utc).replace(' ', 'T')}Z`)
+            : this.parseLocal(row[field]);
+    },
+
+    /**
+     * Wersja planu PSE (kilka publikacji na okres): dla każdego okresu ostatnia publikacja
+     * sprzed chwili dayStart [ms], gdy brak - ostatnia dostępna (strict: okres pomijany)
+     */
+    selectPublishedBefore(rows, dayStart, timeField, { strict = false } = {}) {
+        const byPeriod = new Map();
+
+        rows.forEach(row => {
+            const published = row.publication_ts ? this.parseRowTime(row, 'publication_ts').getTime() : null;
+            const current = byPeriod.get(row[timeField]);
+            const isBefore = published === null || published < dayStart;
+
+            const better = !current ||
+                (isBefore && !current.isBefore) ||
+                (isBefore === current.isBefore && (published ?? 0) >= (current.published ?? 0));
+            if (better) {
+                byPeriod.set(row[timeField], { row, published, isBefore });
+            }
+        });
+
+        return Array.from(byPeriod.values())
+            .filter(entry => !strict || entry.isBefore)
+            .map(entry => entry.row);
+    },
+
+    /**
+     * Lista dat biznesowych [from, to] włącznie
+     */
+    dateRange(fromDate, toDate) {
+        const dates = [];
+        for (let date = fromDate; date <= toDate; date = this.addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+};
+
+console.log('✅ Business Time loaded successfully');
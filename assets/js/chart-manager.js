@@ -10,18 +10,26 @@ class ChartManager {
     constructor() {
         this.charts = new Map();
         this.isInitialized = false;
-        this.pseReservesCache = null;
-        this.pseReservesCacheTime = null;
-        this.CACHE_DURATION = 5 * 60 * 1000; // 5 minut cache
         this.lastChartUpdate = null;
         this.CHART_UPDATE_THROTTLE = 10 * 1000; // 10 sekund między odświeżeniami wykresu
-        this.PV_INSTALLED_CAPACITY_MW = 22970.8;
-        this.WIND_INSTALLED_CAPACITY_MW = 10350.1;
+        this.PV_INSTALLED_CAPACITY_MW = window.EnspirionConfig?.BUSINESS?.system?.installedPV || 22970.8;
+        this.WIND_INSTALLED_CAPACITY_MW = window.EnspirionConfig?.BUSINESS?.system?.installedWind || 10350.1;
         
 
         this.currentEnergyView = 'pv';
         this.lastEnergyData = null;
 
+        // Rezerwy mocy przychodzą z DataHub (bez własnego fetchu i cache)
+        window.DataHub?.subscribe('reserves', reservesData => this.handleReservesData(reservesData));
+        window.DataHub?.subscribe('constraintsD1', dataset => this.handleDayAheadConstraints(dataset));
+        window.DataHub?.subscribe('rcePrices', dataset => this.handleRCEPrices(dataset));
+        window.DataHub?.subscribe('crossBorderFlows', dataset => this.handleCrossBorderFlows(dataset));
+        window.DataHub?.subscribe('forecast', dataset => this.handleForecastData(dataset));
+        this.rceDayOffset = 0;
+        this.redispatchFilter = 'all';
+        this.redispatchSelectedYears = null;   // ustawiane w setupRedispatchYears
+        this.redispatchYearData = new Map();   // rok -> wynik getOperationalConstraints
+
         // Domyślne opcje dla wszystkich wykresów
         this.defaultOptions = {
             responsive: true,
@@ -78,8 +86,13 @@ class ChartManager {
             this.createPVDistributionChart();
             this.createConstraintsDisplay();
             this.createRiskAssessmentChart();
+            this.setupRiskModelControls();
             this.createForecastChart();
             this.createRedispatchCumulativeChart();
+            this.setupRedispatchFilters();
+            this.setupRedispatchYears();
+            this.setupRCEControls();
+            this.renderRCEPriceChart();
             this.createKSEDemandChart();
 
             this.isInitialized = true;
@@ -224,6 +237,13 @@ updateKSEDemandChart(data) {
     chart.data.datasets[0].data = data.forecast;
     chart.data.datasets[1].data = data.actual;
     
+    // Tytuł - zakres dób z nawigatora daty i przycisków okresu
+    if (data.startDate && data.endDate) {
+        chart.options.plugins.title.text = data.startDate === data.endDate
+            ? `Okres: ${data.endDate}`
+            : `Okres: ${data.startDate} – ${data.endDate}`;
+    }
+    
     chart.update('none');
     
     // Update statistics
@@ -239,17 +259,12 @@ updateKSEDemandStatistics(data) {
     const currentDemand = currentIndex >= 0 ? data.actual[currentIndex] : data.forecast[data.forecast.length - 1];
     const nextForecast = data.forecast[Math.min(currentIndex + 1, data.forecast.length - 1)];
     
-    // Oblicz dokładność prognozy
-    let accuracy = 0;
-    let count = 0;
-    data.forecast.forEach((forecast, i) => {
-        if (data.actual[i] !== null && forecast !== null) {
-            const error = Math.abs(forecast - data.actual[i]) / data.actual[i];
-            accuracy += (1 - error) * 100;
-            count++;
-        }
-    });
-    accuracy = count > 0 ? accuracy / count : 0;
+    // Dokładność prognozy = 100 - MAPE (ta sama metryka co panel trafności prognoz)
+    const pairs = data.forecast
+        .map((forecast, i) => ({ forecast, actual: data.actual[i] }))
+        .filter(pair => pair.forecast !== null && pair.actual !== null);
+    const mape = window.ForecastAccuracy?.calculateMetrics(pairs).mape;
+    const accuracy = mape !== null && mape !== undefined ? 100 - mape : 0;
     
     // Znajdź szczyt dnia
     const peakDemand = Math.max(...data.forecast.filter(v => v !== null));
@@ -278,8 +293,10 @@ setupKSEDemandControls() {
             const period = btn.dataset.period;
             this.showChartLoading('kse-demand');
             
-            const data = await window.PSEApiService.getKSEDemandData(period);
-            this.updateKSEDemandChart(data);
+            // Okres jest parametrem zbioru w DataHub - wykres odświeża subskrybent,
+            // polling pobiera dalej wybrany okres
+            window.DataHub.setParams('kseDemand', { period });
+            await window.DataHub.refresh('kseDemand');
             
             this.hideChartLoading('kse-demand');
         });
@@ -536,8 +553,10 @@ getGenerationForecastOptions() {
         const chart = this.charts.get('generation-forecast');
         if (!chart) return;
 
-        // Update chart data
-        chart.data.labels = data.map(d => d.time);
+        // Update chart data - punkty szeregu opisane początkiem okresu (15 min lub godzina)
+        chart.data.labels = data.map(d => typeof d.time === 'number'
+            ? window.BusinessTime.formatLocal(new Date(d.time)).slice(11, 16)
+            : d.time);
         chart.data.datasets[0].data = data.map(d => d.gen_rb || 0);
         chart.data.datasets[1].data = data.map(d => d.gen_spoza_rb || 0);
         chart.data.datasets[2].data = data.map(d => d.gen_fv || 0);
@@ -579,91 +598,38 @@ getGenerationForecastOptions() {
         }
     }
 
-   /**
- * Update Risk Heatmap z nowym systemem scoringowym
- */
-updateRiskHeatmap(riskData) {
-    // Zmień ID na właściwy
-    const container = document.getElementById('risk-heatmap-grid');
-    if (!container) {
-        console.error('Nie znaleziono kontenera risk-heatmap-grid');
-        return;
-    }
-
-    // Upewnij się, że risk scorer jest zainicjalizowany
-    if (!this.riskScorer && window.RedispatchRiskScorer) {
-        this.riskScorer = new window.RedispatchRiskScorer();
-    }
-
-    const cells = container.querySelectorAll('.risk-cell');
-    console.log('Found risk cells:', cells.length); // Debug
-    
-    // Definicja dni tygodnia
-    const days = ['Pon', 'Wt', 'Śr', 'Czw', 'Pt', 'Sob', 'Ndz'];
-    
-    // Jeśli mamy risk scorer i dane, użyj ich
-    if (this.riskScorer && this.currentData) {
-        cells.forEach((cell, index) => {
-            const dayIndex = Math.floor(index / 24);
-            const hourIndex = index % 24;
-            
-            // Przygotuj dane dla scorera
-            const scoreData = {
-                hour: hourIndex,
-                dayOfWeek: dayIndex === 6 ? 0 : dayIndex + 1,
-                systemLoad: this.currentData.systemLoad?.[hourIndex]?.load || 20000,
-                pvGeneration: this.currentData.pvGeneration?.[hourIndex]?.totalPower || 0,
-                windGeneration: this.currentData.windGeneration?.[hourIndex]?.totalPower || 0,
-                baseloadGeneration: this.currentData.fullGenerationData?.[hourIndex * 4]?.gen_rb || 10000,
-                availableCapacity: 25000,
-                pvGradient: 0,
-                windGradient: 0
-            };
-            
-            // Oblicz ryzyko
-            const risk = this.riskScorer.calculateRiskScore(scoreData);
-            
-            // Ustaw klasę i wartość
-            cell.className = `risk-cell risk-${risk.riskLevel}`;
-            cell.textContent = risk.totalScore;
-            cell.title = `${days[dayIndex]} ${hourIndex}:00 - Ryzyko: ${risk.totalScore}% (${risk.riskLevel})`;
-        });
-    } else {
-        console.warn('Risk scorer or data not available, using fallback');
-        // Fallback - użyj mockowych danych
-        cells.forEach((cell, index) => {
-            const dayIndex = Math.floor(index / 24);
-            const hourIndex = index % 24;
-            const mockRisk = Math.floor(Math.random() * 100);
-            const riskLevel = mockRisk < 25 ? 'low' : mockRisk < 50 ? 'medium' : mockRisk < 75 ? 'high' : 'critical';
-            
-            cell.className = `risk-cell risk-${riskLevel}`;
-            cell.textContent = mockRisk;
-            cell.title = `${days[dayIndex]} ${hourIndex}:00 - Ryzyko: ${mockRisk}%`;
-        });
-    }
-}
-
 /**
  * Set current data for all charts
  */
 setCurrentData(data) {
     this.currentData = data;
     
-    // Pobierz dane rezerw jeśli nie ma w data
-    if (!data.reservesData && this.pseReservesCache) {
-        this.currentData.reservesData = this.pseReservesCache;
+    // Dane rezerw z DataHub - jeśli jeszcze ich nie ma, subskrypcja odświeży wykres ryzyka
+    if (!data.reservesData) {
+        this.currentData.reservesData = window.DataHub.peek('reserves');
+        if (!this.currentData.reservesData) {
+            window.DataHub.get('reserves').catch(error => console.error('Failed to load reserves:', error));
+        }
     }
     
-    // Jeśli nie ma cache, pobierz dane
-    if (!this.currentData.reservesData) {
-        this.fetchPSEReservesData().then(reservesData => {
-            this.currentData.reservesData = reservesData;
-            // Odśwież wykres ryzyka z nowymi danymi
-            this.updateRiskAssessmentChart(this.currentData);
-        });
+    // Ograniczenia D+1 dla jutrzejszych komórek heatmapy - get() przeładuje plan po maxAge
+    // (także po północy, gdy "jutro" przechodzi na kolejną dobę)
+    if (!data.constraintsD1) {
+        this.currentData.constraintsD1 = window.DataHub.peek('constraintsD1');
+        window.DataHub.get('constraintsD1').catch(error => console.error('Failed to load D+1 constraints:', error));
     }
     
+    // Ceny RCE i przychód portfela - przeładowanie po maxAge
+    window.DataHub.get('rcePrices').catch(error => console.error('Failed to load RCE prices:', error));
+    
+    // Wymiana transgraniczna wybranej doby - saldo dla czynnika systemImbalance heatmapy
+    this.currentData.crossBorderFlows = window.DataHub.peek('crossBorderFlows');
+    window.DataHub.get('crossBorderFlows').catch(error => console.error('Failed to load cross-border flows:', error));
+    
+    // Prognozy pk5l-wp (PV, wiatr, zapotrzebowanie, rezerwy) - wejścia komórek D+1 i D+2 heatmapy
+    this.currentData.forecastData = window.DataHub.peek('forecast');
+    window.DataHub.get('forecast').catch(error => console.error('Failed to load forecast data:', error));
+    
     console.log('ChartManager received data:', {
         hasSystemLoad: !!data.systemLoad,
         hasPvGeneration: !!data.pvGeneration,
@@ -1197,6 +1163,13 @@ updateEnergyStatistics(data, percentageOfInstalled, generationArray) {
         // Fetch real data from PSE API
         const data = await this.fetchPSEReservesData();
         
+        if (data.times.length === 0) {
+            container.innerHTML = `<div class="chart-no-data">${data.missingDate
+                ? `Brak danych o rezerwach mocy dla doby ${data.missingDate}`
+                : 'Brak danych o rezerwach mocy'}</div>`;
+            return;
+        }
+        
         // Create traces
         const traces = [
             {
@@ -1320,114 +1293,335 @@ updateEnergyStatistics(data, percentageOfInstalled, generationArray) {
     }
 
     /**
-     * Fetch real PSE reserves data from API
+     * Rezerwy mocy z DataHub (wspólne zapytanie pk5l-wp, cache w PSEApiService)
      */
     async fetchPSEReservesData() {
-    // Sprawdź cache
-    const now = Date.now();
-    if (this.pseReservesCache && this.pseReservesCacheTime && 
-        (now - this.pseReservesCacheTime) < this.CACHE_DURATION) {
-        console.log('📦 Using cached PSE reserves data');
-        return this.pseReservesCache;
+        const data = await window.DataHub.get('reserves');
+        if (data.provenance?.error) {
+            this.showAPIErrorMessage();
+        }
+        return data;
     }
 
-    try {
-        console.log('📊 Fetching PSE reserves data from API...');
-        
-        const now = new Date();
-        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        
-        // WAŻNE: Użyj formatu ISO z czasem dla filtra
-        const startDate = startOfToday.toISOString();
-        const endOfPeriod = new Date(startOfToday.getTime() + 4 * 24 * 60 * 60 * 1000); // 4 dni dla pewności
-        const endDate = endOfPeriod.toISOString();
-        
-        console.log(`🗓️  API Query range:`);
-        console.log(`   📅 Start: ${startDate}`);
-        console.log(`   📅 End: ${endDate}`);
-        
-        const API_URL = 'https://api.raporty.pse.pl/api/pk5l-wp';
-        
-        // Spróbuj różnych formatów zapytania
-        let data = null;
+    /**
+     * Nowe dane rezerw z DataHub - odśwież heatmapę ryzyka
+     */
+    handleReservesData(reservesData) {
+        if (!this.currentData) return;
         
-        // Próba 1: Z filtrem ISO
-        try {
-            const url1 = `${API_URL}?$filter=plan_dtime ge '${startDate}' and plan_dtime le '${endDate}'&$orderby=plan_dtime asc&$first=5000`;
-            console.log('🌐 Try 1 - ISO filter:', url1);
-            const response1 = await fetch(url1);
-            if (response1.ok) {
-                const json1 = await response1.json();
-                if (json1.value && json1.value.length > 0) {
-                    data = json1;
-                    console.log(`✅ Got ${json1.value.length} records with ISO filter`);
+        this.currentData.reservesData = reservesData;
+        this.updateRiskAssessmentChart(this.currentData);
+    }
+
+    /**
+     * Nowe ograniczenia D+1 z DataHub - panel w sekcji Ograniczenia i jutrzejsze komórki heatmapy
+     */
+    handleDayAheadConstraints(dataset) {
+        this.renderDayAheadConstraints(dataset);
+
+        if (!this.currentData) return;
+
+        this.currentData.constraintsD1 = dataset;
+        this.updateRiskAssessmentChart(this.currentData);
+    }
+
+    /**
+     * Nowe ceny RCE z DataHub - panel cen i przychodu portfela
+     */
+    handleRCEPrices(dataset) {
+        this.rcePrices = dataset;
+        this.renderRCEPriceChart();
+    }
+
+    /**
+     * Nowe przepływy transgraniczne z DataHub - wykres w sekcji Sieć i saldo wymiany w heatmapie
+     */
+    handleCrossBorderFlows(dataset) {
+        this.crossBorderFlows = dataset;
+        this.renderCrossBorderChart();
+
+        if (!this.currentData) return;
+
+        this.currentData.crossBorderFlows = dataset;
+        this.updateRiskAssessmentChart(this.currentData);
+    }
+
+    /**
+     * Nowe prognozy pk5l-wp z DataHub - przelicz komórki przyszłych dób heatmapy
+     */
+    handleForecastData(dataset) {
+        if (!this.currentData) return;
+
+        this.currentData.forecastData = dataset;
+        this.updateRiskAssessmentChart(this.currentData);
+    }
+
+    /**
+     * Wymiana transgraniczna: przepływy per granica (słupki skumulowane) i saldo (linia)
+     */
+    renderCrossBorderChart() {
+        const canvas = document.getElementById('cross-border-chart');
+        const dataset = this.crossBorderFlows;
+        if (!canvas || !dataset || typeof Chart === 'undefined') return;
+
+        this.destroyChart('cross-border');
+
+        const labels = dataset.times.map(time => window.BusinessTime.formatLocal(new Date(time)).slice(11, 16));
+
+        const chart = new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        type: 'line',
+                        label: 'Saldo wymiany [MW]',
+                        data: dataset.total,
+                        borderColor: window.EnspirionConfig.getColor('portfolioLine'),
+                        backgroundColor: 'transparent',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        spanGaps: false,
+                        order: 0
+                    },
+                    ...dataset.borders.map(border => ({
+                        label: `PL-${border}`,
+                        data: dataset.byBorder[border],
+                        backgroundColor: window.EnspirionConfig.getColor(`border${border}`),
+                        stack: 'borders',
+                        order: 1
+                    }))
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                plugins: {
+                    ...this.defaultOptions.plugins,
+                    title: { display: true, text: `Doba: ${dataset.businessDate}`, font: { size: 14 } }
+                },
+                scales: {
+                    x: { stacked: true, ticks: { maxTicksLimit: 24 } },
+                    y: { stacked: true, title: { display: true, text: 'MW' } }
                 }
             }
-        } catch (e) {
-            console.log('❌ ISO filter failed:', e.message);
+        });
+
+        this.charts.set('cross-border', chart);
+        this.updateCrossBorderStatistics(dataset.summary, dataset.borders);
+    }
+
+    /**
+     * Statystyki wymiany: saldo w ostatnim kwadransie, maks. |saldo| doby, przepływy per granica
+     */
+    updateCrossBorderStatistics(summary, borders) {
+        const format = value => value === null || value === undefined
+            ? '-- MW'
+            : `${window.EnspirionUtils.formatNumber(value, 'number', 0)} MW`;
+
+        const latest = document.getElementById('cross-border-latest');
+        if (latest) {
+            const time = summary?.latestTime ? ` (${window.BusinessTime.formatLocal(new Date(summary.latestTime)).slice(11, 16)})` : '';
+            latest.textContent = `${format(summary?.latest)}${time}`;
         }
-        
-        // Próba 2: Z filtrem tylko daty (bez czasu)
-        if (!data) {
-            try {
-                const startDateOnly = startOfToday.toISOString().split('T')[0];
-                const endDateOnly = endOfPeriod.toISOString().split('T')[0];
-                const url2 = `${API_URL}?$filter=plan_dtime ge '${startDateOnly}' and plan_dtime le '${endDateOnly}'&$orderby=plan_dtime asc&$first=5000`;
-                console.log('🌐 Try 2 - Date only filter:', url2);
-                const response2 = await fetch(url2);
-                if (response2.ok) {
-                    const json2 = await response2.json();
-                    if (json2.value && json2.value.length > 0) {
-                        data = json2;
-                        console.log(`✅ Got ${json2.value.length} records with date-only filter`);
-                    }
-                }
-            } catch (e) {
-                console.log('❌ Date-only filter failed:', e.message);
-            }
+
+        const peak = document.getElementById('cross-border-peak');
+        if (peak) peak.textContent = format(summary?.peakAbs);
+
+        const list = document.getElementById('cross-border-borders');
+        if (list) {
+            list.innerHTML = borders.map(border => `
+                <div class="stat-row">
+                    <span class="stat-label">PL-${border}:</span>
+                    <span class="stat-value">${format(summary?.latestByBorder?.[border])}</span>
+                </div>
+            `).join('');
         }
-        
-        // Próba 3: Bez filtra - pobierz wszystko
-        if (!data) {
-            try {
-                const url3 = `${API_URL}?$orderby=plan_dtime asc&$first=5000`;
-                console.log('🌐 Try 3 - No filter:', url3);
-                const response3 = await fetch(url3);
-                if (response3.ok) {
-                    const json3 = await response3.json();
-                    if (json3.value && json3.value.length > 0) {
-                        data = json3;
-                        console.log(`✅ Got ${json3.value.length} records without filter`);
+    }
+
+    /**
+     * Panel cen RCE: ceny kwadransowe (ujemne na czerwono) + przychód portfela i utracony przychód z redukcji
+     */
+    renderRCEPriceChart() {
+        const canvas = document.getElementById('rce-price-chart');
+        const dataset = this.rcePrices;
+        if (!canvas || !dataset || typeof Chart === 'undefined') return;
+
+        const businessDate = dataset.dates?.[this.rceDayOffset || 0];
+        const intervals = (dataset.intervals || []).filter(interval => interval.businessDate === businessDate);
+        const summary = dataset.summary?.[businessDate];
+
+        this.destroyChart('rce-price');
+        this.updateRCEDayButtons(dataset.dates);
+
+        // Doba bez cen (np. doba z przeszłości, której price-fcst już nie obejmuje) - komunikat zamiast wykresu
+        canvas.parentElement.querySelector('.chart-no-data')?.remove();
+        canvas.hidden = intervals.length === 0;
+        if (intervals.length === 0) {
+            canvas.insertAdjacentHTML('afterend', `<div class="chart-no-data">Brak danych RCE dla doby ${businessDate}</div>`);
+            this.updateRCEStatistics(null);
+            return;
+        }
+
+        const labels = intervals.map(interval => window.BusinessTime.formatLocal(new Date(interval.start)).slice(11, 16));
+
+        const chart = new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Cena RCE [PLN/MWh]',
+                        data: intervals.map(interval => interval.price),
+                        backgroundColor: intervals.map(interval => interval.price < 0 ? 'rgba(239, 68, 68, 0.8)' : 'rgba(0, 102, 204, 0.5)'),
+                        yAxisID: 'y',
+                        order: 2
+                    },
+                    {
+                        type: 'line',
+                        label: 'Przychód portfela [PLN]',
+                        data: intervals.map(interval => interval.revenue ?? null),
+                        borderColor: window.EnspirionConfig.getColor('portfolioLine'),
+                        backgroundColor: 'transparent',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        yAxisID: 'y1',
+                        order: 1
+                    },
+                    {
+                        type: 'line',
+                        label: 'Utracony przychód - redukcje [PLN]',
+                        data: intervals.map(interval => interval.lostRevenue || null),
+                        borderColor: window.EnspirionConfig.getColor('warning'),
+                        backgroundColor: 'transparent',
+                        borderDash: [4, 4],
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        yAxisID: 'y1',
+                        order: 0
                     }
+                ]
+            },
+            options: {
+                ...this.defaultOptions,
+                scales: {
+                    x: { ticks: { maxTicksLimit: 24 } },
+                    y: { position: 'left', title: { display: true, text: 'PLN/MWh' } },
+                    y1: { position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'PLN / kwadrans' } }
                 }
-            } catch (e) {
-                console.log('❌ No filter request failed:', e.message);
             }
+        });
+
+        this.charts.set('rce-price', chart);
+        this.updateRCEStatistics(summary);
+    }
+
+    /**
+     * Statystyki doby: min/max/średnia, godziny z ceną ujemną, przychód
+     */
+    updateRCEStatistics(summary) {
+        const format = (value, unit) => value === null || value === undefined
+            ? '--'
+            : `${window.EnspirionUtils.formatNumber(value, 'number', 0)} ${unit}`;
+
+        const negativeHours = summary?.negativeHours || [];
+        const updates = {
+            'rce-min': format(summary?.min, 'PLN/MWh'),
+            'rce-max': format(summary?.max, 'PLN/MWh'),
+            'rce-avg': format(summary?.avg, 'PLN/MWh'),
+            'rce-negative-hours': negativeHours.length > 0
+                ? negativeHours.map(hour => `${String(hour).padStart(2, '0')}:00`).join(', ')
+                : 'brak',
+            'rce-revenue': format(summary?.revenue, 'PLN'),
+            'rce-negative-revenue': format(summary?.negativeRevenue, 'PLN'),
+            'rce-curtailment-loss': format(summary?.curtailmentLoss, 'PLN')
+        };
+
+        Object.entries(updates).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = value;
+        });
+
+        document.getElementById('rce-negative-hours')?.classList.toggle('negative', negativeHours.length > 0);
+    }
+
+    /**
+     * Etykiety przełącznika doby: Dziś/Jutro na żywo, daty dla wybranej doby z przeszłości
+     */
+    updateRCEDayButtons(dates = []) {
+        const live = dates[0] === window.BusinessTime.today();
+        document.querySelectorAll('.chart-btn[data-rce-day]').forEach(button => {
+            const offset = parseInt(button.dataset.rceDay, 10);
+            if (!dates[offset]) return;
+            button.textContent = live ? (offset === 0 ? 'Dziś' : 'Jutro (D+1)') : `${dates[offset]}${offset === 0 ? '' : ' (D+1)'}`;
+        });
+    }
+
+    /**
+     * Przełącznik doby panelu RCE (0 = wybrana doba, 1 = D+1)
+     */
+    setupRCEControls() {
+        document.querySelectorAll('.chart-btn[data-rce-day]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.chart-btn[data-rce-day]').forEach(b => b.classList.remove('active'));
+                button.classList.add('active');
+                this.rceDayOffset = parseInt(button.dataset.rceDay, 10);
+                this.renderRCEPriceChart();
+            });
+        });
+    }
+
+    /**
+     * Panel ograniczeń D+1: zasób, kierunek, okno czasowe, dopuszczalny zakres mocy
+     */
+    renderDayAheadConstraints(dataset) {
+        const tbody = document.getElementById('constraints-d1-tbody');
+        const summary = document.getElementById('constraints-d1-summary');
+        if (!tbody) return;
+
+        const constraints = dataset?.constraints || [];
+        const businessDate = dataset?.businessDate || window.BusinessTime.addDays(window.BusinessTime.today(), 1);
+        const isTomorrow = businessDate === window.BusinessTime.addDays(window.BusinessTime.today(), 1);
+
+        if (summary) {
+            const resources = new Set(constraints.map(constraint => constraint.resourceCode || constraint.resourceName));
+            summary.textContent = `Doba ${businessDate} - ograniczenia: ${constraints.length}, jednostki: ${resources.size}`;
         }
-        
-        if (data && data.value && data.value.length > 0) {
-            // Debug: sprawdź zakres dat
-            const dates = data.value.map(item => item.plan_dtime).filter(Boolean);
-            const uniqueDates = [...new Set(dates.map(d => d.substring(0, 10)))];
-            console.log(`📅 Unique dates in data: ${uniqueDates.join(', ')}`);
-            
-            const processedData = this.processPSEReservesData(data.value);
-            
-            // Zapisz do cache
-            this.pseReservesCache = processedData;
-            this.pseReservesCacheTime = Date.now();
-            return processedData;
+
+        tbody.innerHTML = '';
+
+        if (constraints.length === 0) {
+            const row = tbody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 4;
+            cell.className = 'no-constraints';
+            cell.textContent = dataset?.provenance?.error
+                ? 'Nie udało się pobrać ograniczeń D+1'
+                : isTomorrow
+                    ? 'Brak planowanych ograniczeń na jutro (lub plan nie został jeszcze opublikowany)'
+                    : `Brak planowanych ograniczeń dla doby ${businessDate}`;
+            return;
         }
-        
-        console.warn('No data received from API');
-        return this.generateMockPSEReservesData();
-        
-    } catch (error) {
-        console.error('❌ PSE API Error:', error);
-        this.showAPIErrorMessage();
-        return this.generateMockPSEReservesData();
+
+        // Okno czasowe - data tylko gdy wykracza poza dobę
+        const formatTime = label => label.startsWith(businessDate) ? label.slice(11, 16) : `${label.slice(8, 10)}.${label.slice(5, 7)} ${label.slice(11, 16)}`;
+
+        constraints.forEach(constraint => {
+            const row = tbody.insertRow();
+
+            const resourceCell = row.insertCell();
+            resourceCell.textContent = constraint.resourceName || constraint.resourceCode || 'Zasób nieznany';
+            if (constraint.resourceCode && constraint.resourceName) {
+                resourceCell.title = `${constraint.resourceCode} - ${constraint.area}`;
+            }
+
+            const directionCell = row.insertCell();
+            directionCell.textContent = constraint.direction || '--';
+
+            row.insertCell().textContent = `${formatTime(constraint.fromLabel)} - ${formatTime(constraint.toLabel)}`;
+            row.insertCell().textContent = `${constraint.minPower.toFixed(0)} - ${constraint.maxPower.toFixed(0)}`;
+        });
     }
-}
+
     /**
      * Show API error message to user
      */
@@ -1469,98 +1663,6 @@ updateEnergyStatistics(data, percentageOfInstalled, generationArray) {
         }
     }
 
-    /**
-     * Process real PSE reserves data
-     */
-    processPSEReservesData(rawData) {
-    const now = new Date();
-    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    let processed = [];
-    
-    console.log(`🔄 Processing ${rawData.length} raw data records`);
-    
-    // Debug: pokaż zakres dat w surowych danych
-    const allDates = rawData
-        .map(item => item.plan_dtime)
-        .filter(Boolean)
-        .sort();
-    
-    if (allDates.length > 0) {
-        console.log(`📅 Raw data date range: ${allDates[0]} to ${allDates[allDates.length - 1]}`);
-    }
-    
-    // Filtruj dane od północy dzisiaj
-    const futureData = rawData.filter(item => {
-        if (item.plan_dtime) {
-            const itemDate = new Date(item.plan_dtime);
-            // Uwzględnij dane od północy dzisiaj
-            return itemDate >= startOfToday;
-        }
-        return false;
-    });
-    
-    console.log(`✅ Found ${futureData.length} current/future data points`);
-    
-    // Sortuj dane chronologicznie
-    futureData.sort((a, b) => new Date(a.plan_dtime) - new Date(b.plan_dtime));
-    
-    // Przetwórz dane
-    futureData.forEach(item => {
-        if (item.req_pow_res !== null && item.req_pow_res !== undefined) {
-            const timestamp = new Date(item.plan_dtime);
-            
-            let available = 0;
-            
-            // Sprawdź różne pola dla dostępnej rezerwy
-            if (item.surplus_cap_avail_tso !== null && item.surplus_cap_avail_tso !== undefined) {
-                available = parseFloat(item.surplus_cap_avail_tso);
-            } else if (item.avail_cap_gen_units_stor_prov !== null && item.avail_cap_gen_units_stor_prov !== undefined) {
-                available = parseFloat(item.avail_cap_gen_units_stor_prov);
-            }
-            
-            // Jeśli brak rezerwy, użyj formuły jak w Pythonie
-            if (available === 0 || isNaN(available)) {
-                const required = parseFloat(item.req_pow_res);
-                available = required + 1000; // Dodaj 1000 MW marginesu
-            }
-            
-            const required = parseFloat(item.req_pow_res);
-            
-            if (!isNaN(available) && !isNaN(required)) {
-                // Format czasu jak w Pythonie
-                const timeStr = timestamp.getFullYear() + '-' + 
-                              String(timestamp.getMonth() + 1).padStart(2, '0') + '-' + 
-                              String(timestamp.getDate()).padStart(2, '0') + ' ' +
-                              String(timestamp.getHours()).padStart(2, '0') + ':00:00';
-                
-                processed.push({
-                    time: timeStr,
-                    reserve: available,
-                    required: required
-                });
-            }
-        }
-    });
-    
-    // Pokaż ile dni mamy
-    const uniqueDays = [...new Set(processed.map(d => d.time.substring(0, 10)))];
-    console.log(`📊 Processed data for ${uniqueDays.length} days: ${uniqueDays.join(', ')}`);
-    console.log(`📈 Total ${processed.length} hourly records`);
-    
-    // Ogranicz do 72 godzin (3 dni)
-    if (processed.length > 72) {
-        processed = processed.slice(0, 72);
-        console.log(`📏 Limited to first 72 hours`);
-    }
-    
-    return {
-        times: processed.map(d => d.time),
-        reserves: processed.map(d => d.reserve),
-        required: processed.map(d => d.required)
-    };
-}
-    
-
     /**
      * Generate alert lines and day boundaries for reserves chart
      */
@@ -1631,12 +1733,11 @@ updateEnergyStatistics(data, percentageOfInstalled, generationArray) {
      * Get current hour index in data array
      */
     getCurrentHourIndex(times) {
-        const now = new Date();
-        const currentHour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours());
+        const currentHour = Math.floor(Date.now() / window.BusinessTime.HOUR_MS) * window.BusinessTime.HOUR_MS;
         
         return times.findIndex(time => {
-            const dataTime = new Date(time);
-            return Math.abs(dataTime.getTime() - currentHour.getTime()) < 30 * 60 * 1000; // 30 min tolerance
+            const dataTime = window.BusinessTime.parseLocal(time);
+            return Math.abs(dataTime.getTime() - currentHour) < 30 * 60 * 1000; // 30 min tolerance
         });
     }
 
@@ -1675,82 +1776,110 @@ updateEnergyStatistics(data, percentageOfInstalled, generationArray) {
 
     /**
      * Update risk analysis section
+     * Godziny z danymi rezerw ocenione modelem wybranym dla analizy rezerw (RiskModels 'reserves')
      */
     updateRiskAnalysis(data, margins) {
         const riskSummary = document.getElementById('risk-summary');
         if (!riskSummary) return;
 
-        const criticalHours = margins.filter(m => m <= 300).length;
-        const warningHours = margins.filter(m => m <= 500 && m > 300).length;
+        const assessments = this.assessReservesHours(data);
+        const countLevel = level => assessments.filter(risk => risk.level === level).length;
+        const criticalHours = countLevel('critical');
+        const highHours = countLevel('high');
         const minMargin = Math.min(...margins);
+        const minMarginRisk = assessments[margins.indexOf(minMargin)];
+        const peakIndex = assessments.reduce((best, risk, i) => risk.score > assessments[best].score ? i : best, 0);
+        const peak = assessments[peakIndex];
 
         let riskLevel = 'low';
-        let riskColor = '#27ae60';
-        let riskText = 'Niskie ryzyko';
-
         if (criticalHours > 0) {
             riskLevel = 'critical';
-            riskColor = '#e74c3c';
-            riskText = 'Wysokie ryzyko';
-        } else if (warningHours > 3) {
+        } else if (highHours > 0) {
+            riskLevel = 'high';
+        } else if (countLevel('medium') > 3) {
             riskLevel = 'medium';
-            riskColor = '#f39c12';
-            riskText = 'Średnie ryzyko';
         }
 
+        const color = level => window.RiskCalculator.getRiskColor(level);
+        const riskColor = color(riskLevel);
+        const modelName = peak?.model.name || window.RiskModels.get(window.RiskModels.getSelected('reserves'))?.name;
+
         riskSummary.innerHTML = `
             <div class="risk-indicator" style="background-color: ${riskColor}20; border-left: 4px solid ${riskColor};">
-                <h4 style="color: ${riskColor}; margin: 0 0 10px 0;">${riskText}</h4>
+                <h4 style="color: ${riskColor}; margin: 0 0 10px 0;">${this.getRiskLevelText(riskLevel)}</h4>
                 <div class="risk-stats">
                     <div class="risk-stat">
-                        <span class="label">Godziny krytyczne (≤300 MW):</span>
-                        <span class="value" style="color: #e74c3c;">${criticalHours}</span>
+                        <span class="label">Godziny krytyczne:</span>
+                        <span class="value" style="color: ${color('critical')};">${criticalHours}</span>
                     </div>
                     <div class="risk-stat">
-                        <span class="label">Godziny ostrzegawcze (≤500 MW):</span>
-                        <span class="value" style="color: #f39c12;">${warningHours}</span>
+                        <span class="label">Godziny wysokiego ryzyka:</span>
+                        <span class="value" style="color: ${color('high')};">${highHours}</span>
+                    </div>
+                    <div class="risk-stat">
+                        <span class="label">Najwyższy wynik:</span>
+                        <span class="value" style="color: ${color(peak?.level)};">${peak ? `${peak.score} pkt (${data.times[peakIndex].slice(5, 16)})` : '--'}</span>
                     </div>
                     <div class="risk-stat">
                         <span class="label">Minimalny margines:</span>
-                        <span class="value" style="color: ${minMargin <= 300 ? '#e74c3c' : minMargin <= 500 ? '#f39c12' : '#27ae60'};">${minMargin.toFixed(0)} MW</span>
+                        <span class="value" style="color: ${color(minMarginRisk?.level)};">${minMargin.toFixed(0)} MW</span>
                     </div>
                 </div>
+                <small>Model: ${modelName}</small>
             </div>
         `;
 
         // Update risk timeline
-        this.updateRiskTimeline(data, margins);
+        this.updateRiskTimeline(data, margins, assessments);
+    }
+
+    /**
+     * Ocena godzin z danych rezerw - wejścia jak w heatmapie (bieżące dane doby), rezerwy z przekazanych danych
+     */
+    assessReservesHours(data) {
+        const modelId = window.RiskModels.getSelected('reserves');
+        const series = { ...this.getRiskSeries(this.currentData), reservesData: data };
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        return data.times.map(time => {
+            const date = time.slice(0, 10);
+            const hour = parseInt(time.slice(11, 13));
+            const dayOffset = Math.round((Date.parse(date) - Date.parse(series.businessDate)) / dayMs);
+
+            return window.RiskModels.evaluate(modelId, this.buildRiskInput(series, date, hour, dayOffset), series.context);
+        });
     }
 
     /**
      * Update risk timeline
      */
-    updateRiskTimeline(data, margins) {
+    updateRiskTimeline(data, margins, assessments) {
         const timeline = document.getElementById('risk-timeline');
         if (!timeline) return;
 
         timeline.innerHTML = '<h4>Timeline ryzyka (następne 24h)</h4>';
         
-        const next24Hours = margins.slice(0, 24);
         const timelineItems = [];
 
-        next24Hours.forEach((margin, index) => {
-            if (margin <= 500) {
+        assessments.slice(0, 24).forEach((risk, index) => {
+            if (risk.level === 'high' || risk.level === 'critical') {
                 const time = new Date(data.times[index]);
-                const severity = margin <= 300 ? 'critical' : 'warning';
-                const color = margin <= 300 ? '#e74c3c' : '#f39c12';
+                const isCritical = risk.level === 'critical';
+                const color = window.RiskCalculator.getRiskColor(risk.level);
+                const topFactor = risk.factors.find(factor => !factor.info);
                 
                 timelineItems.push(`
-                    <div class="timeline-item ${severity}">
+                    <div class="timeline-item ${isCritical ? 'critical' : 'warning'}">
                         <div class="timeline-time">${time.toLocaleTimeString('pl-PL', { hour: '2-digit', minute: '2-digit' })}</div>
                         <div class="timeline-content">
                             <div class="timeline-title" style="color: ${color};">
-                                ${margin <= 300 ? '🔴 Alert krytyczny' : '🟠 Ostrzeżenie'}
+                                ${isCritical ? '🔴 Alert krytyczny' : '🟠 Ostrzeżenie'} - ${risk.score} pkt
                             </div>
                             <div class="timeline-details">
-                                Margines: ${margin.toFixed(0)} MW<br>
+                                Margines: ${margins[index].toFixed(0)} MW<br>
                                 Rezerwa: ${data.reserves[index].toFixed(0)} MW<br>
                                 Wymagana: ${data.required[index].toFixed(0)} MW
+                                ${topFactor ? `<br>Główny czynnik: ${topFactor.factor}` : ''}
                             </div>
                         </div>
                     </div>
@@ -1897,7 +2026,7 @@ updateEnergyStatistics(data, percentageOfInstalled, generationArray) {
         const chartHeader = document.querySelector('#constraints-chart').closest('.chart-card')?.querySelector('.chart-header h3');
         if (chartHeader) {
             const now = new Date();
-            const isCached = this.pseReservesCacheTime && (Date.now() - this.pseReservesCacheTime) < this.CACHE_DURATION;
+            const isCached = window.PSEApiService.getProvenance('reserves')?.source === 'cache';
             const dataSource = isCached ? 'PSE API (cache)' : 'PSE API (live)';
             const lastUpdate = now.toLocaleTimeString('pl-PL', { hour: '2-digit', minute: '2-digit' });
             
@@ -1997,8 +2126,9 @@ updateEnergyStatistics(data, percentageOfInstalled, generationArray) {
     }
 /**
  * Create Risk Assessment Chart
+ * startDate - pierwsza doba siatki (wybrana w nawigatorze, domyślnie dzisiejsza)
  */
-createRiskAssessmentChart() {
+createRiskAssessmentChart(startDate = window.BusinessTime.today()) {
     const container = document.getElementById('risk-heatmap-grid');
     if (!container) {
         console.warn('Risk assessment container not found');
@@ -2007,11 +2137,6 @@ createRiskAssessmentChart() {
 
     container.innerHTML = '';
     
-    // Inicjalizuj risk scorer
-    if (!this.riskScorer && window.RedispatchRiskScorer) {
-        this.riskScorer = new window.RedispatchRiskScorer();
-    }
-    
     // Nagłówek - pusta komórka w rogu
     const corner = document.createElement('div');
     corner.className = 'risk-corner';
@@ -2025,22 +2150,23 @@ createRiskAssessmentChart() {
         container.appendChild(label);
     }
     
-    // Dni tygodnia - tylko dzisiaj i przyszłe
+    // Dni tygodnia - wybrana doba i kolejne
     const days = ['Ndz', 'Pon', 'Wt', 'Śr', 'Czw', 'Pt', 'Sob'];
-    const today = new Date();
-    const currentDayOfWeek = today.getDay();
+    const today = window.BusinessTime.today();
+    const currentHour = window.BusinessTime.getLocalHour();
     
-    // Zawsze pokazuj 7 dni, zaczynając od dzisiaj
+    // Zawsze pokazuj 7 dni (doby handlowe Europe/Warsaw), zaczynając od wybranej doby
     for (let dayOffset = 0; dayOffset < 7; dayOffset++) {
-        const dayDate = new Date(today);
-        dayDate.setDate(today.getDate() + dayOffset);
+        const businessDate = window.BusinessTime.addDays(startDate, dayOffset);
+        // Południe danej daty kalendarzowej - dzień tygodnia niezależny od strefy przeglądarki
+        const dayDate = new Date(`${businessDate}T12:00:00`);
         const dayOfWeek = dayDate.getDay();
         
         // Etykieta dnia
         const dayLabel = document.createElement('div');
         dayLabel.className = 'risk-day-label';
         
-        const dayName = dayOffset === 0 ? 'Dziś' : days[dayOfWeek];
+        const dayName = businessDate === today ? 'Dziś' : days[dayOfWeek];
         dayLabel.textContent = `${dayName} ${dayDate.getDate()}.${(dayDate.getMonth() + 1).toString().padStart(2, '0')}`;
         container.appendChild(dayLabel);
         
@@ -2051,9 +2177,10 @@ createRiskAssessmentChart() {
             cell.dataset.dayOffset = dayOffset;
             cell.dataset.hour = hour;
             cell.dataset.dayOfWeek = dayOfWeek;
+            cell.dataset.businessDate = businessDate;
             
             // Oznacz aktualną godzinę tylko dla dzisiejszego dnia
-            if (dayOffset === 0 && hour === today.getHours()) {
+            if (businessDate === today && hour === currentHour) {
                 cell.classList.add('current');
             }
             
@@ -2068,166 +2195,318 @@ createRiskAssessmentChart() {
     console.log('✅ Risk assessment chart created');
 }
 /**
- * Update Risk Assessment Chart - używa realnych danych
+ * Przełączniki modeli ryzyka - model heatmapy, model porównawczy i model analizy rezerw (RiskModels)
  */
-updateRiskAssessmentChart(data) {
-    if (!this.riskScorer && window.RedispatchRiskScorer) {
-        this.riskScorer = new window.RedispatchRiskScorer();
-    }
+setupRiskModelControls() {
+    const controls = [
+        { id: 'risk-model-select', view: 'heatmap' },
+        { id: 'risk-compare-select', view: 'compare', emptyLabel: 'Bez porównania' },
+        { id: 'reserves-risk-model-select', view: 'reserves' }
+    ];
+    
+    controls.forEach(({ id, view, emptyLabel }) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        select.innerHTML = '';
+        if (emptyLabel) {
+            select.add(new Option(emptyLabel, ''));
+        }
+        window.RiskModels.list().forEach(model => {
+            const option = new Option(model.name, model.id);
+            option.title = model.description;
+            select.add(option);
+        });
+        select.value = window.RiskModels.getSelected(view) || '';
+        
+        select.addEventListener('change', () => window.RiskModels.select(view, select.value || null));
+    });
     
-    if (!this.riskScorer || !data) {
-        console.warn('Risk scorer not initialized or no data');
+    window.addEventListener('risk:model', event => this.handleRiskModelChange(event.detail.view));
+}
+
+/**
+ * Zmiana modelu - przelicz widok, który z niego korzysta (otwarte szczegóły komórki zostają)
+ */
+handleRiskModelChange(view) {
+    if (view === 'reserves') {
+        const reservesData = window.DataHub.peek('reserves');
+        if (reservesData?.reserves?.length) {
+            const margins = reservesData.reserves.map((reserve, i) => reserve - reservesData.required[i]);
+            this.updateRiskAnalysis(reservesData, margins);
+        }
         return;
     }
     
-    // Pobierz dane rezerw jeśli są w cache
-    const reservesData = this.pseReservesCache || data.reservesData;
+    if (!this.currentData) return;
     
-    const cells = document.querySelectorAll('#risk-heatmap-grid .risk-cell');
+    this.updateRiskAssessmentChart(this.currentData);
     
-    cells.forEach(cell => {
-        const dayOffset = parseInt(cell.dataset.dayOffset);
-        const hour = parseInt(cell.dataset.hour);
-        const dayOfWeek = parseInt(cell.dataset.dayOfWeek);
-        
-        // Pobierz rzeczywiste dane
-        let systemLoad = 20000;
-        let pvGeneration = 0;
-        let windGeneration = 0;
-        let baseloadGeneration = 10000;
-        let powerExchange = 0;
-        
-        // KLUCZOWE: Sprawdź czy mamy dane rezerw
-        let hasReserveData = false;
-        let availableReserve = undefined;
-        let requiredReserve = undefined;
-        
-        // System Load
-        if (data.systemLoad && data.systemLoad[hour]) {
-            systemLoad = data.systemLoad[hour].load || systemLoad;
+    const selected = document.querySelector('#risk-heatmap-grid .risk-cell.selected');
+    if (selected) {
+        this.showRiskDetails(selected.dataset.dayOffset, selected.dataset.hour, selected.dataset.dayOfWeek);
+    }
+}
+
+/**
+ * Szeregi godzinowe i kontekst wejść modeli ryzyka - liczone raz na odświeżenie heatmapy lub analizy rezerw
+ */
+getRiskSeries(data) {
+    return {
+        businessDate: data?.businessDate || window.BusinessTime.today(),
+        // Modele są godzinowe (scorer skalibrowany na godzinach) - szeregi MTU agregowane do godzin doby
+        loadByHour: window.DataProcessor.indexByHour(data?.systemLoad),
+        pvByHour: window.DataProcessor.indexByHour(data?.pvGeneration),
+        windByHour: window.DataProcessor.indexByHour(data?.windGeneration),
+        fullGenerationData: data?.fullGenerationData || [],
+        crossBorderFlows: data?.crossBorderFlows,
+        reservesData: window.DataHub.peek('reserves') || data?.reservesData,
+        // Planowane ograniczenia D+1 (ogr-d1) - dotyczą tylko komórek jutrzejszej doby
+        dayAheadConstraints: window.DataHub.peek('constraintsD1') || data?.constraintsD1,
+        // Prognozy pk5l-wp dla kolejnych dób (D+1, D+2)
+        forecastByDate: this.indexForecastByDate(window.DataHub.peek('forecast') || data?.forecastData),
+        // Dane niezależne od godziny dla modeli, które ich używają (kalkulator historyczny)
+        context: {
+            historicalRedispatch: window.RiskCalculator?.historicalData.get('poze-redoze') || [],
+            currentLimitations: data?.constraints || []
         }
+    };
+}
+
+/**
+ * Prognozy pk5l-wp (processForecastData) uśrednione do godzin: doba -> godzina -> { pv, wind, demand, requiredReserve, surplusCapacity }
+ * Z kilku publikacji planu dla godziny brana najnowsza; brak wartości (null) pomijany - godzina wraca do ekstrapolacji
+ */
+indexForecastByDate(forecastData) {
+    const byDate = new Map();
+    
+    (Array.isArray(forecastData) ? forecastData : []).forEach(point => {
+        if (!point.date || !Number.isInteger(point.hour)) return;
         
-        // PV Generation
-        if (data.pvGeneration && data.pvGeneration[hour]) {
-            pvGeneration = data.pvGeneration[hour].totalPower || 0;
+        if (!byDate.has(point.date)) byDate.set(point.date, new Map());
+        const hours = byDate.get(point.date);
+        if (!hours.has(point.hour)) hours.set(point.hour, []);
+        hours.get(point.hour).push(point);
+    });
+    
+    const mean = (points, field) => {
+        const values = points.map(point => point[field]).filter(Number.isFinite);
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+    
+    byDate.forEach(hours => hours.forEach((points, hour) => {
+        // Kwadranse tej samej godziny uśredniane tylko w obrębie najnowszej publikacji
+        const latest = Math.max(...points.map(point => point.published ?? 0));
+        const current = points.filter(point => (point.published ?? 0) === latest);
+        
+        hours.set(hour, {
+            pv: mean(current, 'pvForecast'),
+            wind: mean(current, 'windForecast'),
+            demand: mean(current, 'demandForecast'),
+            requiredReserve: mean(current, 'requiredReserve'),
+            surplusCapacity: mean(current, 'surplusCapacity')
+        });
+    }));
+    
+    return byDate;
+}
+
+/**
+ * Wejście modelu ryzyka (RISK_MODEL_INPUTS) dla godziny doby cellDate
+ * Doby przyszłe: prognoza pk5l-wp, gdy jest (D+1, D+2), w pozostałych godzinach profil wybranej doby (ekstrapolacja).
+ * sources - pochodzenie wejść ('actual' | 'forecast' | 'extrapolated' | 'missing') do oznaczenia komórki
+ */
+buildRiskInput(series, cellDate, hour, dayOffset) {
+    const { fullGenerationData, reservesData, dayAheadConstraints } = series;
+    const forecastDay = dayOffset > 0 ? series.forecastByDate.get(cellDate) : null;
+    const daySource = dayOffset > 0 ? 'extrapolated' : 'actual';
+    
+    // Wartość wejścia w godzinie h: prognoza doby komórki, inaczej dane wybranej doby
+    const hourly = (forecastField, byHour, field) => h => {
+        const forecast = forecastDay?.get(h)?.[forecastField];
+        if (forecast !== null && forecast !== undefined) {
+            return { value: forecast, source: 'forecast' };
         }
-        
-        // Wind Generation
-        if (data.windGeneration && data.windGeneration[hour]) {
-            windGeneration = data.windGeneration[hour].totalPower || 0;
+        return byHour.has(h) ? { value: byHour.get(h)[field] || 0, source: daySource } : { value: null, source: 'missing' };
+    };
+    
+    const pvAt = hourly('pv', series.pvByHour, 'totalPower');
+    const windAt = hourly('wind', series.windByHour, 'totalPower');
+    const loadAt = hourly('demand', series.loadByHour, 'load');
+    
+    // Generacja JW RB (dane 15-minutowe) - brak prognozy w pk5l-wp, zawsze z wybranej doby
+    const baseloadAt = h => {
+        const value = fullGenerationData[window.BusinessTime.quarterIndexForHour(series.businessDate, h)]?.gen_rb;
+        return value ? { value, source: daySource } : { value: null, source: 'missing' };
+    };
+    
+    // Poprzednie godziny do delt - brak wartości = brak zmiany
+    const previous = (at, h, fallback) => at(h).value || fallback;
+    
+    const pv = pvAt(hour);
+    const wind = windAt(hour);
+    const load = loadAt(hour);
+    const baseload = baseloadAt(hour);
+    
+    const pvGeneration = pv.value || 0;
+    const windGeneration = wind.value || 0;
+    const systemLoad = load.value || 20000;
+    const baseloadGeneration = baseload.value || 10000;
+    
+    // Wymiana międzysystemowa - średnie saldo przepływów transgranicznych w godzinie (tylko wybrana doba)
+    let powerExchange = 0;
+    const crossBorderFlows = series.crossBorderFlows;
+    const hasExchange = Boolean(crossBorderFlows && crossBorderFlows.businessDate === cellDate);
+    if (hasExchange) {
+        powerExchange = crossBorderFlows.byHour?.[hour] ?? 0;
+    }
+    
+    // KLUCZOWE: Sprawdź czy mamy dane rezerw
+    let hasReserveData = false;
+    let availableReserve = undefined;
+    let requiredReserve = undefined;
+    
+    // Dane rezerw z API - TYLKO jeśli są dostępne
+    if (reservesData && reservesData.reserves && reservesData.required) {
+        // Szukaj po etykiecie czasu - doby 23/25h przesuwają indeksy dayOffset * 24 + hour
+        const timeLabel = `${cellDate} ${String(hour).padStart(2, '0')}:00:00`;
+        const reserveIndex = (reservesData.times || []).indexOf(timeLabel);
+        // Sprawdź czy index jest w zakresie danych
+        if (reserveIndex >= 0 && reserveIndex < reservesData.reserves.length && 
+            reservesData.reserves[reserveIndex] !== undefined &&
+            reservesData.required[reserveIndex] !== undefined) {
+            availableReserve = reservesData.reserves[reserveIndex];
+            requiredReserve = reservesData.required[reserveIndex];
+            hasReserveData = true;
         }
+    }
+    
+    // Godziny spoza danych rezerw (72h) - rezerwa wymagana i nadwyżka mocy z prognozy doby
+    const forecastPoint = forecastDay?.get(hour);
+    if (!hasReserveData && forecastPoint?.requiredReserve && forecastPoint?.surplusCapacity) {
+        availableReserve = forecastPoint.surplusCapacity;
+        requiredReserve = forecastPoint.requiredReserve;
+        hasReserveData = true;
+    }
+    
+    // Ograniczenia D+1 aktywne w tej godzinie
+    let plannedConstraints = [];
+    if (dayAheadConstraints && dayAheadConstraints.businessDate === cellDate) {
+        plannedConstraints = dayAheadConstraints.byHour?.[hour] || [];
+    }
+    
+    // Oblicz delty (zmiany) - KLUCZOWE DLA OCENY RYZYKA
+    let pvDelta = 0;
+    let windDelta = 0;
+    let baseloadDelta = 0;
+    let demandDelta = 0;
+    let pvGradient = 0;
+    let windGradient = 0;
+    
+    if (hour > 0) {
+        // Spadek/wzrost PV
+        const prevPV = previous(pvAt, hour - 1, pvGeneration);
+        pvDelta = pvGeneration - prevPV;
         
-        // Generacja JW RB (dane 15-minutowe)
-        if (data.fullGenerationData && data.fullGenerationData.length > 0) {
-            const quarterHourIndex = hour * 4;
-            if (data.fullGenerationData[quarterHourIndex]) {
-                baseloadGeneration = data.fullGenerationData[quarterHourIndex].gen_rb || baseloadGeneration;
-            }
-        }
+        // Spadek/wzrost Wind
+        const prevWind = previous(windAt, hour - 1, windGeneration);
+        windDelta = windGeneration - prevWind;
         
-        // Wymiana międzysystemowa
-        if (data.systemBalance && data.systemBalance[hour]) {
-            powerExchange = data.systemBalance[hour].powerExchange || 0;
-        }
+        // Wzrost JW RB (kluczowe dla godzin wieczornych!)
+        baseloadDelta = baseloadGeneration - previous(baseloadAt, hour - 1, baseloadGeneration);
         
-        // Dane rezerw z API - TYLKO jeśli są dostępne
-        if (reservesData && reservesData.reserves && reservesData.required) {
-            const reserveIndex = dayOffset * 24 + hour;
-            // Sprawdź czy index jest w zakresie danych
-            if (reserveIndex < reservesData.reserves.length && 
-                reservesData.reserves[reserveIndex] !== undefined &&
-                reservesData.required[reserveIndex] !== undefined) {
-                availableReserve = reservesData.reserves[reserveIndex];
-                requiredReserve = reservesData.required[reserveIndex];
-                hasReserveData = true;
-            }
-        }
+        // Wzrost zapotrzebowania
+        demandDelta = systemLoad - previous(loadAt, hour - 1, systemLoad);
         
-        // Oblicz delty (zmiany) - KLUCZOWE DLA OCENY RYZYKA
-        let pvDelta = 0;
-        let windDelta = 0;
-        let baseloadDelta = 0;
-        let demandDelta = 0;
-        let pvGradient = 0;
-        let windGradient = 0;
-        
-        if (hour > 0) {
-            // Spadek/wzrost PV
-            const prevPV = data.pvGeneration?.[hour - 1]?.totalPower || pvGeneration;
-            pvDelta = pvGeneration - prevPV;
-            
-            // Spadek/wzrost Wind
-            const prevWind = data.windGeneration?.[hour - 1]?.totalPower || windGeneration;
-            windDelta = windGeneration - prevWind;
-            
-            // Wzrost JW RB (kluczowe dla godzin wieczornych!)
-            if (data.fullGenerationData) {
-                const prevQuarterIndex = (hour - 1) * 4;
-                const prevBaseload = data.fullGenerationData[prevQuarterIndex]?.gen_rb || baseloadGeneration;
-                baseloadDelta = baseloadGeneration - prevBaseload;
-            }
-            
-            // Wzrost zapotrzebowania
-            const prevLoad = data.systemLoad?.[hour - 1]?.load || systemLoad;
-            demandDelta = systemLoad - prevLoad;
-            
-            // Gradient (tempo zmian)
-            if (hour > 1) {
-                const prevPrevPV = data.pvGeneration?.[hour - 2]?.totalPower || pvGeneration;
-                pvGradient = (pvDelta - (prevPV - prevPrevPV));
-                
-                const prevPrevWind = data.windGeneration?.[hour - 2]?.totalPower || windGeneration;
-                windGradient = (windDelta - (prevWind - prevPrevWind));
-            }
+        // Gradient (tempo zmian)
+        if (hour > 1) {
+            pvGradient = (pvDelta - (prevPV - previous(pvAt, hour - 2, pvGeneration)));
+            windGradient = (windDelta - (prevWind - previous(windAt, hour - 2, windGeneration)));
         }
-        
-        // Dla dni przyszłych - prognoza trendów (nie rezerw!)
-        if (dayOffset > 0) {
-            // Używamy trendu z ostatnich danych
-            const decayFactor = Math.exp(-dayOffset * 0.1); // Eksponencjalny spadek pewności
-            pvGeneration *= decayFactor;
-            windGeneration *= decayFactor;
-            systemLoad *= (1 + dayOffset * 0.005); // Lekki wzrost zapotrzebowania
-            
-            // Załóż większą zmienność dla dni przyszłych
-            const volatility = 1 + dayOffset * 0.2;
-            pvDelta *= volatility;
-            windDelta *= volatility;
+    }
+    
+    return {
+        hour: hour,
+        // Południe daty kalendarzowej - dzień tygodnia niezależny od strefy przeglądarki
+        dayOfWeek: new Date(`${cellDate}T12:00:00`).getDay(),
+        systemLoad: systemLoad,
+        pvGeneration: pvGeneration,
+        windGeneration: windGeneration,
+        baseloadGeneration: baseloadGeneration,
+        powerExchange: powerExchange,
+        availableReserve: availableReserve,  // undefined jeśli brak danych
+        requiredReserve: requiredReserve,    // undefined jeśli brak danych
+        hasReserveData: hasReserveData,      // flaga czy mamy dane
+        plannedConstraints: plannedConstraints.length,
+        plannedConstraintResources: [...new Set(plannedConstraints.map(c => c.resourceName || c.resourceCode))],
+        pvDelta: pvDelta,
+        windDelta: windDelta,
+        baseloadDelta: baseloadDelta,
+        demandDelta: demandDelta,
+        pvGradient: pvGradient,
+        windGradient: windGradient,
+        sources: {
+            pvGeneration: pv.source,
+            windGeneration: wind.source,
+            systemLoad: load.value ? load.source : 'missing',
+            baseloadGeneration: baseload.source,
+            powerExchange: hasExchange ? 'actual' : 'missing',
+            // Rezerwy zawsze z planu pk5l-wp
+            reserves: hasReserveData ? 'forecast' : 'missing'
         }
+    };
+}
+
+/**
+ * Update Risk Assessment Chart - używa realnych danych
+ * Model komórek wybrany w RiskModels ('heatmap'), opcjonalnie drugi model do porównania ('compare')
+ */
+updateRiskAssessmentChart(data) {
+    if (!window.RiskModels || !data) {
+        console.warn('Risk models not loaded or no data');
+        return;
+    }
+    
+    // Siatka zaczyna się od doby danych - zmiana daty w nawigatorze przebudowuje siatkę
+    const businessDate = data.businessDate || window.BusinessTime.today();
+    const firstCell = document.querySelector('#risk-heatmap-grid .risk-cell');
+    if (firstCell && firstCell.dataset.businessDate !== businessDate) {
+        this.createRiskAssessmentChart(businessDate);
+    }
+    
+    const cells = document.querySelectorAll('#risk-heatmap-grid .risk-cell');
+    const series = this.getRiskSeries(data);
+    const modelId = window.RiskModels.getSelected('heatmap');
+    const compareId = window.RiskModels.getSelected('compare');
+    
+    cells.forEach(cell => {
+        const dayOffset = parseInt(cell.dataset.dayOffset);
+        const hour = parseInt(cell.dataset.hour);
+        const cellDate = cell.dataset.businessDate || window.BusinessTime.addDays(businessDate, dayOffset);
         
-        // Przygotuj pełne dane dla scorera
-        const scoreData = {
-            hour: hour,
-            dayOfWeek: dayOfWeek,
-            systemLoad: systemLoad,
-            pvGeneration: pvGeneration,
-            windGeneration: windGeneration,
-            baseloadGeneration: baseloadGeneration,
-            powerExchange: powerExchange,
-            availableReserve: availableReserve,  // undefined jeśli brak danych
-            requiredReserve: requiredReserve,    // undefined jeśli brak danych
-            hasReserveData: hasReserveData,      // flaga czy mamy dane
-            pvDelta: pvDelta,
-            windDelta: windDelta,
-            baseloadDelta: baseloadDelta,
-            demandDelta: demandDelta,
-            pvGradient: pvGradient,
-            windGradient: windGradient
-        };
+        const scoreData = this.buildRiskInput(series, cellDate, hour, dayOffset);
+        const hasReserveData = scoreData.hasReserveData;
+        
+        const isCurrentHour = cellDate === window.BusinessTime.today() &&
+            hour === window.BusinessTime.getLocalHour();
         
         // Debug dla aktualnej godziny
-        if (dayOffset === 0 && hour === new Date().getHours()) {
+        if (isCurrentHour) {
             console.log('🎯 Current hour risk data:', {
+                model: modelId,
                 hasReserveData: hasReserveData,
-                margin: hasReserveData ? (availableReserve - requiredReserve) : 'N/A',
-                renewableChange: pvDelta + windDelta,
-                baseloadChange: baseloadDelta,
+                margin: hasReserveData ? (scoreData.availableReserve - scoreData.requiredReserve) : 'N/A',
+                renewableChange: scoreData.pvDelta + scoreData.windDelta,
+                baseloadChange: scoreData.baseloadDelta,
                 dayOffset: dayOffset,
                 dataSource: hasReserveData ? 'API' : 'No reserve data'
             });
         }
         
-        const risk = this.riskScorer.calculateRiskScore(scoreData);
+        const risk = window.RiskModels.evaluate(modelId, scoreData, series.context);
+        const comparison = compareId && compareId !== modelId
+            ? window.RiskModels.evaluate(compareId, scoreData, series.context)
+            : null;
         
         // Ustaw wizualizację komórki
         cell.textContent = hour.toString().padStart(2, '0');
@@ -2238,15 +2517,15 @@ updateRiskAssessmentChart(data) {
             cell.classList.add('no-reserve-data');
         }
         
-        if (dayOffset === 0 && hour === new Date().getHours()) {
+        if (isCurrentHour) {
             cell.classList.add('current');
         }
         
-        const riskLevel = risk.riskLevel;
+        const riskLevel = risk.level;
         cell.classList.add(`risk-${riskLevel}`);
         
         // Intensywność koloru zależna od wyniku
-        const opacity = 0.3 + (risk.totalScore / 100) * 0.7;
+        const opacity = 0.3 + (risk.score / 100) * 0.7;
         if (riskLevel === 'low') {
             cell.style.backgroundColor = `rgba(34, 197, 94, ${opacity})`;
         } else if (riskLevel === 'medium') {
@@ -2258,10 +2537,10 @@ updateRiskAssessmentChart(data) {
         }
         
         // Ikona ostrzeżenia dla wysokiego ryzyka
-        if (risk.totalScore >= 50) {
+        if (risk.score >= 50) {
             const icon = document.createElement('span');
             icon.className = 'risk-warning-icon';
-            icon.innerHTML = risk.totalScore >= 75 ? '⚠️' : '⚡';
+            icon.innerHTML = risk.score >= 75 ? '⚠️' : '⚡';
             cell.appendChild(icon);
         }
         
@@ -2274,15 +2553,79 @@ updateRiskAssessmentChart(data) {
             cell.appendChild(marker);
         }
         
+        // Marker planowanych ograniczeń D+1
+        if (scoreData.plannedConstraints > 0) {
+            const marker = document.createElement('span');
+            marker.className = 'planned-constraint-marker';
+            marker.textContent = '📋';
+            marker.title = `Planowane ograniczenia D+1: ${scoreData.plannedConstraints}`;
+            cell.appendChild(marker);
+        }
+        
+        // Pochodzenie wejść dób przyszłych: P = prognoza pk5l-wp, E = ekstrapolacja z wybranej doby
+        const inputSources = this.formatRiskInputSources(scoreData.sources, businessDate);
+        if (dayOffset > 0) {
+            const hasForecast = scoreData.sources.pvGeneration === 'forecast' || scoreData.sources.systemLoad === 'forecast';
+            const marker = document.createElement('span');
+            marker.className = `input-source-marker ${hasForecast ? 'forecast' : 'extrapolated'}`;
+            marker.textContent = hasForecast ? 'P' : 'E';
+            marker.title = inputSources;
+            cell.appendChild(marker);
+        }
+        
+        // Tooltip: wynik modelu, wynik modelu porównawczego i skalibrowane prawdopodobieństwo redukcji
+        const tooltip = [
+            `${cellDate} ${hour.toString().padStart(2, '0')}:00 - ${risk.model.name}: ` +
+                `wynik ${risk.score} (${this.getRiskLevelText(riskLevel)}, profil ${risk.profile.label})`
+        ];
+        if (comparison) {
+            tooltip.push(`${comparison.model.name}: wynik ${comparison.score} (${this.getRiskLevelText(comparison.level)})`);
+        }
+        if (risk.model.estimatesProbability) {
+            tooltip.push(this.formatCurtailmentProbability(risk.probability));
+        }
+        tooltip.push(`Wejścia - ${inputSources}`);
+        cell.title = tooltip.join('\n');
+        
         // Zapisz dane dla szczegółów
-        cell.dataset.riskScore = risk.totalScore;
+        cell.dataset.riskScore = risk.score;
         cell.dataset.riskLevel = riskLevel;
         cell.dataset.riskData = JSON.stringify(risk);
+        cell.dataset.compareData = comparison ? JSON.stringify(comparison) : '';
         cell.dataset.scoreData = JSON.stringify(scoreData);
         cell.dataset.hasReserveData = hasReserveData;
+        cell.dataset.inputSources = inputSources;
     });
 }
 
+/**
+ * Pochodzenie wejść komórki pogrupowane wg źródła, np. "prognoza pk5l-wp: PV, wiatr; ekstrapolacja z 2025-06-03: JW RB"
+ */
+formatRiskInputSources(sources, businessDate) {
+    const inputNames = {
+        pvGeneration: 'PV',
+        windGeneration: 'wiatr',
+        systemLoad: 'zapotrzebowanie',
+        baseloadGeneration: 'JW RB',
+        powerExchange: 'saldo wymiany',
+        reserves: 'rezerwy'
+    };
+    const sourceNames = {
+        forecast: 'prognoza pk5l-wp',
+        actual: 'dane doby',
+        extrapolated: `ekstrapolacja z ${businessDate}`,
+        missing: 'brak danych'
+    };
+    
+    return Object.entries(sourceNames)
+        .map(([source, label]) => {
+            const inputs = Object.keys(inputNames).filter(input => sources[input] === source);
+            return inputs.length > 0 ? `${label}: ${inputs.map(input => inputNames[input]).join(', ')}` : null;
+        })
+        .filter(Boolean)
+        .join('; ');
+}
+
 /**
  * Show risk details for selected cell
  */
@@ -2291,9 +2634,10 @@ showRiskDetails(dayOffset, hour, dayOfWeek) {
     if (!cell || !cell.dataset.riskData) return;
     
     const risk = JSON.parse(cell.dataset.riskData);
+    const comparison = cell.dataset.compareData ? JSON.parse(cell.dataset.compareData) : null;
     const hasReserveData = cell.dataset.hasReserveData === 'true';
-    const date = new Date();
-    date.setDate(date.getDate() + dayOffset);
+    // Doba komórki - siatka może zaczynać się od doby wybranej w nawigatorze
+    const date = new Date(`${cell.dataset.businessDate}T12:00:00`);
     
     // Usuń klasę selected z innych komórek
     document.querySelectorAll('.risk-cell.selected').forEach(c => c.classList.remove('selected'));
@@ -2340,14 +2684,19 @@ showRiskDetails(dayOffset, hour, dayOfWeek) {
         ${infoHTML}
         
         <div class="risk-score-display">
-            <div class="total-score ${risk.riskLevel}">
-                ${risk.totalScore}
+            <div class="total-score ${risk.level}">
+                ${risk.score}
             </div>
             <div class="risk-level">
-                ${this.getRiskLevelText(risk.riskLevel)}
+                ${this.getRiskLevelText(risk.level)}
+                <small class="risk-model-name">${risk.model.name}</small>
             </div>
         </div>
         
+        ${risk.model.estimatesProbability ? this.getCurtailmentProbabilityHTML(risk.probability) : ''}
+        
+        ${comparison ? this.getRiskComparisonHTML(risk, comparison) : ''}
+        
         <div class="risk-components">
             <h5>Czynniki ryzyka:</h5>
             ${componentsHTML || '<p>Brak zidentyfikowanych czynników ryzyka</p>'}
@@ -2358,6 +2707,12 @@ showRiskDetails(dayOffset, hour, dayOfWeek) {
             ${recommendationsHTML}
         </div>
         
+        <div class="data-note">
+            <small>Profil ryzyka: ${risk.profile.label}</small><br>
+            <small>Wejścia modelu: ${window.RiskModels.describeInputs(risk.model.id).join(', ')}</small><br>
+            <small>Źródła wejść: ${cell.dataset.inputSources}</small>
+        </div>
+        
         ${!hasReserveData ? `
         <div class="data-note">
             <small>⚠️ Analiza oparta na dostępnych wskaźnikach. Brak danych o rezerwach mocy dla tego okresu.</small>
@@ -2366,6 +2721,104 @@ showRiskDetails(dayOffset, hour, dayOfWeek) {
     `;
 }
 
+/**
+ * Dwa modele obok siebie dla tej samej godziny - wynik, poziom, główne czynniki i pierwsza rekomendacja
+ */
+getRiskComparisonHTML(risk, comparison) {
+    const column = assessment => {
+        const factors = assessment.factors
+            .filter(factor => !factor.info)
+            .slice(0, 3)
+            .map(factor => `<li>${factor.factor}: ${factor.impact > 0 ? '+' + factor.impact : factor.impact} pkt</li>`)
+            .join('');
+        
+        return `
+            <div class="risk-compare-model">
+                <div class="risk-compare-name">${assessment.model.name}</div>
+                <div class="risk-compare-score">
+                    <div class="total-score ${assessment.level}">${assessment.score}</div>
+                    <div class="risk-level">${this.getRiskLevelText(assessment.level)}</div>
+                </div>
+                <ul class="risk-compare-factors">${factors || '<li>Brak czynników ryzyka</li>'}</ul>
+                <div class="recommendation">${assessment.recommendations[0] || '--'}</div>
+            </div>`;
+    };
+    
+    const delta = comparison.score - risk.score;
+    
+    return `
+        <div class="risk-comparison">
+            <h5>Porównanie modeli (różnica ${delta > 0 ? '+' : ''}${delta} pkt)</h5>
+            <div class="risk-compare-grid">
+                ${column(risk)}
+                ${column(comparison)}
+            </div>
+        </div>`;
+}
+
+/**
+ * Prawdopodobieństwo redukcji OZE (CurtailmentModel) - jedna linia do tooltipa
+ */
+formatCurtailmentProbability(probability) {
+    if (!probability) {
+        const reason = window.CurtailmentModel?.uncalibratedReason;
+        return `P(redukcji): model niekalibrowany${reason ? ` - ${reason}` : ''}`;
+    }
+    
+    const percent = value => `${Math.round(value * 100)}%`;
+    return `P(redukcji): ${percent(probability.probability)} ` +
+        `[${percent(probability.lower)}-${percent(probability.upper)}], ` +
+        `oczekiwany wolumen ~${Math.round(probability.expectedMWh)} MWh`;
+}
+
+/**
+ * Blok prawdopodobieństwa redukcji w szczegółach komórki
+ */
+getCurtailmentProbabilityHTML(probability) {
+    if (!probability) {
+        const reason = window.CurtailmentModel?.uncalibratedReason;
+        return `
+        <div class="risk-probability uncalibrated">
+            <small>ℹ️ ${reason
+                ? `Model prawdopodobieństwa niekalibrowany - ${reason}. Dopasuj go na dłuższym okresie: npm run backtest -- --fit`
+                : 'Brak skalibrowanego modelu prawdopodobieństwa - dopasuj go: npm run backtest -- --fit'}</small>
+        </div>`;
+    }
+    
+    const percent = value => `${Math.round(value * 100)}%`;
+    const [volumeLow, volumeHigh] = probability.expectedMWhRange;
+    
+    return `
+        <div class="risk-probability">
+            <div class="probability-value">${percent(probability.probability)}</div>
+            <div class="probability-details">
+                <div class="probability-label">Prawdopodobieństwo redukcji OZE &gt; ${probability.eventThresholdMW} MW</div>
+                <div class="probability-interval">
+                    Przedział ${Math.round(probability.confidenceLevel * 100)}%: ${percent(probability.lower)} - ${percent(probability.upper)}
+                </div>
+                <div class="probability-volume">
+                    Oczekiwany wolumen: ${Math.round(probability.expectedMWh)} MWh (${Math.round(volumeLow)} - ${Math.round(volumeHigh)})
+                </div>
+                <small>Model logistyczny z ${new Date(probability.fittedAt).toLocaleDateString('pl-PL')}</small>
+                ${this.getPriorOnlyHTML(probability.priorOnly)}
+            </div>
+        </div>`;
+}
+
+/**
+ * Współczynniki bez danych w dopasowaniu (tylko prior) - aktywne w tej godzinie poszerzają przedział
+ */
+getPriorOnlyHTML(priorOnly = []) {
+    if (priorOnly.length === 0) return '';
+    
+    const labels = priorOnly.map(item => item.active ? `<strong>${item.label}</strong>` : item.label);
+    return `
+                <div class="probability-prior-only">
+                    ⚠️ Bez danych w dopasowaniu (współczynnik = prior): ${labels.join(', ')}
+                    ${priorOnly.some(item => item.active) ? '<br>Pogrubione cechy są aktywne w tej godzinie - przedział ufności szerszy' : ''}
+                </div>`;
+}
+
 getRiskLevelText(level) {
     const texts = {
         low: 'Niskie ryzyko',
@@ -2499,29 +2952,18 @@ createRedispatchCumulativeChart() {
         data: {
             labels: [], // Będą miesiące
             datasets: [
-                {
-                    label: 'Rok bieżący',
+                // Linie skumulowane wybranych lat dodaje renderRedispatchBreakdown (yearKey)
+                // Miesięczna energia najnowszego wybranego roku per składowa (słupki skumulowane, oś prawa)
+                ...Object.entries(window.OZERedispatchComponents || {}).map(([key, component]) => ({
+                    type: 'bar',
+                    label: component.label,
+                    componentKey: key,
                     data: [],
-                    borderColor: 'rgba(220, 53, 69, 1)',
-                    backgroundColor: 'rgba(220, 53, 69, 0.1)',
-                    borderWidth: 3,
-                    tension: 0.1,
-                    fill: true,
-                    pointRadius: 4,
-                    pointHoverRadius: 6
-                },
-                {
-                    label: 'Rok poprzedni',
-                    data: [],
-                    borderColor: 'rgba(33, 150, 243, 1)',
-                    backgroundColor: 'rgba(33, 150, 243, 0.1)',
-                    borderWidth: 2,
-                    borderDash: [5, 5],
-                    tension: 0.1,
-                    fill: false,
-                    pointRadius: 4,
-                    pointHoverRadius: 6
-                }
+                    backgroundColor: window.EnspirionConfig.getColor(`redispatch${key.charAt(0).toUpperCase()}${key.slice(1)}`),
+                    stack: 'components',
+                    yAxisID: 'y1',
+                    order: 2
+                }))
             ]
         },
         options: {
@@ -2549,6 +2991,7 @@ createRedispatchCumulativeChart() {
             scales: {
                 x: {
                     type: 'category',
+                    stacked: true,
                     grid: { display: true, color: 'rgba(0, 0, 0, 0.05)' },
                     title: { display: true, text: 'Miesiąc' },
                     ticks: {
@@ -2566,6 +3009,13 @@ createRedispatchCumulativeChart() {
                             return value.toFixed(0) + ' GWh';
                         }
                     }
+                },
+                y1: {
+                    position: 'right',
+                    beginAtZero: true,
+                    stacked: true,
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: 'Energia w miesiącu [GWh]' }
                 }
             }
         }
@@ -2582,119 +3032,326 @@ createRedispatchCumulativeChart() {
 
 /**
  * Update Redispatch Cumulative Chart
+ * Pobiera brakujące lata z wyboru; force odświeża rok bieżący (lata zamknięte się nie zmieniają)
  */
-async updateRedispatchCumulativeChart() {
+async updateRedispatchCumulativeChart({ force = false } = {}) {
     const chart = this.charts.get('redispatch-cumulative');
     if (!chart) {
         console.error('❌ Chart not found!');
         return;
     }
     
+    const currentYear = Number(window.BusinessTime.today().slice(0, 4));
+    const years = this.getSelectedRedispatchYears();
+    if (force) {
+        this.redispatchYearData.delete(currentYear);
+    }
+    
     try {
-        console.log('📊 Fetching OZE redispatch data for current and previous year...');
+        // Lata nieobecne w pamięci albo wczytane z błędem
+        const missing = years.filter(year => !this.redispatchYearData.get(year) || this.redispatchYearData.get(year).provenance?.error);
         
-        const currentYear = new Date().getFullYear();
-        const previousYear = currentYear - 1;
-        
-        // Pobierz dane dla OBU lat!
-        const [currentYearData, previousYearData] = await Promise.all([
-            window.PSEApiService.getOperationalConstraints(new Date()), // rok bieżący
-            window.PSEApiService.getOperationalConstraints(new Date(previousYear, 11, 31)) // poprzedni rok
-        ]);
-        
-        console.log('📊 Data received:', {
-            currentYear: currentYearData?.summary?.totalEnergyGWh + ' GWh',
-            previousYear: previousYearData?.summary?.totalEnergyGWh + ' GWh'
-        });
-
-        
-
-        
-        // Konwertuj oba lata na dane miesięczne
-        const monthlyData = this.convertBothYearsToMonthly(currentYearData, previousYearData);
-        
-        // Aktualizuj wykres
-        chart.data.labels = monthlyData.labels;
-        chart.data.datasets[0].data = monthlyData.currentYear;
-        chart.data.datasets[1].data = [
-            0,    // styczeń
-            18,    // luty
-            49,   // marzec
-            238,  // kwiecień
-            433,  // maj
-            544,  // czerwiec
-            585,  // lipiec
-            632,  // sierpień
-            692,  // wrzesień
-            716,  // październik
-            720,  // listopad
-            731   // grudzień
-        ];
-        
-        // Zaktualizuj tytuł
-        const currentTotal = currentYearData?.summary?.totalEnergyGWh || 0;
-        const previousTotal = 731 || 0;
-        
-        chart.options.plugins.title.text = 
-            `Skumulowana energia zredysponowana OZE: ${currentTotal.toFixed(1)} GWh (${currentYear}) vs ${731} GWh (${previousYear})`;
+        if (missing.length > 0) {
+            console.log(`📊 Fetching OZE redispatch data for ${missing.join(', ')}...`);
+            
+            const loaded = await Promise.all(missing.map(year => window.PSEApiService.getOperationalConstraints(
+                year === currentYear ? new Date() : new Date(year, 11, 31)
+            )));
+            missing.forEach((year, index) => this.redispatchYearData.set(year, loaded[index]));
+        }
         
-        chart.update('none');
-        console.log('✅ Chart updated with real data for both years!');
+        this.renderRedispatchBreakdown();
+        console.log(`✅ Redispatch chart updated for ${years.join(', ')}`);
         
     } catch (error) {
         console.error('❌ Failed to update chart:', error);
-        this.useMockRedispatchData(chart);
     }
 }
 
 /**
- * Convert both years data to monthly cumulative
+ * Lata do wyboru: od redispatchComparison.firstYear do bieżącego (najnowszy pierwszy)
  */
-convertBothYearsToMonthly(currentYearData, previousYearData) {
-    const months = ['Sty', 'Lut', 'Mar', 'Kwi', 'Maj', 'Cze', 
-                    'Lip', 'Sie', 'Wrz', 'Paź', 'Lis', 'Gru'];
+getRedispatchYearOptions() {
+    const firstYear = window.EnspirionConfig.DATA.redispatchComparison?.firstYear || 2024;
+    const currentYear = Number(window.BusinessTime.today().slice(0, 4));
     
-    const currentYear = new Date().getFullYear();
-    const currentMonth = new Date().getMonth();
+    return Array.from({ length: Math.max(1, currentYear - firstYear + 1) }, (_, index) => currentYear - index);
+}
+
+getSelectedRedispatchYears() {
+    const defaultCount = window.EnspirionConfig.DATA.redispatchComparison?.defaultYearCount || 2;
+    return this.redispatchSelectedYears || this.getRedispatchYearOptions().slice(0, defaultCount);
+}
+
+/**
+ * Przyciski lat porównania (wielokrotny wybór, co najmniej jeden rok)
+ */
+setupRedispatchYears() {
+    const container = document.getElementById('redispatch-years');
+    if (!container) return;
     
-    // Funkcja pomocnicza do wyciągania danych miesięcznych
-    const extractMonthlyData = (yearData, year, limitMonth = 11) => {
-        const monthlyCumulative = new Array(12).fill(null);
-        
-        for (let month = 0; month <= limitMonth; month++) {
-            const lastDayOfMonth = yearData.daily.filter(day => {
-                const date = new Date(day.date);
-                return date.getFullYear() === year && date.getMonth() === month;
-            }).pop();
-            
-            if (lastDayOfMonth) {
-                monthlyCumulative[month] = lastDayOfMonth.cumulativeEnergy / 1000; // MWh -> GWh
-            }
-        }
-        
-        return monthlyCumulative;
-    };
+    this.redispatchSelectedYears = this.getSelectedRedispatchYears();
+    container.innerHTML = '';
     
-    // Pobierz dane dla obu lat
-    const currentYearCumulative = currentYearData ? 
-        extractMonthlyData(currentYearData, currentYear, currentMonth) : 
-        new Array(12).fill(null);
-        
-    const previousYearCumulative = previousYearData ? 
-        extractMonthlyData(previousYearData, currentYear - 1, 11) : // cały poprzedni rok
-        new Array(12).fill(null);
+    this.getRedispatchYearOptions().forEach(year => {
+        const button = document.createElement('button');
+        button.className = 'chart-btn';
+        button.dataset.redispatchYear = year;
+        button.textContent = year;
+        button.classList.toggle('active', this.redispatchSelectedYears.includes(year));
+        button.addEventListener('click', () => this.toggleRedispatchYear(year));
+        container.appendChild(button);
+    });
+}
+
+toggleRedispatchYear(year) {
+    const selected = this.getSelectedRedispatchYears();
+    
+    if (selected.includes(year)) {
+        if (selected.length === 1) return;
+        this.redispatchSelectedYears = selected.filter(selectedYear => selectedYear !== year);
+    } else {
+        this.redispatchSelectedYears = [...selected, year].sort((a, b) => b - a);
+    }
     
-    console.log('📊 Monthly breakdown:', {
-        currentYear: currentYearCumulative.map((v, i) => v ? `${months[i]}: ${v.toFixed(1)} GWh` : null).filter(v => v),
-        previousYear: previousYearCumulative.map((v, i) => v ? `${months[i]}: ${v.toFixed(1)} GWh` : null).filter(v => v)
+    document.querySelectorAll('.chart-btn[data-redispatch-year]').forEach(button => {
+        button.classList.toggle('active', this.redispatchSelectedYears.includes(Number(button.dataset.redispatchYear)));
     });
     
+    this.updateRedispatchCumulativeChart();
+}
+
+/**
+ * Składowe redysponowania zgodne z filtrem: all | pv | wind | balance | network
+ */
+getRedispatchComponentKeys(filter = this.redispatchFilter || 'all') {
+    return Object.entries(window.OZERedispatchComponents || {})
+        .filter(([, component]) => filter === 'all' || component.source === filter || component.cause === filter)
+        .map(([key]) => key);
+}
+
+/**
+ * Wybrane lata wg filtra: linie skumulowane, słupki miesięczne per składowa najnowszego roku,
+ * porównanie lat i tabela udziałów
+ */
+renderRedispatchBreakdown() {
+    const chart = this.charts.get('redispatch-cumulative');
+    const years = this.getSelectedRedispatchYears().filter(year => this.redispatchYearData.has(year));
+    if (!chart || years.length === 0) return;
+    
+    const filter = this.redispatchFilter || 'all';
+    const keys = this.getRedispatchComponentKeys(filter);
+    const filterLabels = { pv: 'PV', wind: 'wiatr', balance: 'bilansowe', network: 'sieciowe' };
+    const suffix = filter === 'all' ? '' : ` (${filterLabels[filter]})`;
+    
+    // Słupki składowych i udziały przyczyn dla najnowszego wybranego roku
+    const referenceYear = years[0];
+    const yearData = this.redispatchYearData.get(referenceYear);
+    const monthlyData = this.convertYearsToMonthly(years, keys);
+    
+    const monthlyByKey = Object.fromEntries(keys.map(key => [key, monthlyData.labels.map((_, month) => {
+        const monthKey = `${referenceYear}-${String(month + 1).padStart(2, '0')}`;
+        const monthSummary = yearData.summary.monthly?.find(entry => entry.month === monthKey);
+        return monthSummary ? monthSummary.components[key] / 1000 : null;
+    })]));
+    
+    // Najnowszy rok linią ciągłą z wypełnieniem, starsze przerywane
+    const yearColors = ['220, 53, 69', '33, 150, 243', '16, 185, 129', '139, 92, 246', '245, 158, 11', '107, 114, 128'];
+    const yearDatasets = years.map((year, index) => {
+        const color = yearColors[index % yearColors.length];
+        return {
+            label: `${year}${suffix}`,
+            yearKey: year,
+            data: monthlyData.byYear[year],
+            borderColor: `rgba(${color}, 1)`,
+            backgroundColor: `rgba(${color}, 0.1)`,
+            borderWidth: index === 0 ? 3 : 2,
+            borderDash: index === 0 ? [] : [5, 5],
+            tension: 0.1,
+            fill: index === 0,
+            pointRadius: 4,
+            pointHoverRadius: 6
+        };
+    });
+    
+    chart.data.labels = monthlyData.labels;
+    chart.data.datasets = [
+        ...yearDatasets,
+        ...chart.data.datasets.filter(dataset => dataset.componentKey)
+    ];
+    chart.data.datasets
+        .filter(dataset => dataset.componentKey)
+        .forEach(dataset => {
+            dataset.hidden = !keys.includes(dataset.componentKey);
+            dataset.label = `${window.OZERedispatchComponents[dataset.componentKey].label} (${referenceYear})`;
+            dataset.data = monthlyByKey[dataset.componentKey] || [];
+        });
+    
+    const comparison = this.compareRedispatchYears(years, keys);
+    chart.options.plugins.title.text = `Skumulowana energia zredysponowana OZE${suffix}: ` +
+        comparison.rows.map(row => `${row.total.toFixed(1)} GWh (${row.year})`).join(' vs ');
+    if (years.some(year => this.redispatchYearData.get(year).summary.truncated)) {
+        chart.options.plugins.title.text += ' ⚠️ dane niepełne (przekroczono limit stronicowania)';
+    }
+    
+    chart.update('none');
+    this.renderRedispatchYearComparison(comparison);
+    this.renderRedispatchShares(yearData.summary.monthly || [], keys);
+}
+
+/**
+ * Porównanie lat (wybrane składowe, GWh): suma, wzrost r/r dla lat zamkniętych,
+ * energia do tej samej daty co ostatni dzień najnowszego roku i jej zmiana r/r, udział w sumie wybranych lat
+ * Wartości r/r tylko gdy rok poprzedni też jest wybrany
+ */
+compareRedispatchYears(years, keys) {
+    const sumKeys = components => keys.reduce((sum, key) => sum + (components?.[key] || 0), 0);
+    const currentYear = Number(window.BusinessTime.today().slice(0, 4));
+    
+    const newestDaily = this.redispatchYearData.get(years[0]).daily;
+    const referenceDay = newestDaily.length > 0 ? newestDaily[newestDaily.length - 1].date.slice(5) : '12-31';
+    
+    const rows = years.map(year => {
+        const yearData = this.redispatchYearData.get(year);
+        const lastDay = yearData.daily.filter(day => day.date <= `${year}-${referenceDay}`).pop();
+        
+        return {
+            year,
+            complete: year < currentYear,
+            total: sumKeys(yearData.summary.components) / 1000,
+            toDate: lastDay ? sumKeys(lastDay.cumulativeComponents) / 1000 : 0
+        };
+    });
+    
+    const grandTotal = rows.reduce((sum, row) => sum + row.total, 0);
+    const byYear = new Map(rows.map(row => [row.year, row]));
+    const change = (value, base) => base > 0 ? (value / base - 1) * 100 : null;
+    
     return {
-        labels: months,
-        currentYear: currentYearCumulative,
-        previousYear: previousYearCumulative
+        referenceDay,
+        rows: rows.map(row => {
+            const previous = byYear.get(row.year - 1);
+            return {
+                ...row,
+                growth: previous && row.complete ? change(row.total, previous.total) : null,
+                toDateDelta: previous ? row.toDate - previous.toDate : null,
+                toDateGrowth: previous ? change(row.toDate, previous.toDate) : null,
+                share: grandTotal > 0 ? row.total / grandTotal * 100 : null
+            };
+        })
     };
 }
+
+/**
+ * Tabela porównania lat redysponowania
+ */
+renderRedispatchYearComparison(comparison) {
+    const table = document.getElementById('redispatch-years-table');
+    if (!table) return;
+    
+    const [month, day] = comparison.referenceDay.split('-');
+    const toDateLabel = `${day}.${month}`;
+    const signed = (value, unit, decimals = 1) => value === null
+        ? '--'
+        : `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}${unit}`;
+    
+    table.innerHTML = '';
+    
+    const header = table.createTHead().insertRow();
+    ['Rok', 'Razem [GWh]', 'Wzrost r/r', `Do ${toDateLabel} [GWh]`, `Zmiana do ${toDateLabel} r/r`, 'Udział w sumie'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    
+    const body = table.createTBody();
+    comparison.rows.forEach(entry => {
+        const row = body.insertRow();
+        row.insertCell().textContent = entry.complete ? entry.year : `${entry.year} (w toku)`;
+        row.insertCell().textContent = entry.total.toFixed(1);
+        row.insertCell().textContent = signed(entry.growth, '%');
+        row.insertCell().textContent = entry.toDate.toFixed(1);
+        row.insertCell().textContent = entry.toDateDelta === null
+            ? '--'
+            : `${signed(entry.toDateDelta, ' GWh')} (${signed(entry.toDateGrowth, '%', 0)})`;
+        row.insertCell().textContent = entry.share === null ? '--' : `${entry.share.toFixed(1)}%`;
+    });
+}
+
+/**
+ * Miesięczne udziały przyczyn redysponowania (w obrębie wybranych składowych)
+ */
+renderRedispatchShares(monthly, keys) {
+    const table = document.getElementById('redispatch-shares-table');
+    if (!table) return;
+    
+    const components = window.OZERedispatchComponents || {};
+    table.innerHTML = '';
+    
+    const header = table.createTHead().insertRow();
+    ['Miesiąc', ...keys.map(key => components[key].label), 'Razem [GWh]'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    
+    const body = table.createTBody();
+    const rows = monthly.filter(entry => keys.some(key => entry.components[key] > 0));
+    
+    if (rows.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = keys.length + 2;
+        cell.className = 'no-data';
+        cell.textContent = 'Brak redysponowania w wybranym zakresie';
+        return;
+    }
+    
+    rows.forEach(entry => {
+        const total = keys.reduce((sum, key) => sum + entry.components[key], 0);
+        const row = body.insertRow();
+        row.insertCell().textContent = entry.month;
+        keys.forEach(key => {
+            row.insertCell().textContent = total > 0 ? `${(entry.components[key] / total * 100).toFixed(0)}%` : '--';
+        });
+        row.insertCell().textContent = (total / 1000).toFixed(2);
+    });
+}
+
+/**
+ * Filtr składowych wykresu redysponowania (PV / wiatr / bilansowe / sieciowe)
+ */
+setupRedispatchFilters() {
+    document.querySelectorAll('.chart-btn[data-redispatch-filter]').forEach(button => {
+        button.addEventListener('click', () => {
+            document.querySelectorAll('.chart-btn[data-redispatch-filter]').forEach(b => b.classList.remove('active'));
+            button.classList.add('active');
+            this.redispatchFilter = button.dataset.redispatchFilter;
+            this.renderRedispatchBreakdown();
+        });
+    });
+}
+
+/**
+ * Energia skumulowana [GWh] na koniec każdego miesiąca dla wybranych lat (tylko wybrane składowe)
+ */
+convertYearsToMonthly(years, keys) {
+    const months = ['Sty', 'Lut', 'Mar', 'Kwi', 'Maj', 'Cze', 
+                    'Lip', 'Sie', 'Wrz', 'Paź', 'Lis', 'Gru'];
+    const sumKeys = components => keys.reduce((sum, key) => sum + (components?.[key] || 0), 0);
+    
+    const byYear = {};
+    years.forEach(year => {
+        const daily = this.redispatchYearData.get(year)?.daily || [];
+        
+        byYear[year] = months.map((_, month) => {
+            const monthKey = `${year}-${String(month + 1).padStart(2, '0')}`;
+            const lastDayOfMonth = daily.filter(day => day.date.startsWith(monthKey)).pop();
+            return lastDayOfMonth ? sumKeys(lastDayOfMonth.cumulativeComponents) / 1000 : null; // MWh -> GWh
+        });
+    });
+    
+    return { labels: months, byYear };
+}
 /**
  * Create Forecast Chart for Analysis section
  */
@@ -2922,21 +3579,23 @@ updateForecastStatistics(data) {
     if (!data || data.length === 0) return;
 
     // Oblicz sumy energii (MWh -> GWh)
-    const totalPV = data.reduce((sum, d) => sum + d.pvForecast, 0) / 1000;
-    const totalWind = data.reduce((sum, d) => sum + d.windForecast, 0) / 1000;
+    const totalPV = data.reduce((sum, d) => sum + (d.pvForecast || 0), 0) / 1000;
+    const totalWind = data.reduce((sum, d) => sum + (d.windForecast || 0), 0) / 1000;
     
-    // Średni udział OZE
-    const avgRenewable = data.reduce((sum, d) => sum + d.renewableShare, 0) / data.length;
+    // Średni udział OZE (godziny z pełną prognozą)
+    const shares = data.map(d => d.renewableShare).filter(Number.isFinite);
+    const avgRenewable = shares.length > 0 ? shares.reduce((sum, share) => sum + share, 0) / shares.length : null;
     
     // Szczyt zapotrzebowania
-    const peakDemand = Math.max(...data.map(d => d.demandForecast));
+    const demands = data.map(d => d.demandForecast).filter(Number.isFinite);
+    const peakDemand = demands.length > 0 ? Math.max(...demands) : null;
 
     // Aktualizuj elementy UI
     const updates = {
         'forecast-total-pv': `${totalPV.toFixed(2)} GWh`,
         'forecast-total-wind': `${totalWind.toFixed(2)} GWh`,
-        'forecast-avg-renewable': `${avgRenewable.toFixed(1)}%`,
-        'forecast-peak-demand': `${peakDemand.toFixed(0)} MW`
+        'forecast-avg-renewable': avgRenewable !== null ? `${avgRenewable.toFixed(1)}%` : '--',
+        'forecast-peak-demand': peakDemand !== null ? `${peakDemand.toFixed(0)} MW` : '--'
     };
 
     Object.entries(updates).forEach(([id, value]) => {
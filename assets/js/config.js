@@ -3,18 +3,48 @@
  * Główny plik konfiguracyjny aplikacji
  */
 
+// ================================
+// PSE API SOURCE
+// ================================
+// 'live' - produkcyjne API (Azure Front Door), 'local' - lokalny serwer zastępczy (tools/pse-server.js)
+const PSE_BASE_URLS = {
+    live: 'https://apimpdv2-bmgdhhajexe8aade.a01.azurefd.net/api/',
+    local: 'http://localhost:8787/api/'
+};
+
+// Przełączanie bez przebudowy: ?pse=local w adresie lub localStorage 'enspirion-pse-source'
+function resolvePSESource() {
+    const fromQuery = new URLSearchParams(window.location.search).get('pse');
+    const source = fromQuery || localStorage.getItem('enspirion-pse-source') || 'live';
+    return PSE_BASE_URLS[source] ? source : 'live';
+}
+
+const PSE_SOURCE = resolvePSESource();
+
 // ================================
 // PSE API CONFIGURATION
 // ================================
 const PSE_CONFIG = {
-    baseUrl: 'https://apimpdv2-bmgdhhajexe8aade.a01.azurefd.net/api/',
+    source: PSE_SOURCE,
+    baseUrl: PSE_BASE_URLS[PSE_SOURCE],
     timeout: 5000, // 5 seconds for real-time
     retries: 2,
+    backoff: {
+        initialDelay: 1000, // opóźnienie przed pierwszym ponowieniem (ms)
+        factor: 2,          // mnożnik wykładniczy
+        jitter: 0.3         // ±30% losowego rozrzutu
+    },
     rateLimit: {
         maxRequests: 200,
         windowMs: 60000 // 1 minute
     },
-    
+
+    // Stronicowanie OData - podążanie za nextLink
+    pagination: {
+        maxPages: 50,      // maksymalna liczba pobranych stron na jedno zapytanie
+        maxRows: 100000    // maksymalna liczba scalonych wierszy
+    },
+
     // Mapowanie endpointów PSE API do naszych funkcji
     endpoints: {
         // Generacja jednostek wytwórczych (PV)
@@ -39,7 +69,13 @@ const PSE_CONFIG = {
         powerBalances: 'his-bil-mocy',
         
         // Pozwolenia OZE
-        renewablePermits: 'poze-redoze'
+        renewablePermits: 'poze-redoze',
+        
+        // Przepływy mocy na połączeniach transgranicznych
+        crossBorderFlows: 'przeplywy-mocy',
+        
+        // Generacja poszczególnych jednostek wytwórczych
+        unitGeneration: 'gen-jw'
     }
 };
 
@@ -55,6 +91,12 @@ const BUSINESS_CONFIG = {
         degradationRate: 0.005        // 0.5% rocznie
     },
     
+    // Moc zainstalowana w KSE - skalowanie generacji krajowej na portfel
+    system: {
+        installedPV: 22970.8,         // MW
+        installedWind: 10350.1        // MW
+    },
+    
     // Pricing and financial
     financial: {
         averageEnergyPrice: 300,      // PLN/MWh
@@ -65,19 +107,59 @@ const BUSINESS_CONFIG = {
     
     // Risk calculation parameters
     risk: {
-        // Wagi dla algorytmu ryzyka
-        weights: {
-            historicalRedispatch: 0.4,  // 40% - historia redysponowania
-            currentLimitations: 0.3,    // 30% - obecne ograniczenia
-            pvGenerationLevel: 0.2,     // 20% - poziom generacji PV
-            systemLoad: 0.1             // 10% - obciążenie systemu
-        },
-        
-        // Progi ryzyka
-        thresholds: {
-            low: 0.25,      // 0-25% = niskie
-            medium: 0.5,    // 25-50% = średnie  
-            high: 0.75      // 50-75% = wysokie, 75-100% = krytyczne
+        // Profil domyślny (RiskProfiles) - edytowalne kopie w ustawieniach, zapis w localStorage
+        defaultProfile: {
+            id: 'default',
+            name: 'Domyślny',
+            
+            // Wagi czynników RedispatchRiskScorer [pkt, suma 100]
+            weights: {
+                reserveMargin: 35,          // Margines rezerwy (rezerwa - wymóg)
+                renewableDropRate: 25,      // Tempo spadku generacji OZE
+                baseloadSurge: 15,          // Nagły wzrost generacji JW RB
+                demandSpike: 10,            // Skok zapotrzebowania
+                criticalHours: 10,          // Godziny krytyczne
+                systemImbalance: 5          // Bilans systemu (import/export)
+            },
+            
+            // Górne granice pasm wyniku 0-100 (RiskCalculator: ta sama skala / 100)
+            bands: {
+                low: 25,        // 0-25 = niskie
+                medium: 50,     // 25-50 = średnie
+                high: 75        // 50-75 = wysokie, 75-100 = krytyczne
+            },
+            
+            // Margines rezerwy [MW] poniżej progu -> wynik czynnika (pierwszy pasujący, rosnąco)
+            reserveMarginBreakpoints: [
+                { below: 0, score: 100 },
+                { below: 300, score: 85 },
+                { below: 500, score: 65 },
+                { below: 1000, score: 40 },
+                { below: 1500, score: 20 }
+            ],
+            
+            // Okna godzin krytycznych w dni robocze (od-do włącznie) - wynik = najwyższy z pasujących okien
+            criticalHours: [
+                { from: 17, to: 20, score: 100 },   // szczyt wieczorny
+                { from: 7, to: 9, score: 60 },      // szczyt poranny
+                { from: 6, to: 10, score: 30 },
+                { from: 16, to: 21, score: 30 }
+            ],
+            
+            // Dodatek za planowane ograniczenia D+1 w godzinie [pkt] - najwyższy osiągnięty próg liczby ograniczeń
+            plannedConstraintsBonus: [
+                { atLeast: 1, bonus: 5 },
+                { atLeast: 10, bonus: 10 },
+                { atLeast: 20, bonus: 15 }
+            ],
+            
+            // Wagi RiskCalculator (suma 1)
+            calculatorWeights: {
+                historicalRedispatch: 0.4,  // 40% - historia redysponowania
+                currentLimitations: 0.3,    // 30% - obecne ograniczenia
+                pvGenerationLevel: 0.2,     // 20% - poziom generacji PV
+                systemLoad: 0.1             // 10% - obciążenie systemu
+            }
         }
     }
 };
@@ -118,6 +200,20 @@ const UI_CONFIG = {
         redispatchMedium: '#f59e0b', // Żółty
         redispatchHigh: '#ef4444',   // Czerwony
         
+        // Składowe redysponowania OZE (poze-redoze)
+        redispatchPvBalance: '#fbbf24',
+        redispatchPvNetwork: '#ea580c',
+        redispatchWindBalance: '#60a5fa',
+        redispatchWindNetwork: '#1e40af',
+        
+        // Wymiana transgraniczna - granice KSE
+        borderDE: '#1f2937',
+        borderCZ: '#3b82f6',
+        borderSK: '#8b5cf6',
+        borderLT: '#f59e0b',
+        borderSE: '#06b6d4',
+        borderUA: '#facc15',
+        
         // System colors
         success: '#10b981',
         warning: '#f59e0b',
@@ -160,26 +256,168 @@ const DATA_CONFIG = {
             dailyData: 3600000,     // 1 godzina
             historicalData: 86400000 // 24 godziny
         },
-        maxSize: 100 // maksymalna liczba wpisów w cache
+        maxSize: 100, // maksymalna liczba wpisów w cache
+        
+        // Domyślna klasa TTL per endpoint (zapytania wyłącznie o przeszłe dni -> historicalData)
+        endpointClasses: {
+            'pdgobpkd': 'liveData',
+            'kse-load': 'liveData',
+            'ogr-oper': 'hourlyData',
+            'pk5l-wp': 'hourlyData',
+            'price-fcst': 'dailyData',
+            'ogr-d1': 'dailyData',
+            'poze-redoze': 'dailyData',
+            'przeplywy-mocy': 'liveData',
+            'gen-jw': 'liveData',
+            'his-gen-pal': 'historicalData',
+            'his-bil-mocy': 'historicalData'
+        }
+    },
+    
+    // Rozdzielczość danych: natywny MTU rynku (15 min), godziny jako agregacja
+    mtu: {
+        nativeMinutes: 15,
+        displayMinutes: 15    // domyślna rozdzielczość wykresów, tabel i eksportu (15 lub 60)
+    },
+    
+    // Trwały magazyn szeregów czasowych (IndexedDB)
+    store: {
+        enabled: true,
+        finalizeAfterDays: 2  // dni starsze niż N dni są zamknięte i nie są pobierane ponownie
+    },
+    
+    // Sekcja Historia (his-gen-pal, his-bil-mocy)
+    history: {
+        defaultRangeDays: 7,
+        maxRangeDays: 366     // dłuższe zakresy dzielić na kilka eksportów
+    },
+    
+    // Trafność prognoz PSE (prognoza vs wykonanie)
+    forecastAccuracy: {
+        defaultRangeDays: 14,
+        mapeMinActual: 100,   // MW - godziny z mniejszym wykonaniem pomijane w MAPE (noc dla PV)
+        histogramBins: 21,
+        maxHistoryDays: 400   // dni metryk dobowych trzymanych w magazynie
+    },
+    
+    // Backtest RedispatchRiskScorer na faktycznym redysponowaniu OZE (tools/backtest.js)
+    riskBacktest: {
+        eventThresholdMW: 10,              // średnia redukcja OZE w godzinie powyżej progu = zdarzenie
+        alarmLevels: ['high', 'critical'], // pasma scorera liczone jako alarm (trafienie / fałszywy alarm)
+        calibrationBins: 10,
+        validationShare: 0.2               // ostatnie doby zakresu jako walidacja modelu prawdopodobieństwa
+    },
+    
+    // Skalibrowane prawdopodobieństwo redukcji OZE (regresja logistyczna, npm run backtest -- --fit)
+    curtailmentModel: {
+        url: 'assets/data/curtailment-model.json',
+        l2: 1,                    // kara L2 współczynników (stabilizuje rzadkie cechy)
+        maxIterations: 50,
+        confidenceLevel: 0.9,     // 0.8 / 0.9 / 0.95 / 0.99
+        minEventsPerHour: 5,      // min. zdarzeń dla średniej redukcji w danej godzinie doby
+        minSampleCount: 720,      // model z mniejszej próby (godzin) traktowany jako niekalibrowany (~30 dób)
+        minEventCount: 50         // ... albo z mniejszej liczby zdarzeń redukcji
+    },
+    
+    // Domyślne modele ryzyka (RiskModels) - wybór użytkownika zapisywany w localStorage
+    riskModels: {
+        heatmap: 'redispatch',    // 'redispatch' | 'calculator'
+        compare: null,            // drugi model w panelu ryzyka (null = bez porównania)
+        reserves: 'redispatch'    // analiza ryzyka niedoboru rezerwy
+    },
+    
+    // Porównanie lat redysponowania OZE (poze-redoze)
+    redispatchComparison: {
+        firstYear: 2024,      // najstarszy rok dostępny w wyborze
+        defaultYearCount: 2   // domyślnie rok bieżący i poprzedni
+    },
+    
+    // Wymiana transgraniczna (przeplywy-mocy) - granice KSE w kolejności wykresu
+    crossBorder: {
+        borders: ['DE', 'CZ', 'SK', 'LT', 'SE', 'UA']
+    },
+    
+    // Przeglądarka jednostek wytwórczych (gen-jw)
+    unitExplorer: {
+        maxListRows: 200,     // wiersze listy poza obserwowanymi (po sortowaniu wg energii)
+        maxChartUnits: 8      // jednostki na wykresie: wybrana + obserwowane
     },
     
     // Data validation rules
     validation: {
-        // Sprawdzanie poprawności danych z PSE API
+        // Sprawdzanie poprawności danych z PSE API (każda odpowiedź, przed cache)
+        enabled: true,
+        outlierPolicy: 'flag',      // 'flag' - zostaw wiersz z oznaczeniem _flags, 'drop' - odrzuć wiersz
+        schemaErrorThreshold: 0.5,  // udział wierszy bez pola, od którego uznajemy zmianę schematu PSE
+        
+        // Zakresy wartości (MW)
         generation: {
             minValue: 0,
-            maxValue: 50000,        // MW - maksymalna generacja PV w KSE
-            requiredFields: ['business_date', 'hour', 'power', 'resource_name']
+            maxValue: 50000         // MW - maksymalna generacja PV w KSE
         },
         
         systemLoad: {
             minValue: 10000,        // MW - minimalne obciążenie KSE
-            maxValue: 30000,        // MW - maksymalne obciążenie KSE
-            requiredFields: ['business_date', 'hour', 'load']
+            maxValue: 30000         // MW - maksymalne obciążenie KSE
+        },
+        
+        reserve: {
+            minValue: 0,
+            maxValue: 15000         // MW - wymagana rezerwa mocy
+        },
+        
+        redispatch: {},             // tylko kontrola typu (wartości ze znakiem)
+        
+        exchange: {
+            minValue: -5000,        // MW - przepływ na jednej granicy (znak = kierunek)
+            maxValue: 5000
         },
         
-        redispatch: {
-            requiredFields: ['business_date', 'from_dtime', 'to_dtime', 'resource_name', 'direction']
+        // Schematy endpointów: brak pola wymaganego = wiersz odrzucony,
+        // fields = pole wartości -> reguła zakresu powyżej
+        endpoints: {
+            'pdgobpkd': {
+                requiredFields: ['business_date', 'dtime'],
+                fields: { gen_fv: 'generation', gen_wi: 'generation', kse_pow_dem: 'systemLoad' }
+            },
+            'kse-load': {
+                requiredFields: ['business_date', 'dtime'],
+                fields: { load_fcst: 'systemLoad', load_actual: 'systemLoad' }
+            },
+            'pk5l-wp': {
+                requiredFields: ['business_date', 'plan_dtime'],
+                fields: {
+                    fcst_pv_tot_gen: 'generation',
+                    fcst_wi_tot_gen: 'generation',
+                    grid_demand_fcst: 'systemLoad',
+                    req_pow_res: 'reserve'
+                }
+            },
+            'poze-redoze': {
+                requiredFields: ['business_date'],
+                fields: {
+                    pv_red_balance: 'redispatch',
+                    pv_red_network: 'redispatch',
+                    wi_red_balance: 'redispatch',
+                    wi_red_network: 'redispatch'
+                }
+            },
+            'ogr-oper': {
+                requiredFields: ['business_date', 'from_dtime', 'to_dtime', 'resource_name', 'direction'],
+                fields: { pol_min_power_of_unit: 'generation', pol_max_power_of_unit: 'generation' }
+            },
+            'ogr-d1': {
+                requiredFields: ['business_date', 'from_dtime', 'to_dtime', 'resource_name', 'direction'],
+                fields: { pol_min_power_of_unit: 'generation', pol_max_power_of_unit: 'generation' }
+            },
+            'przeplywy-mocy': {
+                requiredFields: ['business_date', 'dtime', 'section_code'],
+                fields: { value: 'exchange' }
+            },
+            'gen-jw': {
+                requiredFields: ['business_date', 'dtime', 'resource_code'],
+                fields: { wartosc: 'generation' }
+            }
         }
     },
     
@@ -196,6 +434,14 @@ const DATA_CONFIG = {
         'SŁONECZN'
         ],
         
+        // Pozostałe typy jednostek (DataProcessor.classifyUnit); PV wg pvResourceFilters,
+        // jednostka bez dopasowania = konwencjonalna/inna
+        unitTypeFilters: {
+            wind: ['WIATR', 'WIND', 'FW '],
+            hydro: ['WODN', 'HYDRO'],
+            storage: ['MAGAZYN', 'BESS', 'STORAGE', 'ESP ']  // ESP = elektrownia szczytowo-pompowa
+        },
+        
         // Timezone settings
         timezone: 'Europe/Warsaw',
         
@@ -323,6 +569,15 @@ window.EnspirionConfig = {
     getColor: (name) => UI_CONFIG.colors[name] || '#666666',
     isFeatureEnabled: (feature) => FEATURE_FLAGS[feature] === true,
     
+    // Źródło API PSE ('live' / 'local') - zapamiętane w localStorage, działa po przeładowaniu
+    setPSESource: (source) => {
+        if (!PSE_BASE_URLS[source]) {
+            throw new Error(`Unknown PSE source: ${source}`);
+        }
+        localStorage.setItem('enspirion-pse-source', source);
+        console.log(`🔌 PSE source set to ${source} (${PSE_BASE_URLS[source]}) - reload to apply`);
+    },
+    
     // Environment helpers
     isDevelopment: () => SYSTEM_CONFIG.app.environment === 'development',
     isProduction: () => SYSTEM_CONFIG.app.environment === 'production',
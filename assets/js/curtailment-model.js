@@ -0,0 +1,311 @@
+/**
+ * Enspirion Dashboard - Curtailment Model
+ * Skalibrowane prawdopodobieństwo redukcji OZE w godzinie: regresja logistyczna na składnikach
+ * RedispatchRiskScorer i udziale OZE w zapotrzebowaniu, dopasowana na backteście (tools/backtest.js --fit).
+ * Przedział ufności z macierzy kowariancji współczynników, oczekiwany wolumen = P × średnia redukcja w zdarzeniu
+ */
+
+// Cechy modelu - kolejność = kolejność współczynników w pliku modelu
+const CURTAILMENT_FEATURES = [
+    'intercept',
+    'reserveMargin',        // składnik scorera / 100 (0 gdy brak danych o rezerwach)
+    'reserveMissing',       // 1 = brak danych o rezerwach
+    'renewableDropRate',
+    'baseloadSurge',
+    'demandSpike',
+    'criticalHours',
+    'systemImbalance',
+    'plannedConstraints',   // liczba ograniczeń D+1 / 20 (obcięta do 1)
+    'renewableShare'        // (PV + wiatr) / zapotrzebowanie (obcięte do 1.5)
+];
+
+// Etykiety cech do opisu modelu w panelu
+const CURTAILMENT_FEATURE_LABELS = {
+    intercept: 'Wyraz wolny',
+    reserveMargin: 'Margines rezerw',
+    reserveMissing: 'Brak danych o rezerwach',
+    renewableDropRate: 'Spadek generacji OZE',
+    baseloadSurge: 'Wzrost generacji JW RB',
+    demandSpike: 'Skok zapotrzebowania',
+    criticalHours: 'Godziny krytyczne',
+    systemImbalance: 'Saldo wymiany',
+    plannedConstraints: 'Ograniczenia D+1',
+    renewableShare: 'Udział OZE w zapotrzebowaniu'
+};
+
+// Kwantyle rozkładu normalnego dla obsługiwanych poziomów ufności
+const CONFIDENCE_Z = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+class CurtailmentModel {
+    constructor() {
+        const modelConfig = window.EnspirionConfig?.DATA?.curtailmentModel || {};
+
+        this.url = modelConfig.url || 'assets/data/curtailment-model.json';
+        this.l2 = modelConfig.l2 ?? 1;
+        this.maxIterations = modelConfig.maxIterations || 50;
+        this.confidenceLevel = CONFIDENCE_Z[modelConfig.confidenceLevel] ? modelConfig.confidenceLevel : 0.9;
+        this.minEventsPerHour = modelConfig.minEventsPerHour || 5;
+        this.minSampleCount = modelConfig.minSampleCount ?? 720;
+        this.minEventCount = modelConfig.minEventCount ?? 50;
+
+        this.model = null;
+        // Dlaczego model nie jest używany (opis do tooltipa); null = brak pliku albo model w użyciu
+        this.uncalibratedReason = null;
+
+        console.log('🎯 Curtailment Model initialized');
+    }
+
+    /**
+     * Wczytaj dopasowany model (JSON z tools/backtest.js --fit); brak pliku albo model z za małej próby
+     * (minSampleCount / minEventCount) = model niekalibrowany
+     */
+    async load() {
+        this.uncalibratedReason = null;
+
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const model = await response.json();
+            this.setModel(model);
+
+            const issue = this.getSampleIssue(model);
+            if (issue) {
+                this.model = null;
+                this.uncalibratedReason = issue;
+                console.warn(`⚠️ Curtailment model ignored - ${issue}`);
+                return this.model;
+            }
+
+            console.log(`🎯 Curtailment model loaded (${this.model.fromDate} .. ${this.model.toDate}, ${this.model.sampleCount} h)`);
+        } catch (error) {
+            this.model = null;
+            console.warn('⚠️ Curtailment model not available - probability not shown:', error.message);
+        }
+        return this.model;
+    }
+
+    /**
+     * Opis zbyt małej próby dopasowania (null = próba wystarczająca)
+     */
+    getSampleIssue(model) {
+        const sampleCount = model?.sampleCount ?? 0;
+        const eventCount = model?.eventCount ?? 0;
+
+        if (sampleCount >= this.minSampleCount && eventCount >= this.minEventCount) {
+            return null;
+        }
+        return `dopasowany na ${sampleCount} h i ${eventCount} zdarzeniach ` +
+            `(wymagane min. ${this.minSampleCount} h i ${this.minEventCount} zdarzeń)`;
+    }
+
+    /**
+     * Ustaw model; plik z innym zestawem cech (starsza wersja) jest odrzucany
+     */
+    setModel(model) {
+        const compatible = model &&
+            Array.isArray(model.coefficients) &&
+            JSON.stringify(model.features) === JSON.stringify(CURTAILMENT_FEATURES);
+
+        if (!compatible) {
+            throw new Error('Incompatible curtailment model file - refit with: npm run backtest -- --fit');
+        }
+        this.model = model;
+    }
+
+    isCalibrated() {
+        return this.model !== null;
+    }
+
+    /**
+     * Wektor cech dla składników scorera (components z calculateRiskScore) i jego wejścia
+     */
+    featuresOf(components, data) {
+        const component = key => (components[key] ?? 0) / 100;
+        const renewable = (data.pvGeneration || 0) + (data.windGeneration || 0);
+        const share = data.systemLoad > 0 ? renewable / data.systemLoad : 0;
+
+        return [
+            1,
+            component('reserveMargin'),
+            components.reserveMargin === null || components.reserveMargin === undefined ? 1 : 0,
+            component('renewableDropRate'),
+            component('baseloadSurge'),
+            component('demandSpike'),
+            component('criticalHours'),
+            component('systemImbalance'),
+            Math.min(data.plannedConstraints || 0, 20) / 20,
+            Math.min(Math.max(share, 0), 1.5)
+        ];
+    }
+
+    /**
+     * Prawdopodobieństwo redukcji z przedziałem ufności i oczekiwany wolumen [MWh] dla godziny
+     * null gdy model nie jest wczytany
+     */
+    predict(components, data, model = this.model) {
+        if (!model) return null;
+
+        const x = this.featuresOf(components, data);
+        const eta = this.dot(model.coefficients, x);
+        const variance = model.covariance
+            ? x.reduce((sum, xi, i) => sum + xi * this.dot(model.covariance[i], x), 0)
+            : 0;
+        const margin = CONFIDENCE_Z[this.confidenceLevel] * Math.sqrt(Math.max(variance, 0));
+
+        const probability = this.sigmoid(eta);
+        const lower = this.sigmoid(eta - margin);
+        const upper = this.sigmoid(eta + margin);
+        const eventMWh = model.meanEventMWhByHour?.[data.hour] ?? model.meanEventMWh ?? 0;
+
+        // Cechy bez danych w dopasowaniu; active = niezerowa w tej godzinie (poszerza przedział)
+        const priorOnly = CURTAILMENT_FEATURES
+            .map((feature, i) => ({ feature, label: CURTAILMENT_FEATURE_LABELS[feature], active: x[i] !== 0 }))
+            .filter((_, i) => model.priorOnly?.[i]);
+
+        return {
+            probability,
+            lower,
+            upper,
+            confidenceLevel: this.confidenceLevel,
+            expectedMWh: probability * eventMWh,
+            expectedMWhRange: [lower * eventMWh, upper * eventMWh],
+            eventThresholdMW: model.eventThresholdMW,
+            fittedAt: model.fittedAt,
+            priorOnly
+        };
+    }
+
+    // ========================================
+    // DOPASOWANIE
+    // ========================================
+
+    /**
+     * Regresja logistyczna z karą L2 (bez wyrazu wolnego), metoda Newtona (IRLS)
+     * samples: { features, event, curtailedMW, hour, date } z RiskBacktest.run
+     */
+    fit(samples, { eventThresholdMW = null } = {}) {
+        const events = samples.filter(sample => sample.event);
+        if (events.length === 0 || events.length === samples.length) {
+            throw new Error('Model fit needs hours both with and without curtailment');
+        }
+
+        const size = CURTAILMENT_FEATURES.length;
+        const baseRate = events.length / samples.length;
+        let beta = new Array(size).fill(0);
+        beta[0] = Math.log(baseRate / (1 - baseRate));
+
+        let hessian = null;
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < this.maxIterations && !converged) {
+            iterations++;
+            const gradient = beta.map((b, i) => i === 0 ? 0 : -this.l2 * b);
+            hessian = Array.from({ length: size }, (_, i) =>
+                Array.from({ length: size }, (_, j) => i === j && i > 0 ? this.l2 : 0));
+
+            samples.forEach(({ features, event }) => {
+                const p = this.sigmoid(this.dot(beta, features));
+                const weight = p * (1 - p);
+                const residual = (event ? 1 : 0) - p;
+
+                for (let i = 0; i < size; i++) {
+                    gradient[i] += residual * features[i];
+                    for (let j = 0; j <= i; j++) {
+                        hessian[i][j] += weight * features[i] * features[j];
+                    }
+                }
+            });
+            for (let i = 0; i < size; i++) {
+                for (let j = 0; j < i; j++) hessian[j][i] = hessian[i][j];
+            }
+
+            const step = this.solve(hessian, gradient);
+            beta = beta.map((b, i) => b + step[i]);
+            converged = step.every(value => Math.abs(value) < 1e-6);
+        }
+
+        // Średnia redukcja w godzinach zdarzeń - globalnie i per godzina doby (gdy dość zdarzeń)
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const meanEventMWhByHour = Array.from({ length: 24 }, (_, hour) => {
+            const inHour = events.filter(sample => sample.hour === hour).map(sample => sample.curtailedMW);
+            return inHour.length >= this.minEventsPerHour ? mean(inHour) : null;
+        });
+        const dates = samples.map(sample => sample.date).sort();
+
+        // Cecha stała we wszystkich próbkach nie niesie informacji - współczynnik to sam prior (kara L2):
+        // wartość 0 i błąd standardowy ~1/sqrt(l2)
+        const priorOnly = CURTAILMENT_FEATURES.map((_, i) =>
+            i > 0 && samples.every(sample => sample.features[i] === samples[0].features[i]));
+
+        return {
+            features: [...CURTAILMENT_FEATURES],
+            coefficients: beta,
+            covariance: this.invert(hessian),
+            priorOnly,
+            l2: this.l2,
+            iterations,
+            converged,
+            eventThresholdMW,
+            meanEventMWh: mean(events.map(sample => sample.curtailedMW)),
+            meanEventMWhByHour,
+            sampleCount: samples.length,
+            eventCount: events.length,
+            fromDate: dates[0],
+            toDate: dates[dates.length - 1],
+            fittedAt: new Date().toISOString()
+        };
+    }
+
+    // ========================================
+    // POMOCNICZE
+    // ========================================
+
+    sigmoid(value) {
+        return 1 / (1 + Math.exp(-value));
+    }
+
+    dot(a, b) {
+        return a.reduce((sum, value, i) => sum + value * b[i], 0);
+    }
+
+    /**
+     * Eliminacja Gaussa z wyborem elementu głównego - układ A·x = b
+     */
+    solve(matrix, vector) {
+        const size = vector.length;
+        const rows = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][col]) < 1e-12) {
+                throw new Error('Singular matrix in curtailment model fit');
+            }
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+            for (let row = 0; row < size; row++) {
+                if (row === col) continue;
+                const factor = rows[row][col] / rows[col][col];
+                for (let k = col; k <= size; k++) rows[row][k] -= factor * rows[col][k];
+            }
+        }
+
+        return rows.map((row, i) => row[size] / row[i]);
+    }
+
+    invert(matrix) {
+        const columns = matrix.map((_, i) => this.solve(matrix, matrix.map((__, j) => i === j ? 1 : 0)));
+        return matrix.map((_, i) => columns.map(column => column[i]));
+    }
+}
+
+// Create global instance
+window.CurtailmentModel = new CurtailmentModel();
+
+console.log('✅ Curtailment Model loaded successfully');
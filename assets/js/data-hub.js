@@ -0,0 +1,239 @@
+/**
+ * Enspirion Dashboard - Data Hub
+ * Centralne źródło zbiorów danych dla widoków: jeden loader na zbiór,
+ * subskrypcje zamiast osobnych fetchy i jeden wspólny harmonogram odświeżania
+ */
+
+class DataHub {
+    constructor() {
+        // name -> { loader, params, maxAge, value, updatedAt, pending, subscribers, timer, when }
+        this.datasets = new Map();
+
+        console.log('🛰️ Data Hub initialized');
+    }
+
+    /**
+     * Zarejestruj zbiór danych; loader(params) zwraca Promise,
+     * maxAge = jak długo wartość jest świeża dla get()
+     */
+    register(name, loader, { maxAge = 60000, params = {} } = {}) {
+        const existing = this.datasets.get(name);
+
+        this.datasets.set(name, {
+            loader,
+            params: existing?.params || params,
+            maxAge,
+            value: existing?.value ?? null,
+            updatedAt: existing?.updatedAt ?? null,
+            pending: null,
+            subscribers: existing?.subscribers || new Set(),
+            timer: existing?.timer || null,
+            when: existing?.when || null
+        });
+    }
+
+    getEntry(name) {
+        const entry = this.datasets.get(name);
+        if (!entry) {
+            throw new Error(`Unknown dataset: ${name}`);
+        }
+        return entry;
+    }
+
+    /**
+     * Subskrybuj zbiór - callback dostaje bieżącą wartość (jeśli jest) i każdą kolejną
+     * Zwraca funkcję wypisującą
+     */
+    subscribe(name, callback) {
+        const entry = this.getEntry(name);
+        entry.subscribers.add(callback);
+
+        if (entry.value !== null) {
+            Promise.resolve()
+                .then(() => callback(entry.value))
+                .catch(error => console.error(`❌ Subscriber of ${name} failed:`, error));
+        }
+
+        return () => entry.subscribers.delete(callback);
+    }
+
+    /**
+     * Zmień parametry zbioru (np. okres) - bieżąca wartość przestaje być świeża
+     */
+    setParams(name, params) {
+        const entry = this.getEntry(name);
+        entry.params = { ...entry.params, ...params };
+        entry.updatedAt = null;
+    }
+
+    /**
+     * Ostatnia wartość bez pobierania
+     */
+    peek(name) {
+        return this.datasets.get(name)?.value ?? null;
+    }
+
+    /**
+     * Wartość zbioru: świeża z pamięci, wspólny Promise trwającego ładowania albo nowe ładowanie
+     * Trwające ładowanie współdzielone tylko dla tych samych parametrów - po setParams startuje nowe
+     */
+    async get(name, { force = false } = {}) {
+        const entry = this.getEntry(name);
+        const paramsKey = JSON.stringify(entry.params);
+
+        if (entry.pending && entry.pending.paramsKey === paramsKey) {
+            return entry.pending.promise;
+        }
+
+        const fresh = entry.updatedAt && (Date.now() - entry.updatedAt) < entry.maxAge;
+        if (!force && entry.value !== null && fresh) {
+            return entry.value;
+        }
+
+        const pending = { paramsKey };
+        pending.promise = this.load(name, entry, entry.params, paramsKey).finally(() => {
+            if (entry.pending === pending) {
+                entry.pending = null;
+            }
+        });
+        entry.pending = pending;
+        return pending.promise;
+    }
+
+    /**
+     * Wymuś ponowne pobranie i powiadom subskrybentów
+     */
+    refresh(name) {
+        return this.get(name, { force: true });
+    }
+
+    /**
+     * Ładowanie dla params; gdy w trakcie zmieniono parametry, wynik (albo błąd) jest nieaktualny -
+     * nie trafia do pamięci ani subskrybentów, wołający dostaje wartość dla bieżących parametrów
+     */
+    async load(name, entry, params, paramsKey) {
+        const isStale = () => JSON.stringify(entry.params) !== paramsKey;
+
+        let value;
+        try {
+            value = await entry.loader(params);
+        } catch (error) {
+            if (isStale()) return this.get(name);
+            throw error;
+        }
+
+        if (isStale()) {
+            console.log(`⏭️ Dropping stale ${name} result (params changed while loading)`);
+            return this.get(name);
+        }
+
+        entry.value = value;
+        entry.updatedAt = Date.now();
+
+        await this.notify(name, entry);
+        return value;
+    }
+
+    /**
+     * Powiadom subskrybentów - błąd jednego widoku nie blokuje pozostałych
+     */
+    async notify(name, entry) {
+        const results = await Promise.allSettled(
+            Array.from(entry.subscribers).map(callback => callback(entry.value))
+        );
+
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.error(`❌ Subscriber of ${name} failed:`, result.reason));
+    }
+
+    /**
+     * Cykliczne odświeżanie zbioru; when() pozwala pominąć cykl (np. ukryta zakładka)
+     */
+    startPolling(name, interval, { when = null } = {}) {
+        const entry = this.getEntry(name);
+        this.stopPolling(name);
+
+        entry.when = when;
+        entry.timer = setInterval(() => {
+            if (entry.when && !entry.when()) return;
+
+            this.refresh(name).catch(error => {
+                console.error(`❌ Polling ${name} failed:`, error);
+            });
+        }, interval);
+
+        console.log(`⏰ Polling ${name} every ${interval}ms`);
+    }
+
+    stopPolling(name) {
+        const entry = this.datasets.get(name);
+        if (entry?.timer) {
+            clearInterval(entry.timer);
+            entry.timer = null;
+        }
+    }
+
+    stopAll() {
+        this.datasets.forEach((entry, name) => this.stopPolling(name));
+    }
+
+    /**
+     * Stan zbiorów (debug)
+     */
+    getStatus() {
+        const status = {};
+        this.datasets.forEach((entry, name) => {
+            status[name] = {
+                hasValue: entry.value !== null,
+                updatedAt: entry.updatedAt,
+                loading: Boolean(entry.pending),
+                polling: Boolean(entry.timer),
+                subscribers: entry.subscribers.size
+            };
+        });
+        return status;
+    }
+}
+
+// Create global instance
+window.DataHub = new DataHub();
+
+// Zbiory danych dashboardu - loadery korzystają z PSEApiService (cache + łączenie zapytań)
+window.DataHub.register('dashboard', ({ date }) => window.PSEApiService.getAllDashboardData({ date }), {
+    maxAge: 30000,
+    params: { date: null }
+});
+// date = wybrana doba (null = dziś na żywo); plan pk5l-wp i ograniczenia D+1 liczone od niej
+window.DataHub.register('reserves', ({ date }) => window.PSEApiService.getReservesData(date), {
+    maxAge: 5 * 60 * 1000,
+    params: { date: null }
+});
+window.DataHub.register('forecast', ({ date }) => window.PSEApiService.getForecastData(3, date), {
+    maxAge: 5 * 60 * 1000,
+    params: { date: null }
+});
+window.DataHub.register('constraintsD1', ({ date }) => window.PSEApiService.getDayAheadConstraints(
+    date ? window.BusinessTime.addDays(date, 1) : null
+), {
+    maxAge: 15 * 60 * 1000,
+    params: { date: null }
+});
+window.DataHub.register('crossBorderFlows', ({ date }) => window.PSEApiService.getCrossBorderFlows(date), {
+    maxAge: 5 * 60 * 1000,
+    params: { date: null }
+});
+window.DataHub.register('unitGeneration', ({ date }) => window.PSEApiService.getUnitGeneration(date), {
+    maxAge: 5 * 60 * 1000,
+    params: { date: null }
+});
+window.DataHub.register('rcePrices', ({ date }) => window.PSEApiService.getPriceRevenueData(date), {
+    maxAge: 5 * 60 * 1000,
+    params: { date: null }
+});
+window.DataHub.register('kseDemand', ({ period, date }) => window.PSEApiService.getKSEDemandData(period, date), {
+    maxAge: 30000,
+    params: { period: 'today', date: null }
+});
+
+console.log('✅ Data Hub loaded successfully');
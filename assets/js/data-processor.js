@@ -157,13 +157,115 @@ class DataProcessor {
         return aggregated;
     }
 
+    /**
+     * Długość okresu szeregu [min]: intervalMinutes tablicy albo punktów, domyślnie godzina
+     */
+    getIntervalMinutes(series) {
+        return series?.intervalMinutes || series?.[0]?.intervalMinutes || 60;
+    }
+
+    getIntervalHours(series) {
+        return this.getIntervalMinutes(series) / 60;
+    }
+
+    /**
+     * Szereg w rozdzielczości minutes (agregacja, np. kwadranse -> godziny).
+     * Pola liczbowe to moce [MW] - uśredniane z pominięciem braków (null), więc
+     * średnia godzinowa = energia godziny [MWh]. Drobniejszej rozdzielczości nie da się odtworzyć.
+     */
+    toResolution(series, minutes) {
+        if (!Array.isArray(series) || series.length === 0) return series || [];
+
+        const sourceMinutes = this.getIntervalMinutes(series);
+        if (!minutes || minutes <= sourceMinutes) return series;
+
+        const intervalMs = minutes * 60 * 1000;
+        const buckets = new Map();
+
+        series.forEach(point => {
+            const time = point.time ?? new Date(point.timestamp).getTime();
+            const key = Math.floor(time / intervalMs);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(point);
+        });
+
+        const skip = new Set(['time', 'hour', 'quarter', 'intervalMinutes']);
+        const result = Array.from(buckets.entries()).map(([key, points]) => {
+            const time = key * intervalMs;
+            const aggregated = { ...points[0], time, timestamp: new Date(time), intervalMinutes: minutes };
+
+            Object.keys(points[0])
+                .filter(field => !skip.has(field) && points.some(point => typeof point[field] === 'number'))
+                .forEach(field => {
+                    const values = points.map(point => point[field]).filter(value => typeof value === 'number');
+                    aggregated[field] = values.length > 0 ? this.calculateAverage(values) : null;
+                });
+
+            return aggregated;
+        });
+
+        result.intervalMinutes = minutes;
+        return result;
+    }
+
+    /**
+     * Punkty godzinowe (agregacja szeregu) wg godziny doby
+     */
+    indexByHour(series) {
+        return new Map(this.toResolution(series || [], 60).map(point => [point.hour, point]));
+    }
+
+    /**
+     * Cena dla okresu szeregu: lookup(punkt) -> cena | undefined
+     * Ceny z time (processPriceData) dopasowane po okresie - kwadransowe uśrednione do rozdzielczości szeregu,
+     * godzinowe obowiązują w każdym kwadransie godziny; ceny bez time (dane godzinowe) po godzinie
+     */
+    createPriceLookup(prices, series) {
+        const timed = (prices || []).filter(price => Number.isFinite(price.time));
+        if (timed.length === 0) {
+            const byHour = new Map((prices || []).map(price => [price.hour, price.price]));
+            return point => byHour.get(point.hour);
+        }
+
+        const minutes = Math.max(this.getIntervalMinutes(series), this.getIntervalMinutes(timed));
+        const intervalMs = minutes * 60 * 1000;
+        const byInterval = new Map(this.toResolution(timed, minutes)
+            .map(price => [Math.floor(price.time / intervalMs), price.price]));
+
+        return point => byInterval.get(Math.floor((point.time ?? new Date(point.timestamp).getTime()) / intervalMs));
+    }
+
     /**
      * Helper methods
      */
     isPVUnit(unit) {
-        const name = (unit.nazwa || unit.nazwa_zasobu || unit.resource_name || '').toUpperCase();
-        const pvKeywords = ['PV', 'SOLAR', 'FOTOWOLT', 'SŁONECZN', 'PHOTOVOLT'];
-        return pvKeywords.some(keyword => name.includes(keyword));
+        const filters = window.EnspirionConfig?.DATA?.transformation?.pvResourceFilters || ['PV', 'SOLAR', 'FOTOWOLT', 'SŁONECZN'];
+        const name = this.getUnitSearchText(unit);
+        return [...filters, 'PHOTOVOLT'].some(keyword => name.includes(keyword));
+    }
+
+    /**
+     * Typ jednostki wg nazwy: 'pv' (pvResourceFilters), typy z unitTypeFilters albo 'other'
+     */
+    classifyUnit(unit) {
+        if (this.isPVUnit(unit)) return 'pv';
+
+        const name = this.getUnitSearchText(unit);
+        const typeFilters = window.EnspirionConfig?.DATA?.transformation?.unitTypeFilters || {};
+        const match = Object.entries(typeFilters)
+            .find(([, keywords]) => keywords.some(keyword => name.includes(keyword)));
+
+        return match ? match[0] : 'other';
+    }
+
+    /**
+     * Nazwy i kod jednostki w jednym tekście (klasyfikacja, wyszukiwanie)
+     */
+    getUnitSearchText(unit) {
+        return [unit.nazwa, unit.nazwa_zasobu, unit.resource_name, unit.power_plant, unit.resource_code]
+            .filter(Boolean)
+            .join(' ')
+            .toUpperCase();
     }
 
     groupByHour(units) {
@@ -176,9 +278,9 @@ class DataProcessor {
     }
 
     createTimestamp(date, hour) {
-        const dateStr = date || new Date().toISOString().split('T')[0];
+        const dateStr = date || window.BusinessTime.today();
         const hourStr = String(hour || 0).padStart(2, '0');
-        return new Date(`${dateStr}T${hourStr}:00:00`);
+        return window.BusinessTime.parseLocal(`${dateStr} ${hourStr}:00:00`);
     }
 
     calculateDuration(constraint) {
@@ -0,0 +1,427 @@
+/**
+ * Enspirion Dashboard - Forecast Accuracy
+ * Trafność prognoz PSE (PV, wiatr, zapotrzebowanie): MAE, MAPE i bias
+ * per godzina doby i per doba, historia metryk dobowych i rozkład błędów
+ */
+
+// Zmienne oceniane - klucze jak w PSEApiService.getForecastAccuracyData
+const FORECAST_ACCURACY_VARIABLES = {
+    pv: { label: 'Generacja PV', source: 'pk5l-wp fcst_pv_tot_gen / pdgobpkd gen_fv' },
+    wind: { label: 'Generacja wiatrowa', source: 'pk5l-wp fcst_wi_tot_gen / pdgobpkd gen_wi' },
+    demand: { label: 'Zapotrzebowanie KSE', source: 'kse-load load_fcst / load_actual' },
+    demandPlan: { label: 'Zapotrzebowanie (plan 5L)', source: 'pk5l-wp grid_demand_fcst / kse-load load_actual' }
+};
+
+class ForecastAccuracy {
+    constructor() {
+        const accuracyConfig = window.EnspirionConfig?.DATA?.forecastAccuracy || {};
+
+        this.defaultRangeDays = accuracyConfig.defaultRangeDays || 14;
+        this.mapeMinActual = accuracyConfig.mapeMinActual ?? 100;
+        this.histogramBins = accuracyConfig.histogramBins || 21;
+        this.maxHistoryDays = accuracyConfig.maxHistoryDays || 400;
+
+        this.state = {
+            variable: 'pv',
+            rangeDays: this.defaultRangeDays,
+            result: null,
+            history: {},        // businessDate -> { variable: metryki doby }
+            loading: false
+        };
+
+        this.charts = new Map();
+        this.isInitialized = false;
+
+        console.log('🎯 Forecast Accuracy initialized');
+    }
+
+    /**
+     * Podepnij kontrolki panelu (raz)
+     */
+    init() {
+        if (this.isInitialized) return;
+
+        document.querySelectorAll('.chart-btn[data-accuracy-variable]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.chart-btn[data-accuracy-variable]').forEach(b => b.classList.remove('active'));
+                button.classList.add('active');
+                this.state.variable = button.dataset.accuracyVariable;
+                this.render();
+            });
+        });
+
+        document.querySelectorAll('.chart-btn[data-accuracy-days]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.chart-btn[data-accuracy-days]').forEach(b => b.classList.remove('active'));
+                button.classList.add('active');
+                this.state.rangeDays = parseInt(button.dataset.accuracyDays, 10);
+                this.load();
+            });
+        });
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Pobierz pary prognoza/wykonanie dla ostatnich N dób (z dziś), policz metryki i zapisz historię
+     */
+    async load() {
+        this.init();
+        // Trwa ładowanie - po nim load() sprawdzi, czy zakres się zmienił, i przeładuje
+        if (this.state.loading) return;
+
+        const rangeDays = this.state.rangeDays;
+        const toDate = window.BusinessTime.today();
+        const fromDate = window.BusinessTime.addDays(toDate, -(rangeDays - 1));
+
+        this.state.loading = true;
+        this.showStatus(`Ładowanie prognoz i wykonania ${fromDate} - ${toDate}...`, 'loading');
+
+        try {
+            const data = await window.PSEApiService.getForecastAccuracyData(fromDate, toDate);
+
+            const result = this.evaluate(data.points);
+            await this.saveHistory(result);
+
+            // Zakres zmieniony w trakcie - wynik starego zakresu nie trafia do widoku
+            if (this.state.rangeDays !== rangeDays) return;
+
+            this.state.result = result;
+
+            const missingDayAhead = data.missingDayAheadDates || [];
+            const skipped = missingDayAhead.length > 0
+                ? `; pominięte doby bez publikacji planu D-1 (pk5l-wp): ${missingDayAhead.length}`
+                : '';
+
+            if (data.provenance?.error) {
+                this.showStatus('Nie udało się pobrać części danych - metryki niepełne', 'error');
+            } else if (data.truncated) {
+                this.showStatus('Dane niepełne (limit wierszy)', 'warning');
+            } else {
+                this.showStatus(`Zakres ${fromDate} - ${toDate}: ${data.points.length} godzin z parami prognoza/wykonanie${skipped}`,
+                    missingDayAhead.length > 0 ? 'warning' : 'ok');
+            }
+
+            this.render();
+
+        } catch (error) {
+            console.error('❌ Failed to load forecast accuracy:', error);
+            this.showStatus('Błąd oceny trafności prognoz', 'error');
+        } finally {
+            this.state.loading = false;
+            if (this.state.rangeDays !== rangeDays) {
+                this.load();
+            }
+        }
+    }
+
+    showStatus(message, type = 'ok') {
+        const status = document.getElementById('accuracy-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `history-status ${type}`;
+    }
+
+    // ========================================
+    // METRYKI
+    // ========================================
+
+    /**
+     * MAE i bias [MW] oraz MAPE [%] dla par { forecast, actual }
+     * bias > 0 = prognoza zawyżona; MAPE pomija wykonanie poniżej mapeMinActual
+     */
+    calculateMetrics(pairs) {
+        if (pairs.length === 0) {
+            return { count: 0, mae: null, mape: null, bias: null };
+        }
+
+        const errors = pairs.map(pair => pair.forecast - pair.actual);
+        const relevant = pairs.filter(pair => Math.abs(pair.actual) >= this.mapeMinActual);
+
+        return {
+            count: pairs.length,
+            mae: errors.reduce((sum, error) => sum + Math.abs(error), 0) / errors.length,
+            mape: relevant.length > 0
+                ? relevant.reduce((sum, pair) => sum + Math.abs(pair.forecast - pair.actual) / Math.abs(pair.actual), 0) / relevant.length * 100
+                : null,
+            bias: errors.reduce((sum, error) => sum + error, 0) / errors.length
+        };
+    }
+
+    /**
+     * Metryki per zmienna: całość, godzina doby (0-23), doba i lista błędów do rozkładu
+     */
+    evaluate(points) {
+        const result = {};
+
+        Object.keys(FORECAST_ACCURACY_VARIABLES).forEach(variable => {
+            const pairs = points.filter(point => point[variable]);
+            const byDate = new Map();
+            pairs.forEach(point => {
+                if (!byDate.has(point.businessDate)) byDate.set(point.businessDate, []);
+                byDate.get(point.businessDate).push(point[variable]);
+            });
+
+            result[variable] = {
+                overall: this.calculateMetrics(pairs.map(point => point[variable])),
+                byHour: Array.from({ length: 24 }, (_, hour) =>
+                    this.calculateMetrics(pairs.filter(point => point.hour === hour).map(point => point[variable]))),
+                byDay: Array.from(byDate, ([businessDate, dayPairs]) => ({
+                    businessDate,
+                    ...this.calculateMetrics(dayPairs)
+                })),
+                errors: pairs.map(point => point[variable].forecast - point[variable].actual)
+            };
+        });
+
+        return result;
+    }
+
+    /**
+     * Rozkład błędów: przedziały symetryczne wokół zera
+     */
+    histogram(errors, bins = this.histogramBins) {
+        if (errors.length === 0) return [];
+
+        const maxAbs = Math.max(...errors.map(Math.abs)) || 1;
+        const width = (2 * maxAbs) / bins;
+
+        const counts = new Array(bins).fill(0);
+        errors.forEach(error => {
+            counts[Math.min(bins - 1, Math.floor((error + maxAbs) / width))]++;
+        });
+
+        return counts.map((count, index) => ({
+            from: -maxAbs + index * width,
+            to: -maxAbs + (index + 1) * width,
+            count
+        }));
+    }
+
+    // ========================================
+    // HISTORIA
+    // ========================================
+
+    /**
+     * Metryki zamkniętych dób dopisywane do migawki w TimeSeriesStore (ostatnie maxHistoryDays)
+     */
+    async saveHistory(result) {
+        const store = window.TimeSeriesStore;
+        const today = window.BusinessTime.today();
+
+        const snapshot = store ? await store.loadSnapshot('forecastAccuracyHistory') : null;
+        const history = { ...(snapshot?.data?.days || this.state.history) };
+
+        Object.entries(result).forEach(([variable, metrics]) => {
+            metrics.byDay
+                .filter(day => day.businessDate < today)
+                .forEach(({ businessDate, ...dayMetrics }) => {
+                    history[businessDate] = { ...history[businessDate], [variable]: dayMetrics };
+                });
+        });
+
+        const dates = Object.keys(history).sort();
+        dates.slice(0, Math.max(0, dates.length - this.maxHistoryDays)).forEach(date => delete history[date]);
+
+        this.state.history = history;
+        await store?.saveSnapshot('forecastAccuracyHistory', { days: history });
+    }
+
+    // ========================================
+    // RENDER
+    // ========================================
+
+    render() {
+        const metrics = this.state.result?.[this.state.variable];
+        if (!metrics) return;
+
+        this.renderHourlyChart(metrics.byHour);
+        this.renderDistributionChart(this.histogram(metrics.errors));
+        this.renderSummary(metrics);
+        this.renderDailyTable();
+    }
+
+    destroyChart(name) {
+        if (this.charts.has(name)) {
+            this.charts.get(name).destroy();
+            this.charts.delete(name);
+        }
+    }
+
+    /**
+     * MAE i bias per godzina doby [MW], MAPE na osi prawej [%]
+     */
+    renderHourlyChart(byHour) {
+        const canvas = document.getElementById('accuracy-hourly-chart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        this.destroyChart('hourly');
+
+        this.charts.set('hourly', new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: byHour.map((_, hour) => `${String(hour).padStart(2, '0')}:00`),
+                datasets: [
+                    {
+                        label: 'MAE [MW]',
+                        data: byHour.map(metrics => metrics.mae),
+                        backgroundColor: 'rgba(0, 102, 204, 0.5)',
+                        yAxisID: 'y',
+                        order: 2
+                    },
+                    {
+                        type: 'line',
+                        label: 'Bias [MW]',
+                        data: byHour.map(metrics => metrics.bias),
+                        borderColor: window.EnspirionConfig.getColor('portfolioLine'),
+                        backgroundColor: 'transparent',
+                        borderWidth: 2,
+                        pointRadius: 2,
+                        yAxisID: 'y',
+                        order: 1
+                    },
+                    {
+                        type: 'line',
+                        label: 'MAPE [%]',
+                        data: byHour.map(metrics => metrics.mape),
+                        borderColor: window.EnspirionConfig.getColor('warning'),
+                        backgroundColor: 'transparent',
+                        borderDash: [4, 4],
+                        borderWidth: 2,
+                        pointRadius: 2,
+                        yAxisID: 'y1',
+                        order: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    y: { position: 'left', title: { display: true, text: 'MW' } },
+                    y1: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: '%' } }
+                }
+            }
+        }));
+    }
+
+    /**
+     * Histogram błędów (prognoza - wykonanie)
+     */
+    renderDistributionChart(bins) {
+        const canvas = document.getElementById('accuracy-distribution-chart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        this.destroyChart('distribution');
+
+        const format = value => window.EnspirionUtils.formatNumber(value, 'number', 0);
+
+        this.charts.set('distribution', new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: bins.map(bin => `${format(bin.from)}…${format(bin.to)}`),
+                datasets: [{
+                    label: 'Liczba godzin',
+                    data: bins.map(bin => bin.count),
+                    backgroundColor: bins.map(bin => (bin.from + bin.to) / 2 >= 0 ? 'rgba(239, 68, 68, 0.6)' : 'rgba(59, 130, 246, 0.6)')
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } },
+                scales: {
+                    x: { title: { display: true, text: 'Błąd prognozy [MW] (dodatni = prognoza zawyżona)' } },
+                    y: { beginAtZero: true, ticks: { precision: 0 } }
+                }
+            }
+        }));
+    }
+
+    /**
+     * Metryki całego zakresu i godziny z najmniejszą trafnością
+     */
+    renderSummary(metrics) {
+        const format = (value, unit) => value === null || value === undefined
+            ? '--'
+            : `${window.EnspirionUtils.formatNumber(value, 'number', unit === '%' ? 1 : 0)} ${unit}`;
+
+        const worstHours = metrics.byHour
+            .map((hourMetrics, hour) => ({ hour, mape: hourMetrics.mape }))
+            .filter(item => item.mape !== null)
+            .sort((a, b) => b.mape - a.mape)
+            .slice(0, 3);
+
+        const updates = {
+            'accuracy-mae': format(metrics.overall.mae, 'MW'),
+            'accuracy-mape': format(metrics.overall.mape, '%'),
+            'accuracy-bias': format(metrics.overall.bias, 'MW'),
+            'accuracy-worst-hours': worstHours.length > 0
+                ? worstHours.map(item => `${String(item.hour).padStart(2, '0')}:00 (${format(item.mape, '%')})`).join(', ')
+                : '--',
+            'accuracy-source': FORECAST_ACCURACY_VARIABLES[this.state.variable].source
+        };
+
+        Object.entries(updates).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = value;
+        });
+    }
+
+    /**
+     * Metryki dobowe wybranej zmiennej z historii (najnowsze na górze)
+     */
+    renderDailyTable() {
+        const table = document.getElementById('accuracy-daily-table');
+        if (!table) return;
+
+        const format = (value, decimals = 0) => value === null || value === undefined
+            ? '--'
+            : window.EnspirionUtils.formatNumber(value, 'number', decimals);
+
+        // Bieżąca (niezamknięta) doba z ostatniego wyniku, zamknięte z historii
+        const today = window.BusinessTime.today();
+        const todayMetrics = this.state.result?.[this.state.variable]?.byDay.find(day => day.businessDate === today);
+        const rows = Object.keys(this.state.history)
+            .filter(date => this.state.history[date][this.state.variable])
+            .sort()
+            .reverse()
+            .map(businessDate => ({ businessDate, ...this.state.history[businessDate][this.state.variable] }));
+        if (todayMetrics) rows.unshift(todayMetrics);
+
+        table.innerHTML = '';
+
+        const header = table.createTHead().insertRow();
+        ['Doba', 'Godzin', 'MAE [MW]', 'MAPE [%]', 'Bias [MW]'].forEach(title => {
+            const th = document.createElement('th');
+            th.textContent = title;
+            header.appendChild(th);
+        });
+
+        const body = table.createTBody();
+
+        if (rows.length === 0) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = 5;
+            cell.className = 'no-data';
+            cell.textContent = 'Brak par prognoza/wykonanie';
+            return;
+        }
+
+        rows.forEach(day => {
+            const row = body.insertRow();
+            row.insertCell().textContent = day.businessDate === today ? `${day.businessDate} (w toku)` : day.businessDate;
+            row.insertCell().textContent = day.count;
+            row.insertCell().textContent = format(day.mae);
+            row.insertCell().textContent = format(day.mape, 1);
+            row.insertCell().textContent = format(day.bias);
+        });
+    }
+}
+
+// Create global instance
+window.ForecastAccuracy = new ForecastAccuracy();
+
+console.log('✅ Forecast Accuracy loaded successfully');
@@ -0,0 +1,430 @@
+/**
+ * Enspirion Dashboard - History Manager
+ * Sekcja Historia: generacja wg paliw (his-gen-pal) i bilanse mocy (his-bil-mocy)
+ * dla dowolnego zakresu dób, agregaty dobowe/miesięczne i eksport CSV
+ */
+
+// Etykiety znanych pól PSE; pozostałe pola pokazywane pod nazwą z API
+const HISTORY_FIELD_LABELS = {
+    gen_fv: 'PV',
+    gen_wi: 'Wiatr',
+    gen_rb: 'JW RB',
+    gen_spoza_rb: 'Spoza RB',
+    gen_jgw_zak_1: 'Woda (JGW 1)',
+    gen_jgw_zak_2: 'Woda (JGW 2)',
+    gen_jgm_zak_1: 'JGM 1',
+    gen_jgm_zak_2: 'JGM 2',
+    gen_jgz_zak_1: 'JGZ 1',
+    gen_jgz_zak_2: 'JGZ 2',
+    gen_jgz_zak_3: 'JGZ 3',
+    gen_jga: 'Magazyny (JGA)',
+    gen_jgo: 'Inne (JGO)',
+    kse_pow_dem: 'Zapotrzebowanie KSE'
+};
+
+const HISTORY_PALETTE = [
+    '#ff7700', '#0066cc', '#722F37', '#10b981', '#f59e0b', '#3b82f6',
+    '#A0182B', '#8b5cf6', '#14b8a6', '#6b7280', '#ef4444', '#84cc16'
+];
+
+class HistoryManager {
+    constructor() {
+        const historyConfig = window.EnspirionConfig?.DATA?.history || {};
+
+        this.defaultRangeDays = historyConfig.defaultRangeDays || 7;
+        this.maxRangeDays = historyConfig.maxRangeDays || 366;
+
+        this.state = {
+            fromDate: null,
+            toDate: null,
+            aggregation: 'daily',   // 'interval' | 'daily' | 'monthly'
+            generation: null,
+            balances: null,
+            loading: false
+        };
+
+        this.charts = new Map();
+        this.isInitialized = false;
+
+        console.log('📚 History Manager initialized');
+    }
+
+    /**
+     * Podepnij kontrolki sekcji (raz) i ustaw domyślny zakres: ostatnie N pełnych dób
+     */
+    init() {
+        if (this.isInitialized) return;
+
+        const yesterday = window.BusinessTime.addDays(window.BusinessTime.today(), -1);
+        this.setRange(window.BusinessTime.addDays(yesterday, -(this.defaultRangeDays - 1)), yesterday);
+
+        document.getElementById('history-load')?.addEventListener('click', () => {
+            const fromDate = document.getElementById('history-from')?.value;
+            const toDate = document.getElementById('history-to')?.value;
+            if (this.setRange(fromDate, toDate)) {
+                this.load();
+            }
+        });
+
+        document.querySelectorAll('.history-preset').forEach(button => {
+            button.addEventListener('click', () => {
+                const days = parseInt(button.dataset.days, 10);
+                const toDate = window.BusinessTime.addDays(window.BusinessTime.today(), -1);
+                this.setRange(window.BusinessTime.addDays(toDate, -(days - 1)), toDate);
+                this.load();
+            });
+        });
+
+        document.querySelectorAll('.history-aggregation').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.history-aggregation').forEach(b => b.classList.remove('active'));
+                button.classList.add('active');
+                this.state.aggregation = button.dataset.aggregation;
+                this.render();
+            });
+        });
+
+        document.getElementById('history-export')?.addEventListener('click', () => this.exportCSV());
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Ustaw zakres dób; zwraca false (z komunikatem) dla błędnego zakresu
+     */
+    setRange(fromDate, toDate) {
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+        if (!isDate(fromDate) || !isDate(toDate) || fromDate > toDate) {
+            this.showStatus('Nieprawidłowy zakres dat', 'error');
+            return false;
+        }
+
+        const days = window.BusinessTime.dateRange(fromDate, toDate).length;
+        if (days > this.maxRangeDays) {
+            this.showStatus(`Maksymalny zakres to ${this.maxRangeDays} dni (wybrano ${days})`, 'error');
+            return false;
+        }
+
+        this.state.fromDate = fromDate;
+        this.state.toDate = toDate;
+
+        const fromInput = document.getElementById('history-from');
+        const toInput = document.getElementById('history-to');
+        if (fromInput) fromInput.value = fromDate;
+        if (toInput) toInput.value = toDate;
+
+        return true;
+    }
+
+    /**
+     * Pobierz oba raporty dla bieżącego zakresu (brakujące dni z API, reszta z magazynu)
+     */
+    async load() {
+        this.init();
+        if (this.state.loading) return;
+
+        const { fromDate, toDate } = this.state;
+        this.state.loading = true;
+        this.showStatus(`Ładowanie danych ${fromDate} - ${toDate}...`, 'loading');
+
+        try {
+            const [generation, balances] = await Promise.all([
+                window.PSEApiService.getHistoricalGeneration(fromDate, toDate),
+                window.PSEApiService.getPowerBalances(fromDate, toDate)
+            ]);
+
+            this.state.generation = generation;
+            this.state.balances = balances;
+
+            const truncated = generation.truncated || balances.truncated;
+            const failed = generation.provenance?.error || balances.provenance?.error;
+            if (failed) {
+                this.showStatus('Nie udało się pobrać części danych historycznych', 'error');
+            } else if (truncated) {
+                this.showStatus('Dane niepełne (limit wierszy) - zawęź zakres', 'warning');
+            } else {
+                this.showStatus(`Zakres ${fromDate} - ${toDate}: ${generation.rows.length + balances.rows.length} rekordów`, 'ok');
+            }
+
+            this.render();
+
+        } catch (error) {
+            console.error('❌ Failed to load history:', error);
+            this.showStatus('Błąd ładowania historii', 'error');
+        } finally {
+            this.state.loading = false;
+        }
+    }
+
+    showStatus(message, type = 'ok') {
+        const status = document.getElementById('history-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `history-status ${type}`;
+    }
+
+    // ========================================
+    // AGREGACJE
+    // ========================================
+
+    /**
+     * Długość interwału w godzinach dla doby (96 kwadransów, 24 godziny, doby 23/25h)
+     */
+    getIntervalHours(businessDate, rowsInDay) {
+        return rowsInDay > 0 ? window.BusinessTime.hoursInDay(businessDate) / rowsInDay : 0;
+    }
+
+    /**
+     * Agregacja serii: [{ period, values: { field: { avg, min, max, energy } } }]
+     * avg/min/max w MW, energy w MWh (moc * długość interwału)
+     */
+    aggregate(series, aggregation = this.state.aggregation) {
+        if (!series || series.rows.length === 0) return [];
+
+        const rowsPerDay = {};
+        series.rows.forEach(row => {
+            rowsPerDay[row.businessDate] = (rowsPerDay[row.businessDate] || 0) + 1;
+        });
+
+        const periodOf = row => {
+            if (aggregation === 'interval') return row.time;
+            if (aggregation === 'monthly') return row.businessDate.slice(0, 7);
+            return row.businessDate;
+        };
+
+        const buckets = new Map();
+        series.rows.forEach(row => {
+            const period = periodOf(row);
+            if (!buckets.has(period)) {
+                buckets.set(period, { period, values: {} });
+            }
+            const bucket = buckets.get(period);
+            const intervalHours = this.getIntervalHours(row.businessDate, rowsPerDay[row.businessDate]);
+
+            series.fields.forEach(field => {
+                const value = row.values[field];
+                if (value === null || value === undefined) return;
+
+                const stats = bucket.values[field] || (bucket.values[field] = { sum: 0, count: 0, min: Infinity, max: -Infinity, energy: 0 });
+                stats.sum += value;
+                stats.count++;
+                stats.min = Math.min(stats.min, value);
+                stats.max = Math.max(stats.max, value);
+                stats.energy += value * intervalHours;
+            });
+        });
+
+        return Array.from(buckets.values())
+            .sort((a, b) => a.period.localeCompare(b.period))
+            .map(bucket => {
+                const values = {};
+                Object.entries(bucket.values).forEach(([field, stats]) => {
+                    values[field] = {
+                        avg: stats.sum / stats.count,
+                        min: stats.min,
+                        max: stats.max,
+                        energy: stats.energy
+                    };
+                });
+                return { period: bucket.period, values };
+            });
+    }
+
+    getFieldLabel(field) {
+        return HISTORY_FIELD_LABELS[field] || field;
+    }
+
+    // ========================================
+    // RENDER
+    // ========================================
+
+    render() {
+        const generation = this.aggregate(this.state.generation);
+        const balances = this.aggregate(this.state.balances);
+
+        this.renderGenerationChart(generation);
+        this.renderBalancesChart(balances);
+        this.renderAggregatesTable(generation);
+    }
+
+    destroyChart(name) {
+        if (this.charts.has(name)) {
+            this.charts.get(name).destroy();
+            this.charts.delete(name);
+        }
+    }
+
+    /**
+     * Generacja wg źródeł - słupki skumulowane (energia) albo obszary (moc w trybie interwałów)
+     */
+    renderGenerationChart(aggregated) {
+        const canvas = document.getElementById('history-generation-chart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        this.destroyChart('generation');
+
+        const fields = this.state.generation?.fields || [];
+        const isInterval = this.state.aggregation === 'interval';
+
+        const datasets = fields.map((field, index) => ({
+            label: this.getFieldLabel(field),
+            data: aggregated.map(bucket => {
+                const stats = bucket.values[field];
+                if (!stats) return null;
+                return isInterval ? stats.avg : stats.energy;
+            }),
+            backgroundColor: HISTORY_PALETTE[index % HISTORY_PALETTE.length],
+            borderColor: HISTORY_PALETTE[index % HISTORY_PALETTE.length],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: isInterval
+        }));
+
+        this.charts.set('generation', new Chart(canvas, {
+            type: isInterval ? 'line' : 'bar',
+            data: { labels: aggregated.map(bucket => bucket.period), datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { stacked: true },
+                    y: {
+                        stacked: true,
+                        title: { display: true, text: isInterval ? 'Moc [MW]' : 'Energia [MWh]' }
+                    }
+                },
+                plugins: { legend: { position: 'bottom' } }
+            }
+        }));
+    }
+
+    /**
+     * Bilanse mocy - średnia moc w okresie
+     */
+    renderBalancesChart(aggregated) {
+        const canvas = document.getElementById('history-balances-chart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        this.destroyChart('balances');
+
+        const fields = this.state.balances?.fields || [];
+
+        const datasets = fields.map((field, index) => ({
+            label: this.getFieldLabel(field),
+            data: aggregated.map(bucket => bucket.values[field]?.avg ?? null),
+            borderColor: HISTORY_PALETTE[index % HISTORY_PALETTE.length],
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.1
+        }));
+
+        this.charts.set('balances', new Chart(canvas, {
+            type: 'line',
+            data: { labels: aggregated.map(bucket => bucket.period), datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    y: { title: { display: true, text: 'Średnia moc [MW]' } }
+                },
+                plugins: { legend: { position: 'bottom' } }
+            }
+        }));
+    }
+
+    /**
+     * Tabela agregatów generacji: energia wg źródeł i suma
+     */
+    renderAggregatesTable(aggregated) {
+        const table = document.getElementById('history-aggregates-table');
+        if (!table) return;
+
+        const fields = this.state.generation?.fields || [];
+        const format = value => window.EnspirionUtils.formatNumber(value, 'number', 0);
+
+        table.innerHTML = '';
+
+        const header = table.createTHead().insertRow();
+        ['Okres', ...fields.map(field => `${this.getFieldLabel(field)} [MWh]`), 'Suma [MWh]'].forEach(title => {
+            const th = document.createElement('th');
+            th.textContent = title;
+            header.appendChild(th);
+        });
+
+        const body = table.createTBody();
+
+        if (aggregated.length === 0) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = fields.length + 2;
+            cell.className = 'no-data';
+            cell.textContent = 'Brak danych dla wybranego zakresu';
+            return;
+        }
+
+        aggregated.forEach(bucket => {
+            const row = body.insertRow();
+            row.insertCell().textContent = bucket.period;
+
+            let total = 0;
+            fields.forEach(field => {
+                const energy = bucket.values[field]?.energy;
+                if (Number.isFinite(energy)) total += energy;
+                row.insertCell().textContent = format(energy);
+            });
+            row.insertCell().textContent = format(total);
+        });
+    }
+
+    // ========================================
+    // EKSPORT
+    // ========================================
+
+    /**
+     * CSV z bieżącą agregacją: energia generacji [MWh] i średnie bilanse [MW] w jednym wierszu na okres
+     */
+    exportCSV() {
+        const generation = this.aggregate(this.state.generation);
+        const balances = this.aggregate(this.state.balances);
+
+        if (generation.length === 0 && balances.length === 0) {
+            this.showStatus('Brak danych do eksportu', 'warning');
+            return;
+        }
+
+        const generationFields = this.state.generation?.fields || [];
+        const balanceFields = this.state.balances?.fields || [];
+        const periods = [...new Set([...generation, ...balances].map(bucket => bucket.period))].sort();
+        const byPeriod = list => new Map(list.map(bucket => [bucket.period, bucket.values]));
+        const generationByPeriod = byPeriod(generation);
+        const balancesByPeriod = byPeriod(balances);
+        const round = value => Number.isFinite(value) ? value.toFixed(1) : '';
+
+        const rows = periods.map(period => {
+            const row = { okres: period };
+            generationFields.forEach(field => {
+                row[`${field}_mwh`] = round(generationByPeriod.get(period)?.[field]?.energy);
+            });
+            balanceFields.forEach(field => {
+                row[`${field}_avg_mw`] = round(balancesByPeriod.get(period)?.[field]?.avg);
+            });
+            return row;
+        });
+
+        const { fromDate, toDate, aggregation } = this.state;
+        window.EnspirionUtils.downloadFile(
+            window.EnspirionUtils.jsonToCsv(rows),
+            `pse_historia_${aggregation}_${fromDate}_${toDate}.csv`,
+            'text/csv;charset=utf-8;'
+        );
+    }
+}
+
+// Create global instance
+window.HistoryManager = new HistoryManager();
+
+console.log('✅ History Manager loaded successfully');
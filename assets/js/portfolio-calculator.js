@@ -96,62 +96,88 @@ class PortfolioCalculator {
 
     /**
      * Analyze portfolio performance
+     * Okresy w natywnej rozdzielczości szeregu PV (MTU 15 min lub godziny), energia = moc × długość okresu
      */
     analyzePerformance(pvGeneration, systemLoad) {
         if (!pvGeneration || !systemLoad) {
             return this.getEmptyPerformance();
         }
 
-        const hourlyData = [];
+        const intervalMinutes = window.DataProcessor.getIntervalMinutes(pvGeneration);
+        const intervalHours = intervalMinutes / 60;
+        const loadAt = this.createLoadLookup(systemLoad);
+
+        const intervalData = [];
         let totalGeneration = 0;
         let peakGeneration = 0;
-        let peakHour = 0;
+        let peakInterval = null;
+
+        pvGeneration.forEach(pvData => {
+            const loadData = loadAt(pvData);
+            if (!Number.isFinite(pvData.totalPower) || !loadData || !(loadData.load > 0)) return;
+
+            const denominator = loadData.totalGeneration || loadData.load;
+            const pvPercentage = (pvData.totalPower / denominator) * 100;
+            const portfolioGen = this.calculatePortfolioGeneration(pvPercentage, loadData.load);
+
+            intervalData.push({
+                time: pvData.time,
+                hour: pvData.hour,
+                quarter: pvData.quarter,
+                intervalMinutes,
+                pvPercentage,
+                portfolioGeneration: portfolioGen.actual,
+                theoreticalGeneration: portfolioGen.theoretical,
+                capacityFactor: portfolioGen.capacityFactor,
+                systemLoad: loadData.load,
+                timestamp: pvData.timestamp
+            });
 
-        // Calculate hourly performance
-        for (let hour = 0; hour < 24; hour++) {
-            const pvData = pvGeneration.find(p => p.hour === hour);
-            const loadData = systemLoad.find(l => l.hour === hour);
-            
-            if (pvData && loadData) {
-                const denominator = loadData.totalGeneration || loadData.load;
-                const pvPercentage = (pvData.totalPower / denominator) * 100;
-                const portfolioGen = this.calculatePortfolioGeneration(pvPercentage, loadData.load);
-                
-                hourlyData.push({
-                    hour,
-                    pvPercentage,
-                    portfolioGeneration: portfolioGen.actual,
-                    theoreticalGeneration: portfolioGen.theoretical,
-                    capacityFactor: portfolioGen.capacityFactor,
-                    systemLoad: loadData.load,
-                    timestamp: pvData.timestamp
-                });
-                
-                totalGeneration += portfolioGen.actual;
-                
-                if (portfolioGen.actual > peakGeneration) {
-                    peakGeneration = portfolioGen.actual;
-                    peakHour = hour;
-                }
+            totalGeneration += portfolioGen.actual * intervalHours; // MWh
+
+            if (portfolioGen.actual > peakGeneration) {
+                peakGeneration = portfolioGen.actual;
+                peakInterval = pvData;
             }
-        }
+        });
+        intervalData.intervalMinutes = intervalMinutes;
 
         // Calculate statistics
-        const avgCapacityFactor = hourlyData.length > 0 
-            ? hourlyData.reduce((sum, h) => sum + h.capacityFactor, 0) / hourlyData.length 
+        const avgCapacityFactor = intervalData.length > 0 
+            ? intervalData.reduce((sum, h) => sum + h.capacityFactor, 0) / intervalData.length 
             : 0;
 
         const peakCapacityFactor = (peakGeneration / this.settings.defaultCapacity) * 100;
+        const periodHours = pvGeneration.length * intervalHours;
 
         return {
-            hourlyData,
+            intervalData,
+            intervalMinutes,
+            hourlyData: window.DataProcessor.toResolution(intervalData, 60),
             totalGeneration,
             peakGeneration,
-            peakHour,
+            peakHour: peakInterval?.hour ?? 0,
+            peakTime: peakInterval?.time ?? null,
             averageCapacityFactor: avgCapacityFactor,
             peakCapacityFactor,
-            utilizationRate: (totalGeneration / (this.settings.defaultCapacity * 24)) * 100,
-            performanceRatio: this.calculatePerformanceRatio(hourlyData)
+            utilizationRate: periodHours > 0 ? (totalGeneration / (this.settings.defaultCapacity * periodHours)) * 100 : 0,
+            performanceRatio: this.calculatePerformanceRatio(intervalData)
+        };
+    }
+
+    /**
+     * Obciążenie dla okresu generacji: ten sam początek okresu,
+     * a przy innej rozdzielczości (lub braku) - średnia z tej samej godziny
+     */
+    createLoadLookup(systemLoad) {
+        const byTime = new Map(systemLoad
+            .filter(load => load.time !== undefined)
+            .map(load => [load.time, load]));
+        const byHour = window.DataProcessor.indexByHour(systemLoad);
+
+        return point => {
+            const exact = byTime.get(point.time);
+            return exact && Number.isFinite(exact.load) ? exact : byHour.get(point.hour);
         };
     }
 
@@ -166,14 +192,19 @@ class PortfolioCalculator {
         let curtailmentLoss = 0;
         let operationalCost = 0;
 
-        // Calculate revenue from generation
+        // Calculate revenue from generation (energia okresu = moc × długość okresu)
+        const intervalHours = window.DataProcessor.getIntervalHours(pvGeneration);
+        const priceAt = window.DataProcessor.createPriceLookup(priceForecasts, pvGeneration);
         if (pvGeneration) {
             pvGeneration.forEach(pv => {
+                if (!Number.isFinite(pv.totalPower)) return;
+
                 const portfolioGen = (pv.totalPower / 1000) * // Convert to GW
                                     (this.settings.defaultCapacity / 15000) * // Portfolio share
-                                    this.settings.efficiency;
+                                    this.settings.efficiency *
+                                    intervalHours;
                 
-                const price = priceForecasts?.find(p => p.hour === pv.hour)?.price || avgPrice;
+                const price = priceAt(pv) ?? avgPrice;
                 grossRevenue += portfolioGen * price;
                 operationalCost += portfolioGen * (this.settings.operationalCost + this.settings.maintenanceCost);
             });
@@ -199,10 +230,47 @@ class PortfolioCalculator {
             netRevenue,
             profitMargin,
             revenuePerMW: grossRevenue / this.settings.defaultCapacity,
-            averagePrice: grossRevenue / (pvGeneration?.reduce((sum, pv) => sum + pv.totalPower, 0) || 1)
+            averagePrice: grossRevenue / (pvGeneration?.reduce((sum, pv) => sum + (pv.totalPower || 0) * intervalHours, 0) || 1)
         };
     }
 
+    /**
+     * Szacowana moc portfela z krajowej generacji PV (współczynnik wykorzystania mocy KSE)
+     */
+    estimatePortfolioOutput(nationalPV) {
+        const installedPV = window.EnspirionConfig?.BUSINESS?.system?.installedPV || 22970.8;
+        if (!Number.isFinite(nationalPV) || nationalPV <= 0) return 0;
+        
+        return (nationalPV / installedPV) * this.settings.defaultCapacity *
+               this.settings.efficiency * this.settings.availabilityFactor;
+    }
+
+    /**
+     * Przychód portfela per kwadrans: generacja * cena RCE
+     * Ujemna cena = przychód ujemny; utracony przychód z redukcji liczony tylko przy cenie dodatniej
+     */
+    calculateIntervalRevenue(intervals) {
+        const hours = window.BusinessTime.QUARTER_MS / window.BusinessTime.HOUR_MS;
+        const totals = { energy: 0, revenue: 0, lostRevenue: 0 };
+        
+        const result = intervals.map(interval => {
+            const generation = this.estimatePortfolioOutput(interval.nationalPV);
+            const curtailed = this.estimatePortfolioOutput(interval.nationalCurtailment);
+            const price = Number.isFinite(interval.price) ? interval.price : 0;
+            
+            const revenue = generation * hours * price;
+            const lostRevenue = curtailed * hours * Math.max(0, price);
+            
+            totals.energy += generation * hours;
+            totals.revenue += revenue;
+            totals.lostRevenue += lostRevenue;
+            
+            return { ...interval, generation, curtailed, revenue, lostRevenue };
+        });
+        
+        return { intervals: result, totals };
+    }
+
     /**
      * Analyze efficiency metrics
      */
@@ -215,17 +283,19 @@ class PortfolioCalculator {
             };
         }
 
-        // Calculate system efficiency
-        const theoreticalMax = this.settings.defaultCapacity * 24 * 0.2; // 20% capacity factor theoretical max
+        // Calculate system efficiency (godziny doby z długości szeregu: 23/24/25)
+        const intervalHours = window.DataProcessor.getIntervalHours(pvGeneration);
+        const periodHours = pvGeneration.length * intervalHours;
+        const theoreticalMax = this.settings.defaultCapacity * periodHours * 0.2; // 20% capacity factor theoretical max
         const actualGeneration = pvGeneration.reduce((sum, pv) => {
-            return sum + (pv.totalPower / 1000) * (this.settings.defaultCapacity / 15000);
+            return sum + ((pv.totalPower || 0) / 1000) * (this.settings.defaultCapacity / 15000) * intervalHours;
         }, 0);
 
         return {
             systemEfficiency: (actualGeneration / theoreticalMax) * 100,
             technicalAvailability: this.settings.availabilityFactor * 100,
             performanceRatio: this.settings.efficiency * 100,
-            capacityUtilization: (actualGeneration / (this.settings.defaultCapacity * 24)) * 100
+            capacityUtilization: (actualGeneration / (this.settings.defaultCapacity * periodHours)) * 100
         };
     }
 
@@ -239,7 +309,7 @@ class PortfolioCalculator {
         
         let marketShareByGeneration = 0;
         if (pvGeneration && pvGeneration.length > 0) {
-            const totalPVGeneration = pvGeneration.reduce((sum, pv) => sum + pv.totalPower, 0);
+            const totalPVGeneration = pvGeneration.reduce((sum, pv) => sum + (pv.totalPower || 0), 0);
             const portfolioGeneration = totalPVGeneration * (this.settings.defaultCapacity / totalPVCapacityPoland);
             marketShareByGeneration = totalPVGeneration > 0 ? (portfolioGeneration / totalPVGeneration) * 100 : 0;
         }
@@ -260,22 +330,25 @@ class PortfolioCalculator {
         const tomorrow = [];
         const nextWeek = [];
 
-        // For tomorrow, use today's pattern with slight variation
+        // For tomorrow, use today's pattern with slight variation (w rozdzielczości szeregu PV)
         if (pvGeneration && systemLoad) {
-            for (let hour = 0; hour < 24; hour++) {
-                const pvData = pvGeneration.find(p => p.hour === hour);
-                const loadData = systemLoad.find(l => l.hour === hour);
+            const loadAt = this.createLoadLookup(systemLoad);
+
+            pvGeneration.forEach(pvData => {
+                const loadData = loadAt(pvData);
                 
-                if (pvData && loadData) {
+                if (Number.isFinite(pvData.totalPower) && Number.isFinite(loadData?.load)) {
                     const variation = 0.9 + Math.random() * 0.2; // ±10% variation
                     tomorrow.push({
-                        hour,
+                        hour: pvData.hour,
+                        quarter: pvData.quarter,
+                        intervalMinutes: window.DataProcessor.getIntervalMinutes(pvGeneration),
                         expectedGeneration: pvData.totalPower * variation,
                         expectedLoad: loadData.load * (0.95 + Math.random() * 0.1),
                         confidence: 0.85
                     });
                 }
-            }
+            });
         }
 
         return {
@@ -340,10 +413,13 @@ class PortfolioCalculator {
 
     getEmptyPerformance() {
         return {
+            intervalData: [],
+            intervalMinutes: window.EnspirionConfig?.DATA?.mtu?.nativeMinutes || 15,
             hourlyData: [],
             totalGeneration: 0,
             peakGeneration: 0,
             peakHour: 0,
+            peakTime: null,
             averageCapacityFactor: 0,
             peakCapacityFactor: 0,
             utilizationRate: 0,
@@ -399,9 +475,10 @@ class PortfolioCalculator {
         rows.push(['Metric', 'Value', 'Unit']);
         
         // Performance metrics
-        rows.push(['Total Generation', analysis.performance.totalGeneration.toFixed(2), 'MW']);
+        rows.push(['Total Generation', analysis.performance.totalGeneration.toFixed(2), 'MWh']);
         rows.push(['Peak Generation', analysis.performance.peakGeneration.toFixed(2), 'MW']);
         rows.push(['Peak Hour', analysis.performance.peakHour, 'h']);
+        rows.push(['Interval', analysis.performance.intervalMinutes, 'min']);
         rows.push(['Average Capacity Factor', analysis.performance.averageCapacityFactor.toFixed(2), '%']);
         
         // Financial metrics
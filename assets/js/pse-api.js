@@ -3,11 +3,85 @@
  * Serwis do komunikacji z rzeczywistym API PSE
  */
 
+// Składowe redysponowania nierynkowego OZE (poze-redoze)
+const OZE_REDISPATCH_COMPONENTS = {
+    pvBalance: { field: 'pv_red_balance', source: 'pv', cause: 'balance', label: 'PV - bilansowe' },
+    pvNetwork: { field: 'pv_red_network', source: 'pv', cause: 'network', label: 'PV - sieciowe' },
+    windBalance: { field: 'wi_red_balance', source: 'wind', cause: 'balance', label: 'Wiatr - bilansowe' },
+    windNetwork: { field: 'wi_red_network', source: 'wind', cause: 'network', label: 'Wiatr - sieciowe' }
+};
+
+/**
+ * Błąd zapytania do API PSE (po wyczerpaniu ponowień)
+ */
+class PSEApiError extends Error {
+    constructor(message, { endpoint = null, url = null, status = null, code = 'NETWORK', attempts = 1, cause = null } = {}) {
+        super(message);
+        this.name = 'PSEApiError';
+        this.endpoint = endpoint;
+        this.url = url;
+        this.status = status;
+        this.code = code; // TIMEOUT | HTTP | NETWORK | OFFLINE
+        this.attempts = attempts;
+        this.cause = cause;
+    }
+
+    /**
+     * Czy warto ponowić zapytanie
+     */
+    get retryable() {
+        if (this.code === 'TIMEOUT' || this.code === 'NETWORK') return true;
+        if (this.code === 'HTTP') return this.status === 429 || this.status >= 500;
+        return false;
+    }
+}
+
+/**
+ * Token bucket - limit zapytań wspólny dla wszystkich wywołań serwisu
+ */
+class TokenBucketLimiter {
+    constructor(maxRequests, windowMs) {
+        this.capacity = maxRequests;
+        this.tokens = maxRequests;
+        this.refillRate = maxRequests / windowMs; // tokeny na ms
+        this.lastRefill = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillRate);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Poczekaj na wolny token
+     */
+    async acquire() {
+        this.refill();
+        while (this.tokens < 1) {
+            const waitMs = Math.ceil((1 - this.tokens) / this.refillRate);
+            console.log(`⏳ Rate limit reached, waiting ${waitMs}ms`);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+            this.refill();
+        }
+        this.tokens -= 1;
+    }
+}
+
 class PSEApiService {
     constructor() {
     
-        this.baseUrl = 'https://apimpdv2-bmgdhhajexe8aade.a01.azurefd.net/api/';
-        this.cache = new Map();
+        this.config = window.EnspirionConfig?.PSE || {};
+        this.baseUrl = this.config.baseUrl || 'https://apimpdv2-bmgdhhajexe8aade.a01.azurefd.net/api/';
+        this.cache = new ResponseCache();
+        this.validator = new ResponseValidator();
+        this.pagingReports = new Map();
+        this.provenance = new Map();
+        // Żądania w toku (klucz cache -> Promise) - równoległe identyczne zapytania dzielą jeden fetch
+        this.inFlight = new Map();
+        
+        const rateLimit = this.config.rateLimit || { maxRequests: 200, windowMs: 60000 };
+        this.rateLimiter = new TokenBucketLimiter(rateLimit.maxRequests, rateLimit.windowMs);
         this.isOnline = navigator.onLine;
         
         this.setupNetworkListeners();
@@ -29,61 +103,184 @@ class PSEApiService {
         });
     }
 /**
- * Get forecast data for next 3 days
+ * Get forecast data for next 3 days (od doby date, domyślnie dzisiejszej)
  */
-async getForecastData(days = 3) {
+async getForecastData(days = 3, date = null) {
     try {
-        // Pobierz prognozy na najbliższe dni
-        const startDate = new Date();
-        const endDate = new Date();
-        endDate.setDate(endDate.getDate() + days);
-        
-        const params = {
-            '$filter': `business_date ge '${startDate.toISOString().split('T')[0]}' and business_date le '${endDate.toISOString().split('T')[0]}'`,
-            '$orderby': 'plan_dtime asc',
-            '$first': 2000
-        };
-        
         // Użyj właściwego endpointu pk5l-wp
-        const data = await this.request('pk5l-wp', params);
+        const data = await this.requestForecastPlan(days, date);
+        
+        if (this.isPastDay(date) && !data?.value?.length) {
+            return this.missingDayDataset('forecast', [], date);
+        }
         
         if (!data || !data.value) {
             console.warn('No forecast data received');
-            return this.getMockForecastData(days);
+            return this.fallbackDataset('forecast', () => this.getMockForecastData(days), []);
         }
         
-        return this.processForecastData(data.value);
+        if (data.truncated) {
+            console.warn(`⚠️ Forecast data truncated at ${data.value.length} rows`);
+        }
+        
+        return this.tagDataset('forecast', this.processForecastData(data.value), data.provenance);
         
     } catch (error) {
         console.error('Failed to get forecast data:', error);
-        return this.getMockForecastData(days);
+        return this.fallbackDataset('forecast', () => this.getMockForecastData(days), [], error);
     }
 }
 
 /**
- * Process forecast data
+ * Plan koordynacyjny pk5l-wp na najbliższe dni od doby date - wspólne zapytanie prognoz, rezerw i przychodu
  */
-processForecastData(rawData) {
-    return rawData.map(item => ({
-        timestamp: new Date(item.plan_dtime),
-        hour: new Date(item.plan_dtime).getHours(),
-        date: item.business_date,
+requestForecastPlan(days = 3, date = null) {
+    const startDate = date || window.BusinessTime.today();
+    const endDate = window.BusinessTime.addDays(startDate, days);
+    
+    return this.request('pk5l-wp', PSEQuery.for('pk5l-wp')
+        .dateRange(startDate, endDate)
+        .orderBy('plan_dtime')
+        .first(2000));
+}
+
+/**
+ * Rezerwy mocy (wymagana vs dostępna) na 72h z pk5l-wp
+ */
+async getReservesData(date = null) {
+    const emptyReserves = { times: [], reserves: [], required: [] };
+    
+    try {
+        const data = await this.requestForecastPlan(3, date);
         
-        // Prognozy generacji
-        pvForecast: parseFloat(item.fcst_pv_tot_gen || 0),
-        windForecast: parseFloat(item.fcst_wi_tot_gen || 0),
+        if (this.isPastDay(date) && !data?.value?.length) {
+            return this.missingDayDataset('reserves', emptyReserves, date);
+        }
         
-        // Prognoza zapotrzebowania
-        demandForecast: parseFloat(item.grid_demand_fcst || 0),
+        if (!data || !data.value || data.value.length === 0) {
+            console.warn('No reserves data received');
+            return this.fallbackDataset('reserves', () => this.getMockReservesData(), emptyReserves);
+        }
         
-        // Dodatkowe dane
-        requiredReserve: parseFloat(item.req_pow_res || 0),
-        surplusCapacity: parseFloat(item.surplus_cap_avail_tso || 0),
+        return this.tagDataset('reserves', this.processReservesData(data.value, date), data.provenance);
         
-        // Oblicz udział OZE
-        renewableShare: item.grid_demand_fcst > 0 ? 
-            ((parseFloat(item.fcst_pv_tot_gen || 0) + parseFloat(item.fcst_wi_tot_gen || 0)) / parseFloat(item.grid_demand_fcst || 1) * 100) : 0
-    }));
+    } catch (error) {
+        console.error('Failed to get reserves data:', error);
+        return this.fallbackDataset('reserves', () => this.getMockReservesData(), emptyReserves, error);
+    }
+}
+
+/**
+ * Process reserves data - godziny od północy doby startDate, maks. 72h
+ */
+processReservesData(rawData, startDate = null) {
+    const startOfToday = window.BusinessTime.startOfDay(startDate || window.BusinessTime.today());
+    let processed = [];
+    
+    const futureData = rawData
+        .filter(item => item.plan_dtime && window.BusinessTime.parseLocal(item.plan_dtime) >= startOfToday)
+        .sort((a, b) => window.BusinessTime.parseLocal(a.plan_dtime) - window.BusinessTime.parseLocal(b.plan_dtime));
+    
+    futureData.forEach(item => {
+        if (item.req_pow_res === null || item.req_pow_res === undefined) return;
+        
+        const timestamp = window.BusinessTime.parseLocal(item.plan_dtime);
+        const required = parseFloat(item.req_pow_res);
+        let available = 0;
+        
+        // Sprawdź różne pola dla dostępnej rezerwy
+        if (item.surplus_cap_avail_tso !== null && item.surplus_cap_avail_tso !== undefined) {
+            available = parseFloat(item.surplus_cap_avail_tso);
+        } else if (item.avail_cap_gen_units_stor_prov !== null && item.avail_cap_gen_units_stor_prov !== undefined) {
+            available = parseFloat(item.avail_cap_gen_units_stor_prov);
+        }
+        
+        // Jeśli brak rezerwy, użyj formuły jak w Pythonie
+        if (available === 0 || isNaN(available)) {
+            available = required + 1000; // Dodaj 1000 MW marginesu
+        }
+        
+        if (!isNaN(available) && !isNaN(required)) {
+            processed.push({
+                // Format czasu jak w Pythonie (czas ściany Europe/Warsaw)
+                time: window.BusinessTime.formatLocal(timestamp).slice(0, 13) + ':00:00',
+                reserve: available,
+                required: required
+            });
+        }
+    });
+    
+    console.log(`📈 Processed ${processed.length} hourly reserve records`);
+    
+    // Ogranicz do 72 godzin (3 dni)
+    if (processed.length > 72) {
+        processed = processed.slice(0, 72);
+    }
+    
+    return {
+        times: processed.map(d => d.time),
+        reserves: processed.map(d => d.reserve),
+        required: processed.map(d => d.required)
+    };
+}
+
+/**
+ * Mock reserves data (tylko w trybie FEATURE_FLAGS.mockData)
+ */
+getMockReservesData() {
+    const start = Math.floor(Date.now() / window.BusinessTime.HOUR_MS) * window.BusinessTime.HOUR_MS;
+    const data = { times: [], reserves: [], required: [] };
+    
+    for (let i = 0; i < 72; i++) {
+        const timestamp = new Date(start + i * window.BusinessTime.HOUR_MS);
+        const required = 2500 + Math.random() * 500;
+        
+        data.times.push(window.BusinessTime.formatLocal(timestamp).slice(0, 13) + ':00:00');
+        data.required.push(required);
+        data.reserves.push(required + 200 + Math.random() * 2500);
+    }
+    
+    return data;
+}
+
+/**
+ * Process forecast data
+ * Brak wartości w planie = null (nie 0), published = chwila publikacji wersji planu
+ */
+processForecastData(rawData) {
+    const toNumber = value => {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    };
+    
+    return rawData.map(item => {
+        const pvForecast = toNumber(item.fcst_pv_tot_gen);
+        const windForecast = toNumber(item.fcst_wi_tot_gen);
+        const demandForecast = toNumber(item.grid_demand_fcst);
+        
+        return {
+            timestamp: window.BusinessTime.parseLocal(item.plan_dtime),
+            hour: window.BusinessTime.getLocalHour(window.BusinessTime.parseLocal(item.plan_dtime)),
+            date: item.business_date,
+            published: item.publication_ts ? window.BusinessTime.parseRowTime(item, 'publication_ts').getTime() : null,
+            
+            // Prognozy generacji
+            pvForecast,
+            windForecast,
+            
+            // Prognoza zapotrzebowania
+            demandForecast,
+            
+            // Dodatkowe dane
+            requiredReserve: toNumber(item.req_pow_res),
+            surplusCapacity: toNumber(item.surplus_cap_avail_tso),
+            
+            // Oblicz udział OZE
+            renewableShare: pvForecast !== null && windForecast !== null && demandForecast > 0
+                ? (pvForecast + windForecast) / demandForecast * 100
+                : null
+        };
+    });
 }
 
 /**
@@ -135,82 +332,312 @@ getMockForecastData(days) {
 }
     /**
      * Main API request method
+     * Podąża za nextLink (stronicowanie OData) - opcje: { maxPages, maxRows, timeout }
+     * params: obiekt parametrów OData albo PSEQuery
+     * Identyczne zapytania w toku są łączone (jeden fetch, wspólny Promise)
+     * Po wyczerpaniu ponowień (i braku cache) rzuca PSEApiError
+     */
+    async request(endpoint, params = {}, options = {}) {
+        if (params instanceof PSEQuery) {
+            params = params.build();
+        }
+        const cacheKey = ResponseCache.buildKey(endpoint, params);
+
+        if (!this.isOnline) {
+            const cachedData = this.getCachedData(cacheKey, { allowStale: true });
+            if (cachedData) {
+                return this.asCached(cachedData, true);
+            }
+            throw new PSEApiError(`Offline and no cached data for ${endpoint}`, { endpoint, code: 'OFFLINE', attempts: 0 });
+        }
+
+        if (!options.bypassCache) {
+            const cachedData = this.getCachedData(cacheKey);
+            if (cachedData) {
+                console.log(`📦 Cache hit: ${cacheKey}`);
+                return this.asCached(cachedData);
+            }
+        }
+
+        if (this.inFlight.has(cacheKey)) {
+            console.log(`🔗 Joining in-flight request: ${cacheKey}`);
+            return this.inFlight.get(cacheKey);
+        }
+
+        const pending = this.fetchAndCache(endpoint, params, cacheKey, options)
+            .finally(() => this.inFlight.delete(cacheKey));
+        this.inFlight.set(cacheKey, pending);
+        return pending;
+    }
+
+    /**
+     * Pobranie z sieci (wszystkie strony), walidacja i zapis do cache
+     * Przy błędzie zwraca przeterminowany cache, jeśli jest
      */
-    async request(endpoint, params = {}) {
+    async fetchAndCache(endpoint, params, cacheKey, options = {}) {
         try {
-            if (!this.isOnline) {
-                return this.getCachedData(endpoint);
+            const queryString = new URLSearchParams(params).toString();
+            const url = `${this.baseUrl}${endpoint}${queryString ? '?' + queryString : ''}`;
+            console.log(`🔄 Fetching: ${url}`);
+
+            const data = await this.fetchAllPages(endpoint, url, options);
+            this.validateResponse(endpoint, data);
+            data.provenance = this.createProvenance('live', { endpoint });
+            
+            // Cache response
+            this.cacheData(cacheKey, data, options.ttlClass || this.resolveTtlClass(endpoint, params));
+            
+            console.log(`✅ API success: ${endpoint} (${data.value.length} rows, ${data.pageCount} page(s))`);
+            return data;
+
+        } catch (error) {
+            console.error(`❌ API error: ${endpoint}`, error);
+            
+            // Try to return cached data (także przeterminowane - lepsze niż nic)
+            const cachedData = this.getCachedData(cacheKey, { allowStale: true });
+            if (cachedData) {
+                console.log(`📦 Using cached data for: ${cacheKey}`);
+                return this.asCached(cachedData, true);
             }
             
-            // ZMIEŃ TEN FRAGMENT:
-        const queryString = new URLSearchParams(params).toString();
-        
-        // Dla proxy CORS - nie koduj podwójnie
-        const apiUrl = `https://apimpdv2-bmgdhhajexe8aade.a01.azurefd.net/api/${endpoint}${queryString ? '?' + queryString : ''}`;
-        const url = `${this.baseUrl}${endpoint}${queryString ? '?' + queryString : ''}`;
-            console.log(`🔄 Fetching: ${url}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Odpowiedź z cache - kopia z provenance 'cache' (czas pobrania = oryginalny)
+     */
+    asCached(data, stale = false) {
+        return {
+            ...data,
+            provenance: {
+                ...(data.provenance || this.createProvenance('live')),
+                source: 'cache',
+                stale
+            }
+        };
+    }
 
+    /**
+     * Fetch single page - limit zapytań, timeout i ponowienia z backoffem
+     */
+    async fetchPage(url, endpoint = null, options = {}) {
+        const timeout = options.timeout ?? this.config.timeout ?? 5000;
+        const retries = options.retries ?? this.config.retries ?? 2;
+        const backoff = this.config.backoff || {};
+        let attempts = 0;
+
+        try {
+            return await window.Utils.retry(async () => {
+                attempts++;
+                await this.rateLimiter.acquire();
+                return this.fetchWithTimeout(url, endpoint, timeout);
+            }, retries, backoff.initialDelay ?? 1000, backoff.factor ?? 2, {
+                jitter: backoff.jitter ?? 0.3,
+                shouldRetry: error => error instanceof PSEApiError && error.retryable,
+                onRetry: (error, retriesLeft, wait) => {
+                    console.warn(`🔁 Retrying ${endpoint} in ${Math.round(wait)}ms (${error.message}, ${retriesLeft} left)`);
+                }
+            });
+        } catch (error) {
+            const apiError = error instanceof PSEApiError
+                ? error
+                : new PSEApiError(error.message, { endpoint, url, cause: error });
+            apiError.attempts = attempts;
+            apiError.message = `${apiError.message} (after ${attempts} attempt(s))`;
+            throw apiError;
+        }
+    }
+
+    /**
+     * Pojedynczy fetch z timeoutem (AbortController)
+     */
+    async fetchWithTimeout(url, endpoint, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
             const response = await fetch(url, {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json',
                     'Content-Type': 'application/json'
-                }
+                },
+                signal: controller.signal
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                throw new PSEApiError(`HTTP ${response.status}: ${response.statusText}`, {
+                    endpoint, url, status: response.status, code: 'HTTP'
+                });
             }
 
-            const data = await response.json();
-            
-            // Cache response
-            this.cacheData(endpoint, data);
-            
-            console.log(`✅ API success: ${endpoint}`);
-            return data;
+            return await response.json();
 
         } catch (error) {
-            console.error(`❌ API error: ${endpoint}`, error);
-            
-            // Try to return cached data
-            const cachedData = this.getCachedData(endpoint);
-            if (cachedData) {
-                console.log(`📦 Using cached data for: ${endpoint}`);
-                return cachedData;
+            if (error instanceof PSEApiError) throw error;
+            if (error.name === 'AbortError') {
+                throw new PSEApiError(`Timeout after ${timeout}ms: ${endpoint}`, { endpoint, url, code: 'TIMEOUT', cause: error });
             }
-            
-            // Return mock data structure
-            return { value: [], nextLink: null };
+            throw new PSEApiError(`Network error: ${error.message}`, { endpoint, url, code: 'NETWORK', cause: error });
+        } finally {
+            clearTimeout(timer);
         }
     }
 
+    /**
+     * Pobierz wszystkie strony wyniku (nextLink) do limitu stron/wierszy
+     */
+    async fetchAllPages(endpoint, url, options = {}) {
+        const limits = window.EnspirionConfig?.PSE?.pagination || {};
+        const maxPages = options.maxPages ?? limits.maxPages ?? 50;
+        const maxRows = options.maxRows ?? limits.maxRows ?? 100000;
+
+        const firstPage = await this.fetchPage(url, endpoint, options);
+        const rows = Array.isArray(firstPage.value) ? [...firstPage.value] : [];
+        let nextLink = firstPage.nextLink || null;
+        let pageCount = 1;
+
+        while (nextLink && pageCount < maxPages && rows.length < maxRows) {
+            const page = await this.fetchPage(this.resolveNextLink(nextLink), endpoint, options);
+            pageCount++;
+
+            if (Array.isArray(page.value)) {
+                rows.push(...page.value);
+            }
+            nextLink = page.nextLink || null;
+        }
+
+        let truncated = Boolean(nextLink);
+        if (rows.length > maxRows) {
+            rows.length = maxRows;
+            truncated = true;
+        }
+
+        const report = {
+            endpoint,
+            rows: rows.length,
+            pageCount,
+            truncated,
+            timestamp: Date.now()
+        };
+        this.pagingReports.set(endpoint, report);
+
+        if (truncated) {
+            console.warn(`⚠️ Truncated result for ${endpoint}: ${rows.length} rows in ${pageCount} page(s) (limits: ${maxPages} pages / ${maxRows} rows)`);
+        }
+
+        return {
+            ...firstPage,
+            value: rows,
+            nextLink,
+            pageCount,
+            truncated
+        };
+    }
+
+    /**
+     * nextLink może być absolutny lub względny względem baseUrl
+     */
+    resolveNextLink(nextLink) {
+        return new URL(nextLink, this.baseUrl).toString();
+    }
+
+    /**
+     * Zakres dni z trwałego magazynu (TimeSeriesStore) - z API pobierane są tylko brakujące dni
+     * Zwraca { value, truncated, fetchedRanges }
+     */
+    async getSeriesRange(endpoint, fromDate, toDate, options = {}) {
+        const store = window.TimeSeriesStore;
+        const storeConfig = window.EnspirionConfig?.DATA?.store || {};
+
+        // Dni starsze niż finalizeAfterDays uznajemy za zamknięte (PSE koryguje dane bieżące)
+        const completeBefore = window.BusinessTime.addDays(window.BusinessTime.today(), -(storeConfig.finalizeAfterDays ?? 2));
+
+        const missingRanges = await store.getMissingRanges(endpoint, fromDate, toDate);
+        let truncated = false;
+        let fetchError = null;
+
+        for (const range of missingRanges) {
+            const params = PSEQuery.for(endpoint)
+                .dateRange(range.from, range.to)
+                .orderBy(options.orderBy || 'business_date')
+                .first(options.pageSize || 20000)
+                .build();
+
+            try {
+                const data = await this.request(endpoint, params, {
+                    maxRows: options.maxRows || 200000,
+                    timeout: options.timeout || 30000
+                });
+
+                // Każdy dzień zakresu zapisujemy - także dni bez rekordów
+                const rowsByDay = {};
+                TimeSeriesStore.eachDate(range.from, range.to, date => { rowsByDay[date] = []; });
+                Object.assign(rowsByDay, TimeSeriesStore.groupByBusinessDate(data.value || []));
+
+                // Niepełnego wyniku nie oznaczamy jako zamkniętego - zostanie pobrany ponownie
+                await store.putDays(endpoint, rowsByDay, { completeBefore: data.truncated ? null : completeBefore });
+                truncated = truncated || Boolean(data.truncated);
+
+            } catch (error) {
+                console.error(`❌ Failed to fetch ${endpoint} ${range.from}..${range.to}:`, error);
+                truncated = true;
+                fetchError = error;
+            }
+        }
+
+        if (missingRanges.length > 0) {
+            console.log(`🗄️ ${endpoint}: fetched ${missingRanges.length} missing range(s) for ${fromDate}..${toDate}`);
+        }
+
+        const days = await store.getDays(endpoint, fromDate, toDate);
+        const oldestFetch = days.length > 0 ? Math.min(...days.map(day => day.fetchedAt)) : Date.now();
+        const fetchedLive = missingRanges.length > 0 && !fetchError;
+
+        return {
+            value: days.flatMap(day => day.rows),
+            truncated,
+            fetchedRanges: missingRanges.length,
+            provenance: this.createProvenance(fetchedLive ? 'live' : 'cache', {
+                endpoint,
+                fetchedAt: fetchedLive ? Date.now() : oldestFetch,
+                stale: Boolean(fetchError),
+                error: fetchError
+            })
+        };
+    }
+
+    /**
+     * Raport stronicowania ostatnich zapytań (per endpoint)
+     */
+    getPagingReport(endpoint = null) {
+        if (endpoint) {
+            return this.pagingReports.get(endpoint) || null;
+        }
+        return Object.fromEntries(this.pagingReports);
+    }
+
     /**
      * Get current PV and Wind generation from pdgobpkd endpoint
      */
-    async getCurrentRenewableGeneration() {
+    async getCurrentRenewableGeneration(date = null) {
+        const businessDate = date || window.BusinessTime.today();
+
         try {
-            // Filtruj dane na dzisiaj
-            const today = new Date().toISOString().split('T')[0];
-            const params = {
-                '$filter': `business_date eq '${today}'`,
-                '$orderby': 'business_date asc',
-                '$first': 1000
-            };
-            
             // Używamy endpointu pdgobpkd który zawiera gen_fv i gen_wi
-            const data = await this.request('pdgobpkd', params);
+            const data = await this.requestDayGeneration(businessDate);
             
             if (!data || !data.value) {
                 console.warn('No renewable generation data received');
-                return this.getMockRenewableData();
+                return this.fallbackDataset('renewableGeneration', () => this.getMockRenewableData(businessDate), []);
             }
 
-            return this.processRenewableData(data.value);
+            return this.tagDataset('renewableGeneration', this.processRenewableData(data.value, businessDate), data.provenance);
 
         } catch (error) {
             console.error('Failed to get renewable generation:', error);
-            return this.getMockRenewableData();
+            return this.fallbackDataset('renewableGeneration', () => this.getMockRenewableData(businessDate), [], error);
         }
     }
 
@@ -220,32 +647,35 @@ getMockForecastData(days) {
     async getCurrentPVGeneration() {
         const renewableData = await this.getCurrentRenewableGeneration();
         // Extract just PV data for backward compatibility
-        return renewableData.map(item => ({
-            hour: item.hour,
+        return this.tagDataset('pvGeneration', this.mapSeries(renewableData, item => ({
             totalPower: item.pvGeneration,
             unitCount: 0,
             units: []
-        }));
+        })), renewableData.provenance);
     }
 
     /**
      * Get system load (KSE)
      */
-    async getSystemLoad() {
+    async getSystemLoad(date = null) {
+        const businessDate = date || window.BusinessTime.today();
+
         try {
-            // PSE API nie wspiera OData dla kse-load endpoint
-            const data = await this.request('kse-load');
+            const data = await this.request('kse-load', PSEQuery.for('kse-load')
+                .onDate(businessDate)
+                .orderBy('dtime')
+                .first(200));
             
             if (!data || !data.value) {
                 console.warn('No system load data received');
-                return this.getMockSystemLoadData();
+                return this.fallbackDataset('systemLoad', () => this.getMockSystemLoadData(businessDate), []);
             }
 
-            return this.processSystemLoadData(data.value);
+            return this.tagDataset('systemLoad', this.processSystemLoadData(data.value, businessDate), data.provenance);
 
         } catch (error) {
             console.error('Failed to get system load:', error);
-            return this.getMockSystemLoadData();
+            return this.fallbackDataset('systemLoad', () => this.getMockSystemLoadData(businessDate), [], error);
         }
     }
 
@@ -254,27 +684,27 @@ getMockForecastData(days) {
  */
 async getRedispatchData(date = null) {
     try {
-        const targetDate = date || new Date().toISOString().split('T')[0];
+        const targetDate = date || window.BusinessTime.today();
         
         // Pobierz ograniczenia operacyjne
-        const params = {
-            '$filter': `business_date eq '${targetDate}'`,
-            '$orderby': 'from_dtime asc',
-            '$first': 5000
-        };
+        const params = PSEQuery.for('ogr-oper')
+            .onDate(targetDate)
+            .orderBy('from_dtime')
+            .first(5000);
         
         const data = await this.request('ogr-oper', params);
         
         if (!data || !data.value) {
             console.warn('No redispatch data received');
-            return [];
+            return this.fallbackDataset('redispatch', () => [], []);
         }
         
-        return this.processRedispatchData(data.value);
+        // Wiersze ogr-oper mają format ograniczeń (jak getConstraints); processRedispatchData należy do DataProcessor
+        return this.tagDataset('redispatch', this.processConstraintsData(data.value), data.provenance);
         
     } catch (error) {
         console.error('Failed to get redispatch data:', error);
-        return [];
+        return this.fallbackDataset('redispatch', () => [], [], error);
     }
 }
 
@@ -287,44 +717,45 @@ async getRedispatchData(date = null) {
 async getOperationalConstraints(endDate = null) {
     try {
         const today = endDate || new Date();
-        const startOfYear = new Date(today.getFullYear(), 0, 1); // 1 stycznia
+        const toDate = window.BusinessTime.toBusinessDate(today);
+        const fromDate = `${toDate.slice(0, 4)}-01-01`; // 1 stycznia
         
         // Używamy właściwego endpointu poze-redoze
-        const params = {
-            '$filter': `business_date ge '${startOfYear.toISOString().split('T')[0]}' and business_date le '${today.toISOString().split('T')[0]}'`,
-            '$orderby': 'business_date asc',
-            '$first': 50000
-        };
+        const params = PSEQuery.for('poze-redoze')
+            .dateRange(fromDate, toDate)
+            .orderBy('business_date')
+            .first(50000);
         
-        console.log('📊 Fetching OZE redispatch from:', startOfYear.toISOString().split('T')[0], 'to:', today.toISOString().split('T')[0]);
+        console.log('📊 Fetching OZE redispatch from:', fromDate, 'to:', toDate);
         
-        const data = await this.request('poze-redoze', params); // <- ZMIANA TUTAJ
+        // Sumy roczne muszą być kompletne - podnieś limit wierszy (rok = ~35 tys. kwadransów)
+        // Przyrostowo z magazynu IndexedDB - pobierane są tylko brakujące dni
+        const data = window.TimeSeriesStore && window.EnspirionConfig?.DATA?.store?.enabled !== false
+            ? await this.getSeriesRange('poze-redoze', fromDate, toDate)
+            : await this.request('poze-redoze', params, { maxRows: 200000, timeout: 30000 }); // <- ZMIANA TUTAJ
         
         if (!data || !data.value || data.value.length === 0) {
             console.warn('No OZE redispatch data');
-            return this.getMockYearlyRedispatchData();
+            return this.fallbackDataset('redispatchYearly', () => this.getMockYearlyRedispatchData(today), this.getEmptyYearlyRedispatch());
         }
         
         console.log(`✅ Got ${data.value.length} OZE redispatch records`);
-        return this.processYearlyOZERedispatch(data.value); // <- NOWA METODA
+        const result = this.processYearlyOZERedispatch(data.value); // <- NOWA METODA
+        result.summary.truncated = Boolean(data.truncated);
+        return this.tagDataset('redispatchYearly', result, data.provenance);
         
     } catch (error) {
         console.error('Failed to get OZE redispatch data:', error);
-        return this.getMockYearlyRedispatchData();
+        return this.fallbackDataset('redispatchYearly', () => this.getMockYearlyRedispatchData(endDate || new Date()), this.getEmptyYearlyRedispatch(), error);
     }
 }
 
 /**
  * Process yearly OZE redispatch data from poze-redoze API
- */
-/**
- * Process yearly OZE redispatch data from poze-redoze API
+ * Cztery składowe (PV/wiatr x bilansowe/sieciowe) liczone osobno - różne przyczyny i zasady rekompensat
  */
 processYearlyOZERedispatch(rawData) {
-    const dailyData = {};
-    let totalEnergy = 0;
-    
-    // Grupuj dane po dniach, ale NIE sumuj wielokrotnie!
+    const componentKeys = Object.keys(OZE_REDISPATCH_COMPONENTS);
     const groupedByDay = {};
     
     rawData.forEach(item => {
@@ -335,137 +766,407 @@ processYearlyOZERedispatch(rawData) {
         groupedByDay[dayKey].push(item);
     });
     
-    // Dla każdego dnia weź tylko JEDNĄ wartość (np. ostatnią z dnia)
-    // lub jeśli to są przyrosty - sumuj je
-    Object.keys(groupedByDay).forEach(dayKey => {
+    const sortedDays = Object.keys(groupedByDay).sort();
+    const cumulativeComponents = Object.fromEntries(componentKeys.map(key => [key, 0]));
+    
+    const daily = sortedDays.map(dayKey => {
         const dayRecords = groupedByDay[dayKey];
         
-        // Sprawdź czy to są wartości skumulowane czy przyrostowe
-        // Jeśli mamy wiele rekordów na dzień, to prawdopodobnie są to 15-minutówki
-        if (dayRecords.length > 1) {
-    // To są 15-minutówki - ale mogą być wartości godzinowe powtórzone!
-    let dayTotal = 0;
-    let pvTotal = 0;
-    let windTotal = 0;
-    
-    dayRecords.forEach(record => {
-        const pvReduction = Math.abs(record.pv_red_balance || 0) + Math.abs(record.pv_red_network || 0);
-        const windReduction = Math.abs(record.wi_red_balance || 0) + Math.abs(record.wi_red_network || 0);
-        dayTotal += pvReduction + windReduction;
-        pvTotal += pvReduction;
-        windTotal += windReduction;
+        // Moc [MW] -> energia [MWh]: kwadranse (więcej rekordów niż godzin doby) po 0.25 h, dane godzinowe po 1 h
+        const intervalHours = dayRecords.length > window.BusinessTime.hoursInDay(dayKey) ? 0.25 : 1;
+        
+        const components = Object.fromEntries(componentKeys.map(key => {
+            const field = OZE_REDISPATCH_COMPONENTS[key].field;
+            const energy = dayRecords.reduce((sum, record) => sum + Math.abs(parseFloat(record[field]) || 0), 0) * intervalHours;
+            return [key, energy];
+        }));
+        
+        return this.buildRedispatchDay(dayKey, components, dayRecords.length, cumulativeComponents);
     });
     
-    // WAŻNE: Jeśli mamy 96 rekordów (24h * 4), to prawdopodobnie są to wartości godzinowe
-    // powtórzone dla każdego 15-minutowego interwału. Trzeba podzielić przez 4!
-    if (dayRecords.length >= 96) {
-        dayTotal = dayTotal / 4;
-        pvTotal = pvTotal / 4;
-        windTotal = windTotal / 4;
-        console.log(`📊 Adjusted for 15-min intervals: ${dayKey} - ${dayRecords.length} records -> ${dayTotal.toFixed(2)} MWh`);
-    }
+    const result = this.summarizeYearlyRedispatch(daily);
     
-    dailyData[dayKey] = {
-        date: dayKey,
-        energy: dayTotal,
-        pvEnergy: pvTotal,
-        windEnergy: windTotal,
-        intervals: dayRecords.length
-    };
+    console.log('📊 Yearly OZE redispatch summary:', {
+        totalDays: sortedDays.length,
+        totalEnergyGWh: result.summary.totalEnergyGWh.toFixed(2) + ' GWh',
+        components: Object.fromEntries(componentKeys.map(key => [key, (result.summary.components[key] / 1000).toFixed(2) + ' GWh'])),
+        lastDay: result.summary.lastDay
+    });
+    
+    return result;
 }
-        
-        totalEnergy += dailyData[dayKey].energy;
+
+/**
+ * Wpis dobowy redysponowania: składowe, sumy PV/wiatr i bilansowe/sieciowe, wartości skumulowane
+ * cumulativeComponents - sumy narastające od początku roku, aktualizowane w miejscu
+ */
+buildRedispatchDay(date, components, intervals, cumulativeComponents) {
+    const sumWhere = predicate => Object.entries(components)
+        .filter(([key]) => predicate(OZE_REDISPATCH_COMPONENTS[key]))
+        .reduce((sum, [, energy]) => sum + energy, 0);
+    
+    Object.entries(components).forEach(([key, energy]) => {
+        cumulativeComponents[key] += energy;
     });
     
-    // Sortuj dni i oblicz wartości skumulowane
-    const sortedDays = Object.keys(dailyData).sort();
-    const cumulativeData = [];
-    let cumulative = 0;
+    return {
+        date,
+        dailyEnergy: sumWhere(() => true),
+        cumulativeEnergy: Object.values(cumulativeComponents).reduce((sum, energy) => sum + energy, 0),
+        pvEnergy: sumWhere(component => component.source === 'pv'),
+        windEnergy: sumWhere(component => component.source === 'wind'),
+        balanceEnergy: sumWhere(component => component.cause === 'balance'),
+        networkEnergy: sumWhere(component => component.cause === 'network'),
+        components,
+        cumulativeComponents: { ...cumulativeComponents },
+        intervals
+    };
+}
+
+/**
+ * Podsumowanie roku: sumy składowych i miesięczne udziały przyczyn (MWh)
+ */
+summarizeYearlyRedispatch(daily) {
+    const componentKeys = Object.keys(OZE_REDISPATCH_COMPONENTS);
+    const zeroComponents = () => Object.fromEntries(componentKeys.map(key => [key, 0]));
     
-    sortedDays.forEach(day => {
-        cumulative += dailyData[day].energy;
-        cumulativeData.push({
-            date: day,
-            dailyEnergy: dailyData[day].energy,
-            cumulativeEnergy: cumulative,
-            pvEnergy: dailyData[day].pvEnergy,
-            windEnergy: dailyData[day].windEnergy,
-            intervals: dailyData[day].intervals
+    const months = new Map();
+    daily.forEach(day => {
+        const month = day.date.slice(0, 7);
+        if (!months.has(month)) months.set(month, zeroComponents());
+        componentKeys.forEach(key => {
+            months.get(month)[key] += day.components[key];
         });
     });
     
-    // Sprawdź czy wartości są sensowne
-    const avgDailyEnergy = totalEnergy / sortedDays.length;
-    console.log('📊 Sanity check:', {
-        avgDailyEnergyMWh: avgDailyEnergy.toFixed(2),
-        avgDailyEnergyGWh: (avgDailyEnergy / 1000).toFixed(3),
-        typicalIntervalsPerDay: dailyData[sortedDays[0]]?.intervals || 0,
-        firstDayEnergy: dailyData[sortedDays[0]]?.energy.toFixed(2) + ' MWh'
+    const monthly = Array.from(months, ([month, components]) => {
+        const total = componentKeys.reduce((sum, key) => sum + components[key], 0);
+        return {
+            month,
+            total,
+            components,
+            shares: Object.fromEntries(componentKeys.map(key => [key, total > 0 ? components[key] / total : 0]))
+        };
     });
     
-    console.log('📊 Yearly OZE redispatch summary:', {
-        totalDays: sortedDays.length,
-        totalEnergy: totalEnergy.toFixed(2) + ' MWh',
-        totalEnergyGWh: (totalEnergy / 1000).toFixed(2) + ' GWh',
-        avgDailyEnergy: avgDailyEnergy.toFixed(2) + ' MWh/day',
-        lastDay: sortedDays[sortedDays.length - 1]
-    });
+    const last = daily[daily.length - 1];
+    const totalEnergy = last?.cumulativeEnergy || 0;
     
     return {
-        daily: cumulativeData,
-        total: cumulative,
+        daily,
+        total: totalEnergy,
         summary: {
-            totalEnergy: totalEnergy,
+            totalEnergy,
             totalEnergyGWh: totalEnergy / 1000,
-            daysWithRedispatch: sortedDays.length,
-            averageDaily: avgDailyEnergy,
-            firstDay: sortedDays[0],
-            lastDay: sortedDays[sortedDays.length - 1]
+            daysWithRedispatch: daily.filter(day => day.dailyEnergy > 0).length,
+            averageDaily: daily.length > 0 ? totalEnergy / daily.length : 0,
+            firstDay: daily[0]?.date || null,
+            lastDay: last?.date || null,
+            components: last ? { ...last.cumulativeComponents } : zeroComponents(),
+            monthly
         }
     };
 }
     /**
-     * Get price data (RCE)
+     * Get price data (RCE) dla doby (domyślnie dzisiejszej)
+     * price-fcst to tylko bieżące publikacje - doba bez cen (np. przeszła) daje pustą listę
      */
-    async getPriceData() {
+    async getPriceData(date = null) {
+        const businessDate = date || window.BusinessTime.today();
+
         try {
             // PSE API nie wspiera OData dla price-fcst endpoint
             const data = await this.request('price-fcst');
             
             if (!data || !data.value) {
-                return this.getMockPriceData();
+                return this.fallbackDataset('prices', () => this.getMockPriceData(), []);
             }
 
-            return this.processPriceData(data.value);
+            // Pełna odpowiedź obejmuje kilka dób - ceny innych dób nie mogą trafić do godzin tej doby;
+            // doba z czasu wiersza (business_date bywa pusty)
+            const rows = data.value.filter(row => this.getPriceRowDate(row) === businessDate);
+            return this.tagDataset('prices', this.processPriceData(rows), data.provenance);
 
         } catch (error) {
             console.error('Failed to get price data:', error);
-            return this.getMockPriceData();
+            return this.fallbackDataset('prices', () => this.getMockPriceData(), [], error);
+        }
+    }
+
+    /**
+     * Doba biznesowa wiersza price-fcst z jego czasu: from_dtime (początek okresu) albo chwila tuż przed dtime (koniec)
+     */
+    getPriceRowDate(row) {
+        const instant = row.from_dtime
+            ? window.BusinessTime.parseRowTime(row, 'from_dtime').getTime()
+            : row.dtime ? window.BusinessTime.parseRowTime(row).getTime() - 60000 : NaN;
+
+        return Number.isNaN(instant) ? null : window.BusinessTime.toBusinessDate(new Date(instant));
+    }
+
+    /**
+     * Ceny RCE (price-fcst) dla doby date (domyślnie dziś) i D+1 w rozdzielczości kwadransowej
+     */
+    async getRCEPrices(date = null) {
+        const businessDate = date || window.BusinessTime.today();
+        const dates = [businessDate, window.BusinessTime.addDays(businessDate, 1)];
+        const emptyPrices = { dates, intervals: [] };
+
+        try {
+            // price-fcst bez OData - pełna odpowiedź, filtrowanie dób po stronie klienta
+            const data = await this.request('price-fcst');
+
+            if (!data || !data.value) {
+                return this.fallbackDataset('rcePrices', () => this.getMockRCEPrices(dates), emptyPrices);
+            }
+
+            const prices = this.processRCEPrices(data.value, dates);
+            if (this.isPastDay(date) && prices.intervals.length === 0) {
+                return this.missingDayDataset('rcePrices', prices, date);
+            }
+
+            return this.tagDataset('rcePrices', prices, data.provenance);
+
+        } catch (error) {
+            console.error('Failed to get RCE prices:', error);
+            return this.fallbackDataset('rcePrices', () => this.getMockRCEPrices(dates), emptyPrices, error);
         }
     }
+
+    /**
+     * Wiersze price-fcst -> [{ start, businessDate, price }] dla wskazanych dób
+     * dtime to koniec okresu (konwencja PSE), from_dtime - początek
+     */
+    processRCEPrices(rawData, dates) {
+        const priceOf = row => {
+            for (const field of ['rce_pln', 'price', 'value']) {
+                const value = parseFloat(row[field]);
+                if (Number.isFinite(value)) return value;
+            }
+            return null;
+        };
+
+        const rows = rawData.filter(row => dates.includes(row.business_date));
+        const timeIsEnd = rows.some(row => row.dtime);
+
+        const prices = this.toQuarterSeries(rows, timeIsEnd ? 'dtime' : 'from_dtime', priceOf, { timeIsEnd });
+
+        return {
+            dates,
+            intervals: Array.from(prices.entries())
+                .sort(([a], [b]) => a - b)
+                .map(([start, price]) => ({
+                    start,
+                    businessDate: window.BusinessTime.toBusinessDate(new Date(start)),
+                    price
+                }))
+        };
+    }
+
+    /**
+     * Seria kwadransowa: Map(początek kwadransa [ms] -> wartość)
+     * Rozdzielczość doby z najmniejszego odstępu między znacznikami czasu (nie z liczby wierszy -
+     * kilka publikacji planu to więcej wierszy, nie gęstsze dane); dane godzinowe rozpisywane na 4 kwadranse,
+     * pojedynczy znacznik w dobie traktowany jako godzinowy
+     */
+    toQuarterSeries(rows, timeField, valueOf, { timeIsEnd = true } = {}) {
+        const QUARTER_MS = window.BusinessTime.QUARTER_MS;
+        const timed = rows
+            .filter(row => row[timeField])
+            .map(row => ({ row, instant: window.BusinessTime.parseRowTime(row, timeField).getTime() }))
+            .filter(entry => !Number.isNaN(entry.instant));
+
+        const instantsPerDay = {};
+        timed.forEach(({ row, instant }) => {
+            (instantsPerDay[row.business_date] = instantsPerDay[row.business_date] || new Set()).add(instant);
+        });
+
+        const stepPerDay = {};
+        Object.entries(instantsPerDay).forEach(([businessDate, instants]) => {
+            const sorted = Array.from(instants).sort((a, b) => a - b);
+            let spacing = Infinity;
+            for (let i = 1; i < sorted.length; i++) {
+                spacing = Math.min(spacing, sorted[i] - sorted[i - 1]);
+            }
+            stepPerDay[businessDate] = Number.isFinite(spacing)
+                ? Math.min(4, Math.max(1, Math.round(spacing / QUARTER_MS)))
+                : 4;
+        });
+
+        const series = new Map();
+        timed.forEach(({ row, instant }) => {
+            const value = valueOf(row);
+            if (value === null || value === undefined) return;
+
+            const step = stepPerDay[row.business_date];
+            const start = timeIsEnd ? instant - step * QUARTER_MS : instant;
+            for (let i = 0; i < step; i++) {
+                series.set(start + i * QUARTER_MS, value);
+            }
+        });
+
+        return series;
+    }
+
+    /**
+     * Wiersze pk5l-wp z kilku publikacji -> jedna wersja planu na okres: per doba ostatnia publikacja
+     * sprzed jej początku (BusinessTime.selectPublishedBefore); strict - bez publikacji śróddziennych
+     */
+    selectDayAheadPlan(rows, { strict = false } = {}) {
+        const byDate = new Map();
+        rows.forEach(row => {
+            if (!byDate.has(row.business_date)) byDate.set(row.business_date, []);
+            byDate.get(row.business_date).push(row);
+        });
+
+        return Array.from(byDate.entries()).flatMap(([businessDate, dayRows]) =>
+            window.BusinessTime.selectPublishedBefore(dayRows, window.BusinessTime.startOfDay(businessDate).getTime(), 'plan_dtime', { strict }));
+    }
+
+    /**
+     * Szereg doby w natywnym MTU (15 min): punkt { time, timestamp, hour, quarter, intervalMinutes, ...pola }
+     * na każdy kwadrans doby (92/96/100), brakujące kwadranse z polami null.
+     * fields: nazwa pola -> funkcja(wiersz PSE); dane godzinowe rozpisywane jak w toQuarterSeries
+     */
+    buildQuarterSeries(rows, businessDate, fields, { timeField = 'dtime', timeIsEnd = true } = {}) {
+        const entries = Object.entries(fields);
+        const empty = Object.fromEntries(entries.map(([field]) => [field, null]));
+        const values = this.toQuarterSeries(rows.filter(row => !row.business_date || row.business_date === businessDate),
+            timeField,
+            row => Object.fromEntries(entries.map(([field, valueOf]) => [field, valueOf(row)])),
+            { timeIsEnd });
+
+        const series = window.BusinessTime.intervalStarts(businessDate, 15).map((time, quarter) => ({
+            time,
+            timestamp: new Date(time),
+            hour: window.BusinessTime.getLocalHour(new Date(time)),
+            quarter,
+            intervalMinutes: 15,
+            ...(values.get(time) || empty)
+        }));
+
+        series.intervalMinutes = 15;
+        return series;
+    }
+
+    /**
+     * Szereg pochodny: czas punktów i długość okresu (MTU) jak w źródle, pozostałe pola z mapper
+     */
+    mapSeries(series, mapper) {
+        const mapped = series.map(point => ({
+            time: point.time,
+            timestamp: point.timestamp,
+            hour: point.hour,
+            quarter: point.quarter,
+            intervalMinutes: point.intervalMinutes,
+            ...mapper(point)
+        }));
+
+        mapped.intervalMinutes = series.intervalMinutes;
+        return mapped;
+    }
+
+    /**
+     * Ceny RCE z przychodem portfela per kwadrans dla doby date (domyślnie dziś) i D+1
+     * Generacja: w dobie rzeczywista PV (pdgobpkd), dalej prognoza (pk5l-wp); redukcje PV doby (poze-redoze)
+     */
+    async getPriceRevenueData(date = null) {
+        const businessDate = date || window.BusinessTime.today();
+
+        const [prices, generation, plan, curtailment] = await Promise.allSettled([
+            this.getRCEPrices(date),
+            this.requestDayGeneration(date),
+            this.requestForecastPlan(3, date),
+            this.request('poze-redoze', PSEQuery.for('poze-redoze').onDate(businessDate).orderBy('dtime').first(200))
+        ]);
+
+        const priceData = prices.status === 'fulfilled' ? prices.value : { dates: [businessDate], intervals: [] };
+        const rowsOf = result => result.status === 'fulfilled' ? (result.value?.value || []) : [];
+        const toNumber = value => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        };
+
+        const actualPV = this.toQuarterSeries(rowsOf(generation), 'dtime', row => toNumber(row.gen_fv));
+        const forecastPV = this.toQuarterSeries(this.selectDayAheadPlan(rowsOf(plan)), 'plan_dtime',
+            row => toNumber(row.fcst_pv_tot_gen), { timeIsEnd: false });
+        // Redukcje publikowane ze znakiem ujemnym - wolumen jako suma wartości bezwzględnych
+        const curtailedPV = this.toQuarterSeries(rowsOf(curtailment), 'dtime', row => {
+            const balance = toNumber(row.pv_red_balance);
+            const network = toNumber(row.pv_red_network);
+            return balance === null && network === null ? null : Math.abs(balance || 0) + Math.abs(network || 0);
+        });
+
+        const intervals = priceData.intervals.map(interval => {
+            const actual = actualPV.get(interval.start);
+            return {
+                ...interval,
+                nationalPV: actual ?? forecastPV.get(interval.start) ?? null,
+                generationSource: actual !== undefined ? 'actual' : (forecastPV.has(interval.start) ? 'forecast' : null),
+                nationalCurtailment: curtailedPV.get(interval.start) || 0
+            };
+        });
+
+        const revenue = window.PortfolioCalculator
+            ? window.PortfolioCalculator.calculateIntervalRevenue(intervals)
+            : { intervals, totals: {} };
+
+        const summary = {};
+        priceData.dates.forEach(date => {
+            summary[date] = this.summarizePrices(revenue.intervals.filter(interval => interval.businessDate === date));
+        });
+
+        return this.tagDataset('rcePrices', {
+            dates: priceData.dates,
+            intervals: revenue.intervals,
+            summary,
+            missingDate: priceData.missingDate || null
+        }, priceData.provenance);
+    }
+
+    /**
+     * Min/max/średnia ceny, godziny z ceną ujemną i przychód portfela dla doby
+     */
+    summarizePrices(intervals) {
+        const prices = intervals.map(interval => interval.price).filter(Number.isFinite);
+        if (prices.length === 0) {
+            return { count: 0, min: null, max: null, avg: null, negativeHours: [], revenue: 0, negativeRevenue: 0, curtailmentLoss: 0 };
+        }
+
+        const negativeHours = [...new Set(intervals
+            .filter(interval => interval.price < 0)
+            .map(interval => window.BusinessTime.getLocalHour(new Date(interval.start))))];
+
+        const sum = (list, field) => list.reduce((total, interval) => total + (interval[field] || 0), 0);
+
+        return {
+            count: prices.length,
+            min: Math.min(...prices),
+            max: Math.max(...prices),
+            avg: prices.reduce((total, price) => total + price, 0) / prices.length,
+            negativeHours,
+            revenue: sum(intervals, 'revenue'),
+            negativeRevenue: sum(intervals.filter(interval => interval.price < 0), 'revenue'),
+            curtailmentLoss: sum(intervals, 'lostRevenue')
+        };
+    }
 /**
  * Get KSE demand data (forecast and actual)
  */
-async getKSEDemandData(period = 'today') {
-    console.log('🔄 Getting KSE demand data for period:', period);
+async getKSEDemandData(period = 'today', date = null) {
+    console.log('🔄 Getting KSE demand data for period:', period, date || '');
     
     try {
-        const today = new Date().toISOString().split('T')[0];
-        let params = {};
-        
-        // Filtruj po business_date jeśli API to wspiera
-        if (period === 'today') {
-            params['$filter'] = `business_date eq '${today}'`;
-        } else if (period === '3days') {
-            const startDate = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-            params['$filter'] = `business_date ge '${startDate}' and business_date le '${today}'`;
-        } else if (period === 'week') {
-            const startDate = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-            params['$filter'] = `business_date ge '${startDate}' and business_date le '${today}'`;
-        }
+        // Okres liczony wstecz od wybranej doby (domyślnie dzisiejszej)
+        const endDate = date || window.BusinessTime.today();
+        const daysBack = { today: 0, '3days': 2, week: 6 }[period] ?? 0;
+        const startDate = window.BusinessTime.addDays(endDate, -daysBack);
         
-        params['$orderby'] = 'dtime asc';
-        params['$first'] = period === 'week' ? 2000 : 1000;
+        const params = PSEQuery.for('kse-load')
+            .dateRange(startDate, endDate)
+            .orderBy('dtime')
+            .first(period === 'week' ? 2000 : 1000)
+            .build();
         
         console.log('Request params:', params);
         
@@ -474,16 +1175,26 @@ async getKSEDemandData(period = 'today') {
         
         console.log('Raw API response:', data);
         
+        const emptyDemand = { labels: [], forecast: [], actual: [] };
+        
         if (!data || !data.value || data.value.length === 0) {
-            console.warn('No data from API, using mock');
-            return this.getMockKSEDemandData(period);
+            console.warn('No KSE demand data from API');
+            return this.fallbackDataset('kseDemand', () => this.getMockKSEDemandData(period), emptyDemand);
+        }
+        
+        const processed = this.processKSEDemandData(data.value, null);
+        if (processed.labels.length === 0) {
+            return this.fallbackDataset('kseDemand', () => this.getMockKSEDemandData(period), emptyDemand);
         }
         
-        return this.processKSEDemandData(data.value, null);
+        processed.startDate = startDate;
+        processed.endDate = endDate;
+        
+        return this.tagDataset('kseDemand', processed, data.provenance);
         
     } catch (error) {
         console.error('Failed to get KSE demand data:', error);
-        return this.getMockKSEDemandData(period);
+        return this.fallbackDataset('kseDemand', () => this.getMockKSEDemandData(period), { labels: [], forecast: [], actual: [] }, error);
     }
 }
 /**
@@ -503,7 +1214,8 @@ async getKSEDemandData(period = 'today') {
     // Przetwórz dane - endpoint kse-load zawiera zarówno forecast jak i actual
     if (forecastRaw && forecastRaw.length > 0) {
         forecastRaw.forEach(item => {
-            const time = new Date(item.dtime);
+            const time = window.BusinessTime.parseLocal(item.dtime);
+            if (isNaN(time.getTime())) return;
             const timeKey = time.toISOString();
             
             // Pobierz wartości
@@ -526,10 +1238,10 @@ async getKSEDemandData(period = 'today') {
     
     console.log('Processed data points:', sortedTimes.length);
     
-    // Jeśli brak danych, użyj mocka
+    // Jeśli brak danych - pusty zbiór (decyzję o mocku podejmuje getKSEDemandData)
     if (sortedTimes.length === 0) {
-        console.warn('No data processed, using mock data');
-        return this.getMockKSEDemandData('today');
+        console.warn('No KSE demand data processed');
+        return data;
     }
     
     // Przygotuj dane do wykresu
@@ -537,6 +1249,7 @@ async getKSEDemandData(period = 'today') {
         const item = dataMap.get(timeKey);
         
         data.labels.push(item.time.toLocaleString('pl-PL', {
+            timeZone: window.BusinessTime.timeZone(),
             day: '2-digit',
             month: '2-digit',
             hour: '2-digit',
@@ -582,262 +1295,616 @@ getMockKSEDemandData(period) {
         data.forecast.push(forecast);
         data.actual.push(actual);
     }
-    
-    return data;
-}
+    
+    return data;
+}
+    /**
+     * Get transmission constraints
+     */
+    async getTransmissionConstraints(date = null) {
+        // Ograniczenia operacyjne wybranej doby (ogr-oper) - to samo zapytanie co getRedispatchData
+        const redispatch = await this.getRedispatchData(date);
+        return this.tagDataset('constraints', redispatch, redispatch.provenance);
+    }
+
+    /**
+     * Ograniczenia dobowe D+1 (ogr-d1) - planowane ograniczenia jednostek na jutro
+     */
+    async getDayAheadConstraints(date = null) {
+        const businessDate = date || window.BusinessTime.addDays(window.BusinessTime.today(), 1);
+        const emptyConstraints = { businessDate, constraints: [], byHour: Array.from({ length: 24 }, () => []) };
+
+        try {
+            const params = PSEQuery.for('ogr-d1')
+                .onDate(businessDate)
+                .orderBy('from_dtime')
+                .first(5000);
+
+            const data = await this.request('ogr-d1', params);
+
+            if (!data || !data.value) {
+                console.warn('No D+1 constraints data received');
+                return this.fallbackDataset('constraintsD1', () => emptyConstraints, emptyConstraints);
+            }
+
+            return this.tagDataset('constraintsD1', this.processDayAheadConstraints(data.value, businessDate), data.provenance);
+
+        } catch (error) {
+            console.error('Failed to get D+1 constraints:', error);
+            return this.fallbackDataset('constraintsD1', () => emptyConstraints, emptyConstraints, error);
+        }
+    }
+
+    /**
+     * Przetwórz ograniczenia D+1: czasy ściany Europe/Warsaw i indeks po godzinach doby
+     * byHour[h] = ograniczenia aktywne w godzinie zegarowej h (0-23)
+     */
+    processDayAheadConstraints(rawData, businessDate) {
+        const constraints = rawData
+            .filter(row => row.from_dtime && row.to_dtime)
+            .map(row => ({
+                resourceName: row.resource_name || '',
+                resourceCode: row.resource_code || '',
+                direction: row.direction || '',
+                area: row.node || row.limiting_element || 'Nieznany',
+                limitingElement: row.limiting_element || '',
+                minPower: parseFloat(row.pol_min_power_of_unit || 0),
+                maxPower: parseFloat(row.pol_max_power_of_unit || 0),
+                fromLabel: row.from_dtime,
+                toLabel: row.to_dtime,
+                from: window.BusinessTime.parseLocal(row.from_dtime),
+                to: window.BusinessTime.parseLocal(row.to_dtime)
+            }));
+
+        const byHour = Array.from({ length: 24 }, (_, hour) => {
+            const hourStart = window.BusinessTime.parseLocal(`${businessDate} ${String(hour).padStart(2, '0')}:00:00`);
+            const hourEnd = new Date(hourStart.getTime() + window.BusinessTime.HOUR_MS);
+            return constraints.filter(constraint => constraint.from < hourEnd && constraint.to > hourStart);
+        });
+
+        return { businessDate, constraints, byHour };
+    }
+
+    /**
+     * Wymiana transgraniczna (przeplywy-mocy) - przepływy na granicach KSE dla doby
+     */
+    async getCrossBorderFlows(date = null) {
+        const businessDate = date || window.BusinessTime.today();
+        const emptyFlows = this.processCrossBorderFlows([], businessDate);
+
+        try {
+            const params = PSEQuery.for('przeplywy-mocy')
+                .onDate(businessDate)
+                .orderBy('dtime')
+                .first(5000);
+
+            const data = await this.request('przeplywy-mocy', params);
+
+            if (!data || !data.value || data.value.length === 0) {
+                console.warn('No cross-border flow data received');
+                return this.fallbackDataset('crossBorderFlows', () => this.getMockCrossBorderFlows(businessDate), emptyFlows);
+            }
+
+            return this.tagDataset('crossBorderFlows', this.processCrossBorderFlows(data.value, businessDate), data.provenance);
+
+        } catch (error) {
+            console.error('Failed to get cross-border flows:', error);
+            return this.fallbackDataset('crossBorderFlows', () => this.getMockCrossBorderFlows(businessDate), emptyFlows, error);
+        }
+    }
+
+    /**
+     * Przepływy po kwadransach: byBorder[granica][kwadrans], total = suma granic,
+     * byHour[h] = średnie saldo w godzinie zegarowej h (0-23) dla RedispatchRiskScorer
+     * dtime oznacza koniec kwadransa; znak wartości jak w raporcie PSE
+     */
+    processCrossBorderFlows(rawData, businessDate) {
+        const borders = window.EnspirionConfig.DATA.crossBorder.borders;
+        const dayStart = window.BusinessTime.startOfDay(businessDate).getTime();
+        const quarters = window.BusinessTime.quartersInDay(businessDate);
+
+        const times = Array.from({ length: quarters }, (_, quarter) => dayStart + quarter * window.BusinessTime.QUARTER_MS);
+        const byBorder = Object.fromEntries(borders.map(border => [border, new Array(quarters).fill(null)]));
+
+        rawData.forEach(row => {
+            if (row.business_date && row.business_date !== businessDate) return;
+
+            // section_code np. "PL-DE" - pierwszy kod granicy inny niż PL
+            const border = String(row.section_code || '')
+                .toUpperCase()
+                .split(/[^A-Z]+/)
+                .find(code => borders.includes(code));
+            const value = parseFloat(row.value);
+            if (!border || !row.dtime || !Number.isFinite(value)) return;
+
+            // dtime_utc rozróżnia powtórzoną godzinę przy zmianie czasu na zimowy
+            const end = window.BusinessTime.parseRowTime(row);
+            const start = end.getTime() - window.BusinessTime.QUARTER_MS;
+            const quarter = Math.round((start - dayStart) / window.BusinessTime.QUARTER_MS);
+            if (quarter < 0 || quarter >= quarters) return;
+
+            byBorder[border][quarter] = (byBorder[border][quarter] || 0) + value;
+        });
+
+        const total = times.map((time, quarter) => {
+            const values = borders.map(border => byBorder[border][quarter]).filter(value => value !== null);
+            return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+        });
+
+        const hourly = Array.from({ length: 24 }, () => []);
+        times.forEach((time, quarter) => {
+            if (total[quarter] !== null) {
+                hourly[window.BusinessTime.getLocalHour(new Date(time))].push(total[quarter]);
+            }
+        });
+        const byHour = hourly.map(values => values.length > 0
+            ? values.reduce((sum, value) => sum + value, 0) / values.length
+            : null);
+
+        const lastIndex = total.findLastIndex(value => value !== null);
+        const summary = {
+            latest: lastIndex >= 0 ? total[lastIndex] : null,
+            latestTime: lastIndex >= 0 ? times[lastIndex] : null,
+            latestByBorder: Object.fromEntries(borders.map(border => [border, lastIndex >= 0 ? byBorder[border][lastIndex] : null])),
+            peakAbs: total.reduce((peak, value) => value !== null && Math.abs(value) > Math.abs(peak ?? 0) ? value : peak, null)
+        };
+
+        return { businessDate, borders, times, byBorder, total, byHour, summary };
+    }
+
+    /**
+     * Generacja poszczególnych jednostek wytwórczych (gen-jw) dla doby
+     */
+    async getUnitGeneration(date = null) {
+        const businessDate = date || window.BusinessTime.today();
+        const emptyUnits = this.processUnitGeneration([], businessDate);
+
+        try {
+            const params = PSEQuery.for('gen-jw')
+                .onDate(businessDate)
+                .orderBy('dtime')
+                .first(20000);
+
+            const data = await this.request('gen-jw', params);
+
+            if (!data || !data.value || data.value.length === 0) {
+                console.warn('No unit generation data received');
+                return this.fallbackDataset('unitGeneration', () => this.getMockUnitGeneration(businessDate), emptyUnits);
+            }
+
+            const result = this.processUnitGeneration(data.value, businessDate);
+            result.truncated = Boolean(data.truncated);
+            return this.tagDataset('unitGeneration', result, data.provenance);
+
+        } catch (error) {
+            console.error('Failed to get unit generation:', error);
+            return this.fallbackDataset('unitGeneration', () => this.getMockUnitGeneration(businessDate), emptyUnits, error);
+        }
+    }
+
+    /**
+     * Jednostki posortowane wg energii doby: quarters[kwadrans] [MW],
+     * hourly[h] = średnia w godzinie zegarowej h (0-23, DataProcessor.groupByHour)
+     * dtime oznacza koniec okresu; jednostka z co najwyżej hoursInDay wierszami raportuje godzinowo
+     */
+    processUnitGeneration(rawData, businessDate) {
+        const dayStart = window.BusinessTime.startOfDay(businessDate).getTime();
+        const quarters = window.BusinessTime.quartersInDay(businessDate);
+        const hoursInDay = window.BusinessTime.hoursInDay(businessDate);
+        const times = Array.from({ length: quarters }, (_, quarter) => dayStart + quarter * window.BusinessTime.QUARTER_MS);
+
+        const rowsByUnit = new Map();
+        rawData.forEach(row => {
+            if (row.business_date && row.business_date !== businessDate) return;
+
+            const code = row.resource_code || row.power_plant;
+            if (!code || !row.dtime) return;
+
+            if (!rowsByUnit.has(code)) rowsByUnit.set(code, []);
+            rowsByUnit.get(code).push(row);
+        });
+
+        const units = Array.from(rowsByUnit, ([code, rows]) => {
+            const span = rows.length > hoursInDay ? 1 : 4; // kwadranse na wiersz
+            const values = new Array(quarters).fill(null);
+
+            rows.forEach(row => {
+                const value = parseFloat(row.wartosc);
+                if (!Number.isFinite(value)) return;
+
+                // dtime_utc rozróżnia powtórzoną godzinę przy zmianie czasu na zimowy
+                const end = window.BusinessTime.parseRowTime(row);
+                const first = Math.round((end.getTime() - dayStart) / window.BusinessTime.QUARTER_MS) - span;
+
+                for (let quarter = Math.max(0, first); quarter < Math.min(quarters, first + span); quarter++) {
+                    values[quarter] = (values[quarter] || 0) + value;
+                }
+            });
+
+            const points = values
+                .map((value, quarter) => ({ hour: window.BusinessTime.getLocalHour(new Date(times[quarter])), wartosc: value }))
+                .filter(point => point.wartosc !== null);
+            const byHour = window.DataProcessor.groupByHour(points);
+            const hourly = Array.from({ length: 24 }, (_, hour) => byHour[hour]
+                ? byHour[hour].reduce((sum, point) => sum + point.wartosc, 0) / byHour[hour].length
+                : null);
+
+            const reported = points.map(point => point.wartosc);
+            const unit = rows[0];
+
+            return {
+                code,
+                name: unit.resource_name || unit.power_plant || code,
+                plant: unit.power_plant || null,
+                mode: unit.operating_mode || null,
+                type: window.DataProcessor.classifyUnit(unit),
+                quarters: values,
+                hourly,
+                energy: reported.reduce((sum, value) => sum + value, 0) * 0.25,
+                peak: reported.length > 0 ? Math.max(...reported) : null,
+                latest: reported.length > 0 ? reported[reported.length - 1] : null
+            };
+        }).sort((a, b) => b.energy - a.energy);
+
+        const byType = {};
+        units.forEach(unit => {
+            byType[unit.type] = byType[unit.type] || { count: 0, energy: 0 };
+            byType[unit.type].count++;
+            byType[unit.type].energy += unit.energy;
+        });
+
+        return { businessDate, times, units, summary: { unitCount: units.length, byType } };
+    }
+
+    /**
+     * Prognozy vs wykonanie dla oceny trafności (zakres dób, przez TimeSeriesStore)
+     * pv/wind: pk5l-wp vs pdgobpkd, demand: kse-load load_fcst vs load_actual,
+     * demandPlan: pk5l-wp grid_demand_fcst vs load_actual
+     */
+    async getForecastAccuracyData(fromDate, toDate) {
+        const emptyAccuracy = { fromDate, toDate, points: [] };
+
+        try {
+            const [plan, generation, load] = await Promise.all([
+                this.getSeriesRange('pk5l-wp', fromDate, toDate, { orderBy: 'plan_dtime' }),
+                this.getSeriesRange('pdgobpkd', fromDate, toDate, { orderBy: 'dtime' }),
+                this.getSeriesRange('kse-load', fromDate, toDate, { orderBy: 'dtime' })
+            ]);
+
+            const toNumber = value => {
+                const number = parseFloat(value);
+                return Number.isFinite(number) ? number : null;
+            };
+            // Prognoza dnia poprzedniego: per doba ostatnia publikacja pk5l-wp sprzed jej początku;
+            // okresy bez publikacji D-1 pominięte (publikacja śróddzienna to nie trafność prognozy D-1)
+            const planRows = this.selectDayAheadPlan(plan.value, { strict: true });
+            const dayAheadDates = new Set(planRows.map(row => row.business_date));
+            const missingDayAheadDates = [...new Set(plan.value.map(row => row.business_date))]
+                .filter(date => date && !dayAheadDates.has(date))
+                .sort();
+            const planSeries = field => this.toQuarterSeries(planRows, 'plan_dtime', row => toNumber(row[field]), { timeIsEnd: false });
+            const actualSeries = (rows, field) => this.toQuarterSeries(rows, 'dtime', row => toNumber(row[field]));
+
+            const points = this.processForecastAccuracyPoints({
+                pv: { forecast: planSeries('fcst_pv_tot_gen'), actual: actualSeries(generation.value, 'gen_fv') },
+                wind: { forecast: planSeries('fcst_wi_tot_gen'), actual: actualSeries(generation.value, 'gen_wi') },
+                demand: { forecast: actualSeries(load.value, 'load_fcst'), actual: actualSeries(load.value, 'load_actual') },
+                demandPlan: { forecast: planSeries('grid_demand_fcst'), actual: actualSeries(load.value, 'load_actual') }
+            }, fromDate, toDate);
+
+            if (points.length === 0) {
+                console.warn('No forecast/actual pairs for accuracy tracking');
+                return this.fallbackDataset('forecastAccuracy', () => emptyAccuracy, emptyAccuracy);
+            }
+
+            const provenance = [plan, generation, load].find(result => result.provenance?.error)?.provenance || generation.provenance;
+            return this.tagDataset('forecastAccuracy', {
+                fromDate,
+                toDate,
+                points,
+                missingDayAheadDates,
+                truncated: plan.truncated || generation.truncated || load.truncated
+            }, provenance);
+
+        } catch (error) {
+            console.error('Failed to get forecast accuracy data:', error);
+            return this.fallbackDataset('forecastAccuracy', () => emptyAccuracy, emptyAccuracy, error);
+        }
+    }
+
+    /**
+     * Pary prognoza/wykonanie per zakończona godzina: średnia z kwadransów obecnych w obu seriach
+     * [{ start, businessDate, hour, pv: { forecast, actual }, wind, demand, demandPlan }]
+     */
+    processForecastAccuracyPoints(seriesByVariable, fromDate, toDate) {
+        const { QUARTER_MS, HOUR_MS } = window.BusinessTime;
+        const now = Date.now();
+        const points = [];
+
+        window.BusinessTime.dateRange(fromDate, toDate).forEach(businessDate => {
+            const dayStart = window.BusinessTime.startOfDay(businessDate).getTime();
+
+            for (let offset = 0; offset < window.BusinessTime.hoursInDay(businessDate); offset++) {
+                const start = dayStart + offset * HOUR_MS;
+                if (start + HOUR_MS > now) break;
+
+                const point = { start, businessDate, hour: window.BusinessTime.getLocalHour(new Date(start)) };
+                let hasPair = false;
+
+                Object.entries(seriesByVariable).forEach(([variable, { forecast, actual }]) => {
+                    const pairs = [0, 1, 2, 3]
+                        .map(quarter => start + quarter * QUARTER_MS)
+                        .filter(time => forecast.has(time) && actual.has(time));
+                    if (pairs.length === 0) return;
+
+                    point[variable] = {
+                        forecast: pairs.reduce((sum, time) => sum + forecast.get(time), 0) / pairs.length,
+                        actual: pairs.reduce((sum, time) => sum + actual.get(time), 0) / pairs.length
+                    };
+                    hasPair = true;
+                });
+
+                if (hasPair) points.push(point);
+            }
+        });
+
+        return points;
+    }
+
     /**
-     * Get transmission constraints
+     * Historyczna generacja wg paliw (his-gen-pal) dla zakresu dób - przez TimeSeriesStore
+     */
+    async getHistoricalGeneration(fromDate, toDate) {
+        return this.getHistoricalSeries('his-gen-pal', 'historyGeneration', fromDate, toDate);
+    }
+
+    /**
+     * Historyczne bilanse mocy (his-bil-mocy) dla zakresu dób - przez TimeSeriesStore
      */
-    async getTransmissionConstraints() {
+    async getPowerBalances(fromDate, toDate) {
+        return this.getHistoricalSeries('his-bil-mocy', 'historyBalances', fromDate, toDate);
+    }
+
+    async getHistoricalSeries(endpoint, datasetName, fromDate, toDate) {
+        const emptySeries = { endpoint, fromDate, toDate, fields: [], rows: [], truncated: false };
+
         try {
-            const data = await this.request('ogr-oper');
-            
-            if (!data || !data.value) {
-                return [];
+            const data = await this.getSeriesRange(endpoint, fromDate, toDate, {
+                orderBy: PSEQuery.getDescriptor(endpoint).timeField
+            });
+
+            if (!data || !data.value || data.value.length === 0) {
+                console.warn(`No historical data received for ${endpoint}`);
+                return this.fallbackDataset(datasetName, () => emptySeries, emptySeries);
             }
 
-            return this.processConstraintsData(data.value);
+            return this.tagDataset(datasetName, {
+                ...this.processHistoricalSeries(data.value),
+                endpoint,
+                fromDate,
+                toDate,
+                truncated: data.truncated
+            }, data.provenance);
 
         } catch (error) {
-            console.error('Failed to get constraints:', error);
-            return [];
+            console.error(`Failed to get historical data (${endpoint}):`, error);
+            return this.fallbackDataset(datasetName, () => emptySeries, emptySeries, error);
         }
     }
 
+    /**
+     * Wiersze historyczne -> { fields, rows: [{ businessDate, time, values }] }
+     * Pola liczbowe wykrywane z danych (raporty historyczne PSE mają zmienny zestaw kolumn)
+     */
+    processHistoricalSeries(rawData) {
+        const metaFields = new Set(['business_date', 'dtime', 'period', 'publication_ts']);
+        const isMeta = field => metaFields.has(field) || field.endsWith('_utc') || field.startsWith('_');
+        const toNumber = value => (value === null || value === '' || typeof value === 'boolean') ? NaN : Number(value);
+
+        const fields = [];
+        rawData.forEach(row => {
+            Object.keys(row).forEach(field => {
+                if (!isMeta(field) && !fields.includes(field) && Number.isFinite(toNumber(row[field]))) {
+                    fields.push(field);
+                }
+            });
+        });
+
+        const rows = rawData
+            .filter(row => row.business_date)
+            .map(row => {
+                const values = {};
+                fields.forEach(field => {
+                    const value = toNumber(row[field]);
+                    values[field] = Number.isFinite(value) ? value : null;
+                });
+                return { businessDate: row.business_date, time: row.dtime || row.business_date, values };
+            });
+
+        return { fields, rows };
+    }
+
     /**
      * Get PV distribution data with 15-minute intervals
      */
-    async getPVDistributionData() {
+    async getPVDistributionData(date = null) {
         try {
-            const today = new Date().toISOString().split('T')[0];
-            const params = {
-                '$filter': `business_date eq '${today}'`,
-                '$orderby': 'dtime asc',
-                '$first': 2000, // Get all 15-minute intervals
-                '$select': 'dtime,gen_fv,gen_wi,gen_jgw_zak_1,gen_jgw_zak_2,gen_jgm_zak_1,gen_jgm_zak_2,gen_jgz_zak_1,gen_jgz_zak_2,gen_jgz_zak_3,gen_jga,gen_jgo'
-            };
-            
             // Use pdgobpkd endpoint for detailed data
-            const data = await this.request('pdgobpkd', params);
+            const data = await this.requestDayGeneration(date);
             
             if (!data || !data.value) {
                 console.warn('No PV distribution data received');
-                return this.getMockPVDistributionData();
+                return this.fallbackDataset('pvDistribution', () => this.getMockPVDistributionData(), this.getEmptyPVDistribution());
             }
 
-            return this.processPVDistributionData(data.value);
+            return this.tagDataset('pvDistribution', this.processPVDistributionData(data.value), data.provenance);
 
         } catch (error) {
             console.error('Failed to get PV distribution:', error);
-            return this.getMockPVDistributionData();
+            return this.fallbackDataset('pvDistribution', () => this.getMockPVDistributionData(), this.getEmptyPVDistribution(), error);
         }
     }
 
     /**
      * Get all dashboard data including 15-minute intervals
+     * date = wybrana doba handlowa (domyślnie dzisiejsza)
      */
-    async getAllDashboardData() {
-        console.log('🔄 Fetching all dashboard data...');
+    async getAllDashboardData({ date = null } = {}) {
+        const businessDate = date || window.BusinessTime.today();
+        console.log(`🔄 Fetching all dashboard data for ${businessDate}...`);
         
-        const [renewableGeneration, systemLoad, prices, constraints, pvDistribution, fullGenerationData] = await Promise.allSettled([
-            this.getCurrentRenewableGeneration(),
-            this.getSystemLoad(),
-            this.getPriceData(),
-            this.getTransmissionConstraints(),
-            this.getPVDistributionData(),
-            this.getFullGenerationData(), // New method for 15-minute data
-            this.getOperationalConstraints()
+        const [renewableGeneration, systemLoad, prices, constraints, pvDistribution, fullGenerationData, redispatchYearly] = await Promise.allSettled([
+            this.getCurrentRenewableGeneration(businessDate),
+            this.getSystemLoad(businessDate),
+            this.getPriceData(businessDate),
+            this.getTransmissionConstraints(businessDate),
+            this.getPVDistributionData(businessDate),
+            this.getFullGenerationData(businessDate), // New method for 15-minute data
+            this.getOperationalConstraints(window.BusinessTime.startOfDay(businessDate)) // od 1 stycznia do wybranej doby
         ]);
 
+        // Metody get* same obsługują błędy - odrzucenie oznacza błąd nieprzewidziany
+        const settled = (result, name, mockFactory, emptyValue) => result.status === 'fulfilled'
+            ? result.value
+            : this.fallbackDataset(name, mockFactory, emptyValue, result.reason);
+
+        const renewable = settled(renewableGeneration, 'renewableGeneration', () => this.getMockRenewableData(businessDate), []);
+
         // Process renewable data for backward compatibility
-        const pvGeneration = renewableGeneration.status === 'fulfilled' 
-            ? renewableGeneration.value.map(item => ({
-                hour: item.hour,
-                totalPower: item.pvGeneration,
-                unitCount: 0,
-                units: [],
-    /**
-     * Real-time data stream simulation
-     */
-    startRealTimeUpdates(callback, interval = 30000) {
-        console.log(`⏰ Starting real-time updates every ${interval}ms`);
-        
-        return setInterval(async () => {
-            try {
-                const data = await this.getAllDashboardData();
-                callback(data);
-            } catch (error) {
-                console.error('Real-time update failed:', error);
-            }
-        }, interval);
-    }
-})) 
-            : this.getMockPVData();
+        const pvGeneration = this.tagDataset('pvGeneration', this.mapSeries(renewable, item => ({
+            totalPower: item.pvGeneration,
+            unitCount: 0,
+            units: []
+        })), renewable.provenance);
+
+        const windGeneration = this.tagDataset('windGeneration', this.mapSeries(renewable, item => ({
+            totalPower: item.windGeneration
+        })), renewable.provenance);
+
+        settled(redispatchYearly, 'redispatchYearly', () => this.getMockYearlyRedispatchData(window.BusinessTime.startOfDay(businessDate)), this.getEmptyYearlyRedispatch());
 
         return {
             pvGeneration: pvGeneration,
-            windGeneration: renewableGeneration.status === 'fulfilled' 
-                ? renewableGeneration.value.map(item => ({
-                    hour: item.hour,
-                    totalPower: item.windGeneration
-                }))
-                : [],
-            renewableGeneration: renewableGeneration.status === 'fulfilled' ? renewableGeneration.value : [],
-            systemLoad: systemLoad.status === 'fulfilled' ? systemLoad.value : this.getMockSystemLoadData(),
-            prices: prices.status === 'fulfilled' ? prices.value : this.getMockPriceData(),
-            constraints: constraints.status === 'fulfilled' ? constraints.value : [],
-            pvDistribution: pvDistribution.status === 'fulfilled' ? pvDistribution.value : this.getMockPVDistributionData(),
-            fullGenerationData: fullGenerationData.status === 'fulfilled' ? fullGenerationData.value : this.getMockFullGenerationData(),
+            windGeneration: windGeneration,
+            renewableGeneration: renewable,
+            systemLoad: settled(systemLoad, 'systemLoad', () => this.getMockSystemLoadData(businessDate), []),
+            prices: settled(prices, 'prices', () => this.getMockPriceData(), []),
+            constraints: settled(constraints, 'constraints', () => [], []),
+            pvDistribution: settled(pvDistribution, 'pvDistribution', () => this.getMockPVDistributionData(), this.getEmptyPVDistribution()),
+            fullGenerationData: settled(fullGenerationData, 'fullGenerationData', () => this.getMockFullGenerationData(businessDate), []),
+            provenance: this.getProvenanceReport(),
+            quality: this.getQualityReport(),
+            businessDate,
+            isToday: businessDate === window.BusinessTime.today(),
             timestamp: new Date()
         };
     }
 
+    /**
+     * Dane pdgobpkd doby (domyślnie dzisiejszej, wszystkie kwadranse) - jedno zapytanie
+     * współdzielone przez generację OZE, rozkład PV i stackplot
+     */
+    requestDayGeneration(date = null) {
+        return this.request('pdgobpkd', PSEQuery.for('pdgobpkd')
+            .onDate(date || window.BusinessTime.today())
+            .orderBy('dtime')
+            .first(2000)); // Get all 15-minute intervals for the day
+    }
+
     /**
      * Get full generation data with 15-minute intervals for stackplot
      */
-    async getFullGenerationData() {
+    async getFullGenerationData(date = null) {
         try {
-            const today = new Date().toISOString().split('T')[0];
-            const params = {
-                '$filter': `business_date eq '${today}'`,
-                '$orderby': 'dtime asc',
-                '$first': 2000 // Get all 15-minute intervals for the day
-            };
-            
-            const data = await this.request('pdgobpkd', params);
+            const data = await this.requestDayGeneration(date);
             
             if (!data || !data.value) {
                 console.warn('No full generation data received');
-                return this.getMockFullGenerationData();
+                return this.fallbackDataset('fullGenerationData', () => this.getMockFullGenerationData(date || window.BusinessTime.today()), []);
             }
 
-            return data.value;
+            return this.tagDataset('fullGenerationData', data.value, data.provenance);
 
         } catch (error) {
             console.error('Failed to get full generation data:', error);
-            return this.getMockFullGenerationData();
+            return this.fallbackDataset('fullGenerationData', () => this.getMockFullGenerationData(date || window.BusinessTime.today()), [], error);
         }
     }
 
     /**
-     * Process renewable generation data (PV and Wind)
+     * Generacja OZE doby (pdgobpkd) w natywnym MTU: punkt na kwadrans, brak danych = null
      */
-    processRenewableData(rawData) {
-    const processed = [];
-    
-    // Group by hour - dla danych godzinowych
-    const hourlyData = {};
-    
-    rawData.forEach(item => {
-        // Sprawdź strukturę danych
-        const hour = this.extractHour(item.dtime || item.business_date);
-        
-        if (!hourlyData[hour]) {
-            hourlyData[hour] = {
-                hour: hour,
-                pvGeneration: 0,
-                windGeneration: 0,
-                totalRenewable: 0,
-                systemLoad: 0,
-                timestamp: new Date(item.dtime || Date.now()),
-                count: 0
-            };
-        }
-        
-        // Dla danych 15-minutowych - uśredniamy wartości w godzinie
-        hourlyData[hour].pvGeneration += parseFloat(item.gen_fv || 0);
-        hourlyData[hour].windGeneration += parseFloat(item.gen_wi || 0);
-        hourlyData[hour].systemLoad += parseFloat(item.kse_pow_dem || 0);
-        hourlyData[hour].count += 1;
-    });
-    
-    // Konwertuj na tablicę i uśrednij wartości
-    for (let hour = 0; hour < 24; hour++) {
-        if (hourlyData[hour] && hourlyData[hour].count > 0) {
-            const data = hourlyData[hour];
-            processed.push({
-                hour: hour,
-                pvGeneration: data.pvGeneration / data.count, // Średnia dla godziny
-                windGeneration: data.windGeneration / data.count,
-                totalRenewable: (data.pvGeneration + data.windGeneration) / data.count,
-                systemLoad: data.systemLoad / data.count,
-                timestamp: data.timestamp
-            });
-        } else {
-            // Brak danych dla tej godziny
-            processed.push({
-                hour: hour,
-                pvGeneration: 0,
-                windGeneration: 0,
-                totalRenewable: 0,
-                systemLoad: 0,
-                timestamp: new Date()
-            });
-        }
-    }
-    
-    return processed;
-}
+    processRenewableData(rawData, businessDate = window.BusinessTime.today()) {
+        const toNumber = value => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        };
 
-    processSystemLoadData(rawData) {
-        if (Array.isArray(rawData) && rawData.length > 0) {
-            // Grupuj dane po godzinach i znajdź najnowsze wartości
-            const hourlyData = {};
-            
-            rawData.forEach(item => {
-                const hour = this.extractHour(item.from_dtime || item.publication_ts);
-                const load = parseFloat(item.value || item.load || 0);
-                
-                if (!hourlyData[hour] || new Date(item.from_dtime) > new Date(hourlyData[hour].timestamp)) {
-                    hourlyData[hour] = {
-                        hour: hour,
-                        load: load,
-                        timestamp: new Date(item.from_dtime || item.publication_ts || Date.now())
-                    };
-                }
-            });
-            
-            // Konwertuj do tablicy
-            const result = [];
-            for (let hour = 0; hour < 24; hour++) {
-                result.push(hourlyData[hour] || {
-                    hour: hour,
-                    load: 0,
-                    timestamp: new Date()
-                });
-            }
-            
-            return result;
-        }
+        return this.buildQuarterSeries(rawData, businessDate, {
+            pvGeneration: row => toNumber(row.gen_fv),
+            windGeneration: row => toNumber(row.gen_wi),
+            totalRenewable: row => {
+                const pv = toNumber(row.gen_fv);
+                const wind = toNumber(row.gen_wi);
+                return pv === null && wind === null ? null : (pv || 0) + (wind || 0);
+            },
+            systemLoad: row => toNumber(row.kse_pow_dem)
+        });
+    }
 
-        // If single value, create hourly array
-        const processed = [];
-        const baseLoad = 20000;
-        
-        for (let hour = 0; hour < 24; hour++) {
-            processed.push({
-                hour: hour,
-                load: baseLoad * (0.8 + 0.4 * Math.sin((hour - 6) * Math.PI / 12)),
-                timestamp: new Date()
-            });
-        }
+    /**
+     * Obciążenie KSE doby (kse-load) w natywnym MTU: wykonanie, a gdy go brak - prognoza
+     */
+    processSystemLoadData(rawData, businessDate = window.BusinessTime.today()) {
+        const toNumber = value => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        };
 
-        return processed;
+        return this.buildQuarterSeries(rawData, businessDate, {
+            load: row => toNumber(row.load_actual) ?? toNumber(row.load_fcst),
+            loadForecast: row => toNumber(row.load_fcst)
+        });
     }
 
+    /**
+     * Ceny price-fcst -> [{ time, hour, intervalMinutes, price }], time = początek okresu [ms]
+     * dtime to koniec okresu - długość okresu z odstępu między kolejnymi dtime (kwadrans, dawniej godzina)
+     */
     processPriceData(rawData) {
         if (Array.isArray(rawData)) {
+            const ends = [...new Set(rawData
+                .filter(item => !item.from_dtime && item.dtime)
+                .map(item => window.BusinessTime.parseRowTime(item).getTime()))]
+                .sort((a, b) => a - b);
+            const spacing = Math.min(...ends.slice(1).map((end, i) => end - ends[i]));
+            const intervalMinutes = Number.isFinite(spacing) && spacing > 0 ? Math.min(60, spacing / 60000) : 60;
+
             return rawData.map(item => {
-                const hour = this.extractHour(item.from_dtime || item.publication_ts);
+                const price = parseFloat(item.rce_pln ?? item.value ?? item.price ?? 0);
+
+                if (!item.from_dtime && !item.dtime) {
+                    return { time: null, hour: this.extractHour(item.publication_ts), intervalMinutes: 60, price, type: 'Forecast' };
+                }
+
+                const start = item.from_dtime
+                    ? window.BusinessTime.parseRowTime(item, 'from_dtime').getTime()
+                    : window.BusinessTime.parseRowTime(item).getTime() - intervalMinutes * 60000;
+                const minutes = item.from_dtime && item.to_dtime
+                    ? (window.BusinessTime.parseRowTime(item, 'to_dtime').getTime() - start) / 60000
+                    : intervalMinutes;
+
                 return {
-                    hour: hour,
-                    price: parseFloat(item.value || item.price || 0),
+                    time: start,
+                    hour: window.BusinessTime.getLocalHour(new Date(start)),
+                    intervalMinutes: minutes,
+                    price,
                     type: 'Forecast'
                 };
             });
         }
 
-        return this.getMockPriceData();
+        return [];
     }
 
     processConstraintsData(rawData) {
@@ -921,19 +1988,170 @@ extractHour(dateTimeStr) {
     /**
      * Cache management
      */
-    cacheData(endpoint, data) {
-        this.cache.set(endpoint, {
-            data: data,
-            timestamp: Date.now()
+    cacheData(cacheKey, data, ttlClass = 'hourlyData') {
+        this.cache.set(cacheKey, data, ttlClass);
+    }
+
+    getCachedData(cacheKey, options = {}) {
+        return this.cache.get(cacheKey, options);
+    }
+
+    /**
+     * Klasa TTL: dane wyłącznie z przeszłych dni nie zmieniają się -> historicalData
+     */
+    resolveTtlClass(endpoint, params = {}) {
+        const classes = window.EnspirionConfig?.DATA?.cache?.endpointClasses || {};
+        const dates = String(params['$filter'] || '').match(/\d{4}-\d{2}-\d{2}/g);
+
+        if (dates) {
+            const today = window.BusinessTime.today();
+            const lastDate = dates.sort()[dates.length - 1];
+            if (lastDate < today) {
+                return 'historicalData';
+            }
+        }
+
+        return classes[endpoint] || 'hourlyData';
+    }
+
+    /**
+     * Cache statistics (hits / misses / evictions)
+     */
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
+    /**
+     * Walidacja odpowiedzi (DATA_CONFIG.validation) - podmienia value na zwalidowane wiersze
+     * i publikuje raport jakości dla UI
+     */
+    validateResponse(endpoint, data) {
+        const { rows, report } = this.validator.validate(endpoint, data.value);
+        if (!report) return data;
+
+        data.value = rows;
+        data.quality = report;
+
+        window.dispatchEvent(new CustomEvent('pse:quality', {
+            detail: { endpoint, report }
+        }));
+        return data;
+    }
+
+    /**
+     * Raport jakości danych: missing fields / nulls / outliers per endpoint
+     */
+    getQualityReport(endpoint = null) {
+        return this.validator.getReport(endpoint);
+    }
+
+    /**
+     * Provenance: źródło danych (live / cache / mock / unavailable), czas pobrania
+     */
+    createProvenance(source, { endpoint = null, fetchedAt = Date.now(), stale = false, error = null } = {}) {
+        return {
+            source,
+            endpoint,
+            fetchedAt,
+            stale,
+            error: error ? (error.message || String(error)) : null
+        };
+    }
+
+    /**
+     * Oznacz zbiór danych rekordem provenance (właściwość nieenumerowalna) i zarejestruj go
+     */
+    tagDataset(name, dataset, provenance = null) {
+        const record = provenance || this.createProvenance('live');
+
+        if (dataset && typeof dataset === 'object') {
+            Object.defineProperty(dataset, 'provenance', {
+                value: record,
+                enumerable: false,
+                configurable: true,
+                writable: true
+            });
+        }
+
+        this.recordProvenance(name, record);
+        return dataset;
+    }
+
+    /**
+     * Zarejestruj provenance zbioru i powiadom UI (badge)
+     */
+    recordProvenance(name, provenance) {
+        this.provenance.set(name, provenance);
+        window.dispatchEvent(new CustomEvent('pse:provenance', {
+            detail: { name, provenance: this.getProvenance(name) }
+        }));
+    }
+
+    /**
+     * Provenance z aktualnym wiekiem danych
+     */
+    getProvenance(name) {
+        const record = this.provenance.get(name);
+        if (!record) return null;
+
+        return {
+            ...record,
+            age: Date.now() - record.fetchedAt
+        };
+    }
+
+    getProvenanceReport() {
+        const report = {};
+        this.provenance.forEach((record, name) => {
+            report[name] = this.getProvenance(name);
         });
+        return report;
     }
 
-    getCachedData(endpoint) {
-        const cached = this.cache.get(endpoint);
-        if (cached && (Date.now() - cached.timestamp < 300000)) { // 5 min cache
-            return cached.data;
+    /**
+     * Brak danych z API: mock tylko w jawnym trybie FEATURE_FLAGS.mockData, w innym wypadku pusty zbiór
+     */
+    fallbackDataset(name, mockFactory, emptyValue, error = null) {
+        if (window.EnspirionConfig?.isFeatureEnabled('mockData')) {
+            console.warn(`🧪 Mock data mode - using mock ${name}`);
+            return this.tagDataset(name, mockFactory(), this.createProvenance('mock', { error }));
         }
-        return null;
+
+        console.warn(`⚠️ No data for ${name} (mock data disabled)`);
+        return this.tagDataset(name, emptyValue, this.createProvenance('unavailable', { error }));
+    }
+
+    /**
+     * Czy date to wybrana doba z przeszłości (null = doba bieżąca na żywo)
+     */
+    isPastDay(date) {
+        return Boolean(date) && date < window.BusinessTime.today();
+    }
+
+    /**
+     * PSE nie ma danych dla wybranej doby z przeszłości - pusty zbiór z missingDate zamiast danych
+     * z dziś albo przykładowych; widoki pokazują "brak danych dla tej doby"
+     */
+    missingDayDataset(name, emptyValue, businessDate) {
+        console.warn(`⚠️ No ${name} data for business day ${businessDate}`);
+
+        const dataset = Array.isArray(emptyValue) ? [] : { ...emptyValue };
+        dataset.missingDate = businessDate;
+        return this.tagDataset(name, dataset, this.createProvenance('unavailable'));
+    }
+
+    getEmptyPVDistribution() {
+        return {
+            timestamps: [],
+            pvGeneration: [],
+            totalGeneration: [],
+            pvPercentage: [],
+            portfolioGeneration: []
+        };
+    }
+
+    getEmptyYearlyRedispatch() {
+        return this.summarizeYearlyRedispatch([]);
     }
 
     /**
@@ -960,23 +2178,29 @@ extractHour(dateTimeStr) {
         return data;
     }
 
-    getMockSystemLoadData() {
+    /**
+     * Mock obciążenia KSE - wiersze kse-load co 15 min przetworzone jak dane z API
+     */
+    getMockSystemLoadData(businessDate = window.BusinessTime.today()) {
         console.log('📊 Using mock system load data');
-        const data = [];
+        const rows = [];
+        const start = window.BusinessTime.startOfDay(businessDate);
         
-        for (let hour = 0; hour < 24; hour++) {
+        for (let i = 1; i <= window.BusinessTime.quartersInDay(businessDate); i++) {
+            const hour = i / 4;
             const baseDemand = 20000; // 20GW base
             const peakFactor = hour >= 7 && hour <= 21 ? 1.2 : 0.9;
             const randomFactor = 0.95 + Math.random() * 0.1;
             
-            data.push({
-                hour: hour,
-                load: baseDemand * peakFactor * randomFactor,
-                timestamp: new Date()
+            rows.push({
+                business_date: businessDate,
+                dtime: window.BusinessTime.formatLocal(new Date(start.getTime() + i * window.BusinessTime.QUARTER_MS)),
+                load_actual: baseDemand * peakFactor * randomFactor,
+                load_fcst: baseDemand * peakFactor
             });
         }
         
-        return data;
+        return this.processSystemLoadData(rows, businessDate);
     }
 
     getMockPriceData() {
@@ -999,32 +2223,171 @@ extractHour(dateTimeStr) {
     }
 
     /**
-     * Mock data for renewable generation
+     * Mock cen RCE - kwadranse dziś i D+1, ujemne ceny w południe weekendu
+     */
+    getMockRCEPrices(dates) {
+        console.log('📊 Using mock RCE prices');
+        const intervals = [];
+
+        dates.forEach(businessDate => {
+            const start = window.BusinessTime.startOfDay(businessDate).getTime();
+            const weekend = [0, 6].includes(new Date(`${businessDate}T12:00:00Z`).getUTCDay());
+
+            for (let quarter = 0; quarter < window.BusinessTime.quartersInDay(businessDate); quarter++) {
+                const hour = Math.floor(quarter / 4);
+                const solarDip = hour >= 10 && hour <= 15 ? (weekend ? 450 : 250) : 0;
+                const eveningPeak = hour >= 17 && hour <= 20 ? 250 : 0;
+
+                intervals.push({
+                    start: start + quarter * window.BusinessTime.QUARTER_MS,
+                    businessDate,
+                    price: Math.round(400 - solarDip + eveningPeak + (Math.random() - 0.5) * 60)
+                });
+            }
+        });
+
+        return { dates, intervals };
+    }
+
+    /**
+     * Mock wymiany transgranicznej - profile dobowe per granica
+     */
+    getMockCrossBorderFlows(businessDate) {
+        console.log('📊 Using mock cross-border flows');
+        const profiles = { DE: 900, CZ: -600, SK: -400, LT: 250, SE: 350, UA: 150 };
+        const dayStart = window.BusinessTime.startOfDay(businessDate).getTime();
+
+        const rows = [];
+        for (let quarter = 0; quarter < window.BusinessTime.quartersInDay(businessDate); quarter++) {
+            const end = new Date(dayStart + (quarter + 1) * window.BusinessTime.QUARTER_MS);
+            // Import w południe (nadwyżka PV u sąsiadów), eksport wieczorem
+            const daily = Math.sin(((quarter / 4 - 6) / 24) * 2 * Math.PI);
+
+            Object.entries(profiles).forEach(([border, base]) => {
+                rows.push({
+                    business_date: businessDate,
+                    dtime: window.BusinessTime.formatLocal(end),
+                    dtime_utc: end.toISOString().slice(0, 19).replace('T', ' '),
+                    section_code: `PL-${border}`,
+                    value: Math.round(base * (0.6 + 0.4 * daily) + (Math.random() - 0.5) * 100)
+                });
+            });
+        }
+
+        return this.processCrossBorderFlows(rows, businessDate);
+    }
+
+    /**
+     * Mock generacji jednostek - kilka jednostek każdego typu z profilem dobowym
+     */
+    getMockUnitGeneration(businessDate) {
+        console.log('📊 Using mock unit generation');
+        const units = [
+            { power_plant: 'Elektrownia Bełchatów', resource_code: 'BEL 2-05', base: 360, profile: 'flat' },
+            { power_plant: 'Elektrownia Kozienice', resource_code: 'KOZ 2-11', base: 850, profile: 'flat' },
+            { power_plant: 'Elektrownia Opole', resource_code: 'OPL 1-05', base: 720, profile: 'evening' },
+            { power_plant: 'Farma Wiatrowa Potęgowo', resource_code: 'FW POT-01', base: 140, profile: 'wind' },
+            { power_plant: 'Farma Wiatrowa Margonin', resource_code: 'FW MAR-01', base: 90, profile: 'wind' },
+            { power_plant: 'Farma PV Witnica', resource_code: 'PV WIT-01', base: 60, profile: 'solar' },
+            { power_plant: 'Elektrownia Wodna Włocławek', resource_code: 'WLO 1-01', base: 80, profile: 'flat' },
+            { power_plant: 'ESP Żarnowiec', resource_code: 'ZRN 1-01', base: 500, profile: 'evening' }
+        ];
+        const dayStart = window.BusinessTime.startOfDay(businessDate).getTime();
+
+        const rows = [];
+        for (let quarter = 0; quarter < window.BusinessTime.quartersInDay(businessDate); quarter++) {
+            const end = new Date(dayStart + (quarter + 1) * window.BusinessTime.QUARTER_MS);
+            const hour = window.BusinessTime.getLocalHour(new Date(end.getTime() - window.BusinessTime.QUARTER_MS));
+
+            units.forEach(({ base, profile, ...unit }) => {
+                const factor = {
+                    flat: 0.9,
+                    evening: hour >= 17 && hour <= 21 ? 1 : 0.2,
+                    wind: 0.5 + 0.3 * Math.sin((quarter / 96) * 2 * Math.PI),
+                    solar: Math.max(0, Math.sin(((hour - 5) / 15) * Math.PI))
+                }[profile];
+
+                rows.push({
+                    business_date: businessDate,
+                    dtime: window.BusinessTime.formatLocal(end),
+                    dtime_utc: end.toISOString().slice(0, 19).replace('T', ' '),
+                    ...unit,
+                    operating_mode: 'Normalny',
+                    wartosc: Math.max(0, Math.round(base * factor + (Math.random() - 0.5) * base * 0.05))
+                });
+            });
+        }
+
+        return this.processUnitGeneration(rows, businessDate);
+    }
+
+    /**
+     * Mock generacji OZE - z mockowych wierszy pdgobpkd, jak dane z API
      */
-    getMockRenewableData() {
+    getMockRenewableData(businessDate = window.BusinessTime.today()) {
         console.log('📊 Using mock renewable data');
+        return this.processRenewableData(this.getMockFullGenerationData(businessDate), businessDate);
+    }
+
+    /**
+     * Mock full generation data (wiersze pdgobpkd co 15 min)
+     */
+    getMockFullGenerationData(businessDate = window.BusinessTime.today()) {
+        console.log('📊 Using mock full generation data');
         const data = [];
-        const now = new Date();
-        const currentHour = now.getHours();
-        
-        for (let hour = 0; hour < 24; hour++) {
+        const start = window.BusinessTime.startOfDay(businessDate);
+
+        for (let i = 1; i <= window.BusinessTime.quartersInDay(businessDate); i++) {
+            const timestamp = new Date(start.getTime() + i * 15 * 60 * 1000);
+            const hour = i / 4;
             const sunFactor = Math.max(0, Math.sin((hour - 6) * Math.PI / 12));
-            const windFactor = 0.3 + Math.random() * 0.7; // Wiatr bardziej losowy
-            
+            const demand = 20000 * ((hour >= 7 && hour <= 21) ? 1.2 : 0.9) * (0.95 + Math.random() * 0.1);
+            const pv = sunFactor * (0.7 + Math.random() * 0.3) * 12000;
+            const wind = 3000 + Math.random() * 2000;
+
             data.push({
-                hour: hour,
-                pvGeneration: sunFactor * 0.7 * 12000, // Max 8.4GW PV
-                windGeneration: windFactor * 8000, // Max 8GW wiatr
-                totalRenewable: 0,
-                timestamp: new Date()
+                dtime: window.BusinessTime.formatLocal(timestamp),
+                business_date: businessDate,
+                gen_fv: pv,
+                gen_wi: wind,
+                gen_jgw_zak_1: Math.max(0, demand - pv - wind) * 0.6,
+                gen_jgm_zak_1: Math.max(0, demand - pv - wind) * 0.2,
+                gen_jgz_zak_1: Math.max(0, demand - pv - wind) * 0.2,
+                kse_pow_dem: demand
             });
-            
-            data[hour].totalRenewable = data[hour].pvGeneration + data[hour].windGeneration;
         }
-        
+
         return data;
     }
 
+    /**
+     * Mock yearly OZE redispatch (format jak processYearlyOZERedispatch)
+     */
+    getMockYearlyRedispatchData(endDate = new Date()) {
+        console.log('📊 Using mock yearly redispatch data');
+        const lastDate = window.BusinessTime.toBusinessDate(endDate);
+        const cumulativeComponents = { pvBalance: 0, pvNetwork: 0, windBalance: 0, windNetwork: 0 };
+
+        const daily = window.BusinessTime.dateRange(`${lastDate.slice(0, 4)}-01-01`, lastDate).map(date => {
+            // Redysponowanie głównie wiosną i latem (marzec - wrzesień), PV przeważnie bilansowe
+            const month = parseInt(date.slice(5, 7), 10) - 1;
+            const seasonal = month >= 2 && month <= 8 ? Math.random() * 4000 : Math.random() * 200;
+            const dailyEnergy = Math.random() < 0.4 ? seasonal : 0;
+            const balanceShare = 0.5 + Math.random() * 0.4;
+
+            const components = {
+                pvBalance: dailyEnergy * 0.8 * balanceShare,
+                pvNetwork: dailyEnergy * 0.8 * (1 - balanceShare),
+                windBalance: dailyEnergy * 0.2 * balanceShare,
+                windNetwork: dailyEnergy * 0.2 * (1 - balanceShare)
+            };
+
+            return this.buildRedispatchDay(date, components, window.BusinessTime.quartersInDay(date), cumulativeComponents);
+        });
+
+        return this.summarizeYearlyRedispatch(daily);
+    }
+
     /**
      * Mock PV distribution data
      */
@@ -1072,31 +2435,30 @@ extractHour(dateTimeStr) {
     }
 
     /**
-     * Real-time data stream simulation
+     * Real-time updates - subskrypcja zbioru 'dashboard' w DataHub (wspólny harmonogram)
+     * Zwraca funkcję wypisującą
      */
     startRealTimeUpdates(callback, interval = 30000) {
         console.log(`⏰ Starting real-time updates every ${interval}ms`);
         
-        return setInterval(async () => {
-            try {
-                const data = await this.getAllDashboardData();
-                callback(data);
-            } catch (error) {
-                console.error('Real-time update failed:', error);
-            }
-        }, interval);
+        const unsubscribe = window.DataHub.subscribe('dashboard', callback);
+        window.DataHub.startPolling('dashboard', interval);
+        return unsubscribe;
     }
 }
 
 // Create global instance
 window.PSEApiService = new PSEApiService();
+window.PSEApiError = PSEApiError;
+window.OZERedispatchComponents = OZE_REDISPATCH_COMPONENTS;
 
 console.log('✅ PSE API Service loaded successfully');
 
 window.PSEAPI = window.PSEAPI || {};
 
 window.PSEAPI.fetchGenerationForecast = async function(dayStr) {
-    const url = `https://v2.api.raporty.pse.pl/api/pdgobpkd?$filter=business_date eq '${dayStr}'&$orderby=business_date asc&$first=20000`;
+    const query = PSEQuery.for('pdgobpkd').onDate(dayStr).orderBy('business_date').first(20000);
+    const url = `${window.PSEApiService.baseUrl}pdgobpkd?${query.toQueryString()}`;
     const response = await fetch(url);
     const json = await response.json();
     return json.value;
@@ -0,0 +1,302 @@
+/**
+ * Enspirion Dashboard - PSE Query Builder
+ * Budowanie zapytań OData ($filter, $select, $orderby, $first) dla API PSE
+ * na podstawie deskryptorów endpointów - błędne zapytanie zatrzymuje się w trybie development
+ */
+
+// Pola wspólne dla raportów PSE v2
+const PSE_COMMON_FIELDS = ['business_date', 'publication_ts', 'publication_ts_utc'];
+
+/**
+ * Deskryptory endpointów PSE
+ * odata: false - endpoint nie obsługuje parametrów OData
+ * partial: true - lista pól niepełna, nieznane pole daje ostrzeżenie zamiast błędu
+ */
+const PSE_ENDPOINTS = {
+    'pdgobpkd': {
+        description: 'Generacja jednostek wytwórczych (kwadranse)',
+        odata: true,
+        dateField: 'business_date',
+        timeField: 'dtime',
+        fields: [
+            ...PSE_COMMON_FIELDS, 'dtime', 'dtime_utc', 'period', 'period_utc',
+            'gen_fv', 'gen_wi', 'gen_rb', 'gen_spoza_rb', 'gen_not_activ_part', 'kse_pow_dem',
+            'gen_jgw_zak_1', 'gen_jgw_zak_2', 'gen_jgm_zak_1', 'gen_jgm_zak_2',
+            'gen_jgz_zak_1', 'gen_jgz_zak_2', 'gen_jgz_zak_3', 'gen_jga', 'gen_jgo'
+        ]
+    },
+    'kse-load': {
+        description: 'Obciążenie KSE - prognoza i wykonanie',
+        odata: true,
+        dateField: 'business_date',
+        timeField: 'dtime',
+        fields: [...PSE_COMMON_FIELDS, 'dtime', 'dtime_utc', 'period', 'period_utc', 'load_fcst', 'load_actual']
+    },
+    'pk5l-wp': {
+        description: 'Plan koordynacyjny 5-letni - wielkości podstawowe',
+        odata: true,
+        partial: true,
+        dateField: 'business_date',
+        timeField: 'plan_dtime',
+        fields: [
+            ...PSE_COMMON_FIELDS, 'plan_dtime', 'plan_dtime_utc',
+            'fcst_pv_tot_gen', 'fcst_wi_tot_gen', 'grid_demand_fcst',
+            'req_pow_res', 'surplus_cap_avail_tso', 'avail_cap_gen_units_stor_prov'
+        ]
+    },
+    'ogr-oper': {
+        description: 'Ograniczenia operacyjne (redysponowanie)',
+        odata: true,
+        partial: true,
+        dateField: 'business_date',
+        timeField: 'from_dtime',
+        fields: [
+            ...PSE_COMMON_FIELDS, 'from_dtime', 'to_dtime', 'resource_name', 'resource_code',
+            'direction', 'node', 'limiting_element', 'pol_min_power_of_unit', 'pol_max_power_of_unit'
+        ]
+    },
+    'ogr-d1': {
+        description: 'Ograniczenia dobowe D+1',
+        odata: true,
+        partial: true,
+        dateField: 'business_date',
+        timeField: 'from_dtime',
+        fields: [
+            ...PSE_COMMON_FIELDS, 'from_dtime', 'to_dtime', 'resource_name', 'resource_code',
+            'direction', 'node', 'limiting_element', 'pol_min_power_of_unit', 'pol_max_power_of_unit'
+        ]
+    },
+    'poze-redoze': {
+        description: 'Redysponowanie nierynkowe OZE (PV i wiatr)',
+        odata: true,
+        partial: true,
+        dateField: 'business_date',
+        timeField: 'dtime',
+        fields: [
+            ...PSE_COMMON_FIELDS, 'dtime', 'dtime_utc', 'period', 'period_utc',
+            'pv_red_balance', 'pv_red_network', 'wi_red_balance', 'wi_red_network'
+        ]
+    },
+    'przeplywy-mocy': {
+        description: 'Przepływy mocy na połączeniach transgranicznych (kwadranse)',
+        odata: true,
+        partial: true,
+        dateField: 'business_date',
+        timeField: 'dtime',
+        fields: [...PSE_COMMON_FIELDS, 'dtime', 'dtime_utc', 'period', 'period_utc', 'section_code', 'value']
+    },
+    'gen-jw': {
+        description: 'Generacja poszczególnych jednostek wytwórczych',
+        odata: true,
+        partial: true,
+        dateField: 'business_date',
+        timeField: 'dtime',
+        fields: [
+            ...PSE_COMMON_FIELDS, 'dtime', 'dtime_utc', 'period', 'period_utc',
+            'power_plant', 'resource_code', 'operating_mode', 'wartosc'
+        ]
+    },
+    'his-gen-pal': {
+        description: 'Historyczna generacja wg paliw',
+        odata: true,
+        partial: true,
+        dateField: 'business_date',
+        timeField: 'dtime',
+        fields: [...PSE_COMMON_FIELDS, 'dtime', 'dtime_utc', 'period', 'period_utc']
+    },
+    'his-bil-mocy': {
+        description: 'Historyczne bilanse mocy',
+        odata: true,
+        partial: true,
+        dateField: 'business_date',
+        timeField: 'dtime',
+        fields: [...PSE_COMMON_FIELDS, 'dtime', 'dtime_utc', 'period', 'period_utc']
+    },
+    'price-fcst': {
+        description: 'Prognozy cen - endpoint bez obsługi OData (tylko pełna odpowiedź)',
+        odata: false,
+        dateField: 'business_date',
+        fields: []
+    }
+};
+
+/**
+ * Błąd budowy zapytania (nieznany endpoint/pole, zły format daty, OData na endpoincie bez OData)
+ */
+class PSEQueryError extends Error {
+    constructor(message, endpoint = null) {
+        super(message);
+        this.name = 'PSEQueryError';
+        this.endpoint = endpoint;
+    }
+}
+
+class PSEQuery {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+        this.descriptor = PSE_ENDPOINTS[endpoint] || null;
+        this.filters = [];
+        this.selectFields = [];
+        this.orderClauses = [];
+        this.limit = null;
+
+        if (!this.descriptor) {
+            this.fail(`Unknown PSE endpoint: ${endpoint}`);
+        }
+    }
+
+    /**
+     * Punkt wejścia: PSEQuery.for('pk5l-wp').dateRange(from, to).orderBy('plan_dtime').first(2000)
+     */
+    static for(endpoint) {
+        return new PSEQuery(endpoint);
+    }
+
+    static getDescriptor(endpoint) {
+        return PSE_ENDPOINTS[endpoint] || null;
+    }
+
+    static supportsOData(endpoint) {
+        return PSE_ENDPOINTS[endpoint]?.odata !== false;
+    }
+
+    /**
+     * Błędne zapytanie: wyjątek w trybie development, ostrzeżenie w produkcji
+     */
+    fail(message) {
+        if (window.EnspirionConfig?.isDevelopment()) {
+            throw new PSEQueryError(message, this.endpoint);
+        }
+        console.warn(`⚠️ PSE query: ${message}`);
+    }
+
+    requireOData(clause) {
+        if (this.descriptor && this.descriptor.odata === false) {
+            this.fail(`${this.endpoint} does not support OData (${clause})`);
+            return false;
+        }
+        return true;
+    }
+
+    checkField(field) {
+        if (!this.descriptor || this.descriptor.fields.includes(field)) return;
+
+        if (this.descriptor.partial) {
+            console.warn(`⚠️ PSE query: field ${field} not listed for ${this.endpoint}`);
+        } else {
+            this.fail(`Unknown field ${field} for ${this.endpoint}`);
+        }
+    }
+
+    checkDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+            this.fail(`Invalid business date: ${value} (expected YYYY-MM-DD)`);
+        }
+    }
+
+    /**
+     * Warunek: where('load_fcst', 'gt', 20000); operatory OData eq ne gt ge lt le
+     */
+    where(field, operator, value) {
+        if (!this.requireOData('$filter')) return this;
+
+        if (!['eq', 'ne', 'gt', 'ge', 'lt', 'le'].includes(operator)) {
+            this.fail(`Unsupported operator: ${operator}`);
+            return this;
+        }
+        this.checkField(field);
+
+        const literal = typeof value === 'number' ? String(value) : `'${String(value).replace(/'/g, "''")}'`;
+        this.filters.push(`${field} ${operator} ${literal}`);
+        return this;
+    }
+
+    /**
+     * Jedna doba handlowa
+     */
+    onDate(date) {
+        this.checkDate(date);
+        return this.where(this.descriptor?.dateField || 'business_date', 'eq', date);
+    }
+
+    /**
+     * Zakres dób handlowych [from, to] włącznie
+     */
+    dateRange(fromDate, toDate) {
+        this.checkDate(fromDate);
+        this.checkDate(toDate);
+        if (fromDate > toDate) {
+            this.fail(`Empty date range: ${fromDate} > ${toDate}`);
+        }
+
+        const dateField = this.descriptor?.dateField || 'business_date';
+        return this.where(dateField, 'ge', fromDate).where(dateField, 'le', toDate);
+    }
+
+    select(...fields) {
+        if (!this.requireOData('$select')) return this;
+
+        fields.flat().forEach(field => {
+            this.checkField(field);
+            this.selectFields.push(field);
+        });
+        return this;
+    }
+
+    /**
+     * Sortowanie; domyślnie po polu czasu endpointu
+     */
+    orderBy(field = this.descriptor?.timeField || 'business_date', direction = 'asc') {
+        if (!this.requireOData('$orderby')) return this;
+
+        if (!['asc', 'desc'].includes(direction)) {
+            this.fail(`Invalid order direction: ${direction}`);
+            return this;
+        }
+        this.checkField(field);
+        this.orderClauses.push(`${field} ${direction}`);
+        return this;
+    }
+
+    /**
+     * Rozmiar strony ($first) - dalsze strony przez nextLink
+     */
+    first(count) {
+        if (!this.requireOData('$first')) return this;
+
+        if (!Number.isInteger(count) || count <= 0) {
+            this.fail(`Invalid $first: ${count}`);
+            return this;
+        }
+        this.limit = count;
+        return this;
+    }
+
+    /**
+     * Parametry zapytania dla PSEApiService.request
+     */
+    build() {
+        const params = {};
+        if (this.filters.length > 0) params['$filter'] = this.filters.join(' and ');
+        if (this.selectFields.length > 0) params['$select'] = this.selectFields.join(',');
+        if (this.orderClauses.length > 0) params['$orderby'] = this.orderClauses.join(',');
+        if (this.limit !== null) params['$first'] = this.limit;
+        return params;
+    }
+
+    /**
+     * Query string (bez kodowania spacji - jak w adresach PSE)
+     */
+    toQueryString() {
+        return Object.entries(this.build())
+            .map(([name, value]) => `${name}=${value}`)
+            .join('&');
+    }
+}
+
+// Export
+window.PSEQuery = PSEQuery;
+window.PSEQueryError = PSEQueryError;
+window.PSEEndpoints = PSE_ENDPOINTS;
+
+console.log('✅ PSE Query Builder loaded successfully');
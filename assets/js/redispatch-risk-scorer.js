@@ -4,22 +4,46 @@
  */
 
 class RedispatchRiskScorer {
-    constructor() {
-        this.weights = {
-            reserveMargin: 35,          // Margines rezerwy (rezerwa - wymóg)
-            renewableDropRate: 25,      // Tempo spadku generacji OZE
-            baseloadSurge: 15,          // Nagły wzrost generacji JW RB
-            demandSpike: 10,            // Skok zapotrzebowania
-            criticalHours: 10,          // Godziny krytyczne (17-20)
-            systemImbalance: 5          // Bilans systemu (import/export)
-        };
-        
-        this.thresholds = {
-            low: 25,
-            medium: 50,
-            high: 75,
-            critical: 100
-        };
+    /**
+     * profile - jawny profil ryzyka (backtest, porównania); bez niego aktywny profil z RiskProfiles
+     * w chwili liczenia, więc zmiana w ustawieniach działa bez tworzenia scorera od nowa
+     */
+    constructor(profile = null) {
+        this.profile = profile;
+    }
+
+    getProfile() {
+        return this.profile || window.RiskProfiles.getActive();
+    }
+
+    // Wagi czynników [pkt, suma 100]
+    get weights() {
+        return this.getProfile().weights;
+    }
+
+    // Górne granice pasm low / medium / high
+    get thresholds() {
+        return this.getProfile().bands;
+    }
+
+    /**
+     * Wagi użyte w wyniku - bez danych o rezerwach waga rezerwy rozdzielona proporcjonalnie na pozostałe czynniki
+     */
+    getActiveWeights(hasReserveData) {
+        const activeWeights = {...this.weights};
+        if (hasReserveData) return activeWeights;
+        
+        const reserveWeight = activeWeights.reserveMargin;
+        delete activeWeights.reserveMargin;
+        
+        const remainingWeightSum = Object.values(activeWeights).reduce((a, b) => a + b, 0);
+        
+        Object.keys(activeWeights).forEach(key => {
+            activeWeights[key] = remainingWeightSum > 0
+                ? activeWeights[key] + (activeWeights[key] / remainingWeightSum) * reserveWeight
+                : activeWeights[key];
+        });
+        return activeWeights;
     }
 
     calculateRiskScore(data) {
@@ -38,20 +62,7 @@ class RedispatchRiskScorer {
         };
         
         // Dynamiczne wagi - jeśli brak danych o rezerwach, rozdziel wagę na inne czynniki
-        let activeWeights = {...this.weights};
-        if (!hasReserveData) {
-            // Przenieś wagę rezerwy proporcjonalnie na inne czynniki
-            const reserveWeight = activeWeights.reserveMargin;
-            delete activeWeights.reserveMargin;
-            
-            const remainingWeightSum = Object.values(activeWeights).reduce((a, b) => a + b, 0);
-            
-            // Rozdziel wagę rezerwy proporcjonalnie
-            Object.keys(activeWeights).forEach(key => {
-                activeWeights[key] = activeWeights[key] + 
-                    (activeWeights[key] / remainingWeightSum) * reserveWeight;
-            });
-        }
+        const activeWeights = this.getActiveWeights(hasReserveData);
         
         // Oblicz całkowity wynik tylko z dostępnych danych
         let totalScore = 0;
@@ -63,16 +74,22 @@ class RedispatchRiskScorer {
         
         // Dodaj bonus za kombinację czynników
         const synergy = this.calculateSynergyBonus(scores);
-        totalScore = Math.min(100, Math.round(totalScore + synergy));
+        // Planowane ograniczenia D+1 (ogr-d1) - dodatek poza wagami czynników
+        const plannedBonus = this.calculatePlannedConstraintsBonus(data);
+        totalScore = Math.min(100, Math.round(totalScore + synergy + plannedBonus));
         
         return {
             totalScore: totalScore,
             components: scores,
             riskLevel: this.getRiskLevel(totalScore),
-            recommendations: this.getRecommendations(scores, data, hasReserveData),
-            factors: this.getDetailedFactors(scores, data, hasReserveData),
+            recommendations: this.getRecommendations(scores, data, hasReserveData, activeWeights),
+            factors: this.getDetailedFactors(scores, data, hasReserveData, activeWeights),
             hasReserveData: hasReserveData,
-            dataQuality: hasReserveData ? 'complete' : 'partial'
+            dataQuality: hasReserveData ? 'complete' : 'partial',
+            // Skalibrowane prawdopodobieństwo redukcji obok wyniku heurystycznego (null bez modelu)
+            probability: window.CurtailmentModel?.predict(scores, data) ?? null,
+            // Profil, który wyliczył wynik (wersja rośnie przy każdej zmianie)
+            profile: window.RiskProfiles.describe(this.getProfile())
         };
     }
 
@@ -87,18 +104,9 @@ class RedispatchRiskScorer {
         const requiredReserve = data.requiredReserve;
         const margin = availableReserve - requiredReserve;
         
-        // Margines ujemny = krytyczne
-        if (margin < 0) return 100;
-        // Margines < 300 MW = bardzo wysokie
-        if (margin < 300) return 85;
-        // Margines < 500 MW = wysokie
-        if (margin < 500) return 65;
-        // Margines < 1000 MW = średnie
-        if (margin < 1000) return 40;
-        // Margines < 1500 MW = niskie
-        if (margin < 1500) return 20;
-        
-        return 0;
+        // Pierwszy próg profilu, poniżej którego jest margines (progi rosnące; ujemny margines = krytyczne)
+        const breakpoint = this.getProfile().reserveMarginBreakpoints.find(point => margin < point.below);
+        return breakpoint ? breakpoint.score : 0;
     }
 
     // Tempo spadku generacji OZE
@@ -181,11 +189,15 @@ class RedispatchRiskScorer {
         
         if (!isWeekday) return 0;
         
-        if (hour >= 7 && hour <= 9) return 60;
-        if (hour >= 17 && hour <= 20) return 100;
-        if ((hour >= 6 && hour <= 10) || (hour >= 16 && hour <= 21)) return 30;
-        
-        return 0;
+        // Najwyższy wynik spośród okien profilu obejmujących godzinę
+        return this.getCriticalWindow(hour)?.score ?? 0;
+    }
+
+    // Okno godzin krytycznych profilu o najwyższym wyniku obejmujące godzinę (null = poza oknami)
+    getCriticalWindow(hour) {
+        return this.getProfile().criticalHours
+            .filter(range => hour >= range.from && hour <= range.to)
+            .reduce((best, range) => !best || range.score > best.score ? range : best, null);
     }
 
     calculateSystemImbalanceScore(data) {
@@ -199,6 +211,14 @@ class RedispatchRiskScorer {
         return 0;
     }
 
+    // Liczba ograniczeń D+1 aktywnych w danej godzinie - progi z profilu (rosnąco, najwyższy osiągnięty)
+    calculatePlannedConstraintsBonus(data) {
+        const count = data.plannedConstraints || 0;
+        const step = [...this.getProfile().plannedConstraintsBonus].reverse().find(threshold => count >= threshold.atLeast);
+        
+        return step ? step.bonus : 0;
+    }
+
     calculateSynergyBonus(scores) {
         let criticalFactors = 0;
         let highFactors = 0;
@@ -225,7 +245,7 @@ class RedispatchRiskScorer {
         return 'critical';
     }
 
-    getDetailedFactors(scores, data, hasReserveData) {
+    getDetailedFactors(scores, data, hasReserveData, weights = this.getActiveWeights(hasReserveData)) {
         const factors = [];
         
         // Margines rezerwy - tylko jeśli mamy dane
@@ -233,15 +253,17 @@ class RedispatchRiskScorer {
             const availableReserve = data.availableReserve;
             const requiredReserve = data.requiredReserve;
             const margin = availableReserve - requiredReserve;
+            // Próg profilu, w który wpada margines - etykieta z wyniku czynnika, nie ze stałych MW
+            const breakpoint = this.getProfile().reserveMarginBreakpoints.find(point => margin < point.below);
             
             factors.push({
                 factor: margin < 0 ? 'Deficyt rezerwy!' : 
-                       margin < 300 ? 'Krytycznie niski margines' :
-                       margin < 500 ? 'Bardzo niski margines' : 'Niski margines rezerwy',
-                value: `${margin.toFixed(0)} MW`,
-                impact: Math.round(scores.reserveMargin * this.weights.reserveMargin / 100),
+                       scores.reserveMargin >= 80 ? 'Krytycznie niski margines' :
+                       scores.reserveMargin >= 60 ? 'Bardzo niski margines' : 'Niski margines rezerwy',
+                value: breakpoint ? `${margin.toFixed(0)} MW (< ${breakpoint.below} MW)` : `${margin.toFixed(0)} MW`,
+                impact: Math.round(scores.reserveMargin * weights.reserveMargin / 100),
                 icon: 'activity',
-                critical: margin < 300
+                critical: scores.reserveMargin >= 80
             });
         } else if (!hasReserveData) {
             // Informacja o braku danych
@@ -260,8 +282,7 @@ class RedispatchRiskScorer {
             factors.push({
                 factor: Math.abs(totalDelta) > 1500 ? 'Gwałtowny spadek OZE!' : 'Spadek generacji OZE',
                 value: `${totalDelta.toFixed(0)} MW/h`,
-                impact: Math.round(scores.renewableDropRate * 
-                    (hasReserveData ? this.weights.renewableDropRate : 38) / 100),
+                impact: Math.round(scores.renewableDropRate * weights.renewableDropRate / 100),
                 icon: 'trending-down',
                 critical: Math.abs(totalDelta) > 1500
             });
@@ -273,8 +294,7 @@ class RedispatchRiskScorer {
             factors.push({
                 factor: baseloadDelta > 1000 ? 'Gwałtowny wzrost JW RB!' : 'Wzrost generacji JW RB',
                 value: `+${baseloadDelta.toFixed(0)} MW`,
-                impact: Math.round(scores.baseloadSurge * 
-                    (hasReserveData ? this.weights.baseloadSurge : 23) / 100),
+                impact: Math.round(scores.baseloadSurge * weights.baseloadSurge / 100),
                 icon: 'zap',
                 critical: baseloadDelta > 1000 && data.hour >= 16 && data.hour <= 20
             });
@@ -285,22 +305,45 @@ class RedispatchRiskScorer {
             factors.push({
                 factor: 'Wzrost zapotrzebowania',
                 value: `+${demandDelta.toFixed(0)} MW`,
-                impact: Math.round(scores.demandSpike * 
-                    (hasReserveData ? this.weights.demandSpike : 15) / 100),
+                impact: Math.round(scores.demandSpike * weights.demandSpike / 100),
                 icon: 'trending-up'
             });
         }
         
         if (scores.criticalHours > 0) {
+            // Okno profilu z najwyższym wynikiem = główny szczyt
+            const peakWindow = this.getCriticalWindow(data.hour);
+            const topScore = Math.max(...this.getProfile().criticalHours.map(range => range.score));
             factors.push({
-                factor: data.hour >= 17 && data.hour <= 20 ? 'Szczyt wieczorny' : 'Godzina szczytowa',
-                value: `${data.hour}:00`,
-                impact: Math.round(scores.criticalHours * 
-                    (hasReserveData ? this.weights.criticalHours : 15) / 100),
+                factor: peakWindow.score >= topScore ? 'Główny szczyt' : 'Godzina szczytowa',
+                value: `${data.hour}:00 (okno ${peakWindow.from}-${peakWindow.to})`,
+                impact: Math.round(scores.criticalHours * weights.criticalHours / 100),
                 icon: 'clock'
             });
         }
         
+        if (scores.systemImbalance > 0) {
+            const exchange = data.powerExchange || 0;
+            factors.push({
+                factor: 'Duże saldo wymiany transgranicznej',
+                value: `${exchange.toFixed(0)} MW`,
+                impact: Math.round(scores.systemImbalance * weights.systemImbalance / 100),
+                icon: 'globe'
+            });
+        }
+        
+        const plannedBonus = this.calculatePlannedConstraintsBonus(data);
+        if (plannedBonus > 0) {
+            const resources = data.plannedConstraintResources || [];
+            factors.push({
+                factor: 'Planowane ograniczenia D+1',
+                value: `${data.plannedConstraints} (${resources.slice(0, 3).join(', ')}${resources.length > 3 ? '…' : ''})`,
+                impact: plannedBonus,
+                icon: 'clipboard',
+                critical: plannedBonus >= Math.max(...this.getProfile().plannedConstraintsBonus.map(threshold => threshold.bonus))
+            });
+        }
+        
         return factors.sort((a, b) => {
             // Info na końcu
             if (a.info) return 1;
@@ -309,7 +352,7 @@ class RedispatchRiskScorer {
         });
     }
 
-    getRecommendations(scores, data, hasReserveData) {
+    getRecommendations(scores, data, hasReserveData, weights = this.getActiveWeights(hasReserveData)) {
         const recommendations = [];
         
         if (!hasReserveData) {
@@ -318,7 +361,7 @@ class RedispatchRiskScorer {
         
         if (hasReserveData && scores.reserveMargin !== null) {
             const margin = data.availableReserve - data.requiredReserve;
-            if (scores.reserveMargin >= 80 || margin < 300) {
+            if (scores.reserveMargin >= 80 || margin < 0) {
                 recommendations.push('🔴 ALERT: Krytyczny margines rezerwy! Wysokie prawdopodobieństwo wezwania');
             } else if (scores.reserveMargin >= 50) {
                 recommendations.push('⚠️ Niski margines rezerwy - przygotuj się na możliwe wezwanie');
@@ -333,6 +376,10 @@ class RedispatchRiskScorer {
             recommendations.push('⚡ Wieczorny wzrost JW RB - typowy sygnał nadchodzącego wezwania');
         }
         
+        if (data.plannedConstraints > 0) {
+            recommendations.push(`📋 Planowane ograniczenia D+1 w tej godzinie: ${data.plannedConstraints} - uwzględnij przed zamknięciem bramki`);
+        }
+        
         if (scores.criticalHours > 0 && (!hasReserveData || scores.reserveMargin > 30)) {
             recommendations.push('⏰ Godziny szczytowe - zwiększ czujność na komunikaty OSP');
         }
@@ -340,12 +387,10 @@ class RedispatchRiskScorer {
         // Oblicz całkowite zagrożenie
         let threatLevel = 0;
         if (hasReserveData && scores.reserveMargin !== null) {
-            threatLevel += scores.reserveMargin * this.weights.reserveMargin / 100;
+            threatLevel += scores.reserveMargin * weights.reserveMargin / 100;
         }
-        threatLevel += scores.renewableDropRate * 
-            (hasReserveData ? this.weights.renewableDropRate : 38) / 100;
-        threatLevel += scores.baseloadSurge * 
-            (hasReserveData ? this.weights.baseloadSurge : 23) / 100;
+        threatLevel += scores.renewableDropRate * weights.renewableDropRate / 100;
+        threatLevel += scores.baseloadSurge * weights.baseloadSurge / 100;
         
         if (threatLevel >= 70) {
             recommendations.push('🚨 Rozważ natychmiastową redukcję sprzedaży na TGE');
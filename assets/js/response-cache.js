@@ -0,0 +1,139 @@
+/**
+ * Enspirion Dashboard - Response Cache
+ * Cache odpowiedzi API PSE: klucz = endpoint + znormalizowane parametry,
+ * TTL według klasy danych (DATA_CONFIG.cache.ttl), limit rozmiaru z wymianą LRU
+ */
+
+class ResponseCache {
+    constructor(options = {}) {
+        const cacheConfig = window.EnspirionConfig?.DATA?.cache || {};
+
+        this.enabled = options.enabled ?? cacheConfig.enabled ?? true;
+        this.maxSize = options.maxSize ?? cacheConfig.maxSize ?? 100;
+        this.ttl = {
+            liveData: 60000,
+            hourlyData: 300000,
+            dailyData: 3600000,
+            historicalData: 86400000,
+            ...(cacheConfig.ttl || {}),
+            ...(options.ttl || {})
+        };
+
+        // Map zachowuje kolejność wstawiania - pierwszy klucz = najdawniej używany
+        this.entries = new Map();
+        this.resetStats();
+    }
+
+    /**
+     * Klucz cache: endpoint + posortowane, przycięte parametry
+     */
+    static buildKey(endpoint, params = {}) {
+        const normalized = Object.keys(params)
+            .filter(name => params[name] !== undefined && params[name] !== null && params[name] !== '')
+            .sort()
+            .map(name => `${name.trim()}=${String(params[name]).trim().replace(/\s+/g, ' ')}`)
+            .join('&');
+
+        return normalized ? `${endpoint}?${normalized}` : endpoint;
+    }
+
+    /**
+     * Pobierz wpis; allowStale zwraca także przeterminowane dane (tryb offline / awaria API)
+     */
+    get(key, { allowStale = false } = {}) {
+        if (!this.enabled) return null;
+
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        const expired = Date.now() - entry.timestamp > entry.ttl;
+        if (expired && !allowStale) {
+            // Nie usuwamy - wpis może jeszcze posłużyć jako dane awaryjne
+            this.stats.misses++;
+            this.stats.expired++;
+            return null;
+        }
+
+        // Odśwież pozycję LRU
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        this.stats.hits++;
+        if (expired) this.stats.staleHits++;
+        return entry.data;
+    }
+
+    /**
+     * Zapisz wpis z TTL danej klasy
+     */
+    set(key, data, ttlClass = 'hourlyData') {
+        if (!this.enabled) return;
+
+        if (this.entries.has(key)) {
+            this.entries.delete(key);
+        }
+
+        this.entries.set(key, {
+            data,
+            ttlClass,
+            ttl: this.ttl[ttlClass] ?? this.ttl.hourlyData,
+            timestamp: Date.now()
+        });
+
+        while (this.entries.size > this.maxSize) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Metadane wpisu (wiek, klasa TTL)
+     */
+    getEntryInfo(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        return {
+            ttlClass: entry.ttlClass,
+            timestamp: entry.timestamp,
+            age: Date.now() - entry.timestamp,
+            expired: Date.now() - entry.timestamp > entry.ttl
+        };
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    resetStats() {
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            staleHits: 0,
+            expired: 0,
+            evictions: 0
+        };
+    }
+
+    /**
+     * Statystyki trafień
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+        };
+    }
+}
+
+// Export
+window.ResponseCache = ResponseCache;
+
+console.log('✅ Response Cache loaded successfully');
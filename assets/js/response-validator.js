@@ -0,0 +1,177 @@
+/**
+ * Enspirion Dashboard - Response Validator
+ * Walidacja odpowiedzi API PSE według DATA_CONFIG.validation:
+ * pola wymagane, typy i zakresy wartości, raport jakości per endpoint
+ */
+
+class ResponseValidator {
+    constructor(options = {}) {
+        const validationConfig = window.EnspirionConfig?.DATA?.validation || {};
+
+        this.config = { ...validationConfig, ...options };
+        this.enabled = this.config.enabled ?? true;
+        this.outlierPolicy = this.config.outlierPolicy || 'flag';
+        this.schemaErrorThreshold = this.config.schemaErrorThreshold ?? 0.5;
+        this.schemas = this.config.endpoints || {};
+
+        // Ostatni raport jakości dla każdego endpointu
+        this.reports = new Map();
+    }
+
+    /**
+     * Czy endpoint ma zdefiniowany schemat
+     */
+    hasSchema(endpoint) {
+        return Boolean(this.schemas[endpoint]);
+    }
+
+    /**
+     * Waliduj wiersze odpowiedzi
+     * Zwraca { rows, report } - wiersze bez pól wymaganych są odrzucane,
+     * wartości spoza zakresu odrzucane lub oznaczane (_flags) zależnie od outlierPolicy
+     */
+    validate(endpoint, rows = []) {
+        const schema = this.schemas[endpoint];
+        if (!this.enabled || !schema || !Array.isArray(rows)) {
+            return { rows, report: null };
+        }
+
+        const requiredFields = schema.requiredFields || [];
+        const fields = schema.fields || {};
+        const report = this.createReport(endpoint, rows.length);
+        const valid = [];
+
+        rows.forEach(row => {
+            const flags = [];
+            let drop = false;
+
+            requiredFields.forEach(field => {
+                if (row[field] === undefined || row[field] === null || row[field] === '') {
+                    this.count(report.missingFields, field);
+                    drop = true;
+                }
+            });
+
+            Object.entries(fields).forEach(([field, ruleName]) => {
+                const value = row[field];
+
+                if (value === undefined) {
+                    this.count(report.missingFields, field);
+                    flags.push(`missing:${field}`);
+                    return;
+                }
+                if (value === null || value === '') {
+                    this.count(report.nulls, field);
+                    flags.push(`null:${field}`);
+                    return;
+                }
+
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                if (!Number.isFinite(number)) {
+                    this.count(report.invalid, field);
+                    flags.push(`invalid:${field}`);
+                    drop = drop || this.outlierPolicy === 'drop';
+                    return;
+                }
+
+                const rule = this.config[ruleName] || {};
+                if ((rule.minValue !== undefined && number < rule.minValue) ||
+                    (rule.maxValue !== undefined && number > rule.maxValue)) {
+                    this.count(report.outliers, field);
+                    flags.push(`outlier:${field}`);
+                    drop = drop || this.outlierPolicy === 'drop';
+                }
+            });
+
+            if (drop) {
+                report.dropped++;
+                return;
+            }
+
+            if (flags.length > 0) {
+                report.flagged++;
+                valid.push({ ...row, _flags: flags });
+            } else {
+                valid.push(row);
+            }
+        });
+
+        report.kept = valid.length;
+        this.assess(report, [...requiredFields, ...Object.keys(fields)]);
+        this.reports.set(endpoint, report);
+
+        if (report.status === 'error') {
+            console.error(`❌ PSE schema change suspected: ${endpoint} - missing ${report.schemaIssues.join(', ')}`);
+        } else if (report.status === 'warning') {
+            console.warn(`⚠️ Data quality: ${endpoint} - ${report.dropped} dropped, ${report.flagged} flagged of ${report.total}`);
+        }
+
+        return { rows: valid, report };
+    }
+
+    createReport(endpoint, total) {
+        return {
+            endpoint,
+            checkedAt: Date.now(),
+            total,
+            kept: 0,
+            dropped: 0,
+            flagged: 0,
+            missingFields: {},
+            nulls: {},
+            invalid: {},
+            outliers: {},
+            schemaIssues: [],
+            status: 'ok'
+        };
+    }
+
+    count(bucket, field) {
+        bucket[field] = (bucket[field] || 0) + 1;
+    }
+
+    /**
+     * Status raportu: error = pole brakuje w większości wierszy (zmiana schematu),
+     * warning = odrzucone wiersze lub wartości spoza zakresu; same null-e to stan normalny
+     */
+    assess(report, fields) {
+        if (report.total > 0) {
+            report.schemaIssues = fields.filter(field =>
+                (report.missingFields[field] || 0) / report.total >= this.schemaErrorThreshold
+            );
+        }
+
+        const outlierCount = Object.values(report.outliers).reduce((sum, n) => sum + n, 0);
+        const invalidCount = Object.values(report.invalid).reduce((sum, n) => sum + n, 0);
+
+        if (report.schemaIssues.length > 0) {
+            report.status = 'error';
+        } else if (report.dropped > 0 || outlierCount > 0 || invalidCount > 0) {
+            report.status = 'warning';
+        }
+    }
+
+    /**
+     * Raport jakości endpointu (lub wszystkich endpointów)
+     */
+    getReport(endpoint = null) {
+        if (endpoint) {
+            return this.reports.get(endpoint) || null;
+        }
+
+        const reports = {};
+        this.reports.forEach((report, name) => {
+            reports[name] = report;
+        });
+        return reports;
+    }
+
+    clear() {
+        this.reports.clear();
+    }
+}
+
+// Export
+window.ResponseValidator = ResponseValidator;
+
+console.log('✅ Response Validator loaded successfully');
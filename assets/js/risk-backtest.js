@@ -0,0 +1,369 @@
+/**
+ * Enspirion Dashboard - Risk Backtest
+ * Backtest RedispatchRiskScorer: odtworzenie historycznych wejść doba po dobie (rezerwy pk5l-wp,
+ * generacja i zapotrzebowanie pdgobpkd, wymiana przeplywy-mocy) i porównanie wyniku z faktycznym
+ * redysponowaniem OZE (poze-redoze): trafienia, fałszywe alarmy, ROC/AUC i krzywa kalibracji.
+ * Bez DOM - działa w przeglądarce i headless w Node (tools/backtest.js)
+ */
+
+// Składniki redukcji poze-redoze [MW] - publikowane ze znakiem ujemnym, sumowane jako wartości bezwzględne
+const BACKTEST_CURTAILMENT_FIELDS = ['pv_red_balance', 'pv_red_network', 'wi_red_balance', 'wi_red_network'];
+
+// Generacja JW RB (jak w ChartManager / DataProcessor.transformPSEData)
+const BACKTEST_BASELOAD_FIELDS = [
+    'gen_jgw_zak_1', 'gen_jgw_zak_2', 'gen_jgm_zak_1', 'gen_jgm_zak_2',
+    'gen_jgz_zak_1', 'gen_jgz_zak_2', 'gen_jgz_zak_3'
+];
+
+class RiskBacktest {
+    constructor() {
+        const backtestConfig = window.EnspirionConfig?.DATA?.riskBacktest || {};
+
+        this.eventThresholdMW = backtestConfig.eventThresholdMW ?? 10;
+        this.alarmLevels = backtestConfig.alarmLevels || ['high', 'critical'];
+        this.calibrationBins = backtestConfig.calibrationBins || 10;
+        this.validationShare = backtestConfig.validationShare ?? 0.2;
+
+        console.log('🧪 Risk Backtest initialized');
+    }
+
+    /**
+     * Backtest dla zakresu dób [fromDate, toDate]
+     * rows: endpoint -> wiersze PSE ('pdgobpkd', 'poze-redoze', opcjonalnie 'pk5l-wp', 'przeplywy-mocy')
+     * Doby bez generacji albo bez danych redysponowania są pomijane (skippedDays)
+     */
+    run(rows, { fromDate, toDate, scorer = new window.RedispatchRiskScorer() } = {}) {
+        const byDate = Object.fromEntries(Object.entries(rows).map(([endpoint, endpointRows]) =>
+            [endpoint, this.groupByDate(endpointRows || [])]));
+        const dates = window.BusinessTime.dateRange(fromDate, toDate);
+
+        const samples = [];
+        const skippedDays = [];
+
+        dates.forEach(date => {
+            const rowsOf = endpoint => byDate[endpoint]?.get(date) || [];
+            const generation = rowsOf('pdgobpkd');
+            const curtailment = rowsOf('poze-redoze');
+
+            if (generation.length === 0 || curtailment.length === 0) {
+                skippedDays.push({ date, reason: generation.length === 0 ? 'pdgobpkd' : 'poze-redoze' });
+                return;
+            }
+
+            const inputs = this.buildDayInputs(date, {
+                generation,
+                plan: rowsOf('pk5l-wp'),
+                flows: rowsOf('przeplywy-mocy')
+            });
+            // Zamknięta doba z danymi poze-redoze: godzina bez wierszy = brak redukcji
+            const isClosed = date < window.BusinessTime.today();
+            const realized = this.hourlySeries(curtailment, date, row => this.sumFields(row, BACKTEST_CURTAILMENT_FIELDS, { absolute: true }))
+                .map(value => value ?? (isClosed ? 0 : null));
+
+            inputs.forEach((input, slot) => {
+                if (realized[slot] === null) return;
+
+                const result = scorer.calculateRiskScore(input);
+                samples.push({
+                    date,
+                    slot,
+                    hour: input.hour,
+                    score: result.totalScore,
+                    level: result.riskLevel,
+                    alarm: this.alarmLevels.includes(result.riskLevel),
+                    hasReserveData: result.hasReserveData,
+                    features: window.CurtailmentModel?.featuresOf(result.components, input) || null,
+                    curtailedMW: realized[slot],
+                    event: realized[slot] > this.eventThresholdMW
+                });
+            });
+        });
+
+        return {
+            fromDate,
+            toDate,
+            profile: window.RiskProfiles.describe(scorer.getProfile()),
+            eventThresholdMW: this.eventThresholdMW,
+            alarmLevels: this.alarmLevels,
+            days: dates.length - skippedDays.length,
+            skippedDays,
+            ...this.evaluate(samples),
+            samples
+        };
+    }
+
+    // ========================================
+    // WEJŚCIA SCORERA
+    // ========================================
+
+    /**
+     * Wejścia calculateRiskScore per godzina doby (23/24/25) - jak w ChartManager.buildRiskInput dla doby bieżącej,
+     * delty i gradienty względem poprzednich godzin tej samej doby
+     */
+    buildDayInputs(date, { generation, plan = [], flows = [] }) {
+        const dayStart = window.BusinessTime.startOfDay(date).getTime();
+        const numberOf = field => row => this.toNumber(row[field]);
+
+        const pv = this.hourlySeries(generation, date, numberOf('gen_fv'));
+        const wind = this.hourlySeries(generation, date, numberOf('gen_wi'));
+        const load = this.hourlySeries(generation, date, numberOf('kse_pow_dem'));
+        const baseload = this.hourlySeries(generation, date, row => this.sumFields(row, BACKTEST_BASELOAD_FIELDS));
+
+        const borders = window.EnspirionConfig?.DATA?.crossBorder?.borders || [];
+        const exchange = this.hourlySeries(flows, date, row => {
+            const codes = String(row.section_code || '').toUpperCase().split(/[^A-Z]+/);
+            return codes.some(code => borders.includes(code)) ? this.toNumber(row.value) : null;
+        });
+
+        // Rezerwy z planu znanego przed dobą (bez zaglądania w przyszłość)
+        const planRows = window.BusinessTime.selectPublishedBefore(plan, dayStart, 'plan_dtime');
+        const required = this.hourlySeries(planRows, date, numberOf('req_pow_res'), { timeField: 'plan_dtime', timeIsEnd: false });
+        const available = this.hourlySeries(planRows, date,
+            row => this.toNumber(row.surplus_cap_avail_tso) ?? this.toNumber(row.avail_cap_gen_units_stor_prov),
+            { timeField: 'plan_dtime', timeIsEnd: false });
+
+        const dayOfWeek = new Date(`${date}T12:00:00Z`).getUTCDay();
+        const delta = (series, slot, fallback) => slot > 0 && series[slot] !== null && series[slot - 1] !== null
+            ? series[slot] - series[slot - 1]
+            : fallback;
+
+        return pv.map((_, slot) => {
+            const hasReserveData = required[slot] !== null && available[slot] !== null;
+            const pvDelta = delta(pv, slot, 0);
+            const windDelta = delta(wind, slot, 0);
+
+            return {
+                hour: window.BusinessTime.getLocalHour(new Date(dayStart + slot * window.BusinessTime.HOUR_MS)),
+                dayOfWeek,
+                systemLoad: load[slot] ?? 20000,
+                pvGeneration: pv[slot] ?? 0,
+                windGeneration: wind[slot] ?? 0,
+                baseloadGeneration: baseload[slot] ?? 10000,
+                powerExchange: exchange[slot] ?? 0,
+                availableReserve: hasReserveData ? available[slot] : undefined,
+                requiredReserve: hasReserveData ? required[slot] : undefined,
+                hasReserveData,
+                plannedConstraints: 0,
+                pvDelta,
+                windDelta,
+                baseloadDelta: delta(baseload, slot, 0),
+                demandDelta: delta(load, slot, 0),
+                pvGradient: slot > 1 ? pvDelta - delta(pv, slot - 1, 0) : 0,
+                windGradient: slot > 1 ? windDelta - delta(wind, slot - 1, 0) : 0
+            };
+        });
+    }
+
+    /**
+     * Średnia wartość per godzina doby (indeks = godzina od początku doby, 23/24/25 pozycji, brak = null)
+     * Wartości z tego samego okresu są sumowane (np. granice); rozdzielczość wykrywana z liczby okresów
+     */
+    hourlySeries(rows, date, valueOf, { timeField = 'dtime', timeIsEnd = true } = {}) {
+        const dayStart = window.BusinessTime.startOfDay(date).getTime();
+        const hours = window.BusinessTime.hoursInDay(date);
+        const periods = new Set(rows.map(row => row[timeField])).size;
+        const stepMs = periods > hours ? window.BusinessTime.QUARTER_MS : window.BusinessTime.HOUR_MS;
+
+        const totals = new Map();
+        rows.forEach(row => {
+            const value = valueOf(row);
+            if (value === null || !Number.isFinite(value) || !row[timeField]) return;
+
+            const instant = window.BusinessTime.parseRowTime(row, timeField).getTime();
+            if (Number.isNaN(instant)) return;
+
+            const start = timeIsEnd ? instant - stepMs : instant;
+            totals.set(start, (totals.get(start) || 0) + value);
+        });
+
+        const sums = new Array(hours).fill(0);
+        const counts = new Array(hours).fill(0);
+        totals.forEach((value, start) => {
+            const slot = Math.floor((start - dayStart) / window.BusinessTime.HOUR_MS);
+            if (slot < 0 || slot >= hours) return;
+            sums[slot] += value;
+            counts[slot]++;
+        });
+
+        return sums.map((sum, slot) => counts[slot] > 0 ? sum / counts[slot] : null);
+    }
+
+    // ========================================
+    // METRYKI
+    // ========================================
+
+    /**
+     * Tablica kontyngencji dla progu alarmu, ROC/AUC, kalibracja i rozkład zdarzeń per pasmo ryzyka
+     */
+    evaluate(samples) {
+        const events = samples.filter(sample => sample.event).length;
+        const count = (alarm, event) => samples.filter(sample => sample.alarm === alarm && sample.event === event).length;
+
+        const hits = count(true, true);
+        const misses = count(false, true);
+        const falseAlarms = count(true, false);
+        const correctNegatives = count(false, false);
+        const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : null;
+
+        const roc = this.calculateROC(samples);
+        const calibration = this.calculateCalibration(samples);
+
+        return {
+            sampleCount: samples.length,
+            eventCount: events,
+            baseRate: ratio(events, samples.length),
+            confusion: { hits, misses, falseAlarms, correctNegatives },
+            hitRate: ratio(hits, hits + misses),                       // POD - trafione zdarzenia
+            falseAlarmRatio: ratio(falseAlarms, hits + falseAlarms),  // FAR - alarmy bez zdarzenia
+            falseAlarmRate: ratio(falseAlarms, falseAlarms + correctNegatives), // POFD
+            roc: roc.points,
+            auc: roc.auc,
+            calibration,
+            brierScore: samples.length > 0
+                ? samples.reduce((sum, sample) => sum + (sample.score / 100 - (sample.event ? 1 : 0)) ** 2, 0) / samples.length
+                : null,
+            byLevel: ['low', 'medium', 'high', 'critical'].map(level => {
+                const inLevel = samples.filter(sample => sample.level === level);
+                return {
+                    level,
+                    count: inLevel.length,
+                    eventRate: ratio(inLevel.filter(sample => sample.event).length, inLevel.length)
+                };
+            })
+        };
+    }
+
+    /**
+     * Krzywa ROC po progach wyniku (malejąco, remisy razem) i AUC metodą trapezów
+     */
+    calculateROC(samples) {
+        const positives = samples.filter(sample => sample.event).length;
+        const negatives = samples.length - positives;
+        if (positives === 0 || negatives === 0) {
+            return { points: [], auc: null };
+        }
+
+        const sorted = [...samples].sort((a, b) => b.score - a.score);
+        const points = [{ threshold: Infinity, tpr: 0, fpr: 0 }];
+        let truePositives = 0;
+        let falsePositives = 0;
+
+        sorted.forEach((sample, index) => {
+            if (sample.event) truePositives++;
+            else falsePositives++;
+
+            if (index === sorted.length - 1 || sorted[index + 1].score !== sample.score) {
+                points.push({ threshold: sample.score, tpr: truePositives / positives, fpr: falsePositives / negatives });
+            }
+        });
+
+        const auc = points.slice(1).reduce((area, point, index) =>
+            area + (point.fpr - points[index].fpr) * (point.tpr + points[index].tpr) / 2, 0);
+
+        return { points, auc };
+    }
+
+    /**
+     * Krzywa kalibracji: wynik / 100 jako przewidywana częstość vs częstość zdarzeń w przedziałach
+     */
+    calculateCalibration(samples) {
+        const bins = Array.from({ length: this.calibrationBins }, (_, index) => ({
+            from: index * 100 / this.calibrationBins,
+            to: (index + 1) * 100 / this.calibrationBins,
+            count: 0,
+            scoreSum: 0,
+            events: 0
+        }));
+
+        samples.forEach(sample => {
+            const index = Math.min(this.calibrationBins - 1, Math.floor(sample.score * this.calibrationBins / 100));
+            bins[index].count++;
+            bins[index].scoreSum += sample.score;
+            if (sample.event) bins[index].events++;
+        });
+
+        return bins.map(({ from, to, count, scoreSum, events }) => ({
+            from,
+            to,
+            count,
+            meanPredicted: count > 0 ? scoreSum / count / 100 : null,
+            observedRate: count > 0 ? events / count : null
+        }));
+    }
+
+    /**
+     * Dopasuj CurtailmentModel na próbkach backtestu; walidacja na ostatnich dobach (validationShare)
+     * modelem dopasowanym tylko na wcześniejszych dobach, model wynikowy - na wszystkich próbkach
+     */
+    fitCurtailmentModel(samples, model = window.CurtailmentModel) {
+        const dates = [...new Set(samples.map(sample => sample.date))].sort();
+        const holdoutDays = Math.floor(dates.length * this.validationShare);
+        const fitOptions = { eventThresholdMW: this.eventThresholdMW };
+
+        let validation = null;
+        if (holdoutDays > 0) {
+            const firstHoldout = dates[dates.length - holdoutDays];
+            const train = samples.filter(sample => sample.date < firstHoldout);
+            const holdout = samples.filter(sample => sample.date >= firstHoldout);
+
+            try {
+                const trained = model.fit(train, fitOptions);
+                const scored = holdout.map(sample => ({
+                    ...sample,
+                    score: model.sigmoid(model.dot(trained.coefficients, sample.features)) * 100
+                }));
+                const roc = this.calculateROC(scored);
+
+                validation = {
+                    fromDate: firstHoldout,
+                    toDate: dates[dates.length - 1],
+                    sampleCount: scored.length,
+                    eventCount: scored.filter(sample => sample.event).length,
+                    auc: roc.auc,
+                    brierScore: scored.length > 0
+                        ? scored.reduce((sum, sample) => sum + (sample.score / 100 - (sample.event ? 1 : 0)) ** 2, 0) / scored.length
+                        : null,
+                    calibration: this.calculateCalibration(scored)
+                };
+            } catch (error) {
+                console.warn('⚠️ Curtailment model validation skipped:', error.message);
+            }
+        }
+
+        return { ...model.fit(samples, fitOptions), validation };
+    }
+
+    // ========================================
+    // POMOCNICZE
+    // ========================================
+
+    groupByDate(rows) {
+        const groups = new Map();
+        rows.forEach(row => {
+            if (!groups.has(row.business_date)) groups.set(row.business_date, []);
+            groups.get(row.business_date).push(row);
+        });
+        return groups;
+    }
+
+    toNumber(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Suma pól wiersza; null gdy żadne pole nie ma wartości
+     * absolute: suma wartości bezwzględnych (redukcje OZE, jak processYearlyOZERedispatch)
+     */
+    sumFields(row, fields, { absolute = false } = {}) {
+        const values = fields.map(field => this.toNumber(row[field]))
+            .filter(value => value !== null)
+            .map(value => absolute ? Math.abs(value) : value);
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+    }
+}
+
+// Create global instance
+window.RiskBacktest = new RiskBacktest();
+
+console.log('✅ Risk Backtest loaded successfully');
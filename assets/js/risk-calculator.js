@@ -5,19 +5,6 @@
 
 class RiskCalculator {
     constructor() {
-    this.config = window.EnspirionConfig?.BUSINESS?.risk || {
-        weights: {
-            historicalRedispatch: 0.4,
-            currentLimitations: 0.3,
-            pvGenerationLevel: 0.2,
-            systemLoad: 0.1
-        },
-        thresholds: {
-            low: 0.25,
-            medium: 0.5,
-            high: 0.75
-        }
-    };
     this.historicalData = new Map();
     this.riskCache = new Map();
     
@@ -38,12 +25,14 @@ class RiskCalculator {
                 systemLoad: this.calculateSystemLoadFactor(hour, systemLoad)
             };
 
-            // Apply weights from configuration
+            // Apply weights from the active risk profile
+            const profile = window.RiskProfiles.getActive();
+            const weights = profile.calculatorWeights;
             let riskScore = 0;
-            riskScore += factors.historical * this.config.weights.historicalRedispatch;
-            riskScore += factors.limitations * this.config.weights.currentLimitations;
-            riskScore += factors.pvGeneration * this.config.weights.pvGenerationLevel;
-            riskScore += factors.systemLoad * this.config.weights.systemLoad;
+            riskScore += factors.historical * weights.historicalRedispatch;
+            riskScore += factors.limitations * weights.currentLimitations;
+            riskScore += factors.pvGeneration * weights.pvGenerationLevel;
+            riskScore += factors.systemLoad * weights.systemLoad;
 
             // Ensure score is between 0 and 1
             riskScore = Math.max(0, Math.min(1, riskScore));
@@ -53,6 +42,7 @@ class RiskCalculator {
                 level: this.getRiskLevel(riskScore),
                 factors: factors,
                 confidence: this.calculateConfidence(factors),
+                profile: window.RiskProfiles.describe(profile),
                 timestamp: new Date().toISOString()
             };
 
@@ -147,7 +137,7 @@ class RiskCalculator {
         }
 
         const hourData = pvGeneration.find(gen => gen.hour === hour);
-        if (!hourData) {
+        if (!hourData || !Number.isFinite(hourData.totalPower)) {
             return 0.0;
         }
 
@@ -176,7 +166,7 @@ class RiskCalculator {
         }
 
         const hourData = systemLoad.find(load => load.hour === hour);
-        if (!hourData) {
+        if (!hourData || !Number.isFinite(hourData.load)) {
             return 0.5;
         }
 
@@ -195,6 +185,10 @@ class RiskCalculator {
     calculateRiskHeatmap(historicalRedispatch, currentLimitations, forecastData) {
         const heatmap = [];
         const today = new Date();
+
+        // Model ryzyka jest godzinowy - szeregi MTU (15 min) agregowane raz do godzin
+        const pvGeneration = window.DataProcessor.toResolution(forecastData?.pvGeneration || [], 60);
+        const systemLoad = window.DataProcessor.toResolution(forecastData?.systemLoad || [], 60);
         
         for (let day = 0; day < 7; day++) {
             const dayData = [];
@@ -202,9 +196,6 @@ class RiskCalculator {
             targetDate.setDate(today.getDate() + day);
             
             for (let hour = 0; hour < 24; hour++) {
-                const pvGeneration = forecastData?.pvGeneration || [];
-                const systemLoad = forecastData?.systemLoad || [];
-                
                 const risk = this.calculateHourlyRisk(
                     hour, 
                     day,
@@ -237,6 +228,8 @@ class RiskCalculator {
         const now = new Date();
         const currentHour = now.getHours();
         const risks = [];
+        const pvGeneration = window.DataProcessor.toResolution(forecastData?.pvGeneration || [], 60);
+        const systemLoad = window.DataProcessor.toResolution(forecastData?.systemLoad || [], 60);
         
         for (let i = 0; i < 6; i++) {
             const targetHour = (currentHour + i) % 24;
@@ -245,8 +238,8 @@ class RiskCalculator {
                 0, // Today
                 historicalRedispatch,
                 currentLimitations,
-                forecastData?.pvGeneration || [],
-                forecastData?.systemLoad || []
+                pvGeneration,
+                systemLoad
             );
             risks.push(risk);
         }
@@ -278,9 +271,11 @@ class RiskCalculator {
      * Helper methods
      */
     getRiskLevel(score) {
-        if (score >= this.config.thresholds.high) return 'critical';
-        if (score >= this.config.thresholds.medium) return 'high';
-        if (score >= this.config.thresholds.low) return 'medium';
+        // Pasma profilu są w skali 0-100, wynik kalkulatora 0-1
+        const bands = window.RiskProfiles.getActive().bands;
+        if (score >= bands.high / 100) return 'critical';
+        if (score >= bands.medium / 100) return 'high';
+        if (score >= bands.low / 100) return 'medium';
         return 'low';
     }
 
@@ -392,12 +387,56 @@ class RiskCalculator {
         return alerts;
     }
 
+    /**
+     * Load historical OZE redispatch events (poze-redoze) from the time series store
+     */
+    async loadHistoricalRedispatch(days = 30) {
+        if (!window.PSEApiService?.getSeriesRange) {
+            return [];
+        }
+
+        const toDate = window.BusinessTime.today();
+        const fromDate = window.BusinessTime.addDays(toDate, -days);
+
+        try {
+            const data = await window.PSEApiService.getSeriesRange('poze-redoze', fromDate, toDate);
+            const events = this.buildHistoricalEvents(data.value || []);
+            this.historicalData.set('poze-redoze', events);
+            return events;
+        } catch (error) {
+            console.error('Failed to load historical redispatch:', error);
+            return this.historicalData.get('poze-redoze') || [];
+        }
+    }
+
+    /**
+     * Convert poze-redoze rows into events (fromTime, powerReduction, severity)
+     */
+    buildHistoricalEvents(rows) {
+        return rows
+            .map(row => {
+                const powerReduction = Math.abs(row.pv_red_balance || 0) + Math.abs(row.pv_red_network || 0) +
+                    Math.abs(row.wi_red_balance || 0) + Math.abs(row.wi_red_network || 0);
+                const fromTime = window.BusinessTime.parseLocal(row.dtime || `${row.business_date} 12:00:00`);
+
+                return {
+                    fromTime,
+                    toTime: new Date(fromTime.getTime() + 15 * 60 * 1000),
+                    powerReduction,
+                    severity: powerReduction > 1000 ? 'critical' :
+                              powerReduction > 500 ? 'high' :
+                              powerReduction > 100 ? 'medium' : 'low'
+                };
+            })
+            .filter(event => event.powerReduction > 0 && !isNaN(event.fromTime));
+    }
+
     getDaysInHistory(historicalData) {
         if (!historicalData || historicalData.length === 0) return 1;
         
         const dates = new Set();
         historicalData.forEach(event => {
-            const dateStr = event.fromTime.toISOString().split('T')[0];
+            const dateStr = window.BusinessTime.toBusinessDate(event.fromTime);
             dates.add(dateStr);
         });
         
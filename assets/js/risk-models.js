@@ -0,0 +1,260 @@
+/**
+ * Enspirion Dashboard - Risk Models
+ * Rejestr modeli ryzyka ze wspólnym interfejsem: schemat wejść godzinowych, wynik 0-100, poziom, czynniki i rekomendacje.
+ * Heatmapa i analiza rezerw wybierają model z rejestru, panel ryzyka może uruchomić drugi model do porównania
+ */
+
+// Schemat wejść godzinowych (jak w updateRiskAssessmentChart) - wartości domyślne dla brakujących pól
+const RISK_MODEL_INPUTS = {
+    hour: { label: 'Godzina doby', default: 0 },
+    dayOfWeek: { label: 'Dzień tygodnia (0 = niedziela)', default: 1 },
+    systemLoad: { label: 'Zapotrzebowanie [MW]', default: 20000 },
+    pvGeneration: { label: 'Generacja PV [MW]', default: 0 },
+    windGeneration: { label: 'Generacja wiatrowa [MW]', default: 0 },
+    baseloadGeneration: { label: 'Generacja JW RB [MW]', default: 10000 },
+    powerExchange: { label: 'Saldo wymiany [MW]', default: 0 },
+    availableReserve: { label: 'Rezerwa dostępna [MW]', default: undefined },
+    requiredReserve: { label: 'Rezerwa wymagana [MW]', default: undefined },
+    hasReserveData: { label: 'Dane o rezerwach', default: false },
+    plannedConstraints: { label: 'Ograniczenia D+1', default: 0 },
+    plannedConstraintResources: { label: 'Jednostki z ograniczeniami D+1', default: [] },
+    pvDelta: { label: 'Zmiana PV [MW/h]', default: 0 },
+    windDelta: { label: 'Zmiana wiatru [MW/h]', default: 0 },
+    baseloadDelta: { label: 'Zmiana JW RB [MW/h]', default: 0 },
+    demandDelta: { label: 'Zmiana zapotrzebowania [MW/h]', default: 0 },
+    pvGradient: { label: 'Gradient PV', default: 0 },
+    windGradient: { label: 'Gradient wiatru', default: 0 }
+};
+
+// Widoki korzystające z rejestru; compare = null oznacza brak porównania
+const RISK_MODEL_VIEWS = ['heatmap', 'compare', 'reserves'];
+
+const RISK_MODELS_KEY = 'enspirion-risk-models';
+
+class RiskModelRegistry {
+    constructor() {
+        const modelsConfig = window.EnspirionConfig?.DATA?.riskModels || {};
+
+        this.defaults = {
+            heatmap: modelsConfig.heatmap || 'redispatch',
+            compare: modelsConfig.compare || null,
+            reserves: modelsConfig.reserves || 'redispatch'
+        };
+
+        this.models = new Map();
+        this.selection = this.loadSelection();
+
+        console.log('🧩 Risk Model Registry initialized');
+    }
+
+    /**
+     * Zarejestruj model: { id, name, description, inputs: [pola RISK_MODEL_INPUTS], context: [klucze], evaluate(input, context) }
+     * evaluate zwraca { score 0-100, level, factors, recommendations } i opcjonalnie probability, profile, dataQuality;
+     * estimatesProbability = model zwraca prawdopodobieństwo redukcji z CurtailmentModel (null = model niekalibrowany)
+     */
+    register(model) {
+        if (!model?.id || !model.name || typeof model.evaluate !== 'function') {
+            throw new Error('Risk model needs id, name and evaluate()');
+        }
+
+        const unknown = (model.inputs || []).filter(field => !(field in RISK_MODEL_INPUTS));
+        if (unknown.length > 0) {
+            throw new Error(`Risk model ${model.id} declares unknown inputs: ${unknown.join(', ')}`);
+        }
+
+        this.models.set(model.id, { inputs: [], context: [], description: '', estimatesProbability: false, ...model });
+    }
+
+    list() {
+        return Array.from(this.models.values());
+    }
+
+    get(id) {
+        return this.models.get(id) || null;
+    }
+
+    /**
+     * Wejście uzupełnione wartościami domyślnymi schematu
+     */
+    normalizeInput(input = {}) {
+        const normalized = {};
+        Object.entries(RISK_MODEL_INPUTS).forEach(([field, spec]) => {
+            normalized[field] = input[field] ?? spec.default;
+        });
+        return normalized;
+    }
+
+    /**
+     * Etykiety wejść, z których korzysta model (do szczegółów w panelu)
+     */
+    describeInputs(id) {
+        return (this.get(id)?.inputs || []).map(field => RISK_MODEL_INPUTS[field].label);
+    }
+
+    /**
+     * Oceń godzinę wybranym modelem - wynik w formacie wspólnym dla wszystkich modeli
+     * context: dane niezależne od godziny (np. historia redysponowania, bieżące ograniczenia)
+     */
+    evaluate(id, input, context = {}) {
+        const model = this.get(id);
+        if (!model) {
+            throw new Error(`Unknown risk model: ${id}`);
+        }
+
+        const result = model.evaluate(this.normalizeInput(input), context);
+        const score = Math.round(Math.max(0, Math.min(100, result.score)));
+
+        return {
+            model: { id: model.id, name: model.name, estimatesProbability: model.estimatesProbability },
+            score,
+            level: result.level,
+            factors: result.factors || [],
+            recommendations: result.recommendations || [],
+            probability: result.probability ?? null,
+            profile: result.profile || window.RiskProfiles.describe(window.RiskProfiles.getActive()),
+            dataQuality: result.dataQuality || 'complete'
+        };
+    }
+
+    // ========================================
+    // WYBÓR MODELU
+    // ========================================
+
+    loadSelection() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(RISK_MODELS_KEY));
+            return { ...this.defaults, ...(stored && typeof stored === 'object' ? stored : {}) };
+        } catch (error) {
+            console.warn('⚠️ Could not load risk model selection:', error);
+            return { ...this.defaults };
+        }
+    }
+
+    /**
+     * Model wybrany dla widoku; nieznany (np. usunięty) = domyślny z konfiguracji
+     */
+    getSelected(view) {
+        const id = this.selection[view];
+        if (view === 'compare') {
+            return id && this.models.has(id) ? id : null;
+        }
+        return this.models.has(id) ? id : this.defaults[view];
+    }
+
+    select(view, id) {
+        if (!RISK_MODEL_VIEWS.includes(view)) {
+            throw new Error(`Unknown risk model view: ${view}`);
+        }
+        if (id !== null && !this.models.has(id)) {
+            throw new Error(`Unknown risk model: ${id}`);
+        }
+
+        this.selection[view] = id;
+        localStorage.setItem(RISK_MODELS_KEY, JSON.stringify(this.selection));
+        window.dispatchEvent(new CustomEvent('risk:model', { detail: { view, id } }));
+    }
+}
+
+// Create global instance
+window.RiskModels = new RiskModelRegistry();
+
+// ========================================
+// MODELE WBUDOWANE
+// ========================================
+
+/**
+ * Scorer redysponowania - składniki sieciowe (rezerwy, zmiany OZE/JW RB, wymiana), skala 0-100
+ */
+window.RiskModels.register({
+    id: 'redispatch',
+    name: 'Scorer redysponowania',
+    description: 'Margines rezerw, dynamika OZE i JW RB, godziny krytyczne, saldo wymiany i ograniczenia D+1',
+    estimatesProbability: true,
+    inputs: [
+        'hour', 'dayOfWeek', 'systemLoad', 'pvGeneration', 'windGeneration', 'baseloadGeneration', 'powerExchange',
+        'availableReserve', 'requiredReserve', 'hasReserveData', 'plannedConstraints', 'plannedConstraintResources',
+        'pvDelta', 'windDelta', 'baseloadDelta', 'demandDelta', 'pvGradient', 'windGradient'
+    ],
+    // Scorer bez jawnego profilu - aktywny profil ryzyka czytany przy każdej ocenie
+    scorer: new window.RedispatchRiskScorer(),
+    evaluate(input) {
+        const risk = this.scorer.calculateRiskScore(input);
+
+        return {
+            score: risk.totalScore,
+            level: risk.riskLevel,
+            factors: risk.factors,
+            recommendations: risk.recommendations,
+            probability: risk.probability,
+            profile: risk.profile,
+            dataQuality: risk.dataQuality
+        };
+    }
+});
+
+/**
+ * Kalkulator historyczny - wzorce redysponowania z poze-redoze, bieżące ograniczenia, poziom PV i zapotrzebowania
+ * Wynik 0-1 kalkulatora przeskalowany do 0-100, czynniki jako punkty wkładu do wyniku
+ */
+window.RiskModels.register({
+    id: 'calculator',
+    name: 'Kalkulator historyczny',
+    description: 'Częstość i waga redysponowania w tej godzinie i dniu tygodnia, aktywne ograniczenia, poziom PV i zapotrzebowania',
+    inputs: ['hour', 'dayOfWeek', 'systemLoad', 'pvGeneration'],
+    context: ['historicalRedispatch', 'currentLimitations'],
+    evaluate(input, context) {
+        const calculator = window.RiskCalculator;
+        const historicalRedispatch = context.historicalRedispatch || [];
+
+        // calculateHistoricalRiskFactor liczy dzień tygodnia jako day % 7
+        const risk = calculator.calculateHourlyRisk(
+            input.hour,
+            input.dayOfWeek,
+            historicalRedispatch,
+            context.currentLimitations || [],
+            [{ hour: input.hour, totalPower: input.pvGeneration }],
+            [{ hour: input.hour, load: input.systemLoad }]
+        );
+
+        const weights = window.RiskProfiles.getActive().calculatorWeights;
+        const percent = value => `${Math.round(value * 100)}%`;
+        const factors = [
+            { factor: 'Historia redysponowania', key: 'historical', weight: weights.historicalRedispatch, icon: 'history',
+              value: `${percent(risk.factors.historical)} (zdarzenia w historii: ${historicalRedispatch.length})` },
+            { factor: 'Bieżące ograniczenia', key: 'limitations', weight: weights.currentLimitations, icon: 'alert-triangle',
+              value: percent(risk.factors.limitations) },
+            { factor: 'Poziom generacji PV', key: 'pvGeneration', weight: weights.pvGenerationLevel, icon: 'sun',
+              value: `${Math.round(input.pvGeneration)} MW` },
+            { factor: 'Niskie zapotrzebowanie', key: 'systemLoad', weight: weights.systemLoad, icon: 'trending-down',
+              value: `${Math.round(input.systemLoad)} MW` }
+        ]
+            .map(({ key, weight, ...factor }) => ({
+                ...factor,
+                impact: Math.round(risk.factors[key] * weight * 100),
+                critical: risk.factors[key] >= 0.8
+            }))
+            .filter(factor => factor.impact > 0)
+            .sort((a, b) => b.impact - a.impact);
+
+        if (historicalRedispatch.length === 0) {
+            factors.push({ factor: 'Brak historii redysponowania (poze-redoze)', value: 'N/A', impact: 0, icon: 'info', info: true });
+        }
+
+        // Alerty kalkulatora tylko dla pasm high/critical - niższe pasma z własnym komunikatem
+        const recommendations = calculator.generateRiskAlerts([risk]).flatMap(alert => alert.recommendations);
+        const fallback = risk.level === 'medium'
+            ? '📊 Umiarkowane ryzyko wg wzorców historycznych - monitoruj komunikaty OSP'
+            : '✅ Niskie ryzyko wg wzorców historycznych';
+
+        return {
+            score: risk.score * 100,
+            level: risk.level,
+            factors,
+            recommendations: recommendations.length > 0 ? recommendations : [fallback],
+            profile: risk.profile,
+            dataQuality: historicalRedispatch.length > 0 ? 'complete' : 'partial'
+        };
+    }
+});
+
+console.log('✅ Risk Models loaded successfully');
@@ -0,0 +1,497 @@
+/**
+ * Enspirion Dashboard - Risk Profiles
+ * Nazwane, wersjonowane profile modeli ryzyka: wagi czynników, pasma wyniku, progi marginesu rezerwy,
+ * okna godzin krytycznych i progi dodatku za ograniczenia D+1. Edycja w modalu ustawień, walidacja, zapis w localStorage, eksport/import JSON.
+ * Każdy zapis zmienionego profilu podnosi jego wersję - wyniki scorera zapamiętują { id, name, version }
+ */
+
+const RISK_PROFILES_KEY = 'enspirion-risk-profiles';
+
+// Pola edytora - kolejność i etykiety
+const RISK_WEIGHT_LABELS = {
+    reserveMargin: 'Margines rezerwy',
+    renewableDropRate: 'Spadek OZE',
+    baseloadSurge: 'Wzrost JW RB',
+    demandSpike: 'Skok zapotrzebowania',
+    criticalHours: 'Godziny krytyczne',
+    systemImbalance: 'Saldo wymiany'
+};
+
+const RISK_CALCULATOR_WEIGHT_LABELS = {
+    historicalRedispatch: 'Historia redysponowania',
+    currentLimitations: 'Obecne ograniczenia',
+    pvGenerationLevel: 'Poziom generacji PV',
+    systemLoad: 'Obciążenie systemu'
+};
+
+const RISK_BAND_LABELS = { low: 'Niskie do', medium: 'Średnie do', high: 'Wysokie do' };
+
+class RiskProfiles {
+    constructor() {
+        const stored = this.loadStored();
+
+        this.profiles = stored.profiles;
+        this.activeId = this.profiles.some(profile => profile.id === stored.activeId) ? stored.activeId : 'default';
+        this.selectedId = null;     // profil otwarty w edytorze ustawień
+
+        console.log(`🎚️ Risk Profiles initialized (active: ${this.describe(this.getActive()).label})`);
+    }
+
+    createDefault() {
+        const defaults = window.EnspirionConfig.BUSINESS.risk.defaultProfile;
+        return { ...JSON.parse(JSON.stringify(defaults)), version: 1, updatedAt: null };
+    }
+
+    /**
+     * Profile z localStorage; nieprawidłowe są pomijane, profil domyślny zawsze istnieje
+     */
+    loadStored() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(RISK_PROFILES_KEY)) || {};
+        } catch (error) {
+            console.warn('⚠️ Could not load risk profiles:', error);
+        }
+
+        const profiles = (Array.isArray(stored.profiles) ? stored.profiles : []).map(profile => this.migrate(profile)).filter(profile => {
+            const errors = this.validate(profile);
+            if (errors.length > 0) {
+                console.warn(`⚠️ Skipping invalid risk profile ${profile?.id}:`, errors);
+            }
+            return errors.length === 0;
+        });
+
+        if (!profiles.some(profile => profile.id === 'default')) {
+            profiles.unshift(this.createDefault());
+        }
+
+        return { profiles, activeId: stored.activeId };
+    }
+
+    /**
+     * Profil zapisany przed dodaniem pola - brakujące parametry z profilu domyślnego (bez zmiany wersji)
+     */
+    migrate(profile) {
+        if (!profile || typeof profile !== 'object' || profile.plannedConstraintsBonus !== undefined) {
+            return profile;
+        }
+
+        const defaults = window.EnspirionConfig.BUSINESS.risk.defaultProfile;
+        return { ...profile, plannedConstraintsBonus: JSON.parse(JSON.stringify(defaults.plannedConstraintsBonus)) };
+    }
+
+    persist() {
+        localStorage.setItem(RISK_PROFILES_KEY, JSON.stringify({ activeId: this.activeId, profiles: this.profiles }));
+    }
+
+    // ========================================
+    // PROFILE
+    // ========================================
+
+    list() {
+        return this.profiles;
+    }
+
+    get(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    getActive() {
+        return this.get(this.activeId) || this.profiles[0];
+    }
+
+    /**
+     * Identyfikacja profilu zapisywana przy każdym wyniku ryzyka
+     */
+    describe(profile) {
+        return {
+            id: profile.id,
+            name: profile.name,
+            version: profile.version,
+            label: `${profile.name} v${profile.version}`
+        };
+    }
+
+    setActive(id) {
+        if (!this.get(id)) {
+            throw new Error(`Unknown risk profile: ${id}`);
+        }
+        if (id === this.activeId) return;
+
+        this.activeId = id;
+        this.persist();
+        this.notify();
+    }
+
+    /**
+     * Zapisz profil (nowy albo zmieniony); zmiana treści = wersja + 1. Zwraca zapisany profil
+     */
+    upsert(profile) {
+        const errors = this.validate(profile);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid risk profile: ${errors.join('; ')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        const existing = this.get(profile.id);
+        const content = this.contentOf(profile);
+
+        if (existing && JSON.stringify(this.contentOf(existing)) === JSON.stringify(content)) {
+            return existing;
+        }
+
+        const saved = {
+            id: profile.id,
+            ...content,
+            version: existing ? existing.version + 1 : (profile.version || 1),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.profiles = existing
+            ? this.profiles.map(current => current.id === saved.id ? saved : current)
+            : [...this.profiles, saved];
+        this.persist();
+
+        if (saved.id === this.activeId) {
+            this.notify();
+        }
+        return saved;
+    }
+
+    /**
+     * Nowy profil - kopia wskazanego (wersja 1)
+     */
+    duplicate(id) {
+        const source = this.get(id) || this.getActive();
+        return this.upsert({
+            ...this.contentOf(source),
+            id: `profile-${Date.now().toString(36)}`,
+            name: `${source.name} (kopia)`.slice(0, 40),
+            version: 1
+        });
+    }
+
+    remove(id) {
+        if (id === 'default') {
+            throw new Error('Default risk profile cannot be removed');
+        }
+
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        if (this.activeId === id) {
+            this.activeId = 'default';
+            this.notify();
+        }
+        this.persist();
+    }
+
+    /**
+     * Import profilu z JSON: istniejące id = kolejna wersja tego profilu, nowe id = nowy profil
+     */
+    importJSON(text) {
+        let profile;
+        try {
+            profile = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Nieprawidłowy JSON: ${error.message}`);
+        }
+
+        return this.upsert(this.migrate(profile));
+    }
+
+    exportJSON(id) {
+        const profile = this.get(id);
+        if (!profile) {
+            throw new Error(`Unknown risk profile: ${id}`);
+        }
+        return JSON.stringify(profile, null, 2);
+    }
+
+    /**
+     * Zmiana aktywnego profilu albo jego treści - widoki ryzyka liczą się od nowa
+     */
+    notify() {
+        window.dispatchEvent(new CustomEvent('risk:profile', {
+            detail: { profile: this.describe(this.getActive()) }
+        }));
+    }
+
+    // Parametry modelu bez metadanych (id, wersja, data)
+    contentOf(profile) {
+        const { name, weights, bands, reserveMarginBreakpoints, criticalHours, plannedConstraintsBonus, calculatorWeights } = profile;
+        return { name, weights, bands, reserveMarginBreakpoints, criticalHours, plannedConstraintsBonus, calculatorWeights };
+    }
+
+    // ========================================
+    // WALIDACJA
+    // ========================================
+
+    /**
+     * Lista błędów profilu (pusta = poprawny)
+     */
+    validate(profile) {
+        if (!profile || typeof profile !== 'object') {
+            return ['Profil musi być obiektem JSON'];
+        }
+
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const inScore = value => isNumber(value) && value >= 0 && value <= 100;
+
+        if (typeof profile.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(profile.id)) {
+            errors.push('Identyfikator: małe litery, cyfry i "-" (1-40 znaków)');
+        }
+        if (typeof profile.name !== 'string' || !profile.name.trim() || profile.name.length > 40) {
+            errors.push('Nazwa: 1-40 znaków');
+        }
+        if (profile.version !== undefined && !(Number.isInteger(profile.version) && profile.version >= 1)) {
+            errors.push('Wersja: liczba całkowita ≥ 1');
+        }
+
+        const checkWeights = (weights, labels, total, title) => {
+            if (!weights || typeof weights !== 'object') {
+                errors.push(`${title}: brak wag`);
+                return;
+            }
+            const values = Object.keys(labels).map(key => weights[key]);
+            if (!values.every(value => isNumber(value) && value >= 0)) {
+                errors.push(`${title}: każda waga musi być liczbą ≥ 0 (${Object.values(labels).join(', ')})`);
+            } else if (Math.abs(values.reduce((sum, value) => sum + value, 0) - total) > total * 1e-4) {
+                errors.push(`${title}: suma wag musi wynosić ${total}`);
+            }
+        };
+        checkWeights(profile.weights, RISK_WEIGHT_LABELS, 100, 'Wagi scorera');
+        checkWeights(profile.calculatorWeights, RISK_CALCULATOR_WEIGHT_LABELS, 1, 'Wagi kalkulatora');
+
+        const bands = profile.bands || {};
+        if (!['low', 'medium', 'high'].every(key => inScore(bands[key]))) {
+            errors.push('Pasma: progi muszą być liczbami 0-100');
+        } else if (!(bands.low < bands.medium && bands.medium < bands.high && bands.high < 100)) {
+            errors.push('Pasma: wymagane niskie < średnie < wysokie < 100');
+        }
+
+        const breakpoints = profile.reserveMarginBreakpoints;
+        if (!Array.isArray(breakpoints) || breakpoints.length === 0 ||
+            !breakpoints.every(point => isNumber(point?.below) && inScore(point?.score))) {
+            errors.push('Progi marginesu rezerwy: lista "MW:pkt" z wynikiem 0-100');
+        } else if (!breakpoints.every((point, i) => i === 0 || point.below > breakpoints[i - 1].below)) {
+            errors.push('Progi marginesu rezerwy: progi MW muszą rosnąć');
+        }
+
+        const windows = profile.criticalHours;
+        const isHour = value => Number.isInteger(value) && value >= 0 && value <= 23;
+        if (!Array.isArray(windows) ||
+            !windows.every(range => isHour(range?.from) && isHour(range?.to) && range.from <= range.to && inScore(range.score))) {
+            errors.push('Godziny krytyczne: lista "od-do:pkt", godziny 0-23 (od ≤ do), wynik 0-100');
+        }
+
+        const steps = profile.plannedConstraintsBonus;
+        if (!Array.isArray(steps) ||
+            !steps.every(step => Number.isInteger(step?.atLeast) && step.atLeast >= 1 && inScore(step?.bonus))) {
+            errors.push('Dodatek za ograniczenia D+1: lista "liczba:pkt", liczba całkowita ≥ 1, dodatek 0-100');
+        } else if (!steps.every((step, i) => i === 0 || step.atLeast > steps[i - 1].atLeast)) {
+            errors.push('Dodatek za ograniczenia D+1: progi liczby ograniczeń muszą rosnąć');
+        }
+
+        return errors;
+    }
+
+    // ========================================
+    // EDYTOR (modal ustawień)
+    // ========================================
+
+    /**
+     * Wypełnij sekcję profilu w ustawieniach; kontrolki podpinane raz
+     */
+    openEditor() {
+        if (!this.editorInitialized) {
+            this.initEditor();
+        }
+
+        this.selectedId = this.activeId;
+        this.renderEditor();
+    }
+
+    initEditor() {
+        const select = document.getElementById('settings-risk-profile');
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            this.selectedId = select.value;
+            this.renderEditor();
+        });
+
+        document.getElementById('risk-profile-new')?.addEventListener('click', () => {
+            this.selectedId = this.duplicate(this.selectedId).id;
+            this.renderEditor();
+        });
+
+        document.getElementById('risk-profile-delete')?.addEventListener('click', async () => {
+            const profile = this.get(this.selectedId);
+            if (!profile || profile.id === 'default') {
+                window.UIManager.showNotification('Profilu domyślnego nie można usunąć', 'warning');
+                return;
+            }
+            if (!await window.UIManager.confirm(`Usunąć profil "${profile.name}"?`)) return;
+
+            this.remove(profile.id);
+            this.selectedId = this.activeId;
+            this.renderEditor();
+        });
+
+        document.getElementById('risk-profile-export')?.addEventListener('click', () => {
+            const profile = this.get(this.selectedId);
+            window.EnspirionUtils.downloadFile(this.exportJSON(profile.id),
+                `risk-profile-${profile.id}-v${profile.version}.json`, 'application/json');
+        });
+
+        const fileInput = document.getElementById('risk-profile-file');
+        document.getElementById('risk-profile-import')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const profile = this.importJSON(await file.text());
+                this.selectedId = profile.id;
+                this.renderEditor();
+                window.UIManager.showNotification(`Zaimportowano profil ${this.describe(profile).label}`, 'success');
+            } catch (error) {
+                this.showErrors(error.errors || [error.message]);
+            }
+        });
+
+        this.editorInitialized = true;
+    }
+
+    renderEditor() {
+        const select = document.getElementById('settings-risk-profile');
+        const fields = document.getElementById('risk-profile-fields');
+        if (!select || !fields) return;
+
+        const profile = this.get(this.selectedId) || this.getActive();
+
+        select.innerHTML = '';
+        this.profiles.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = `${this.describe(item).label}${item.id === this.activeId ? ' (aktywny)' : ''}`;
+            select.appendChild(option);
+        });
+        select.value = profile.id;
+
+        const input = (field, value, { type = 'number', step = 'any' } = {}) =>
+            `<input type="${type}" data-profile-field="${field}" value="${value}"${type === 'number' ? ` step="${step}"` : ''}>`;
+        const row = (label, control) => `<div class="setting-row"><label>${label}:</label>${control}</div>`;
+
+        const updated = profile.updatedAt ? `, zmieniono ${new Date(profile.updatedAt).toLocaleString('pl-PL')}` : '';
+
+        fields.innerHTML = `
+            <div class="risk-profile-meta">Wersja ${profile.version}${updated}</div>
+            ${row('Nazwa', input('name', this.escape(profile.name), { type: 'text' }))}
+            <h5>Wagi czynników scorera (suma 100)</h5>
+            ${Object.entries(RISK_WEIGHT_LABELS).map(([key, label]) => row(label, input(`weights.${key}`, profile.weights[key]))).join('')}
+            <h5>Pasma wyniku (0-100)</h5>
+            ${Object.entries(RISK_BAND_LABELS).map(([key, label]) => row(label, input(`bands.${key}`, profile.bands[key]))).join('')}
+            <h5>Margines rezerwy, godziny krytyczne i ograniczenia D+1</h5>
+            ${row('Progi marginesu [MW:pkt]', input('reserveMarginBreakpoints', this.formatBreakpoints(profile.reserveMarginBreakpoints), { type: 'text' }))}
+            ${row('Okna godzin [od-do:pkt]', input('criticalHours', this.formatWindows(profile.criticalHours), { type: 'text' }))}
+            ${row('Ograniczenia D+1 [liczba:pkt]', input('plannedConstraintsBonus', this.formatBonusSteps(profile.plannedConstraintsBonus), { type: 'text' }))}
+            <h5>Wagi kalkulatora ryzyka (suma 1)</h5>
+            ${Object.entries(RISK_CALCULATOR_WEIGHT_LABELS).map(([key, label]) => row(label, input(`calculatorWeights.${key}`, profile.calculatorWeights[key]))).join('')}
+        `;
+
+        this.showErrors([]);
+    }
+
+    /**
+     * Zapis z modalu ustawień: walidacja, nowa wersja przy zmianach, wybrany profil staje się aktywny
+     * Zwraca listę błędów (pusta = zapisano)
+     */
+    saveEditor() {
+        const fields = document.getElementById('risk-profile-fields');
+        if (!fields || !this.selectedId) return [];
+
+        const current = this.get(this.selectedId);
+        const value = field => fields.querySelector(`[data-profile-field="${field}"]`)?.value ?? '';
+        const number = field => value(field).trim() === '' ? NaN : Number(value(field));
+        const numbers = (group, labels) => Object.fromEntries(Object.keys(labels).map(key => [key, number(`${group}.${key}`)]));
+
+        const draft = {
+            id: current.id,
+            name: value('name').trim(),
+            weights: numbers('weights', RISK_WEIGHT_LABELS),
+            bands: numbers('bands', RISK_BAND_LABELS),
+            reserveMarginBreakpoints: this.parseBreakpoints(value('reserveMarginBreakpoints')),
+            criticalHours: this.parseWindows(value('criticalHours')),
+            plannedConstraintsBonus: this.parseBonusSteps(value('plannedConstraintsBonus')),
+            calculatorWeights: numbers('calculatorWeights', RISK_CALCULATOR_WEIGHT_LABELS)
+        };
+
+        const errors = this.validate({ ...draft, version: current.version });
+        if (errors.length > 0) {
+            this.showErrors(errors);
+            return errors;
+        }
+
+        const saved = this.upsert(draft);
+        this.setActive(saved.id);
+        console.log(`🎚️ Risk profile saved: ${this.describe(saved).label}`);
+        return [];
+    }
+
+    showErrors(errors) {
+        const container = document.getElementById('risk-profile-errors');
+        if (!container) return;
+
+        container.innerHTML = errors.map(error => `<div>⚠️ ${this.escape(error)}</div>`).join('');
+    }
+
+    // "0:100, 300:85" <-> [{ below, score }]
+    formatBreakpoints(points) {
+        return points.map(point => `${point.below}:${point.score}`).join(', ');
+    }
+
+    parseBreakpoints(text) {
+        return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const [below, score] = part.split(':').map(Number);
+            return { below, score };
+        });
+    }
+
+    // "17-20:100, 7-9:60" <-> [{ from, to, score }]
+    formatWindows(windows) {
+        return windows.map(range => `${range.from}-${range.to}:${range.score}`).join(', ');
+    }
+
+    parseWindows(text) {
+        return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\d+)\s*-\s*(\d+)\s*:\s*(-?[\d.]+)$/);
+            return match
+                ? { from: Number(match[1]), to: Number(match[2]), score: Number(match[3]) }
+                : { from: NaN, to: NaN, score: NaN };
+        });
+    }
+
+    // "1:5, 10:10, 20:15" <-> [{ atLeast, bonus }]
+    formatBonusSteps(steps) {
+        return steps.map(step => `${step.atLeast}:${step.bonus}`).join(', ');
+    }
+
+    parseBonusSteps(text) {
+        return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const [atLeast, bonus] = part.split(':').map(Number);
+            return { atLeast, bonus };
+        });
+    }
+
+    escape(text) {
+        return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+}
+
+// Create global instance
+window.RiskProfiles = new RiskProfiles();
+
+console.log('✅ Risk Profiles loaded successfully');
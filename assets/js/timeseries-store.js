@@ -0,0 +1,240 @@
+/**
+ * Enspirion Dashboard - Time Series Store
+ * Trwały magazyn danych PSE (IndexedDB): wiersze per endpoint i business_date,
+ * pobieranie przyrostowe brakujących dni oraz migawka ostatniego stanu dashboardu
+ */
+
+class TimeSeriesStore {
+    constructor() {
+        this.dbName = 'enspirion-timeseries';
+        this.dbVersion = 1;
+        this.dbPromise = null;
+
+        // Fallback gdy IndexedDB niedostępne (tryb prywatny, stare przeglądarki)
+        this.memoryDays = new Map();
+        this.memorySnapshots = new Map();
+
+        console.log('🗄️ Time Series Store initialized');
+    }
+
+    /**
+     * Czy IndexedDB jest dostępne
+     */
+    isPersistent() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Otwórz bazę (leniwie, raz)
+     */
+    open() {
+        if (!this.isPersistent()) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('days')) {
+                        db.createObjectStore('days', { keyPath: ['endpoint', 'businessDate'] });
+                    }
+                    if (!db.objectStoreNames.contains('snapshots')) {
+                        db.createObjectStore('snapshots', { keyPath: 'name' });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ IndexedDB unavailable, using in-memory store:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Pomocnik: transakcja IndexedDB jako Promise
+     */
+    async withStore(storeName, mode, callback) {
+        const db = await this.open();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            const request = callback(store);
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Zapisz dni: { 'YYYY-MM-DD': rows[] }
+     * complete = dzień zamknięty (przeszły) - nie będzie pobierany ponownie
+     */
+    async putDays(endpoint, rowsByDay, { completeBefore = null } = {}) {
+        const fetchedAt = Date.now();
+        const records = Object.entries(rowsByDay).map(([businessDate, rows]) => ({
+            endpoint,
+            businessDate,
+            rows,
+            fetchedAt,
+            complete: completeBefore ? businessDate < completeBefore : false
+        }));
+
+        if (!(await this.open())) {
+            records.forEach(record => this.memoryDays.set(`${endpoint}|${record.businessDate}`, record));
+            return records.length;
+        }
+
+        try {
+            await this.withStore('days', 'readwrite', store => {
+                records.forEach(record => store.put(record));
+                return null;
+            });
+        } catch (error) {
+            console.error('❌ Failed to persist time series days:', error);
+        }
+
+        return records.length;
+    }
+
+    /**
+     * Zapytanie zakresowe: rekordy dni [fromDate, toDate] (daty 'YYYY-MM-DD', włącznie)
+     */
+    async getDays(endpoint, fromDate, toDate) {
+        if (!(await this.open())) {
+            return Array.from(this.memoryDays.values())
+                .filter(record => record.endpoint === endpoint &&
+                    record.businessDate >= fromDate && record.businessDate <= toDate)
+                .sort((a, b) => a.businessDate.localeCompare(b.businessDate));
+        }
+
+        try {
+            const records = await this.withStore('days', 'readonly', store =>
+                store.getAll(IDBKeyRange.bound([endpoint, fromDate], [endpoint, toDate]))
+            );
+            return records || [];
+        } catch (error) {
+            console.error('❌ Failed to read time series days:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Wiersze z zakresu, spłaszczone
+     */
+    async getRange(endpoint, fromDate, toDate) {
+        const days = await this.getDays(endpoint, fromDate, toDate);
+        return days.flatMap(day => day.rows);
+    }
+
+    /**
+     * Brakujące dni, zgrupowane w ciągłe zakresy [{ from, to }]
+     * Dni niezamknięte (np. dzisiejszy) zawsze traktowane jako brakujące
+     */
+    async getMissingRanges(endpoint, fromDate, toDate) {
+        const stored = await this.getDays(endpoint, fromDate, toDate);
+        const completeDays = new Set(stored.filter(day => day.complete).map(day => day.businessDate));
+
+        const ranges = [];
+        let current = null;
+
+        TimeSeriesStore.eachDate(fromDate, toDate, date => {
+            if (completeDays.has(date)) {
+                current = null;
+                return;
+            }
+            if (current) {
+                current.to = date;
+            } else {
+                current = { from: date, to: date };
+                ranges.push(current);
+            }
+        });
+
+        return ranges;
+    }
+
+    /**
+     * Migawka (np. ostatni stan dashboardu do szybkiego startu)
+     */
+    async saveSnapshot(name, data) {
+        const record = { name, data, savedAt: Date.now() };
+
+        if (!(await this.open())) {
+            this.memorySnapshots.set(name, record);
+            return;
+        }
+
+        try {
+            await this.withStore('snapshots', 'readwrite', store => store.put(record));
+        } catch (error) {
+            console.error('❌ Failed to save snapshot:', error);
+        }
+    }
+
+    async loadSnapshot(name) {
+        if (!(await this.open())) {
+            return this.memorySnapshots.get(name) || null;
+        }
+
+        try {
+            return (await this.withStore('snapshots', 'readonly', store => store.get(name))) || null;
+        } catch (error) {
+            console.error('❌ Failed to load snapshot:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Wyczyść cały magazyn
+     */
+    async clear() {
+        this.memoryDays.clear();
+        this.memorySnapshots.clear();
+
+        if (!(await this.open())) return;
+
+        await this.withStore('days', 'readwrite', store => store.clear());
+        await this.withStore('snapshots', 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Iteracja po datach 'YYYY-MM-DD' (włącznie)
+     */
+    static eachDate(fromDate, toDate, callback) {
+        const cursor = new Date(`${fromDate}T00:00:00Z`);
+        const end = new Date(`${toDate}T00:00:00Z`);
+
+        while (cursor <= end) {
+            callback(cursor.toISOString().split('T')[0]);
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+        }
+    }
+
+    /**
+     * Grupuj wiersze po business_date
+     */
+    static groupByBusinessDate(rows) {
+        return rows.reduce((groups, row) => {
+            const date = row.business_date;
+            if (!date) return groups;
+            if (!groups[date]) groups[date] = [];
+            groups[date].push(row);
+            return groups;
+        }, {});
+    }
+}
+
+// Create global instance
+window.TimeSeriesStore = new TimeSeriesStore();
+
+console.log('✅ Time Series Store loaded successfully');
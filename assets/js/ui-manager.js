@@ -22,6 +22,7 @@ class UIManager {
         this.setupAccessibility();
         this.initializeTooltips();
         this.initializeModals();
+        this.setupProvenanceBadges();
     }
 
     /**
@@ -544,6 +545,108 @@ class UIManager {
         }
     }
 
+    /**
+     * Setup data provenance badges (live / cache / mock)
+     */
+    setupProvenanceBadges() {
+        window.addEventListener('pse:provenance', () => this.updateProvenanceBadges());
+        window.addEventListener('pse:quality', () => this.updateProvenanceBadges());
+        
+        // Odświeżaj wiek danych na badge'ach
+        setInterval(() => this.updateProvenanceBadges(), 30000);
+    }
+
+    /**
+     * Update badges on all elements with data-provenance="dataset[,dataset]"
+     */
+    updateProvenanceBadges() {
+        if (!window.PSEApiService) return;
+        
+        document.querySelectorAll('[data-provenance]').forEach(element => {
+            const records = element.dataset.provenance
+                .split(',')
+                .map(name => window.PSEApiService.getProvenance(name.trim()))
+                .filter(Boolean);
+            
+            if (records.length === 0) return;
+            
+            // Pokaż najsłabsze źródło spośród zbiorów użytych w komponencie
+            const rank = { live: 0, cache: 1, unavailable: 2, mock: 3 };
+            const worst = records.reduce((a, b) => (rank[b.source] > rank[a.source] ? b : a));
+            
+            this.renderProvenanceBadge(element, worst);
+            
+            // Jakość danych endpointów, z których pochodzą zbiory
+            const reports = [...new Set(records.map(record => record.endpoint).filter(Boolean))]
+                .map(endpoint => window.PSEApiService.getQualityReport(endpoint))
+                .filter(Boolean);
+            this.renderQualityBadge(element, reports);
+        });
+    }
+
+    /**
+     * Render data quality badge (tylko gdy walidacja wykryła problemy)
+     */
+    renderQualityBadge(element, reports) {
+        const issues = reports.filter(report => report.status !== 'ok');
+        let badge = element.querySelector('.quality-badge');
+        
+        if (issues.length === 0) {
+            if (badge) badge.remove();
+            return;
+        }
+        
+        if (!badge) {
+            badge = document.createElement('span');
+            const header = element.querySelector('.kpi-header, .chart-title, .chart-header h3, .table-header h3') || element;
+            header.appendChild(badge);
+        }
+        
+        const describe = bucket => Object.entries(bucket).map(([field, count]) => `${field} (${count})`).join(', ');
+        const hasError = issues.some(report => report.status === 'error');
+        
+        badge.className = `quality-badge quality-${hasError ? 'error' : 'warning'}`;
+        badge.textContent = hasError ? '⚠ SCHEMAT' : '⚠ JAKOŚĆ';
+        badge.title = issues.map(report => [
+            `${report.endpoint}: ${report.kept}/${report.total} wierszy, odrzucono ${report.dropped}, oznaczono ${report.flagged}`,
+            report.schemaIssues.length ? `Możliwa zmiana schematu PSE - brak pól: ${report.schemaIssues.join(', ')}` : '',
+            Object.keys(report.missingFields).length ? `Brakujące pola: ${describe(report.missingFields)}` : '',
+            Object.keys(report.nulls).length ? `Wartości puste: ${describe(report.nulls)}` : '',
+            Object.keys(report.invalid).length ? `Wartości nieliczbowe: ${describe(report.invalid)}` : '',
+            Object.keys(report.outliers).length ? `Poza zakresem: ${describe(report.outliers)}` : ''
+        ].filter(Boolean).join('\n')).join('\n\n');
+    }
+
+    /**
+     * Render single provenance badge
+     */
+    renderProvenanceBadge(element, provenance) {
+        const labels = {
+            live: 'LIVE',
+            cache: 'CACHE',
+            mock: 'MOCK',
+            unavailable: 'BRAK DANYCH'
+        };
+        
+        let badge = element.querySelector('.provenance-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            const header = element.querySelector('.kpi-header, .chart-title, .chart-header h3, .table-header h3') || element;
+            header.appendChild(badge);
+        }
+        
+        const age = window.Utils.getTimeDifference(new Date(provenance.fetchedAt));
+        const fetchedAt = new Date(provenance.fetchedAt).toLocaleTimeString('pl-PL');
+        
+        badge.className = `provenance-badge provenance-${provenance.source}${provenance.stale ? ' stale' : ''}`;
+        badge.textContent = provenance.source === 'live' ? labels.live : `${labels[provenance.source] || provenance.source} · ${age}`;
+        badge.title = `Źródło: ${labels[provenance.source] || provenance.source}` +
+            (provenance.endpoint ? ` (${provenance.endpoint})` : '') +
+            `\nPobrano: ${fetchedAt} (${age} temu)` +
+            (provenance.stale ? '\nDane przeterminowane' : '') +
+            (provenance.error ? `\nBłąd: ${provenance.error}` : '');
+    }
+
     /**
      * Add/remove CSS class
      */
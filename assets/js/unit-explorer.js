@@ -0,0 +1,346 @@
+/**
+ * Enspirion Dashboard - Unit Explorer
+ * Przeglądarka jednostek wytwórczych (gen-jw): wyszukiwanie, typ jednostki wg DataProcessor.classifyUnit,
+ * generacja godzinowa lub kwadransowa dla wybranej doby i lista obserwowanych jednostek
+ */
+
+// Typy jednostek - klucze jak w DataProcessor.classifyUnit
+const UNIT_TYPES = {
+    pv: 'Fotowoltaika',
+    wind: 'Wiatr',
+    hydro: 'Woda',
+    storage: 'Magazyny',
+    other: 'Konwencjonalne i inne'
+};
+
+// Kolory linii wykresu (UI_CONFIG.colors) - kolejno dla wybranej i obserwowanych jednostek
+const UNIT_CHART_COLORS = ['primary', 'demand', 'pvActual', 'pvForecast', 'borderSK', 'borderLT', 'borderSE', 'riskHigh'];
+
+const UNIT_WATCHLIST_KEY = 'enspirion-unit-watchlist';
+
+class UnitExplorer {
+    constructor() {
+        const explorerConfig = window.EnspirionConfig?.DATA?.unitExplorer || {};
+
+        this.maxListRows = explorerConfig.maxListRows || 200;
+        this.maxChartUnits = explorerConfig.maxChartUnits || 8;
+
+        this.state = {
+            dataset: null,
+            search: '',
+            type: 'all',
+            resolution: 'hour',     // 'hour' | 'quarter'
+            selected: null,         // kod wybranej jednostki
+            watchlist: this.loadWatchlist()
+        };
+
+        this.chart = null;
+        this.isInitialized = false;
+
+        console.log('🏭 Unit Explorer initialized');
+    }
+
+    /**
+     * Podepnij kontrolki panelu i subskrypcję zbioru 'unitGeneration' (raz)
+     */
+    init() {
+        if (this.isInitialized) return;
+
+        const search = document.getElementById('unit-search');
+        if (search) {
+            search.addEventListener('input', window.EnspirionUtils.debounce(() => {
+                this.state.search = search.value.trim();
+                this.renderTable();
+            }, 200));
+        }
+
+        const typeFilter = document.getElementById('unit-type-filter');
+        if (typeFilter) {
+            typeFilter.addEventListener('change', () => {
+                this.state.type = typeFilter.value;
+                this.renderTable();
+            });
+        }
+
+        document.querySelectorAll('.chart-btn[data-unit-resolution]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.querySelectorAll('.chart-btn[data-unit-resolution]').forEach(b => b.classList.remove('active'));
+                button.classList.add('active');
+                this.state.resolution = button.dataset.unitResolution;
+                this.renderChart();
+            });
+        });
+
+        // Jeden listener na tabelę: gwiazdka przypina, kliknięcie wiersza wybiera jednostkę
+        const table = document.getElementById('unit-table');
+        if (table) {
+            table.addEventListener('click', event => {
+                const pin = event.target.closest('[data-unit-pin]');
+                if (pin) {
+                    this.toggleWatch(pin.dataset.unitPin);
+                    return;
+                }
+
+                const row = event.target.closest('tr[data-unit-code]');
+                if (row) {
+                    this.state.selected = row.dataset.unitCode;
+                    this.render();
+                }
+            });
+        }
+
+        window.DataHub.subscribe('unitGeneration', dataset => this.handleDataset(dataset));
+
+        this.isInitialized = true;
+    }
+
+    /**
+     * Pobierz generację jednostek dla doby ustawionej w DataHub (nawigator doby)
+     */
+    async load({ force = false } = {}) {
+        this.init();
+        this.showStatus('Ładowanie generacji jednostek...', 'loading');
+
+        try {
+            await window.DataHub.get('unitGeneration', { force });
+        } catch (error) {
+            console.error('❌ Failed to load unit generation:', error);
+            this.showStatus('Błąd ładowania generacji jednostek', 'error');
+        }
+    }
+
+    handleDataset(dataset) {
+        this.state.dataset = dataset;
+
+        const codes = new Set(dataset.units.map(unit => unit.code));
+        if (!codes.has(this.state.selected)) {
+            this.state.selected = this.state.watchlist.find(code => codes.has(code)) || dataset.units[0]?.code || null;
+        }
+
+        if (dataset.provenance?.error) {
+            this.showStatus('Nie udało się pobrać generacji jednostek', 'error');
+        } else if (dataset.truncated) {
+            this.showStatus(`Doba ${dataset.businessDate}: dane niepełne (limit wierszy)`, 'warning');
+        } else {
+            this.showStatus(`Doba ${dataset.businessDate}: ${dataset.units.length} jednostek`, 'ok');
+        }
+
+        this.render();
+    }
+
+    showStatus(message, type = 'ok') {
+        const status = document.getElementById('unit-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `history-status ${type}`;
+    }
+
+    // ========================================
+    // OBSERWOWANE
+    // ========================================
+
+    loadWatchlist() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(UNIT_WATCHLIST_KEY));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('⚠️ Could not load unit watch-list:', error);
+            return [];
+        }
+    }
+
+    saveWatchlist() {
+        localStorage.setItem(UNIT_WATCHLIST_KEY, JSON.stringify(this.state.watchlist));
+    }
+
+    isWatched(code) {
+        return this.state.watchlist.includes(code);
+    }
+
+    toggleWatch(code) {
+        this.state.watchlist = this.isWatched(code)
+            ? this.state.watchlist.filter(watched => watched !== code)
+            : [...this.state.watchlist, code];
+
+        this.saveWatchlist();
+        this.render();
+    }
+
+    // ========================================
+    // RENDER
+    // ========================================
+
+    /**
+     * Jednostki spełniające wyszukiwanie (nazwa, elektrownia, kod) i filtr typu
+     */
+    getFilteredUnits() {
+        const units = this.state.dataset?.units || [];
+        const query = this.state.search.toUpperCase();
+
+        return units.filter(unit =>
+            (this.state.type === 'all' || unit.type === this.state.type) &&
+            (!query || [unit.name, unit.plant, unit.code].some(text => text && text.toUpperCase().includes(query))));
+    }
+
+    render() {
+        this.renderTable();
+        this.renderChart();
+        this.renderTypeSummary();
+    }
+
+    /**
+     * Lista jednostek: obserwowane zawsze na górze, dalej wyniki filtra (maxListRows)
+     */
+    renderTable() {
+        const table = document.getElementById('unit-table');
+        if (!table) return;
+
+        const units = this.state.dataset?.units || [];
+        const watched = units.filter(unit => this.isWatched(unit.code));
+        const filtered = this.getFilteredUnits().filter(unit => !this.isWatched(unit.code));
+        const rows = [...watched, ...filtered.slice(0, this.maxListRows)];
+
+        const format = (value, decimals = 0) => value === null || value === undefined
+            ? '--'
+            : window.EnspirionUtils.formatNumber(value, 'number', decimals);
+
+        table.innerHTML = '';
+
+        const header = table.createTHead().insertRow();
+        ['', 'Jednostka', 'Kod', 'Typ', 'Energia [MWh]', 'Maks. [MW]'].forEach(title => {
+            const th = document.createElement('th');
+            th.textContent = title;
+            header.appendChild(th);
+        });
+
+        const body = table.createTBody();
+
+        if (rows.length === 0) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = 6;
+            cell.className = 'no-data';
+            cell.textContent = units.length === 0 ? 'Brak danych jednostek dla doby' : 'Brak jednostek spełniających kryteria';
+            return;
+        }
+
+        rows.forEach(unit => {
+            const row = body.insertRow();
+            row.dataset.unitCode = unit.code;
+            row.classList.toggle('selected', unit.code === this.state.selected);
+            row.classList.toggle('watched', this.isWatched(unit.code));
+
+            const pin = document.createElement('button');
+            pin.className = 'unit-pin';
+            pin.dataset.unitPin = unit.code;
+            pin.textContent = this.isWatched(unit.code) ? '★' : '☆';
+            pin.title = this.isWatched(unit.code) ? 'Usuń z obserwowanych' : 'Dodaj do obserwowanych';
+            row.insertCell().appendChild(pin);
+
+            row.insertCell().textContent = unit.plant && unit.plant !== unit.name ? `${unit.name} (${unit.plant})` : unit.name;
+            row.insertCell().textContent = unit.code;
+
+            const type = document.createElement('span');
+            type.className = `unit-type ${unit.type}`;
+            type.textContent = UNIT_TYPES[unit.type] || unit.type;
+            row.insertCell().appendChild(type);
+
+            row.insertCell().textContent = format(unit.energy);
+            row.insertCell().textContent = format(unit.peak, 1);
+        });
+
+        if (filtered.length > this.maxListRows) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = 6;
+            cell.className = 'no-data';
+            cell.textContent = `… i ${filtered.length - this.maxListRows} kolejnych - zawęź wyszukiwanie`;
+        }
+    }
+
+    /**
+     * Generacja wybranej i obserwowanych jednostek (godziny albo kwadranse doby)
+     */
+    renderChart() {
+        const canvas = document.getElementById('unit-generation-chart');
+        const dataset = this.state.dataset;
+        if (!canvas || !dataset || typeof Chart === 'undefined') return;
+
+        const byCode = new Map(dataset.units.map(unit => [unit.code, unit]));
+        const codes = [...new Set([this.state.selected, ...this.state.watchlist])]
+            .filter(code => byCode.has(code))
+            .slice(0, this.maxChartUnits);
+
+        const isQuarter = this.state.resolution === 'quarter';
+        const labels = isQuarter
+            ? dataset.times.map(time => window.BusinessTime.formatLocal(new Date(time)).slice(11, 16))
+            : Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`);
+
+        const datasets = codes.map((code, index) => {
+            const unit = byCode.get(code);
+            const color = window.EnspirionConfig.getColor(UNIT_CHART_COLORS[index % UNIT_CHART_COLORS.length]);
+
+            return {
+                label: `${unit.name} (${unit.code})`,
+                data: isQuarter ? unit.quarters : unit.hourly,
+                borderColor: color,
+                backgroundColor: 'transparent',
+                borderWidth: code === this.state.selected ? 3 : 2,
+                pointRadius: 0,
+                stepped: isQuarter,
+                spanGaps: false
+            };
+        });
+
+        if (this.chart) {
+            this.chart.destroy();
+        }
+
+        this.chart = new Chart(canvas, {
+            type: 'line',
+            data: { labels, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 24 } },
+                    y: { beginAtZero: true, title: { display: true, text: 'MW' } }
+                }
+            }
+        });
+    }
+
+    /**
+     * Liczba jednostek i energia doby per typ
+     */
+    renderTypeSummary() {
+        const container = document.getElementById('unit-type-summary');
+        if (!container) return;
+
+        const byType = this.state.dataset?.summary.byType || {};
+        container.innerHTML = '';
+
+        Object.entries(UNIT_TYPES)
+            .filter(([type]) => byType[type])
+            .forEach(([type, label]) => {
+                const row = document.createElement('div');
+                row.className = 'stat-row';
+
+                const name = document.createElement('span');
+                name.className = 'stat-label';
+                name.textContent = `${label} (${byType[type].count}):`;
+
+                const value = document.createElement('span');
+                value.className = 'stat-value';
+                value.textContent = `${window.EnspirionUtils.formatNumber(byType[type].energy, 'number', 0)} MWh`;
+
+                row.append(name, value);
+                container.appendChild(row);
+            });
+    }
+}
+
+// Create global instance
+window.UnitExplorer = new UnitExplorer();
+
+console.log('✅ Unit Explorer loaded successfully');
@@ -294,14 +294,23 @@ window.EnspirionUtils = {
     /**
      * Retry function with exponential backoff
      */
-    async retry(fn, retries = 3, delay = 1000, backoff = 2) {
+    async retry(fn, retries = 3, delay = 1000, backoff = 2, options = {}) {
+        const { jitter = 0, shouldRetry = () => true, onRetry = null } = options;
+        
         try {
             return await fn();
         } catch (error) {
-            if (retries === 0) throw error;
+            if (retries === 0 || !shouldRetry(error)) throw error;
+            
+            // Jitter: losowe rozrzucenie opóźnienia o ±jitter (ułamek), żeby klienci nie ponawiali jednocześnie
+            const wait = jitter > 0
+                ? Math.max(0, delay * (1 + (Math.random() * 2 - 1) * jitter))
+                : delay;
+            
+            if (onRetry) onRetry(error, retries, wait);
             
-            await new Promise(resolve => setTimeout(resolve, delay));
-            return this.retry(fn, retries - 1, delay * backoff, backoff);
+            await new Promise(resolve => setTimeout(resolve, wait));
+            return this.retry(fn, retries - 1, delay * backoff, backoff, options);
         }
     },
 
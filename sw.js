@@ -14,9 +14,22 @@ const STATIC_CACHE_URLS = [
   '/assets/css/main.css',
   '/assets/js/config.js',
   '/assets/js/utils.js',
+  '/assets/js/business-time.js',
+  '/assets/js/response-cache.js',
+  '/assets/js/response-validator.js',
+  '/assets/js/timeseries-store.js',
+  '/assets/js/pse-query.js',
   '/assets/js/pse-api.js',
+  '/assets/js/data-hub.js',
   '/assets/js/portfolio-calculator.js',
+  '/assets/js/risk-profiles.js',
   '/assets/js/risk-calculator.js',
+  '/assets/js/risk-models.js',
+  '/assets/js/curtailment-model.js',
+  '/assets/js/risk-backtest.js',
+  '/assets/js/history-manager.js',
+  '/assets/js/forecast-accuracy.js',
+  '/assets/js/unit-explorer.js',
   '/assets/js/app.js',
   '/assets/images/icons/icon-192.png',
   '/assets/images/icons/icon-512.png'
@@ -24,7 +37,8 @@ const STATIC_CACHE_URLS = [
 
 // PSE API endpoints to cache
 const API_CACHE_PATTERNS = [
-  /^https:\/\/apimpdv2-bmgdhhajexe8aade\.a01\.azurefd\.net\/api\//
+  /^https:\/\/apimpdv2-bmgdhhajexe8aade\.a01\.azurefd\.net\/api\//,
+  /^http:\/\/localhost:8787\/api\//  // lokalny serwer zastępczy PSE (tools/pse-server.js)
 ];
 
 // Runtime caching strategies
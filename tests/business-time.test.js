@@ -0,0 +1,100 @@
+/**
+ * BusinessTime - doba handlowa Europe/Warsaw, doby 23/25-godzinne, wiersze PSE
+ */
+
+beforeAll(() => {
+    loadScripts('config.js', 'business-time.js');
+});
+
+const BusinessTime = () => window.BusinessTime;
+
+describe('BusinessTime - długość doby', () => {
+    test('zwykła doba ma 24 godziny i 96 kwadransów', () => {
+        expect(BusinessTime().hoursInDay('2025-05-05')).toBe(24);
+        expect(BusinessTime().quartersInDay('2025-05-05')).toBe(96);
+    });
+
+    test('doba zmiany czasu na letni ma 23 godziny', () => {
+        expect(BusinessTime().hoursInDay('2025-03-30')).toBe(23);
+        expect(BusinessTime().quartersInDay('2025-03-30')).toBe(92);
+        expect(BusinessTime().intervalStarts('2025-03-30', 15)).toHaveLength(92);
+    });
+
+    test('doba zmiany czasu na zimowy ma 25 godzin', () => {
+        expect(BusinessTime().hoursInDay('2025-10-26')).toBe(25);
+        expect(BusinessTime().intervalStarts('2025-10-26', 60)).toHaveLength(25);
+    });
+});
+
+describe('BusinessTime - czas lokalny', () => {
+    test('początek doby to lokalna północ (UTC+2 latem, UTC+1 zimą)', () => {
+        expect(BusinessTime().startOfDay('2025-05-05').toISOString()).toBe('2025-05-04T22:00:00.000Z');
+        expect(BusinessTime().startOfDay('2025-01-15').toISOString()).toBe('2025-01-14T23:00:00.000Z');
+    });
+
+    test('parseLocal i formatLocal są odwrotne poza zmianą czasu', () => {
+        const instant = BusinessTime().parseLocal('2025-05-05 13:45:00');
+        expect(instant.toISOString()).toBe('2025-05-05T11:45:00.000Z');
+        expect(BusinessTime().formatLocal(instant)).toBe('2025-05-05 13:45:00');
+    });
+
+    test('godzina podwojona jesienią daje pierwsze wystąpienie (czas letni)', () => {
+        expect(BusinessTime().parseLocal('2025-10-26 02:30:00').toISOString()).toBe('2025-10-26T00:30:00.000Z');
+    });
+
+    test('data biznesowa liczona w strefie Warszawy, nie UTC', () => {
+        expect(BusinessTime().toBusinessDate(new Date('2025-05-04T22:30:00Z'))).toBe('2025-05-05');
+    });
+
+    test('addDays to arytmetyka kalendarzowa (przez zmianę czasu i koniec miesiąca)', () => {
+        expect(BusinessTime().addDays('2025-03-29', 1)).toBe('2025-03-30');
+        expect(BusinessTime().addDays('2025-03-01', -1)).toBe('2025-02-28');
+        expect(BusinessTime().dateRange('2025-04-29', '2025-05-02')).toEqual(['2025-04-29', '2025-04-30', '2025-05-01', '2025-05-02']);
+    });
+
+    test('quarterIndexForHour w dobie 23-godzinnej pomija brakującą godzinę', () => {
+        expect(BusinessTime().quarterIndexForHour('2025-03-30', 3)).toBe(8);
+        expect(BusinessTime().quarterIndexForHour('2025-05-05', 3)).toBe(12);
+    });
+});
+
+describe('BusinessTime - wiersze PSE', () => {
+    test('parseRowTime preferuje pole *_utc (jednoznaczne przy zmianie czasu)', () => {
+        const row = { dtime: '2025-10-26 02:15:00', dtime_utc: '2025-10-26 01:15:00' };
+        expect(BusinessTime().parseRowTime(row).toISOString()).toBe('2025-10-26T01:15:00.000Z');
+        expect(BusinessTime().parseRowTime({ dtime: '2025-05-05 00:15:00' }).toISOString()).toBe('2025-05-04T22:15:00.000Z');
+    });
+
+    test('selectPublishedBefore wybiera ostatnią publikację sprzed początku doby', () => {
+        const dayStart = BusinessTime().startOfDay('2025-05-05').getTime();
+        const rows = [
+            { plan_dtime: '2025-05-05 12:00:00', publication_ts: '2025-05-04 09:00:00', value: 1 },
+            { plan_dtime: '2025-05-05 12:00:00', publication_ts: '2025-05-04 13:47:00', value: 2 },
+            { plan_dtime: '2025-05-05 12:00:00', publication_ts: '2025-05-05 08:16:00', value: 3 }
+        ];
+
+        expect(BusinessTime().selectPublishedBefore(rows, dayStart, 'plan_dtime').map(row => row.value)).toEqual([2]);
+    });
+
+    test('selectPublishedBefore bez publikacji sprzed doby bierze najnowszą dostępną', () => {
+        const dayStart = BusinessTime().startOfDay('2025-05-05').getTime();
+        const rows = [
+            { plan_dtime: '2025-05-05 12:00:00', publication_ts: '2025-05-05 08:16:00', value: 1 },
+            { plan_dtime: '2025-05-05 12:00:00', publication_ts: '2025-05-05 14:02:00', value: 2 }
+        ];
+
+        expect(BusinessTime().selectPublishedBefore(rows, dayStart, 'plan_dtime').map(row => row.value)).toEqual([2]);
+    });
+});
+
+describe('BusinessTime.selectPublishedBefore - strict', () => {
+    test('okresy bez publikacji sprzed doby pomijane', () => {
+        const dayStart = BusinessTime().startOfDay('2025-05-05').getTime();
+        const rows = [
+            { plan_dtime: '2025-05-05 11:00:00', publication_ts: '2025-05-04 13:47:00', value: 1 },
+            { plan_dtime: '2025-05-05 12:00:00', publication_ts: '2025-05-05 08:16:00', value: 2 }
+        ];
+
+        expect(BusinessTime().selectPublishedBefore(rows, dayStart, 'plan_dtime', { strict: true }).map(row => row.value)).toEqual([1]);
+    });
+});
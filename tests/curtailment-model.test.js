@@ -0,0 +1,47 @@
+/**
+ * CurtailmentModel - wczytanie modelu i minimalna próba dopasowania
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+beforeAll(() => {
+    loadScripts('config.js', 'curtailment-model.js');
+});
+
+const shippedModel = () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'assets', 'data', 'curtailment-model.json'), 'utf8'));
+
+const respondWith = model => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => model });
+};
+
+describe('CurtailmentModel.load', () => {
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('model z za małej próby jest niekalibrowany, z powodem do tooltipa', async () => {
+        respondWith(shippedModel());
+
+        await expect(window.CurtailmentModel.load()).resolves.toBeNull();
+        expect(window.CurtailmentModel.isCalibrated()).toBe(false);
+        expect(window.CurtailmentModel.uncalibratedReason).toMatch(/120 h i 26 zdarzeniach/);
+    });
+
+    test('model z wystarczającej próby jest używany', async () => {
+        respondWith({ ...shippedModel(), sampleCount: 2160, eventCount: 180 });
+
+        await window.CurtailmentModel.load();
+        expect(window.CurtailmentModel.isCalibrated()).toBe(true);
+        expect(window.CurtailmentModel.uncalibratedReason).toBeNull();
+    });
+
+    test('brak pliku modelu - niekalibrowany bez opisu próby', async () => {
+        global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await window.CurtailmentModel.load();
+        expect(window.CurtailmentModel.isCalibrated()).toBe(false);
+        expect(window.CurtailmentModel.uncalibratedReason).toBeNull();
+    });
+});
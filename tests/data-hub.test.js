@@ -0,0 +1,96 @@
+/**
+ * DataHub - współdzielone ładowanie, parametry zbioru i nieaktualne wyniki
+ */
+
+beforeAll(() => {
+    loadScripts('data-hub.js');
+});
+
+// Loader z ręcznie rozwiązywanymi ładowaniami (kolejność odpowiedzi jak w sieci)
+const deferredLoader = () => {
+    const calls = [];
+    const loader = jest.fn(params => new Promise((resolve, reject) => calls.push({ params, resolve, reject })));
+    return { loader, calls };
+};
+
+const createHub = () => new window.DataHub.constructor();
+
+describe('DataHub', () => {
+    test('równoległe get() dla tych samych parametrów współdzielą jedno ładowanie', async () => {
+        const hub = createHub();
+        const { loader, calls } = deferredLoader();
+        hub.register('prices', loader, { params: { date: '2025-05-05' } });
+
+        const first = hub.get('prices');
+        const second = hub.get('prices');
+        calls[0].resolve('D');
+
+        await expect(Promise.all([first, second])).resolves.toEqual(['D', 'D']);
+        expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    test('świeża wartość z pamięci do maxAge, refresh wymusza ładowanie', async () => {
+        const hub = createHub();
+        const loader = jest.fn(async () => 'value');
+        hub.register('prices', loader, { maxAge: 60000 });
+
+        await hub.get('prices');
+        await hub.get('prices');
+        expect(loader).toHaveBeenCalledTimes(1);
+
+        await hub.refresh('prices');
+        expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    test('zmiana parametrów w trakcie ładowania: wynik dla starych parametrów odrzucony', async () => {
+        const hub = createHub();
+        const { loader, calls } = deferredLoader();
+        const subscriber = jest.fn();
+        hub.register('dashboard', ({ date }) => loader(date), { params: { date: null } });
+        hub.subscribe('dashboard', subscriber);
+
+        hub.setParams('dashboard', { date: '2025-05-04' });
+        const previousDay = hub.refresh('dashboard');
+        hub.setParams('dashboard', { date: '2025-05-03' });
+        const twoDaysBack = hub.refresh('dashboard');
+
+        expect(calls.map(call => call.params)).toEqual(['2025-05-04', '2025-05-03']);
+
+        calls[0].resolve('data 2025-05-04');
+        calls[1].resolve('data 2025-05-03');
+
+        await expect(twoDaysBack).resolves.toBe('data 2025-05-03');
+        await expect(previousDay).resolves.toBe('data 2025-05-03');
+        expect(hub.peek('dashboard')).toBe('data 2025-05-03');
+        expect(subscriber.mock.calls.map(([value]) => value)).toEqual(['data 2025-05-03']);
+    });
+
+    test('nieaktualny wynik późniejszy niż bieżący nie nadpisuje pamięci', async () => {
+        const hub = createHub();
+        const { loader, calls } = deferredLoader();
+        hub.register('dashboard', ({ date }) => loader(date), { params: { date: null } });
+
+        hub.setParams('dashboard', { date: '2025-05-04' });
+        const previousDay = hub.refresh('dashboard');
+        hub.setParams('dashboard', { date: '2025-05-03' });
+        const twoDaysBack = hub.refresh('dashboard');
+
+        calls[1].resolve('data 2025-05-03');
+        await twoDaysBack;
+        calls[0].resolve('data 2025-05-04');
+
+        await expect(previousDay).resolves.toBe('data 2025-05-03');
+        expect(hub.peek('dashboard')).toBe('data 2025-05-03');
+        expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    test('błąd ładowania dla bieżących parametrów trafia do wołającego', async () => {
+        const hub = createHub();
+        hub.register('prices', async () => {
+            throw new Error('PSE unavailable');
+        });
+
+        await expect(hub.get('prices')).rejects.toThrow('PSE unavailable');
+        expect(hub.getStatus().prices.loading).toBe(false);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * DataProcessor - dopasowanie cen do okresów szeregu
+ */
+
+beforeAll(() => {
+    loadScripts('config.js', 'utils.js', 'business-time.js', 'data-processor.js');
+});
+
+const QUARTER_MS = 15 * 60 * 1000;
+const start = () => window.BusinessTime.startOfDay('2025-05-05').getTime() + 40 * QUARTER_MS;
+
+// Kwadranse godziny 10:00-11:00
+const quarterPrices = () => [100, 200, 300, 400].map((price, i) => ({
+    time: start() + i * QUARTER_MS, hour: 10, intervalMinutes: 15, price
+}));
+
+describe('DataProcessor.createPriceLookup', () => {
+    test('szereg kwadransowy dostaje cenę swojego kwadransu', () => {
+        const series = [0, 1, 2, 3].map(i => ({ time: start() + i * QUARTER_MS, hour: 10, intervalMinutes: 15 }));
+        const priceAt = window.DataProcessor.createPriceLookup(quarterPrices(), series);
+
+        expect(series.map(priceAt)).toEqual([100, 200, 300, 400]);
+    });
+
+    test('szereg godzinowy dostaje średnią cen kwadransów godziny', () => {
+        const series = [{ time: start(), hour: 10, intervalMinutes: 60 }];
+        const priceAt = window.DataProcessor.createPriceLookup(quarterPrices(), series);
+
+        expect(priceAt(series[0])).toBe(250);
+    });
+
+    test('cena godzinowa obowiązuje w każdym kwadransie godziny', () => {
+        const prices = [{ time: start(), hour: 10, intervalMinutes: 60, price: 500 }];
+        const series = [0, 1, 2, 3].map(i => ({ time: start() + i * QUARTER_MS, hour: 10, intervalMinutes: 15 }));
+        const priceAt = window.DataProcessor.createPriceLookup(prices, series);
+
+        expect(series.map(priceAt)).toEqual([500, 500, 500, 500]);
+    });
+
+    test('ceny bez czasu okresu dopasowywane po godzinie', () => {
+        const priceAt = window.DataProcessor.createPriceLookup([{ hour: 10, price: 320 }], []);
+
+        expect(priceAt({ time: start() + QUARTER_MS, hour: 10 })).toBe(320);
+        expect(priceAt({ time: start() + 4 * QUARTER_MS, hour: 11 })).toBeUndefined();
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * ForecastAccuracy - przeładowanie po zmianie zakresu w trakcie ładowania
+ */
+
+beforeAll(() => {
+    loadScripts('config.js', 'business-time.js', 'forecast-accuracy.js');
+});
+
+describe('ForecastAccuracy.load', () => {
+    afterEach(() => {
+        delete window.PSEApiService;
+    });
+
+    test('zmiana zakresu w trakcie ładowania przeładowuje dane dla nowego zakresu', async () => {
+        const accuracy = new window.ForecastAccuracy.constructor();
+        const requests = [];
+        window.PSEApiService = {
+            getForecastAccuracyData: jest.fn((fromDate, toDate) => new Promise(resolve => {
+                requests.push({ fromDate, toDate, resolve });
+            }))
+        };
+        jest.spyOn(accuracy, 'render').mockImplementation(() => {});
+        jest.spyOn(accuracy, 'saveHistory').mockResolvedValue();
+
+        const first = accuracy.load();
+        accuracy.state.rangeDays = 30;
+        accuracy.load();
+
+        requests[0].resolve({ fromDate: requests[0].fromDate, toDate: requests[0].toDate, points: [] });
+        await first;
+
+        expect(requests).toHaveLength(2);
+        expect(requests[1].fromDate).toBe(window.BusinessTime.addDays(window.BusinessTime.today(), -29));
+        expect(accuracy.render).not.toHaveBeenCalled();
+
+        requests[1].resolve({ fromDate: requests[1].fromDate, toDate: requests[1].toDate, points: [] });
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(accuracy.render).toHaveBeenCalledTimes(1);
+    });
+});
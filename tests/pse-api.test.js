@@ -0,0 +1,175 @@
+/**
+ * PSEApiService - seria kwadransowa z wierszy PSE i wybór wersji planu pk5l-wp
+ */
+
+beforeAll(() => {
+    loadScripts('config.js', 'utils.js', 'business-time.js', 'response-cache.js', 'response-validator.js',
+        'timeseries-store.js', 'pse-query.js', 'pse-api.js');
+});
+
+const api = () => window.PSEApiService;
+const dayStart = date => window.BusinessTime.startOfDay(date).getTime();
+const QUARTER_MS = 15 * 60 * 1000;
+
+// Wiersze pk5l-wp doby 2025-05-05 (godzinowe) z dwóch publikacji: D-1 13:47 i D 08:16
+const planRows = () => ['2025-05-04 13:47:12', '2025-05-05 08:16:40'].flatMap((published, version) =>
+    Array.from({ length: 24 }, (_, hour) => ({
+        business_date: '2025-05-05',
+        plan_dtime: `2025-05-05 ${String(hour).padStart(2, '0')}:00:00`,
+        publication_ts: published,
+        fcst_pv_tot_gen: String(1000 * hour + version)
+    })));
+
+describe('PSEApiService.toQuarterSeries', () => {
+    test('dane godzinowe z kilku publikacji rozpisywane na 4 kwadranse', () => {
+        const series = api().toQuarterSeries(planRows(), 'plan_dtime', row => parseFloat(row.fcst_pv_tot_gen), { timeIsEnd: false });
+        const noon = dayStart('2025-05-05') + 12 * 4 * QUARTER_MS;
+
+        expect(series.size).toBe(96);
+        expect([0, 1, 2, 3].map(i => series.get(noon + i * QUARTER_MS)).every(Number.isFinite)).toBe(true);
+    });
+
+    test('dane kwadransowe z końcem okresu w dtime', () => {
+        const rows = ['00:15', '00:30', '00:45', '01:00'].map((time, index) => ({
+            business_date: '2025-05-05',
+            dtime: `2025-05-05 ${time}:00`,
+            value: index + 1
+        }));
+        const series = api().toQuarterSeries(rows, 'dtime', row => row.value);
+        const start = dayStart('2025-05-05');
+
+        expect(Array.from(series.entries())).toEqual([
+            [start, 1], [start + QUARTER_MS, 2], [start + 2 * QUARTER_MS, 3], [start + 3 * QUARTER_MS, 4]
+        ]);
+    });
+
+    test('rozdzielczość liczona osobno dla każdej doby', () => {
+        const rows = [
+            { business_date: '2025-05-05', from_dtime: '2025-05-05 10:00:00', value: 1 },
+            { business_date: '2025-05-05', from_dtime: '2025-05-05 11:00:00', value: 2 },
+            { business_date: '2025-05-06', from_dtime: '2025-05-06 10:00:00', value: 3 },
+            { business_date: '2025-05-06', from_dtime: '2025-05-06 10:15:00', value: 4 }
+        ];
+        const series = api().toQuarterSeries(rows, 'from_dtime', row => row.value, { timeIsEnd: false });
+
+        expect(series.get(dayStart('2025-05-05') + 43 * QUARTER_MS)).toBe(1);
+        expect(series.get(dayStart('2025-05-06') + 41 * QUARTER_MS)).toBe(4);
+        expect(series.has(dayStart('2025-05-06') + 42 * QUARTER_MS)).toBe(false);
+    });
+});
+
+describe('PSEApiService.selectDayAheadPlan', () => {
+    test('jedna wersja planu na godzinę: publikacja D-1', () => {
+        const selected = api().selectDayAheadPlan(planRows());
+
+        expect(selected).toHaveLength(24);
+        expect(selected.every(row => row.publication_ts === '2025-05-04 13:47:12')).toBe(true);
+    });
+
+    test('prognoza PV na każdy kwadrans doby z jednej publikacji', () => {
+        const series = api().toQuarterSeries(api().selectDayAheadPlan(planRows()), 'plan_dtime',
+            row => parseFloat(row.fcst_pv_tot_gen), { timeIsEnd: false });
+        const start = dayStart('2025-05-05') + 14 * 4 * QUARTER_MS;
+
+        expect([0, 1, 2, 3].map(i => series.get(start + i * QUARTER_MS))).toEqual([14000, 14000, 14000, 14000]);
+    });
+});
+
+describe('PSEApiService - wybrana doba z przeszłości', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('ceny RCE bez danych dla doby: pusty zbiór z missingDate zamiast danych z dziś', async () => {
+        jest.spyOn(api(), 'request').mockResolvedValue({
+            value: [{ business_date: window.BusinessTime.today(), dtime: `${window.BusinessTime.today()} 00:15:00`, rce_pln: '420' }]
+        });
+
+        const prices = await api().getRCEPrices('2025-05-05');
+
+        expect(prices.dates).toEqual(['2025-05-05', '2025-05-06']);
+        expect(prices.intervals).toEqual([]);
+        expect(prices.missingDate).toBe('2025-05-05');
+        expect(prices.provenance.source).toBe('unavailable');
+    });
+
+    test('rezerwy liczone od północy wybranej doby', () => {
+        const rows = ['2025-05-04 23:00:00', '2025-05-05 00:00:00', '2025-05-05 01:00:00'].map(time => ({
+            plan_dtime: time,
+            req_pow_res: '1000',
+            surplus_cap_avail_tso: '2500'
+        }));
+
+        expect(api().processReservesData(rows, '2025-05-05').times).toEqual(['2025-05-05 00:00:00', '2025-05-05 01:00:00']);
+    });
+});
+
+describe('PSEApiService.getPriceData', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('ceny doby wybierane z czasu wiersza, także bez business_date', async () => {
+        jest.spyOn(api(), 'request').mockResolvedValue({
+            value: [
+                { dtime: '2025-05-05 00:00:00', rce_pln: '300' },
+                { dtime: '2025-05-05 00:15:00', rce_pln: '310' },
+                { business_date: '2025-05-05', dtime: '2025-05-06 00:00:00', rce_pln: '320' },
+                { dtime: '2025-05-06 00:15:00', rce_pln: '330' }
+            ]
+        });
+
+        const prices = await api().getPriceData('2025-05-05');
+
+        expect(prices.map(price => price.price)).toEqual([310, 320]);
+    });
+});
+
+describe('PSEApiService.processPriceData', () => {
+    test('ceny kwadransowe z początkiem okresu (dtime = koniec kwadransu)', () => {
+        const prices = api().processPriceData([
+            { dtime: '2025-05-05 10:15:00', rce_pln: '300' },
+            { dtime: '2025-05-05 10:30:00', rce_pln: '-20' }
+        ]);
+
+        expect(prices.map(({ time, hour, intervalMinutes, price }) => ({ time, hour, intervalMinutes, price }))).toEqual([
+            { time: dayStart('2025-05-05') + 40 * QUARTER_MS, hour: 10, intervalMinutes: 15, price: 300 },
+            { time: dayStart('2025-05-05') + 41 * QUARTER_MS, hour: 10, intervalMinutes: 15, price: -20 }
+        ]);
+    });
+});
+
+describe('PSEApiService.getForecastAccuracyData', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('doby bez publikacji planu D-1 pominięte i policzone', async () => {
+        const intradayOnly = planRows()
+            .filter(row => row.publication_ts.startsWith('2025-05-05'))
+            .map(row => ({ ...row, business_date: '2025-05-05' }));
+        const dayAhead = planRows()
+            .filter(row => row.publication_ts.startsWith('2025-05-04'))
+            .map(row => ({
+                ...row,
+                business_date: '2025-05-04',
+                plan_dtime: row.plan_dtime.replace('2025-05-05', '2025-05-04'),
+                publication_ts: '2025-05-03 13:47:12'
+            }));
+        const generation = ['2025-05-04', '2025-05-05'].flatMap(date => Array.from({ length: 24 }, (_, hour) => ({
+            business_date: date,
+            dtime: `${date} ${String(hour).padStart(2, '0')}:00:00`,
+            gen_fv: 1000 * hour
+        })));
+
+        jest.spyOn(api(), 'getSeriesRange').mockImplementation(async endpoint => ({
+            value: { 'pk5l-wp': [...dayAhead, ...intradayOnly], pdgobpkd: generation, 'kse-load': [] }[endpoint]
+        }));
+
+        const data = await api().getForecastAccuracyData('2025-05-04', '2025-05-05');
+
+        expect(data.missingDayAheadDates).toEqual(['2025-05-05']);
+        expect(data.points.some(point => point.businessDate === '2025-05-05' && point.pv.forecast !== null)).toBe(false);
+        expect(data.points.some(point => point.businessDate === '2025-05-04' && Number.isFinite(point.pv.forecast))).toBe(true);
+    });
+});
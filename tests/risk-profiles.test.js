@@ -0,0 +1,55 @@
+/**
+ * RiskProfiles / RedispatchRiskScorer - progi dodatku za planowane ograniczenia D+1
+ */
+
+beforeAll(() => {
+    loadScripts('config.js', 'risk-profiles.js', 'redispatch-risk-scorer.js');
+});
+
+const defaultProfile = () => window.RiskProfiles.createDefault();
+
+describe('RedispatchRiskScorer.calculatePlannedConstraintsBonus', () => {
+    test('profil domyślny: 1 → 5, 10 → 10, 20 → 15 pkt', () => {
+        const scorer = new window.RedispatchRiskScorer(defaultProfile());
+
+        expect(scorer.calculatePlannedConstraintsBonus({ plannedConstraints: 0 })).toBe(0);
+        expect(scorer.calculatePlannedConstraintsBonus({ plannedConstraints: 1 })).toBe(5);
+        expect(scorer.calculatePlannedConstraintsBonus({ plannedConstraints: 19 })).toBe(10);
+        expect(scorer.calculatePlannedConstraintsBonus({ plannedConstraints: 25 })).toBe(15);
+    });
+
+    test('progi i krytyczność czynnika z profilu', () => {
+        const profile = { ...defaultProfile(), plannedConstraintsBonus: [{ atLeast: 3, bonus: 8 }, { atLeast: 6, bonus: 12 }] };
+        const scorer = new window.RedispatchRiskScorer(profile);
+        const factorFor = count => scorer.getDetailedFactors({}, { plannedConstraints: count }, false, profile.weights)
+            .find(factor => factor.icon === 'clipboard');
+
+        expect(scorer.calculatePlannedConstraintsBonus({ plannedConstraints: 2 })).toBe(0);
+        expect(factorFor(4)).toMatchObject({ impact: 8, critical: false });
+        expect(factorFor(6)).toMatchObject({ impact: 12, critical: true });
+    });
+});
+
+describe('RiskProfiles - progi ograniczeń D+1', () => {
+    test('walidacja wymaga rosnących progów liczby ograniczeń', () => {
+        const errors = window.RiskProfiles.validate({ ...defaultProfile(), plannedConstraintsBonus: [{ atLeast: 10, bonus: 10 }, { atLeast: 5, bonus: 15 }] });
+
+        expect(errors).toEqual(['Dodatek za ograniczenia D+1: progi liczby ograniczeń muszą rosnąć']);
+    });
+
+    test('format edytora w obie strony', () => {
+        const steps = defaultProfile().plannedConstraintsBonus;
+
+        expect(window.RiskProfiles.formatBonusSteps(steps)).toBe('1:5, 10:10, 20:15');
+        expect(window.RiskProfiles.parseBonusSteps('1:5, 10:10, 20:15')).toEqual(steps);
+    });
+
+    test('profil zapisany bez progów dostaje wartości domyślne zamiast odrzucenia', () => {
+        const { plannedConstraintsBonus, ...legacy } = { ...defaultProfile(), id: 'custom', name: 'Stary profil', version: 3 };
+        localStorage.setItem('enspirion-risk-profiles', JSON.stringify({ activeId: 'custom', profiles: [legacy] }));
+
+        const profiles = new window.RiskProfiles.constructor();
+
+        expect(profiles.getActive()).toMatchObject({ id: 'custom', version: 3, plannedConstraintsBonus });
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * Enspirion Dashboard - konfiguracja testów (jest, jsdom)
+ * Skrypty dashboardu to klasyczne skrypty przeglądarki (globalne obiekty na window) - ładowane
+ * przez loadScripts() jako jeden skrypt, tak jak w kolejności tagów <script> w index.html
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'assets', 'js');
+
+/**
+ * Wykonaj skrypty z assets/js w globalnym kontekście jsdom (stałe modułowe współdzielone jak w przeglądarce)
+ */
+global.loadScripts = (...files) => {
+    const source = files
+        .map(file => fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8'))
+        .join('\n;\n');
+    (0, eval)(source);
+};
+
+// Logi modułów (✅ ... loaded, 📈 ...) zaciemniają wynik testów - co test, bo testy przywracają mocki
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    localStorage.clear();
+});
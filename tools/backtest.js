@@ -0,0 +1,241 @@
+/**
+ * Enspirion Dashboard - backtest RedispatchRiskScorer (headless)
+ * Ładuje skrypty dashboardu do kontekstu vm, odtwarza fixtures PSE doba po dobie
+ * i porównuje wynik scorera z faktycznym redysponowaniem OZE (poze-redoze)
+ *
+ * Użycie:
+ *   node tools/backtest.js                               # wszystkie doby z poze-redoze w fixtures
+ *   node tools/backtest.js --from 2025-06-01 --to 2025-06-30
+ *   node tools/backtest.js --fixtures ./moje-fixtures --json raport.json
+ *   node tools/backtest.js --fit                         # dopasuj CurtailmentModel -> assets/data/curtailment-model.json
+ *   node tools/backtest.js --fit --model ./model.json
+ *   node tools/backtest.js --profile ./risk-profile.json         # profil ryzyka wyeksportowany z ustawień
+ *
+ * Fixtures nagrywa tools/pse-server.js --record (pdgobpkd, poze-redoze, pk5l-wp, przeplywy-mocy);
+ * w repozytorium tylko mały zestaw syntetyczny 2025-05-01 .. 2025-05-05 w tym samym formacie
+ * ("synthetic": true) - wyniki na nim ilustrują działanie narzędzia, nie trafność scorera
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_FIXTURES = path.join(ROOT, 'tools', 'fixtures', 'pse');
+
+// Skrypty dashboardu w kolejności z index.html (tylko te bez DOM)
+const SCRIPTS = ['config.js', 'business-time.js', 'risk-profiles.js', 'redispatch-risk-scorer.js', 'curtailment-model.js', 'risk-backtest.js'];
+
+const ENDPOINTS = ['pdgobpkd', 'poze-redoze', 'pk5l-wp', 'przeplywy-mocy'];
+
+/**
+ * Argumenty CLI: --from DATA, --to DATA, --fixtures DIR, --json PLIK, --fit, --model PLIK, --profile PLIK
+ */
+function parseArgs(argv) {
+    const options = {
+        from: null,
+        to: null,
+        fixtures: process.env.PSE_FIXTURES_DIR || DEFAULT_FIXTURES,
+        json: null,
+        fit: false,
+        model: null,
+        profile: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from') options.from = argv[++i];
+        else if (arg === '--to') options.to = argv[++i];
+        else if (arg === '--fixtures') options.fixtures = path.resolve(argv[++i]);
+        else if (arg === '--json') options.json = path.resolve(argv[++i]);
+        else if (arg === '--fit') options.fit = true;
+        else if (arg === '--model') options.model = path.resolve(argv[++i]);
+        else if (arg === '--profile') options.profile = path.resolve(argv[++i]);
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    [options.from, options.to].forEach(date => {
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Kontekst z window jak w przeglądarce - skrypty rejestrują globalne obiekty na window
+ */
+async function createContext() {
+    const storage = new Map();
+    const window = {
+        location: { hostname: 'localhost', search: '' },
+        addEventListener() {}
+    };
+    window.window = window;
+
+    const context = vm.createContext({
+        window,
+        console: { ...console, log() {} }, // logi inicjalizacji skryptów pomijane, ostrzeżenia zostają
+        process: { env: { ...process.env } }, // config.js czyta process.env (BUILD_NUMBER, NODE_ENV)
+        URLSearchParams,
+        Intl,
+        localStorage: {
+            getItem: key => storage.get(key) ?? null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        }
+    });
+
+    for (const script of SCRIPTS) {
+        const file = path.join(ROOT, 'assets', 'js', script);
+        vm.runInContext(await fs.readFile(file, 'utf8'), context, { filename: file });
+    }
+
+    return window;
+}
+
+async function loadFixture(fixtures, endpoint) {
+    try {
+        const fixture = JSON.parse(await fs.readFile(path.join(fixtures, `${endpoint}.json`), 'utf8'));
+        return { rows: Array.isArray(fixture.rows) ? fixture.rows : [], synthetic: fixture.synthetic === true };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { rows: [], synthetic: false };
+        throw error;
+    }
+}
+
+// ================================
+// Raport
+// ================================
+
+const percent = value => value === null ? '--' : `${(value * 100).toFixed(1)}%`;
+const decimal = value => value === null ? '--' : value.toFixed(3);
+
+function printReport(report) {
+    const { confusion } = report;
+
+    console.log(`\n📊 Backtest RedispatchRiskScorer ${report.fromDate} .. ${report.toDate} (profil ${report.profile.label})`);
+    console.log(`   Doby: ${report.days} (pominięte: ${report.skippedDays.length}), godziny: ${report.sampleCount}`);
+    console.log(`   Zdarzenie: redukcja OZE > ${report.eventThresholdMW} MW, alarm: ${report.alarmLevels.join('/')}`);
+    console.log(`   Zdarzenia: ${report.eventCount} (${percent(report.baseRate)} godzin)\n`);
+
+    console.log(`   Trafienia:          ${confusion.hits}`);
+    console.log(`   Pominięte:          ${confusion.misses}`);
+    console.log(`   Fałszywe alarmy:    ${confusion.falseAlarms}`);
+    console.log(`   Poprawne negatywy:  ${confusion.correctNegatives}\n`);
+
+    console.log(`   Hit rate (POD):     ${percent(report.hitRate)}`);
+    console.log(`   False alarm ratio:  ${percent(report.falseAlarmRatio)}`);
+    console.log(`   False alarm rate:   ${percent(report.falseAlarmRate)}`);
+    console.log(`   ROC AUC:            ${decimal(report.auc)}`);
+    console.log(`   Brier (wynik/100):  ${decimal(report.brierScore)}\n`);
+
+    console.log('   Pasmo      godzin   zdarzenia');
+    report.byLevel.forEach(({ level, count, eventRate }) => {
+        console.log(`   ${level.padEnd(10)} ${String(count).padStart(6)}   ${percent(eventRate).padStart(9)}`);
+    });
+
+    console.log('\n   Kalibracja: wynik   godzin   przewidywane   obserwowane');
+    report.calibration.forEach(bin => {
+        const range = `${bin.from}-${bin.to}`.padEnd(8);
+        console.log(`               ${range} ${String(bin.count).padStart(6)}   ${percent(bin.meanPredicted).padStart(12)}   ${percent(bin.observedRate).padStart(11)}`);
+    });
+
+    if (report.skippedDays.length > 0) {
+        const listed = report.skippedDays.slice(0, 10).map(day => `${day.date} (${day.reason})`).join(', ');
+        console.log(`\n   Pominięte doby: ${listed}${report.skippedDays.length > 10 ? ', …' : ''}`);
+    }
+}
+
+function printModel(model, sampleIssue = null) {
+    console.log(`\n🎯 CurtailmentModel: ${model.sampleCount} godzin, ${model.eventCount} zdarzeń, ` +
+        `${model.iterations} iteracji${model.converged ? '' : ' (bez zbieżności!)'}`);
+    model.features.forEach((feature, i) => {
+        const se = Math.sqrt(model.covariance[i][i]);
+        const prior = model.priorOnly?.[i] ? '  (tylko prior - cecha stała w próbkach)' : '';
+        console.log(`   ${feature.padEnd(20)} ${model.coefficients[i].toFixed(3).padStart(8)}  ± ${se.toFixed(3)}${prior}`);
+    });
+    console.log(`   Średnia redukcja w zdarzeniu: ${model.meanEventMWh.toFixed(1)} MWh`);
+    if (sampleIssue) {
+        console.log(`   ⚠️ Dashboard potraktuje model jako niekalibrowany - ${sampleIssue}`);
+    }
+
+    const { validation } = model;
+    if (!validation) {
+        console.log('   Walidacja: za mało dób');
+        return;
+    }
+
+    console.log(`\n   Walidacja ${validation.fromDate} .. ${validation.toDate} (model z wcześniejszych dób): ` +
+        `${validation.sampleCount} godzin, ${validation.eventCount} zdarzeń`);
+    console.log(`   ROC AUC:            ${decimal(validation.auc)}`);
+    console.log(`   Brier:              ${decimal(validation.brierScore)}`);
+    console.log('   Kalibracja: P [%]   godzin   przewidywane   obserwowane');
+    validation.calibration.filter(bin => bin.count > 0).forEach(bin => {
+        const range = `${bin.from}-${bin.to}`.padEnd(8);
+        console.log(`               ${range} ${String(bin.count).padStart(6)}   ${percent(bin.meanPredicted).padStart(12)}   ${percent(bin.observedRate).padStart(11)}`);
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const window = await createContext();
+
+    const rows = {};
+    const synthetic = [];
+    for (const endpoint of ENDPOINTS) {
+        const fixture = await loadFixture(options.fixtures, endpoint);
+        rows[endpoint] = fixture.rows;
+        if (fixture.synthetic) synthetic.push(endpoint);
+    }
+
+    if (synthetic.length > 0) {
+        console.warn(`⚠️ Synthetic fixtures (generated, not recorded from PSE): ${synthetic.join(', ')} - results only illustrate the tool`);
+    }
+
+    // Domyślny zakres = doby z danymi redysponowania
+    const dates = [...new Set(rows['poze-redoze'].map(row => row.business_date).filter(Boolean))].sort();
+    const fromDate = options.from || dates[0];
+    const toDate = options.to || dates[dates.length - 1];
+
+    if (!fromDate || !toDate) {
+        throw new Error(`No poze-redoze fixture rows in ${options.fixtures} - record them with: npm run pse:record`);
+    }
+
+    // Profil z pliku (eksport z ustawień) albo domyślny z konfiguracji
+    let profile = null;
+    if (options.profile) {
+        profile = window.RiskProfiles.migrate(JSON.parse(await fs.readFile(options.profile, 'utf8')));
+        const errors = window.RiskProfiles.validate(profile);
+        if (errors.length > 0) {
+            throw new Error(`Invalid risk profile ${options.profile}: ${errors.join('; ')}`);
+        }
+    }
+
+    const scorer = new window.RedispatchRiskScorer(profile);
+    const report = window.RiskBacktest.run(rows, { fromDate, toDate, scorer });
+    report.syntheticFixtures = synthetic;
+    printReport(report);
+
+    if (options.fit) {
+        const model = window.RiskBacktest.fitCurtailmentModel(report.samples);
+        printModel(model, window.CurtailmentModel.getSampleIssue(model));
+
+        const modelFile = options.model || path.join(ROOT, window.EnspirionConfig.DATA.curtailmentModel.url);
+        await fs.mkdir(path.dirname(modelFile), { recursive: true });
+        await fs.writeFile(modelFile, JSON.stringify(model, null, 2) + '\n');
+        console.log(`\n💾 Model saved to ${modelFile}`);
+    }
+
+    if (options.json) {
+        await fs.writeFile(options.json, JSON.stringify(report, null, 2) + '\n');
+        console.log(`\n💾 Report saved to ${options.json}`);
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,432 @@
+/**
+ * Enspirion Dashboard - lokalny serwer zastępczy API PSE
+ * Odtwarza odpowiedzi z plików fixtures z obsługą OData ($filter, $select, $orderby, $first, $skip)
+ * albo nagrywa ruch z prawdziwego API do plików fixtures (tryb --record)
+ *
+ * Fixtures w repozytorium są syntetyczne ("synthetic": true) - wygenerowane, nie nagrane z API PSE;
+ * pierwsze nagranie endpointu zastępuje dane syntetyczne (nagrane pliki mają recordedAt)
+ *
+ * Użycie:
+ *   node tools/pse-server.js                 # replay z tools/fixtures/pse
+ *   node tools/pse-server.js --shift-to today   # replay z datami przesuniętymi: ostatnia doba fixtures = dziś
+ *   node tools/pse-server.js --shift-to 2025-06-02 --shift-from 2025-05-01
+ *   node tools/pse-server.js --record        # proxy do PSE + zapis odpowiedzi
+ *   node tools/pse-server.js --port 8787 --fixtures ./moje-fixtures --upstream https://.../api/
+ *
+ * Bez --shift-to replay zwraca tylko doby z fixtures (zestaw przykładowy: 2025-05-01 .. 2025-05-05) -
+ * dashboard na "dziś" pokaże brak danych; wtedy --shift-to today albo wybór doby z fixtures w nawigatorze doby
+ *
+ * Dashboard: ?pse=local w adresie lub EnspirionConfig.setPSESource('local')
+ */
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_UPSTREAM = 'https://apimpdv2-bmgdhhajexe8aade.a01.azurefd.net/api/';
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'pse');
+
+// Obsługiwane endpointy; odata: false = parametry ignorowane (jak w API PSE)
+const ENDPOINTS = {
+    'pdgobpkd': { odata: true, sortFields: ['business_date', 'dtime'] },
+    'kse-load': { odata: true, sortFields: ['business_date', 'dtime'] },
+    'ogr-oper': { odata: true, sortFields: ['business_date', 'from_dtime'] },
+    'ogr-d1': { odata: true, sortFields: ['business_date', 'from_dtime'] },
+    'poze-redoze': { odata: true, sortFields: ['business_date', 'dtime'] },
+    'pk5l-wp': { odata: true, sortFields: ['business_date', 'plan_dtime'] },
+    'przeplywy-mocy': { odata: true, sortFields: ['business_date', 'dtime', 'section_code'] },
+    'gen-jw': { odata: true, sortFields: ['business_date', 'dtime', 'resource_code'] },
+    'his-gen-pal': { odata: true, sortFields: ['business_date', 'dtime'] },
+    'his-bil-mocy': { odata: true, sortFields: ['business_date', 'dtime'] },
+    'price-fcst': { odata: false, sortFields: ['business_date'] }
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+
+class ODataError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ODataError';
+        this.status = 400;
+    }
+}
+
+/**
+ * Argumenty CLI: --record, --port N, --fixtures DIR, --upstream URL, --shift-to DATA|today, --shift-from DATA
+ */
+function parseArgs(argv) {
+    const options = {
+        record: false,
+        port: Number(process.env.PSE_SERVER_PORT) || 8787,
+        fixtures: process.env.PSE_FIXTURES_DIR || DEFAULT_FIXTURES,
+        upstream: process.env.PSE_UPSTREAM_URL || DEFAULT_UPSTREAM,
+        shiftTo: null,
+        shiftFrom: null,
+        shiftDays: 0
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--record') options.record = true;
+        else if (arg === '--port') options.port = Number(argv[++i]);
+        else if (arg === '--fixtures') options.fixtures = path.resolve(argv[++i]);
+        else if (arg === '--upstream') options.upstream = argv[++i];
+        else if (arg === '--shift-to') options.shiftTo = argv[++i] === 'today' ? warsawToday() : argv[i];
+        else if (arg === '--shift-from') options.shiftFrom = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    [options.shiftTo, options.shiftFrom].filter(Boolean).forEach(date => {
+        if (!DATE_PATTERN.test(date)) throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+    });
+    if (options.shiftTo && options.record) throw new Error('--shift-to works only in replay mode');
+
+    if (!options.upstream.endsWith('/')) options.upstream += '/';
+    return options;
+}
+
+// ================================
+// Przesunięcie dat (replay)
+// ================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const warsawFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Europe/Warsaw',
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+function warsawToday() {
+    return warsawFormatter.format(new Date()).slice(0, 10);
+}
+
+// Przesunięcie Europe/Warsaw względem UTC [ms] w chwili utcMs
+function warsawOffset(utcMs) {
+    const parts = Object.fromEntries(warsawFormatter.formatToParts(new Date(utcMs)).map(part => [part.type, part.value]));
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(utcMs / 1000) * 1000;
+}
+
+// "YYYY-MM-DD[ HH:mm:ss[.SSS]]" <-> ms (zapis bez strefy czytany jak UTC)
+function parseStamp(value) {
+    return Date.parse(`${value.replace(' ', 'T')}${value.length > 10 ? '' : 'T00:00:00'}Z`);
+}
+
+function formatStamp(ms, template) {
+    return new Date(ms).toISOString().replace('T', ' ').slice(0, template.length);
+}
+
+/**
+ * Przesuń pola z datą o days dób kalendarzowych: czasy lokalne (dtime, business_date, ...) o pełne doby,
+ * pola *_utc przeliczane przez czas lokalny - przy zmianie czasu między dobami różnią się o godzinę;
+ * period_utc (sam opis okresu "HH:mm - HH:mm", dashboard go nie liczy) zostaje bez zmian
+ */
+function shiftRow(row, days) {
+    const shifted = {};
+
+    Object.entries(row).forEach(([field, value]) => {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(parseStamp(value))) {
+            shifted[field] = value;
+            return;
+        }
+
+        if (!field.endsWith('_utc')) {
+            shifted[field] = formatStamp(parseStamp(value) + days * DAY_MS, value);
+            return;
+        }
+
+        const utc = parseStamp(value);
+        const local = utc + warsawOffset(utc) + days * DAY_MS;
+        const guess = local - warsawOffset(utc);
+        shifted[field] = formatStamp(local - warsawOffset(guess), value);
+    });
+
+    return shifted;
+}
+
+/**
+ * Ostatnia doba (business_date) we wszystkich fixtures - punkt odniesienia dla --shift-to
+ */
+async function latestFixtureDate(options) {
+    let latest = null;
+    for (const endpoint of Object.keys(ENDPOINTS)) {
+        const fixture = await loadFixture(options, endpoint);
+        fixture.rows.forEach(row => {
+            if (row.business_date && (!latest || row.business_date > latest)) latest = row.business_date;
+        });
+    }
+    return latest;
+}
+
+// ================================
+// OData
+// ================================
+
+/**
+ * $filter: warunki "pole op wartość" połączone "and" (tylko to generuje PSEQuery)
+ */
+function parseFilter(filter) {
+    if (!filter) return [];
+
+    const clause = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s+(eq|ne|gt|ge|lt|le)\s+('(?:[^']|'')*'|-?\d+(?:\.\d+)?)\s*$/;
+
+    return filter.split(/\s+and\s+/i).map(part => {
+        const match = part.match(clause);
+        if (!match) {
+            throw new ODataError(`Unsupported $filter clause: ${part.trim()}`);
+        }
+
+        const [, field, operator, literal] = match;
+        const value = literal.startsWith("'")
+            ? literal.slice(1, -1).replace(/''/g, "'")
+            : Number(literal);
+
+        return { field, operator, value };
+    });
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+function matches(row, { field, operator, value }) {
+    const result = compare(row[field], value);
+    switch (operator) {
+        case 'eq': return result === 0;
+        case 'ne': return result !== 0;
+        case 'gt': return result > 0;
+        case 'ge': return result >= 0;
+        case 'lt': return result < 0;
+        case 'le': return result <= 0;
+        default: return false;
+    }
+}
+
+function parseOrderBy(orderBy) {
+    if (!orderBy) return [];
+
+    return orderBy.split(',').map(part => {
+        const [field, direction = 'asc'] = part.trim().split(/\s+/);
+        if (!['asc', 'desc'].includes(direction)) {
+            throw new ODataError(`Invalid $orderby direction: ${direction}`);
+        }
+        return { field, direction };
+    });
+}
+
+function parseCount(value, name, fallback) {
+    if (value === null) return fallback;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new ODataError(`Invalid ${name}: ${value}`);
+    }
+    return count;
+}
+
+/**
+ * Zastosuj zapytanie OData do wierszy fixture; zwraca stronę w formacie PSE ({ value, nextLink })
+ */
+function applyQuery(rows, searchParams, requestUrl) {
+    const filters = parseFilter(searchParams.get('$filter'));
+    const order = parseOrderBy(searchParams.get('$orderby'));
+    const select = searchParams.get('$select')?.split(',').map(field => field.trim()).filter(Boolean) || null;
+    const first = parseCount(searchParams.get('$first'), '$first', DEFAULT_PAGE_SIZE);
+    const skip = parseCount(searchParams.get('$skip'), '$skip', 0);
+
+    let result = rows.filter(row => filters.every(filter => matches(row, filter)));
+
+    if (order.length > 0) {
+        result = [...result].sort((a, b) => {
+            for (const { field, direction } of order) {
+                const diff = compare(a[field], b[field]);
+                if (diff !== 0) return direction === 'desc' ? -diff : diff;
+            }
+            return 0;
+        });
+    }
+
+    const page = result.slice(skip, skip + first);
+    const value = select
+        ? page.map(row => Object.fromEntries(select.map(field => [field, row[field] ?? null])))
+        : page;
+
+    let nextLink = null;
+    if (skip + first < result.length) {
+        const next = new URL(requestUrl);
+        next.searchParams.set('$skip', String(skip + first));
+        nextLink = next.toString();
+    }
+
+    return { value, nextLink };
+}
+
+// ================================
+// Fixtures
+// ================================
+
+function fixturePath(options, endpoint) {
+    return path.join(options.fixtures, `${endpoint}.json`);
+}
+
+async function loadFixture(options, endpoint) {
+    try {
+        const content = await fs.readFile(fixturePath(options, endpoint), 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { endpoint, recordedAt: null, rows: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Dopisz nagrane wiersze do fixture (bez duplikatów), posortowane po polach czasu endpointu
+ */
+async function appendFixture(options, endpoint, rows) {
+    const existing = await loadFixture(options, endpoint);
+    // Nagranie nie miesza się z danymi syntetycznymi
+    const fixture = existing.synthetic ? { endpoint, recordedAt: null, rows: [] } : existing;
+    const seen = new Set(fixture.rows.map(row => JSON.stringify(row)));
+
+    let added = 0;
+    rows.forEach(row => {
+        const key = JSON.stringify(row);
+        if (!seen.has(key)) {
+            seen.add(key);
+            fixture.rows.push(row);
+            added++;
+        }
+    });
+
+    const sortFields = ENDPOINTS[endpoint].sortFields;
+    fixture.rows.sort((a, b) => {
+        for (const field of sortFields) {
+            const diff = compare(a[field], b[field]);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    });
+    fixture.endpoint = endpoint;
+    fixture.recordedAt = new Date().toISOString();
+
+    await fs.mkdir(options.fixtures, { recursive: true });
+    await fs.writeFile(fixturePath(options, endpoint), JSON.stringify(fixture, null, 2) + '\n');
+    return added;
+}
+
+// ================================
+// HTTP
+// ================================
+
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Accept, Content-Type',
+        'Cache-Control': 'no-store'
+    });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Replay: odpowiedź z fixture
+ */
+async function replay(options, endpoint, requestUrl) {
+    const fixture = await loadFixture(options, endpoint);
+    const rows = options.shiftDays ? fixture.rows.map(row => shiftRow(row, options.shiftDays)) : fixture.rows;
+
+    if (!ENDPOINTS[endpoint].odata) {
+        return { value: rows, nextLink: null };
+    }
+    return applyQuery(rows, requestUrl.searchParams, requestUrl);
+}
+
+/**
+ * Record: przekaż zapytanie do PSE, zapisz wiersze, nextLink przepisz na serwer lokalny
+ */
+async function record(options, endpoint, requestUrl) {
+    const upstreamUrl = new URL(`${endpoint}${requestUrl.search}`, options.upstream);
+    const upstreamResponse = await fetch(upstreamUrl, { headers: { Accept: 'application/json' } });
+
+    if (!upstreamResponse.ok) {
+        const error = new Error(`Upstream HTTP ${upstreamResponse.status} for ${upstreamUrl}`);
+        error.status = 502;
+        throw error;
+    }
+
+    const body = await upstreamResponse.json();
+    const rows = Array.isArray(body.value) ? body.value : [];
+    const added = await appendFixture(options, endpoint, rows);
+    console.log(`💾 ${endpoint}: ${rows.length} rows (${added} new) recorded`);
+
+    if (body.nextLink) {
+        const upstreamNext = new URL(body.nextLink, options.upstream);
+        body.nextLink = new URL(`/api/${endpoint}${upstreamNext.search}`, requestUrl).toString();
+    }
+    return body;
+}
+
+export function createServer(options) {
+    return http.createServer(async (request, response) => {
+        if (request.method === 'OPTIONS') {
+            return sendJson(response, 204, {});
+        }
+
+        const requestUrl = new URL(request.url, `http://${request.headers.host || `localhost:${options.port}`}`);
+        const match = requestUrl.pathname.match(/^\/api\/([a-z0-9-]+)\/?$/);
+
+        if (request.method !== 'GET' || !match) {
+            return sendJson(response, 404, { error: `Not found: ${request.method} ${requestUrl.pathname}` });
+        }
+
+        const endpoint = match[1];
+        if (!ENDPOINTS[endpoint]) {
+            return sendJson(response, 404, {
+                error: `Unsupported endpoint: ${endpoint}`,
+                supported: Object.keys(ENDPOINTS)
+            });
+        }
+
+        try {
+            const body = options.record
+                ? await record(options, endpoint, requestUrl)
+                : await replay(options, endpoint, requestUrl);
+
+            console.log(`${options.record ? '📡' : '📦'} GET ${endpoint}${decodeURIComponent(requestUrl.search)} -> ${body.value.length} rows`);
+            sendJson(response, 200, body);
+        } catch (error) {
+            console.error(`❌ ${endpoint}: ${error.message}`);
+            sendJson(response, error.status || 500, { error: error.message });
+        }
+    });
+}
+
+// Uruchomienie z linii poleceń
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.shiftTo) {
+        const shiftFrom = options.shiftFrom || await latestFixtureDate(options);
+        if (!shiftFrom) throw new Error(`No business_date in fixtures ${options.fixtures} - nothing to shift`);
+        options.shiftDays = Math.round((parseStamp(options.shiftTo) - parseStamp(shiftFrom)) / DAY_MS);
+        options.shiftFrom = shiftFrom;
+    }
+
+    createServer(options).listen(options.port, () => {
+        console.log(`🔌 PSE stand-in listening on http://localhost:${options.port}/api/`);
+        console.log(`   Mode: ${options.record ? `record (upstream ${options.upstream})` : 'replay'}`);
+        console.log(`   Fixtures: ${options.fixtures}`);
+        if (options.shiftDays) {
+            console.log(`   Dates shifted by ${options.shiftDays} days (${options.shiftFrom} -> ${options.shiftTo})`);
+        }
+    });
+}